@@ -11,6 +11,7 @@ var ParsoidConfig = require('../lib/config/ParsoidConfig.js').ParsoidConfig;
 var TemplateRequest = require('../lib/mw/ApiRequest.js').TemplateRequest;
 var Util = require('../lib/utils/Util.js').Util;
 var DU = require('../lib/utils/DOMUtils.js').DOMUtils;
+var LanguageConverter = require('../lib/language/LanguageConverter.js').LanguageConverter;
 var Promise = require('../lib/utils/promise.js');
 var fs = require('fs');
 var path = require('path');
@@ -68,7 +69,7 @@ var standardOpts = Util.addStandardOptions({
 		'default': null,
 	},
 	'page': {
-		description: 'The page name, returned for {{PAGENAME}}. If no input is given (ie. empty/stdin closed), it downloads and parses the page.',
+		description: 'The page name, returned for {{PAGENAME}}. If no input is given (ie. empty/stdin closed), it downloads (or reads from the --xmldump) and parses the page.',
 		'boolean': false,
 		'default': ParserEnv.prototype.defaultPageName,
 	},
@@ -117,6 +118,11 @@ var standardOpts = Util.addStandardOptions({
 		'boolean': true,
 		'default': false,
 	},
+	'variant': {
+		description: 'Language variant to convert the HTML to; e.g. "zh-hans" or "sr-el" (with --wt2html or --html2html)',
+		'boolean': false,
+		'default': null,
+	},
 	'scrubWikitext': {
 		description: 'Apply wikitext scrubbing while serializing.',
 		'boolean': true,
@@ -228,6 +234,13 @@ var parse = exports.parse = function(input, argv, parsoidConfig, prefix, domain)
 			env.setPageSrcInfo(argv.oldtext || null);
 		}
 
+		if (argv.variant && (argv.wt2html || argv.html2html)) {
+			if (!LanguageConverter.getConverter(env, argv.variant)) {
+				throw new Error('Invalid variant for this wiki: ' + argv.variant);
+			}
+			env.htmlVariantLanguage = argv.variant;
+		}
+
 		if (argv.selser && argv.oldtext === null) {
 			throw new Error('Please provide original wikitext ' +
 				'(--oldtext or --oldtextfile). Selser requires that.');
@@ -331,6 +344,9 @@ if (require.main === module) {
 		if (argv.apiURL) {
 			prefix = 'customwiki';
 			domain = null;
+		} else if (argv.xmldump) {
+			prefix = 'dumpwiki';
+			domain = null;
 		} else if (!(prefix || domain)) {
 			domain = 'en.wikipedia.org';
 		}
@@ -87,6 +87,8 @@ function ParserTests() {
 
 	this.cacheFile = "parserTests.cache"; // Name of file used to cache the parser tests cases
 	this.parserTestsFile = "parserTests.txt";
+	// Parsoid's own test cases, which aren't synced with mediawiki/core
+	this.parsoidTestsFile = "parsoidTests.txt";
 	this.testsChangesFile = 'changes.txt';
 
 	this.articles = {};
@@ -271,7 +273,7 @@ ParserTests.prototype.getOpts = function() {
 	});
 
 	var defaultArgs = [
-		"Default tests-file: " + this.parserTestsFile,
+		"Default tests-files: " + this.parserTestsFile + ", " + this.parsoidTestsFile,
 		"Default options   : --wt2html --wt2wt --html2html --html2wt --whitelist --blacklist --color=auto",
 	];
 
@@ -305,14 +307,17 @@ ParserTests.prototype.getTests = function(argv) {
 		console.warn("warning", "ParserTests.txt not up-to-date with upstream.");
 	}
 
-	// Startup by loading .txt test file
-	var testFile;
-	try {
-		testFile = fs.readFileSync(this.testFileName, 'utf8');
-		fileDependencies.push(this.testFileName);
-	} catch (e) {
-		console.error(e);
-	}
+	// Startup by loading .txt test files
+	var testFile = this.testFileNames.map(function(fileName) {
+		try {
+			var contents = fs.readFileSync(fileName, 'utf8');
+			fileDependencies.push(fileName);
+			return contents;
+		} catch (e) {
+			console.error(e);
+			return '';
+		}
+	}).join('\n');
 	// parser grammar is also a dependency
 	fileDependencies.push(this.testParserFileName);
 
@@ -1611,11 +1616,13 @@ ParserTests.prototype.main = function(options, popts) {
 		}
 	}
 
-	// Identify tests file
+	// Identify tests files
 	if (options._[0]) {
-		this.testFileName = options._[0] ;
+		this.testFileNames = [options._[0]];
 	} else {
-		this.testFileName = __dirname + '/../tests/' + this.parserTestsFile;
+		this.testFileNames = [this.parserTestsFile, this.parsoidTestsFile].map(function(f) {
+			return __dirname + '/../tests/' + f;
+		});
 	}
 
 	try {
@@ -2002,7 +2009,9 @@ ParserTests.prototype.processCase = function(i, options, err) {
 							// full set of config normalizations done.
 							var wikiConf = this.env.conf.wiki;
 							wikiConf.fakeTimestamp = 123;
-							wikiConf.timezoneOffset = 0; // force utc for parsertests
+							// force utc for parsertests
+							wikiConf.timezone = 'UTC';
+							wikiConf.timezoneOffset = 0;
 							wikiConf.server = 'http://example.org';
 							wikiConf.wgScriptPath = '/';
 							wikiConf.script = '/index.php';
@@ -2097,9 +2106,12 @@ ParserTests.prototype.processCase = function(i, options, err) {
 					break;
 				case 'hooks':
 					this.env.log('warning', 'parserTests: Unhandled extension hook', JSON.stringify(item));
+					setImmediate(nextCallback);
 					break;
 				case 'functionhooks':
-					this.env.log("warning", "parserTests: Unhandled functionhook", JSON.stringify(item));
+					// The parser functions we support are implemented
+					// natively, so there is nothing to set up.
+					setImmediate(nextCallback);
 					break;
 				default:
 					this.comments = [];
@@ -2138,17 +2150,18 @@ ParserTests.prototype.processCase = function(i, options, err) {
 		// Write updated tests from failed ones
 		if (booleanOption(options['update-tests']) ||
 				booleanOption(options['update-unexpected'])) {
-			var parserTestsFilename = __dirname + '/../tests/parserTests.txt';
-			var parserTests = fs.readFileSync(parserTestsFilename, 'utf8');
-			this.stats.modes.wt2html.failList.forEach(function(fail) {
-				if (booleanOption(options['update-tests'] || fail.unexpected)) {
-					var exp = new RegExp("(" + /!!\s*test\s*/.source +
-						Util.escapeRegExp(fail.title) + /(?:(?!!!\s*end)[\s\S])*/.source +
-						")(" + Util.escapeRegExp(fail.expected) + ")", "m");
-					parserTests = parserTests.replace(exp, "$1" + fail.actualNormalized.replace(/\$/g, '$$$$'));
-				}
-			});
-			fs.writeFileSync(parserTestsFilename, parserTests, 'utf8');
+			this.testFileNames.forEach(function(parserTestsFilename) {
+				var parserTests = fs.readFileSync(parserTestsFilename, 'utf8');
+				this.stats.modes.wt2html.failList.forEach(function(fail) {
+					if (booleanOption(options['update-tests'] || fail.unexpected)) {
+						var exp = new RegExp("(" + /!!\s*test\s*/.source +
+							Util.escapeRegExp(fail.title) + /(?:(?!!!\s*end)[\s\S])*/.source +
+							")(" + Util.escapeRegExp(fail.expected) + ")", "m");
+						parserTests = parserTests.replace(exp, "$1" + fail.actualNormalized.replace(/\$/g, '$$$$'));
+					}
+				});
+				fs.writeFileSync(parserTestsFilename, parserTests, 'utf8');
+			}, this);
 		}
 
 		// print out the summary
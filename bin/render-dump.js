@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * Render the pages of a MediaWiki XML dump.
+ *
+ * The latest revisions of the pages of the dump in the given namespaces
+ * are rendered to HTML (or page bundles) by worker processes, which read
+ * their source, templates and wiki configuration from the dump (see
+ * lib/mw/ContentSource.js).  The results are written to a file per page
+ * in a directory, or as lines of an NDJSON file.
+ *
+ * Every page rendered (or failed) is recorded in a checkpoint file, and
+ * the pages rendered there are skipped when the command is run again, so
+ * an interrupted run can be resumed; the pages which failed, timed out or
+ * crashed their worker are tried again.  The timing and errors of the
+ * pages are reported at the end.
+ *
+ * Example:
+ *
+ *     $ node bin/render-dump.js --xmldump pages.xml --ns 0,4 --outdir out/
+ */
+'use strict';
+require('../core-upgrade.js');
+
+var cluster = require('cluster');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var util = require('util');
+var yargs = require('yargs');
+
+var apiUtils = require('../lib/api/apiUtils.js');
+var DU = require('../lib/utils/DOMUtils.js').DOMUtils;
+var ParserEnv = require('../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var ParsoidConfig = require('../lib/config/ParsoidConfig.js').ParsoidConfig;
+var Promise = require('../lib/utils/promise.js');
+var TemplateRequest = require('../lib/mw/ApiRequest.js').TemplateRequest;
+var Util = require('../lib/utils/Util.js').Util;
+var XMLDumpSource = require('../lib/mw/ContentSource.js').XMLDumpSource;
+
+var standardOpts = Util.addStandardOptions({
+	'ns': {
+		description: 'Comma-separated ids of the namespaces of the pages to render',
+		'boolean': false,
+		'default': '0',
+	},
+	'redirects': {
+		description: 'Render redirects too',
+		'boolean': true,
+		'default': false,
+	},
+	'format': {
+		description: 'The output format: "html" or "pagebundle"',
+		'boolean': false,
+		'default': 'html',
+	},
+	'outdir': {
+		description: 'Directory to write a file per page to',
+		'boolean': false,
+		'default': null,
+	},
+	'ndjson': {
+		description: 'File to append a JSON object per page to',
+		'boolean': false,
+		'default': null,
+	},
+	'checkpoint': {
+		description: 'File recording the pages rendered, to resume from.  Defaults to checkpoint.ndjson in the --outdir, or to the --ndjson file with a .checkpoint extension',
+		'boolean': false,
+		'default': null,
+	},
+	'workers': {
+		description: 'Number of worker processes',
+		'boolean': false,
+		'default': os.cpus().length,
+	},
+	'timeout': {
+		description: 'Time after which the rendering of a page fails, in seconds',
+		'boolean': false,
+		'default': 300,
+	},
+	'report': {
+		description: 'File to write the timing and errors of every page rendered to, as JSON',
+		'boolean': false,
+		'default': null,
+	},
+	'config': {
+		description: "Path to a localsettings.js file.  Use --config w/ no argument to default to the server's localsettings.js",
+		'default': false,
+	},
+});
+
+// The prefix of the wiki of the dump (see Util.setTemplatingAndProcessingFlags)
+var PREFIX = 'dumpwiki';
+
+var renderPage = function(parsoidConfig, argv, page) {
+	return ParserEnv.getParserEnv(parsoidConfig, {
+		prefix: PREFIX,
+		pageName: page.title,
+	}).then(function(env) {
+		env.storeDataParsoid = (argv.format === 'pagebundle');
+		return TemplateRequest.setPageSrcInfo(env, page.title, page.revid)
+		.then(function() {
+			return env.pipelineFactory.parse(env, env.page.src);
+		}).then(function(doc) {
+			if (argv.format !== 'pagebundle') {
+				return { html: DU.serializeNode(doc).str };
+			}
+			var out = DU.extractDpAndSerialize(doc, {});
+			return {
+				html: {
+					headers: { 'content-type': apiUtils.HTML_CONTENT_TYPE },
+					body: out.str,
+				},
+				'data-parsoid': {
+					headers: { 'content-type': out.type },
+					body: out.dp,
+				},
+			};
+		});
+	});
+};
+
+// Render the pages the master sends, one at a time.
+var runWorker = function(argv) {
+	var local = null;
+	if (Util.booleanOption(argv.config)) {
+		local = require(typeof argv.config === 'string' ?
+			path.resolve('.', argv.config) :
+			path.resolve(__dirname, '../localsettings.js'));
+	}
+	var parsoidConfig = new ParsoidConfig({
+		setup: function(pc) {
+			if (local && local.setup) {
+				local.setup(pc);
+			}
+			Util.setTemplatingAndProcessingFlags(pc, argv);
+			Util.setDebuggingFlags(pc, argv);
+		},
+	});
+
+	process.on('message', function(page) {
+		var start = Date.now();
+		renderPage(parsoidConfig, argv, page).then(function(output) {
+			return { output: output };
+		}, function(err) {
+			return { error: String(err && err.message || err) };
+		}).then(function(result) {
+			result.title = page.title;
+			result.revid = page.revid;
+			result.time = Date.now() - start;
+			process.send(result);
+		}).done();
+	});
+	process.send({ ready: true });
+};
+
+// The titles of the pages rendered in the checkpoint file
+var readCheckpoint = function(file) {
+	var titles = new Set();
+	var text;
+	try {
+		text = fs.readFileSync(file, 'utf8');
+	} catch (e) {
+		return titles;
+	}
+	text.split('\n').forEach(function(line) {
+		var entry;
+		try {
+			entry = JSON.parse(line);
+		} catch (e) {
+			// An empty line, or one cut short by a crash
+			return;
+		}
+		if (entry.error) {
+			// Retry the pages which failed
+			titles.delete(entry.title);
+		} else {
+			titles.add(entry.title);
+		}
+	});
+	if (text && !/\n$/.test(text)) {
+		fs.appendFileSync(file, '\n');
+	}
+	return titles;
+};
+
+var fileName = function(title, format) {
+	return encodeURIComponent(title.replace(/ /g, '_')) +
+		(format === 'pagebundle' ? '.json' : '.html');
+};
+
+var percentile = function(sorted, p) {
+	return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+};
+
+var printReport = function(results, skipped, elapsed) {
+	var failed = results.filter(function(r) { return r.error; });
+	var rendered = results.filter(function(r) { return !r.error; });
+	var times = rendered.map(function(r) { return r.time; }).sort(function(a, b) {
+		return a - b;
+	});
+	console.log(util.format(
+		'Rendered %d of %d pages in %ss (%d failed); %d were already rendered.',
+		rendered.length, results.length, (elapsed / 1000).toFixed(1),
+		failed.length, skipped
+	));
+	if (times.length) {
+		var total = times.reduce(function(a, b) { return a + b; }, 0);
+		console.log(util.format(
+			'Time per page: %dms median, %dms mean, %dms 95th percentile, %dms max',
+			percentile(times, 0.5), Math.round(total / times.length),
+			percentile(times, 0.95), times[times.length - 1]
+		));
+		console.log('Slowest pages:');
+		rendered.slice().sort(function(a, b) {
+			return b.time - a.time;
+		}).slice(0, 10).forEach(function(r) {
+			console.log(util.format('  %dms\t%s', r.time, r.title));
+		});
+	}
+	if (failed.length) {
+		console.log('Failed pages:');
+		failed.forEach(function(r) {
+			console.log(util.format('  %s: %s', r.title, r.error));
+		});
+	}
+};
+
+// Hand out the pages to the workers, and write what they render.
+var runMaster = function(argv) {
+	var namespaces = String(argv.ns).split(',').map(Number);
+	var checkpointFile = argv.checkpoint ||
+		(argv.outdir ? path.join(argv.outdir, 'checkpoint.ndjson') :
+		argv.ndjson + '.checkpoint');
+	var start = Date.now();
+	var source = new XMLDumpSource({ dump: argv.xmldump });
+	var results = [];
+	var skipped = 0;
+	var ndjson = null;
+	var checkpoint;
+
+	var record = function(result) {
+		var entry = {
+			title: result.title,
+			revid: result.revid,
+			time: result.time,
+		};
+		if (result.error) {
+			entry.error = result.error;
+			console.error(util.format('Failed to render %s: %s', result.title, result.error));
+		} else if (ndjson !== null) {
+			fs.writeSync(ndjson, JSON.stringify(Object.assign({
+				title: result.title,
+				revid: result.revid,
+			}, result.output)) + '\n');
+		} else {
+			fs.writeFileSync(path.join(argv.outdir, fileName(result.title, argv.format)),
+				argv.format === 'pagebundle' ? JSON.stringify(result.output) :
+				result.output.html);
+		}
+		// Only record the page once its output is written.
+		fs.writeSync(checkpoint, JSON.stringify(entry) + '\n');
+		results.push(entry);
+	};
+
+	return source.load().then(function() {
+		var done = readCheckpoint(checkpointFile);
+		var queue = source.getPages().filter(function(page) {
+			if (namespaces.indexOf(page.ns) < 0 ||
+					(page.redirect !== null && !argv.redirects)) {
+				return false;
+			} else if (done.has(page.title)) {
+				skipped++;
+				return false;
+			}
+			return true;
+		}).map(function(page) {
+			return { title: page.title, revid: page.latest };
+		});
+
+		if (argv.outdir && !fs.existsSync(argv.outdir)) {
+			fs.mkdirSync(argv.outdir);
+		}
+		if (argv.ndjson) {
+			ndjson = fs.openSync(argv.ndjson, 'a');
+		}
+		checkpoint = fs.openSync(checkpointFile, 'a');
+
+		return new Promise(function(resolve) {
+			// The page each worker is rendering, by worker id
+			var jobs = new Map();
+			var live = 0;
+
+			var dispatch = function(worker) {
+				var page = queue.shift();
+				if (!page) {
+					worker.disconnect();
+					return;
+				}
+				var job = { page: page, start: Date.now(), timedOut: false };
+				job.timer = setTimeout(function() {
+					job.timedOut = true;
+					worker.kill('SIGKILL');
+				}, argv.timeout * 1000);
+				jobs.set(worker.id, job);
+				worker.send(page);
+			};
+
+			var spawn = function() {
+				var worker = cluster.fork();
+				live++;
+				worker.on('message', function(msg) {
+					if (!msg.ready) {
+						clearTimeout(jobs.get(worker.id).timer);
+						jobs.delete(worker.id);
+						record(msg);
+					}
+					dispatch(worker);
+				});
+				worker.on('exit', function(code, signal) {
+					var job = jobs.get(worker.id);
+					live--;
+					if (job) {
+						// The worker crashed or was killed while rendering.
+						clearTimeout(job.timer);
+						jobs.delete(worker.id);
+						record({
+							title: job.page.title,
+							revid: job.page.revid,
+							time: Date.now() - job.start,
+							error: job.timedOut ?
+								'Timed out after ' + argv.timeout + 's' :
+								'Worker exited with ' + (signal || 'code ' + code),
+						});
+						if (queue.length) {
+							spawn();
+						}
+					}
+					if (live === 0) {
+						resolve();
+					}
+				});
+			};
+
+			var n = Math.min(argv.workers, queue.length);
+			if (n === 0) {
+				resolve();
+			}
+			for (var i = 0; i < n; i++) {
+				spawn();
+			}
+		});
+	}).then(function() {
+		var elapsed = Date.now() - start;
+		printReport(results, skipped, elapsed);
+		if (argv.report) {
+			fs.writeFileSync(argv.report, JSON.stringify({
+				elapsed: elapsed,
+				skipped: skipped,
+				pages: results,
+			}, null, '\t'));
+		}
+		return results.some(function(r) { return r.error; }) ? 1 : 0;
+	});
+};
+
+if (require.main === module) {
+	(function() {
+		var opts = yargs.usage(
+			'Usage: $0 --xmldump <dump> (--outdir <dir> | --ndjson <file>) [options]',
+			standardOpts
+		).check(Util.checkUnknownArgs.bind(null, standardOpts));
+
+		var argv = opts.argv;
+
+		if (Util.booleanOption(argv.help)) {
+			opts.showHelp();
+			return;
+		}
+
+		// One of --outdir and --ndjson is needed.
+		if (!argv.xmldump || Boolean(argv.outdir) === Boolean(argv.ndjson) ||
+				['html', 'pagebundle'].indexOf(argv.format) < 0) {
+			opts.showHelp();
+			process.exit(1);
+		}
+
+		if (cluster.isWorker) {
+			runWorker(argv);
+		} else {
+			runMaster(argv).then(function(status) {
+				process.exit(status);
+			}).done();
+		}
+	}());
+}
@@ -0,0 +1,87 @@
+/*
+ * A sample native extension, implementing a <sample-box> tag:
+ *
+ *     <sample-box title="Note">Some '''wikitext'''</sample-box>
+ *
+ * is rendered as a box with the title and the content parsed as
+ * wikitext.  The boxes of a page are numbered by a DOM pass, and the
+ * linter warns about empty ones.
+ *
+ * Load it with `parsoidConfig.extensions = [ '/path/to/sample.js' ];`
+ * in localsettings.js.
+ */
+'use strict';
+
+module.exports = function(parsoid) {
+	parsoid.versionCheck('^1.0.0');
+
+	var toDOM = function(ctx) {
+		return ctx.parseWikitext(null, { inline: false }).then(function(doc) {
+			var box = doc.createElement('div');
+			var attrs = ctx.sanitizeAttributes('div');
+			Object.keys(attrs).forEach(function(name) {
+				box.setAttribute(name, attrs[name]);
+			});
+			box.setAttribute('class', 'sample-box');
+			if (ctx.attrs.title) {
+				// Not part of the content: the title is edited in data-mw.
+				box.setAttribute('data-title', ctx.attrs.title);
+			}
+			while (doc.body.firstChild) {
+				box.appendChild(doc.body.firstChild);
+			}
+			doc.body.appendChild(box);
+			return doc;
+		});
+	};
+
+	var fromDOM = function(node, ctx) {
+		if (ctx.contentUnmodified()) {
+			return ctx.serializeTag();
+		}
+		return ctx.serializeHTML(node).then(function(wt) {
+			// Paragraphs are serialized with a newline after them.
+			return ctx.serializeTag(wt.replace(/\n$/, ''));
+		});
+	};
+
+	// Number the boxes of the page.
+	var numberBoxes = function(body, ctx) {
+		if (!ctx.atTopLevel) {
+			return;
+		}
+		var boxes = body.querySelectorAll('div.sample-box');
+		for (var i = 0; i < boxes.length; i++) {
+			boxes[i].setAttribute('id', 'sample-box-' + (i + 1));
+		}
+	};
+
+	var emptyBox = {
+		type: 'sample-empty-box',
+		severity: 'low',
+		check: function(node, ctx) {
+			if (node.nodeName !== 'DIV' || !/(?:^|\s)sample-box(?=$|\s)/.test(node.className) ||
+					node.textContent.trim() || !ctx.dsr) {
+				return null;
+			}
+			return {
+				tip: 'Remove the empty box',
+				// Issues in transclusions are not fixed (see Linter.proposeFix).
+				fix: { dsr: [ctx.dsr[0], ctx.dsr[1]], wikitext: '' },
+			};
+		},
+	};
+
+	return {
+		name: 'sample',
+		tags: [
+			{
+				name: 'sample-box',
+				toDOM: toDOM,
+				fromDOM: fromDOM,
+			},
+		],
+		domProcessors: [ numberBoxes ],
+		lintRules: [ emptyBox ],
+	};
+};
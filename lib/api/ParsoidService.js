@@ -206,6 +206,8 @@ ParsoidService.init = Promise.method(function(parsoidConfig, processLogger) {
 	// ambiguity.)
 
 	// v3 API routes
+	app.get('/:domain/v3/page/:format/:title/:revision/section/:section', v3, p, routes.v3GetSection);
+	app.post('/:domain/v3/transform/:from/to/:format/:title/:revision/section/:section', v3, p, routes.v3PostSection);
 	app.get('/:domain/v3/page/:format/:title/:revision?', v3, p, routes.v3Get);
 	app.post('/:domain/v3/transform/:from/to/:format/:title?/:revision?', v3, p, routes.v3Post);
 
@@ -7,7 +7,9 @@ var util = require('util');
 
 var Diff = require('../utils/Diff.js').Diff;
 var DU = require('../utils/DOMUtils.js').DOMUtils;
+var IncrementalParser = require('../wt2html/IncrementalParser.js').IncrementalParser;
 var PegTokenizer = require('../wt2html/tokenizer.js').PegTokenizer;
+var Linter = require('../logger/linter.js').Linter;
 var Promise = require('../utils/promise.js');
 var ApiRequest = require('../mw/ApiRequest.js');
 
@@ -440,11 +442,16 @@ apiUtils.parsePageWithOldid = function(ret) {
 		switch (ret.reuse.mode) {
 		case "templates":
 			// Transclusions need to be updated, so don't reuse them.
+			// Nor the shared cache entries of templates and expansions.
 			expansions.transclusions = {};
+			['template', 'preprocess', 'parse'].forEach(function(type) {
+				env.bypassSharedCache.add(type);
+			});
 			break;
 		case "files":
 			// Files need to be updated, so don't reuse them.
 			expansions.files = {};
+			env.bypassSharedCache.add('imageinfo');
 			break;
 		}
 	}
@@ -477,9 +484,75 @@ apiUtils.parseWt = function(ret) {
 		env.page.name = '';
 	}
 
+	if (ret.original) {
+		return apiUtils.reparseWt(ret);
+	}
 	return env.pipelineFactory.parse(env, ret.wikitext);
 };
 
+// Move the data-parsoid of the nodes of a document to the store in its
+// head, continuing the ids of a previous revision.
+var storeDataParsoid = function(env, doc, counter) {
+	var script = doc.getElementById('mw-data-parsoid');
+	if (script) {
+		script.parentNode.removeChild(script);
+	}
+	DU.setNodeData(doc, {
+		parsoid: {
+			counter: typeof counter === 'number' ? counter : -1,
+			ids: {},
+		},
+	});
+	Array.from(doc.body.querySelectorAll('[data-parsoid]')).forEach(function(node) {
+		DU.stripDataParsoid(env, node, DU.getJSONAttribute(node, 'data-parsoid', {}));
+	});
+	script = doc.createElement('script');
+	DU.addAttributes(script, {
+		id: 'mw-data-parsoid',
+		type: apiUtils.DATA_PARSOID_CONTENT_TYPE,
+	});
+	script.appendChild(doc.createTextNode(JSON.stringify(DU.getDataParsoid(doc))));
+	doc.head.appendChild(script);
+};
+
+/**
+ * Parse the edited wikitext of a page, given the wikitext, html and
+ * data-parsoid of its previous revision in `ret.original`.  Only the
+ * blocks touched by the edit are reparsed (see IncrementalParser), unless
+ * the edit crosses the boundaries of templates or tables, in which case
+ * the whole page is.
+ *
+ * @method
+ * @param {Object} ret
+ * @return {Promise} A promise for the document
+ */
+apiUtils.reparseWt = function(ret) {
+	var env = ret.env;
+	var timer = env.conf.parsoid.performanceTimer;
+	var original = ret.original;
+
+	apiUtils.validateDp(original);
+	var dp = original['data-parsoid'].body;
+	var doc = DU.parseHTML(original.html.body);
+	DU.applyDataParsoid(doc, dp);
+
+	var p = env.htmlVariantLanguage ? Promise.resolve(null) :
+		new IncrementalParser(env).reparse(original.wikitext.body, doc, ret.wikitext);
+	return p.then(function(newDoc) {
+		if (timer) {
+			timer.count('wt2html.incremental.' + (newDoc ? 'reparse' : 'fallback'), '');
+		}
+		if (!newDoc) {
+			env.log('info', 'falling back to a full parse');
+			return env.pipelineFactory.parse(env, ret.wikitext);
+		}
+		if (env.storeDataParsoid) {
+			storeDataParsoid(env, newDoc, dp.counter);
+		}
+		return newDoc;
+	});
+};
+
 apiUtils.endWt2html = function(ret, doc, output) {
 	var env = ret.env;
 	var res = ret.res;
@@ -512,16 +585,206 @@ apiUtils.endWt2html = function(ret, doc, output) {
 	apiUtils.logTime(env, res, 'parsing');
 };
 
+// Write a chunk of the response, resolving once it's okay to write more.
+var writeChunk = function(res, chunk) {
+	return new Promise(function(resolve) {
+		if (res.write(chunk)) {
+			// Yield, so that other requests can make progress.
+			setImmediate(resolve);
+		} else {
+			var done = function() {
+				res.removeListener('drain', done);
+				res.removeListener('close', done);
+				resolve();
+			};
+			res.once('drain', done);
+			res.once('close', done);
+		}
+	});
+};
+
+// Send the headers of a streamed response, and return the html which
+// precedes the content of the body, the first time it's called.
+var startStream = function(ret, doc) {
+	var env = ret.env;
+	var res = ret.res;
+	var stream = ret.stream;
+	if (stream.started) {
+		return '';
+	}
+	stream.started = true;
+	apiUtils.setHeader(res, env, 'content-type', apiUtils.HTML_CONTENT_TYPE);
+	env.responseSent = true;
+	res.status(200);
+	if (res.locals.bodyOnly && res.locals.apiVersion > 2) {
+		// Just the children of the body
+		return '';
+	}
+	// Serialize the document without the content of the body, and split
+	// it around the body's end tag.
+	var body = doc.body;
+	var content = doc.createDocumentFragment();
+	DU.migrateChildren(body, content);
+	var skeleton = DU.serializeNode(res.locals.bodyOnly ? body : doc).str;
+	DU.migrateChildren(content, body);
+	var i = skeleton.lastIndexOf('</body>');
+	stream.suffix = skeleton.slice(i);
+	return skeleton.slice(0, i);
+};
+
+/**
+ * Stream the html of the page of a wt2html request: each top-level
+ * section (a heading and the content up to the next heading) is sent as
+ * soon as the DOM post-processor is done with it, rather than once the
+ * whole document is serialized.  #streamWt2html ends the response.
+ *
+ * The data-parsoid of the page is sent last, in the `<script>` element
+ * usually found in the `<head>`, at the end of the `<body>`.
+ *
+ * @method
+ * @param {Object} ret
+ */
+apiUtils.startStreamWt2html = function(ret) {
+	var env = ret.env;
+	var res = ret.res;
+	var stream = ret.stream = {
+		started: false,
+		closed: false,
+		suffix: '',
+		length: 0,
+	};
+	res.once('close', function() { stream.closed = true; });
+	env.sectionHandler = function(section, doc) {
+		var chunk = startStream(ret, doc);
+		Array.from(section.childNodes).forEach(function(node) {
+			chunk += DU.serializeNode(node).str;
+		});
+		stream.length += chunk.length;
+		return stream.closed ? Promise.resolve() : writeChunk(res, chunk);
+	};
+};
+
+/**
+ * End a response started with #startStreamWt2html, once the page is
+ * parsed.
+ *
+ * @method
+ * @param {Object} ret
+ * @param {Document} doc The document, without the sections already sent.
+ */
+apiUtils.streamWt2html = function(ret, doc) {
+	var env = ret.env;
+	var res = ret.res;
+	var stream = ret.stream;
+	env.sectionHandler = null;
+	if (env.responseSent && !stream.started) {
+		return;
+	}
+	var trailer = startStream(ret, doc);
+	var dpScriptElt = doc.getElementById('mw-data-parsoid');
+	if (dpScriptElt) {
+		dpScriptElt.parentNode.removeChild(dpScriptElt);
+	}
+	// The content of the body which wasn't streamed, if the page had to
+	// be parsed as a whole (see DOMPostProcessor#streamSections).
+	Array.from(doc.body.childNodes).forEach(function(node) {
+		trailer += DU.serializeNode(node).str;
+	});
+	if (dpScriptElt) {
+		trailer += DU.serializeNode(dpScriptElt).str;
+	}
+	trailer += stream.suffix;
+	res.end(trailer);
+	stream.length += trailer.length;
+	// Only the length of the output is needed for the metrics.
+	apiUtils.endWt2html(ret, null, { length: stream.length });
+};
+
+/**
+ * Save the pagebundle of a parsed revision in the pagebundle store.
+ *
+ * @method
+ * @param {Object} ret
+ * @param {Object} out The serialized html and its data-parsoid
+ * @return {Promise}
+ */
+apiUtils.savePageBundle = function(ret, out) {
+	var env = ret.env;
+	return env.conf.parsoid.pageBundleStore.save(ret.prefix, ret.oldid, {
+		title: env.page.name,
+		html: out.str,
+		dp: out.dp,
+		wikitext: env.page.src,
+	});
+};
+
+/**
+ * Load the original html, data-parsoid and wikitext of the revision
+ * of an html2wt request from the pagebundle store.  The stored revision
+ * must be one of the page of the request.
+ *
+ * @method
+ * @param {MWParserEnvironment} env
+ * @param {Response} res
+ * @return {Promise} A promise for the original, in the format clients
+ *   send it in, or undefined.
+ */
+apiUtils.loadPageBundle = function(env, res) {
+	var store = env.conf.parsoid.pageBundleStore;
+	if (!store || !res.locals.oldid) {
+		return Promise.resolve(undefined);
+	}
+	return store.load(res.locals.iwp, res.locals.oldid).then(function(bundle) {
+		if (!bundle) {
+			return undefined;
+		}
+		// Don't take the revision of another page for the original,
+		// if the revision id is wrong.
+		if (!res.locals.pageName || bundle.title !== env.page.name) {
+			env.log('info', 'not using the stored pagebundle of revision',
+				bundle.revid, 'of', bundle.title);
+			return undefined;
+		}
+		env.log('info', 'using the stored pagebundle of revision', bundle.revid);
+		return {
+			title: bundle.title,
+			revid: bundle.revid,
+			html: {
+				headers: { 'content-type': apiUtils.HTML_CONTENT_TYPE },
+				body: bundle.html,
+			},
+			'data-parsoid': {
+				headers: { 'content-type': apiUtils.DATA_PARSOID_CONTENT_TYPE },
+				body: bundle['data-parsoid'],
+			},
+			wikitext: {
+				headers: { 'content-type': apiUtils.WIKITEXT_CONTENT_TYPE },
+				body: bundle.wikitext,
+			},
+		};
+	});
+};
+
 apiUtils.v2endWt2html = function(ret, doc) {
 	var env = ret.env;
 	var res = ret.res;
 	var opts = res.locals.opts;
-	if (opts.format === 'pagebundle') {
-		var out = DU.extractDpAndSerialize(doc, {
-			bodyOnly: res.locals.bodyOnly,
-			// in v3 api, just the children of the body
-			innerXML: res.locals.bodyOnly && res.locals.apiVersion > 2,
-		});
+	var out;
+	var serializeOpts = {
+		bodyOnly: res.locals.bodyOnly,
+		// in v3 api, just the children of the body
+		innerXML: res.locals.bodyOnly && res.locals.apiVersion > 2,
+	};
+	if (res.locals.stream) {
+		return apiUtils.streamWt2html(ret, doc);
+	}
+	if (opts.format === 'lint') {
+		var lints = JSON.stringify(apiUtils.lintResults(env));
+		apiUtils.setHeader(res, env, 'content-type', 'application/json; charset=utf-8');
+		apiUtils.sendResponse(res, env, lints);
+		apiUtils.endWt2html(ret, null, lints);
+	} else if (opts.format === 'pagebundle') {
+		out = DU.extractDpAndSerialize(doc, serializeOpts);
 		apiUtils.jsonResponse(res, env, {
 			html: {
 				headers: { 'content-type': apiUtils.HTML_CONTENT_TYPE },
@@ -536,6 +799,285 @@ apiUtils.v2endWt2html = function(ret, doc) {
 	} else {
 		apiUtils.endWt2html(ret, doc);
 	}
+	if (ret.savePageBundle) {
+		if (!out) {
+			// The html format has the data-parsoid inline; now that the
+			// response is sent, move it out of the document for the store.
+			storeDataParsoid(env, doc);
+			out = DU.extractDpAndSerialize(doc, serializeOpts);
+		}
+		// Don't hold the response up for it.
+		apiUtils.savePageBundle(ret, out);
+	}
+};
+
+/**
+ * The issues the linter found in a page, with ids to select the fixes
+ * to apply with #endLintFixes.  Parsing the same wikitext again gives
+ * the same ids.
+ *
+ * @method
+ * @param {MWParserEnvironment} env
+ * @return {Object[]}
+ */
+apiUtils.lintResults = function(env) {
+	return env.linter.buffer.map(function(msg, id) {
+		return {
+			id: id,
+			type: msg.type,
+			severity: msg.severity,
+			dsr: msg.dsr,
+			src: msg.src,
+			inTransclusion: !!msg.inTransclusion,
+			templateInfo: msg.templateInfo || null,
+			fix: msg.fix,
+		};
+	});
+};
+
+/**
+ * Apply the fixes proposed for some of the issues the linter found in
+ * a page, and send the corrected wikitext.
+ *
+ * @method
+ * @param {Object} ret As returned by #startWt2html, after parsing.
+ * @param {number[]} ids The ids of the issues to fix, see #lintResults
+ */
+apiUtils.endLintFixes = function(ret, ids) {
+	var env = ret.env;
+	var res = ret.res;
+	var result = Linter.applyFixes(env.page.src, env.linter.buffer, ids);
+	apiUtils.setHeader(res, env, 'content-type', apiUtils.WIKITEXT_CONTENT_TYPE);
+	// Let clients know which of the fixes they selected were applied.
+	apiUtils.setHeader(res, env, 'x-lint-fixes-applied', result.applied.join(','));
+	apiUtils.sendResponse(res, env, result.wikitext);
+	apiUtils.logTime(env, res, 'fixing lint issues');
+};
+
+// Remove the data-parsoid script element of a document, and return
+// the data-parsoid it holds.
+var extractDp = function(doc) {
+	var dpScriptElt = doc.getElementById('mw-data-parsoid');
+	dpScriptElt.parentNode.removeChild(dpScriptElt);
+	return JSON.parse(dpScriptElt.text);
+};
+
+// Headings at the top level of a document start sections, as in
+// MediaWiki; the headings produced by templates don't.
+var isSectionHeading = function(node) {
+	return DU.isElt(node) && /^H[1-6]$/.test(node.nodeName) &&
+		!node.hasAttribute('about');
+};
+
+// Anchors of headings have underscores instead of spaces.
+var normalizeAnchor = function(s) {
+	return s.trim().replace(/[\s_]+/g, '_');
+};
+
+// The anchors of the headings of a document.  As in MediaWiki, the
+// repeated ones get a _2, _3, ... suffix, and they are compared
+// without regard to case.
+var headingAnchors = function(headings) {
+	var seen = new Set();
+	return headings.map(function(h) {
+		var anchor = normalizeAnchor(h.textContent);
+		var key = anchor.toLowerCase();
+		if (seen.has(key)) {
+			var i = 2;
+			while (seen.has(key + '_' + i)) {
+				i++;
+			}
+			anchor += '_' + i;
+			key += '_' + i;
+		}
+		seen.add(key);
+		return anchor;
+	});
+};
+
+/**
+ * Find a section of a document: the top-level nodes from its heading up
+ * to the next heading of the same or a higher level, so that it includes
+ * its subsections.  The lead section is the content before the first
+ * heading.
+ *
+ * @method
+ * @param {Document} doc
+ * @param {string} section The index of the section, counting the
+ *   headings from 1 as in MediaWiki (0 is the lead section), or the
+ *   anchor of its heading (its text, with underscores for spaces, and
+ *   a _2, _3, ... suffix if the heading is repeated).
+ * @return {Object|null} The section, with its `index`, its top-level
+ *   `nodes` and the node following it as `next`, or null if there is none.
+ */
+apiUtils.findSection = function(doc, section) {
+	var headings = Array.from(doc.body.childNodes).filter(isSectionHeading);
+	var index;
+	if (/^\d+$/.test(section)) {
+		index = +section;
+		if (index > headings.length) {
+			return null;
+		}
+	} else {
+		index = 1 + headingAnchors(headings).indexOf(normalizeAnchor(section));
+		if (index === 0) {
+			return null;
+		}
+	}
+	var heading = index > 0 ? headings[index - 1] : null;
+	var level = heading ? +heading.nodeName.slice(1) : 0;
+	var nodes = [];
+	var node = heading || doc.body.firstChild;
+	while (node && !(node !== heading && isSectionHeading(node) &&
+			(level === 0 || +node.nodeName.slice(1) <= level))) {
+		nodes.push(node);
+		node = node.nextSibling;
+	}
+	return { index: index, nodes: nodes, next: node };
+};
+
+/**
+ * Send the html of a section of a parsed page, in the html or pagebundle
+ * format.  In the pagebundle format, the data-parsoid only has the ids
+ * of the section.
+ *
+ * @method
+ * @param {Object} ret
+ * @param {string} sectionId See #findSection
+ * @param {Document} doc
+ */
+apiUtils.endSectionWt2html = function(ret, sectionId, doc) {
+	var env = ret.env;
+	var res = ret.res;
+	var dp = env.storeDataParsoid ? extractDp(doc) : null;
+	var section = apiUtils.findSection(doc, sectionId);
+	if (!section) {
+		return apiUtils.fatalRequest(env, 'Section not found: ' + sectionId, 404);
+	}
+	var html = section.nodes.map(function(node) {
+		return DU.serializeNode(node).str;
+	}).join('');
+	if (res.locals.opts.format === 'pagebundle') {
+		var ids = {};
+		section.nodes.forEach(function(node) {
+			if (DU.isElt(node)) {
+				[node].concat(Array.from(node.querySelectorAll('[id]'))).forEach(function(elt) {
+					var id = elt.getAttribute('id');
+					if (dp.ids.hasOwnProperty(id)) {
+						ids[id] = dp.ids[id];
+					}
+				});
+			}
+		});
+		apiUtils.jsonResponse(res, env, {
+			html: {
+				headers: { 'content-type': apiUtils.HTML_CONTENT_TYPE },
+				body: html,
+			},
+			'data-parsoid': {
+				headers: { 'content-type': apiUtils.DATA_PARSOID_CONTENT_TYPE },
+				body: { counter: dp.counter, ids: ids },
+			},
+		});
+	} else {
+		apiUtils.setHeader(res, env, 'content-type', apiUtils.HTML_CONTENT_TYPE);
+		apiUtils.sendResponse(res, env, html);
+	}
+	apiUtils.endWt2html(ret, null, html);
+};
+
+/**
+ * Get the original document of the revision of an html2wt request, with
+ * its data-parsoid applied, from the `original` of the request, from the
+ * pagebundle store, or else by parsing the revision.  The source of the
+ * revision is set on the environment.
+ *
+ * @method
+ * @param {Object} ret
+ * @return {Promise} A promise for an object with the `doc` and its `dp`.
+ */
+apiUtils.getOriginalDoc = function(ret) {
+	var env = ret.env;
+	var res = ret.res;
+	var opts = res.locals.opts;
+	var target = env.resolveTitle(env.normalizeTitle(env.page.name), '');
+	var original = opts.original;
+	var p = (original && original.html) ? Promise.resolve(original) :
+		apiUtils.loadPageBundle(env, res);
+	return p.then(function(orig) {
+		if (orig && orig.wikitext) {
+			env.setPageSrcInfo(orig.wikitext.body);
+		} else if (original && original.wikitext) {
+			env.setPageSrcInfo(original.wikitext.body);
+		} else {
+			return TemplateRequest.setPageSrcInfo(env, target, res.locals.oldid)
+				.return(orig);
+		}
+		return orig;
+	}).then(function(orig) {
+		if (orig) {
+			apiUtils.validateDp(orig);
+			return {
+				doc: DU.parseHTML(orig.html.body),
+				dp: orig['data-parsoid'].body,
+			};
+		}
+		// Parse the revision, with the same ids as in the pagebundle format.
+		env.storeDataParsoid = true;
+		return env.pipelineFactory.parse(env, env.page.src).then(function(doc) {
+			return { doc: doc, dp: extractDp(doc) };
+		});
+	}).then(function(orig) {
+		DU.applyDataParsoid(orig.doc, orig.dp);
+		return orig;
+	});
+};
+
+/**
+ * Put the edited html of a section of a page in place of the section in
+ * the original document of the page, so that the page can be serialized
+ * with selser: the wikitext of the rest of the page is left untouched.
+ *
+ * @method
+ * @param {Object} ret As returned by #startHtml2wt, with the edited html
+ *   of the section as `ret.doc`.
+ * @param {string} sectionId See #findSection
+ * @return {Promise} A promise for `ret`, with the edited page as `ret.doc`.
+ */
+apiUtils.spliceSection = function(ret, sectionId) {
+	var env = ret.env;
+	var opts = ret.res.locals.opts;
+	return apiUtils.getOriginalDoc(ret).then(function(orig) {
+		var section = apiUtils.findSection(orig.doc, sectionId);
+		if (!section) {
+			var err = new Error('Section not found: ' + sectionId);
+			err.httpStatus = 404;
+			err.suppressLoggingStack = true;
+			throw err;
+		}
+		var edited = ret.doc;
+		if (opts.original && opts.original['data-parsoid']) {
+			apiUtils.validateDp(opts.original);
+			DU.applyDataParsoid(edited, opts.original['data-parsoid'].body);
+		} else {
+			DU.applyDataParsoid(edited, orig.dp);
+		}
+		env.page.dom = orig.doc.body.cloneNode(true);
+		var doc = orig.doc;
+		var parent = doc.body;
+		section.nodes.forEach(function(node) {
+			parent.removeChild(node);
+		});
+		// Reparse the html in the original document, keeping the data
+		// attributes as they are in the rest of the page.
+		var div = doc.createElement('div');
+		div.innerHTML = DU.serializeChildren(edited.body);
+		while (div.firstChild) {
+			parent.insertBefore(div.firstChild, section.next);
+		}
+		ret.doc = doc;
+		return ret;
+	});
 };
 
 /**
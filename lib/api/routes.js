@@ -12,6 +12,7 @@ var MWParserEnv = require('../config/MWParserEnvironment.js').MWParserEnvironmen
 var Promise = require('../utils/promise.js');
 var LogData = require('../logger/LogData.js').LogData;
 var ApiRequest = require('../mw/ApiRequest.js');
+var LanguageConverter = require('../language/LanguageConverter.js').LanguageConverter;
 
 var ParsoidCacheRequest = ApiRequest.ParsoidCacheRequest;
 var TemplateRequest = ApiRequest.TemplateRequest;
@@ -46,9 +47,9 @@ module.exports = function(parsoidConfig, processLogger) {
 		next();
 	};
 
-	var wt2htmlFormats = new Set(['pagebundle', 'html']);
+	var wt2htmlFormats = new Set(['pagebundle', 'html', 'lint']);
 	var v2SupportedFormats = new Set(['pagebundle', 'html', 'wt']);
-	var v3SupportedFormats = new Set(['pagebundle', 'html', 'wikitext']);
+	var v3SupportedFormats = new Set(['pagebundle', 'html', 'wikitext', 'lint']);
 
 	routes.v23Middle = function(version, req, res, next) {
 		var iwp = parsoidConfig.reverseMwApiMap.get(req.params.domain);
@@ -96,6 +97,16 @@ module.exports = function(parsoidConfig, processLogger) {
 			return errOut(res, 'Substitution is only supported for the HTML format.', 501);
 		}
 
+		// "stream" flag to send the html in chunks as it is parsed
+		var stream = req.body.hasOwnProperty('stream') ?
+			req.body.stream : req.query.stream;
+		res.locals.stream = version > 2 &&
+			!(!stream || stream === 'false' || stream === '0');
+		// This is only supported for the html format
+		if (res.locals.stream && opts.format !== 'html') {
+			return errOut(res, 'Streaming is only supported for the HTML format.', 501);
+		}
+
 		if (req.method === 'POST') {
 			var original = opts.original || {};
 			if (original.revid) {
@@ -148,6 +159,16 @@ module.exports = function(parsoidConfig, processLogger) {
 			if (res.locals.opts && res.locals.opts.format === 'pagebundle') {
 				env.storeDataParsoid = true;
 			}
+			// When streaming, data-parsoid is sent in a trailing chunk.
+			if (res.locals.stream) {
+				env.storeDataParsoid = true;
+			}
+			// Lint the page for this request, whether or not linting
+			// is enabled in the config.
+			if ((res.locals.opts && res.locals.opts.format === 'lint') ||
+					req.params.from === 'lint') {
+				env.linting = true;
+			}
 			// Check hasOwnProperty to avoid overwriting the default when
 			// this isn't set.  `scrubWikitext` was renamed in RESTBase to
 			// `scrub_wikitext`.  Support both for backwards compatibility,
@@ -461,7 +482,19 @@ module.exports = function(parsoidConfig, processLogger) {
 		var env = res.locals.env;
 		var opts = res.locals.opts;
 		var p = apiUtils.startWt2html(req, res, wt).then(function(ret) {
+			if (res.locals.stream) {
+				apiUtils.startStreamWt2html(ret);
+			}
 			if (typeof ret.wikitext === 'string') {
+				// Given the previous revision of an edited page, only the
+				// edited blocks need to be reparsed.
+				var original = opts.original;
+				if (res.locals.apiVersion > 2 && opts.format === 'pagebundle' &&
+						original && original.html && original['data-parsoid'] &&
+						original.wikitext && typeof original.wikitext.body === 'string' &&
+						original.wikitext.body !== ret.wikitext) {
+					ret.original = original;
+				}
 				return apiUtils.parseWt(ret)
 					// .timeout(REQ_TIMEOUT)
 					.then(apiUtils.v2endWt2html.bind(null, ret));
@@ -490,12 +523,22 @@ module.exports = function(parsoidConfig, processLogger) {
 						return ret2;
 					});
 				}
-				return p2.then(apiUtils.parsePageWithOldid).tap(function() {
+				// Keep the pagebundle of the revision, for html2wt requests
+				// which only give its revision id.  Streamed responses
+				// aren't stored, nor are the revisions parsed with the
+				// cookie of a user, which may be private.
+				if (parsoidConfig.pageBundleStore && !res.locals.stream &&
+						!env.cookie && !env.htmlVariantLanguage &&
+						opts.format !== 'lint') {
+					ret.savePageBundle = true;
+				}
+				return p2.tap(function() {
 					// Don't cache requests to the v2 entry point, as those
 					// are stored by RESTBase & will just dilute the Varnish
-					// cache in the meantime.
+					// cache in the meantime.  This is set before parsing,
+					// as streamed responses are sent while parsing.
 					apiUtils.setHeader(res, env, 'Cache-Control', 'private,no-cache,s-maxage=0');
-				})
+				}).then(apiUtils.parsePageWithOldid)
 				// .timeout(REQ_TIMEOUT)
 				.then(apiUtils.v2endWt2html.bind(null, ret));
 			} else {
@@ -531,7 +574,7 @@ module.exports = function(parsoidConfig, processLogger) {
 	};
 
 	// POST requests
-	routes.v2Post = routes.v3Post = function(req, res) {
+	routes.v2Post = function(req, res) {
 		var opts = res.locals.opts;
 		var env = res.locals.env;
 
@@ -564,6 +607,20 @@ module.exports = function(parsoidConfig, processLogger) {
 			}
 
 			var p = apiUtils.startHtml2wt(req, res, html).then(function(ret) {
+				if (!(opts.original && opts.original.html)) {
+					// Look for the original in the pagebundle store
+					return apiUtils.loadPageBundle(env, res).then(function(original) {
+						if (original) {
+							if (!(opts.original && opts.original.wikitext)) {
+								env.setPageSrcInfo(original.wikitext.body);
+							}
+							opts.original = Object.assign(original, opts.original);
+						}
+						return ret;
+					});
+				}
+				return ret;
+			}).then(function(ret) {
 				if (opts.original) {
 					var dp = opts.original['data-parsoid'];
 					// This is optional to support serializing html with inlined
@@ -602,5 +659,142 @@ module.exports = function(parsoidConfig, processLogger) {
 	};
 
 
+	// v3 Routes
+
+	// Convert the HTML of a page to a language variant of its wiki.
+	var v3Html2html = function(req, res) {
+		var opts = res.locals.opts;
+		var env = res.locals.env;
+
+		// html is required for conversion
+		if (opts.html === undefined) {
+			return apiUtils.fatalRequest(env, 'No html was supplied.', 400);
+		}
+		var variant = opts.variant || req.query.variant;
+		if (!variant) {
+			return apiUtils.fatalRequest(env, 'No variant was supplied.', 400);
+		}
+		if (!env.conf.wiki.langConverterEnabled) {
+			return apiUtils.fatalRequest(env,
+				'Language conversion is not supported for this wiki.', 501);
+		}
+		var converter = LanguageConverter.getConverter(env, variant);
+		if (!converter) {
+			return apiUtils.fatalRequest(env, 'Invalid variant: ' + variant, 400);
+		}
+		// Accept html as a string or object{body,headers}
+		var html = (typeof opts.html === 'string') ?
+			opts.html : (opts.html.body || '');
+
+		var p = Promise.resolve().then(function() {
+			var timer = env.conf.parsoid.performanceTimer;
+			var start = Date.now();
+			env.bumpSerializerResourceUse('htmlSize', html.length);
+			env.log('info', 'started variant conversion');
+
+			var doc = DU.parseHTML(html);
+			converter.convert(doc);
+			var output = DU.serializeNode(res.locals.bodyOnly ? doc.body : doc, {
+				innerXML: res.locals.bodyOnly,
+			}).str;
+
+			if (timer) {
+				timer.timing('html2html.variant.total', '', Date.now() - start);
+			}
+			apiUtils.setHeader(res, env, 'content-type', apiUtils.HTML_CONTENT_TYPE);
+			apiUtils.setHeader(res, env, 'content-language', variant);
+			apiUtils.sendResponse(res, env, output);
+			apiUtils.logTime(env, res, 'converting');
+		});
+		return apiUtils.cpuTimeout(p, res)
+			.catch(apiUtils.timeoutResp.bind(null, env));
+	};
+
+	// Apply the fixes proposed for some of the lint issues of a page, and
+	// return its corrected wikitext.
+	var v3LintFixes = function(req, res) {
+		var opts = res.locals.opts;
+		var env = res.locals.env;
+
+		if (opts.format !== 'wikitext') {
+			return apiUtils.fatalRequest(env, 'Invalid format: ' + opts.format, 400);
+		}
+		// Accept the ids of the issues to fix as an array or a list
+		var fixes = typeof opts.fixes === 'string' ?
+			opts.fixes.split(',') : opts.fixes;
+		var ids = Array.isArray(fixes) ? fixes.map(Number) : [];
+		if (!ids.length || !ids.every(function(id) {
+			return id >= 0 && Math.floor(id) === id;
+		})) {
+			return apiUtils.fatalRequest(env, 'No valid fixes were supplied.', 400);
+		}
+		// Accept wikitext as a string or object{body,headers}
+		var wikitext = (opts.wikitext && typeof opts.wikitext !== 'string') ?
+			opts.wikitext.body : opts.wikitext;
+		if (typeof wikitext !== 'string' && res.locals.titleMissing) {
+			return apiUtils.fatalRequest(env, 'No title or wikitext was provided.', 400);
+		}
+
+		var p = apiUtils.startWt2html(req, res, wikitext).then(function(ret) {
+			var p2 = typeof ret.wikitext === 'string' ?
+				apiUtils.parseWt(ret) : apiUtils.parsePageWithOldid(ret);
+			return p2.then(function() {
+				return apiUtils.endLintFixes(ret, ids);
+			});
+		});
+		return apiUtils.cpuTimeout(p, res)
+			.catch(apiUtils.timeoutResp.bind(null, env));
+	};
+
+	routes.v3Post = function(req, res) {
+		if (req.params.from === 'html' && res.locals.opts.format === 'html') {
+			return v3Html2html(req, res);
+		}
+		if (req.params.from === 'lint') {
+			return v3LintFixes(req, res);
+		}
+		return routes.v2Post(req, res);
+	};
+
+	// Get the html of a section of a revision, by index or anchor.
+	routes.v3GetSection = function(req, res) {
+		var env = res.locals.env;
+		var p = apiUtils.startWt2html(req, res).then(function(ret) {
+			return apiUtils.parsePageWithOldid(ret)
+				.then(apiUtils.endSectionWt2html.bind(null, ret, req.params.section));
+		});
+		return apiUtils.cpuTimeout(p, res)
+			.catch(apiUtils.timeoutResp.bind(null, env));
+	};
+
+	// Serialize the edited html of a section of a revision, and return
+	// the wikitext of the whole page with the section replaced.
+	routes.v3PostSection = function(req, res) {
+		var opts = res.locals.opts;
+		var env = res.locals.env;
+
+		if (req.params.from !== 'html' || opts.format !== 'wikitext') {
+			return apiUtils.fatalRequest(env,
+				'Sections can only be transformed from html to wikitext.', 400);
+		}
+		// html is required for serialization
+		if (opts.html === undefined) {
+			return apiUtils.fatalRequest(env, 'No html was supplied.', 400);
+		}
+		// Accept html as a string or object{body,headers}
+		var html = (typeof opts.html === 'string') ?
+			opts.html : (opts.html.body || '');
+
+		var p = apiUtils.startHtml2wt(req, res, html).then(function(ret) {
+			return apiUtils.spliceSection(ret, req.params.section);
+		}).then(apiUtils.endHtml2wt).then(function(output) {
+			apiUtils.setHeader(res, env, 'content-type', apiUtils.WIKITEXT_CONTENT_TYPE);
+			apiUtils.sendResponse(res, env, output);
+		});
+		return apiUtils.cpuTimeout(p, res)
+			.catch(apiUtils.timeoutResp.bind(null, env));
+	};
+
+
 	return routes;
 };
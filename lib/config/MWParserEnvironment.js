@@ -54,6 +54,8 @@ var MWParserEnvironment = function(parsoidConfig, options) {
 	// Global extension tag expansion cache (templates, parser functions etc)
 	// Key: Full extension source (including tags)
 	this.extensionCache = {};
+	// TemplateData of the templates, by title (see lib/mw/TemplateData.js)
+	this.templateData = new Map();
 	// Global image expansion cache
 	// Key: Full image source
 	this.fileCache = {};
@@ -74,6 +76,7 @@ var MWParserEnvironment = function(parsoidConfig, options) {
 	// Store this in the environment to manipulate it on each request,
 	// if necessary. Avoids having to clone the config.
 	this.storeDataParsoid = parsoidConfig.storeDataParsoid;
+	this.linting = parsoidConfig.linting;
 
 	this.linter = new Linter(this);
 	this.configureLogging();
@@ -85,6 +88,10 @@ var MWParserEnvironment = function(parsoidConfig, options) {
 	// Outstanding page requests (for templates etc)
 	this.requestQueue = {};
 
+	// Types of shared cache entries which shouldn't be read for this
+	// request, since they are known to be stale (see SharedCache).
+	this.bypassSharedCache = new Set();
+
 	this.batcher = new Batcher(this);
 
 	this.setResourceLimits();
@@ -301,6 +308,18 @@ MWParserEnvironment.getParserEnv = function(parsoidConfig, options, cb) {
 	})().nodify(cb);
 };
 
+/**
+ * The cache of templates and expansions shared across requests, if this
+ * request can use it.  Content fetched with the cookie of a user may be
+ * private (on a private wiki, say), so it is neither read from the
+ * shared cache nor stored there.
+ *
+ * @return {SharedCache|null}
+ */
+MWParserEnvironment.prototype.getSharedCache = function() {
+	return this.cookie ? null : this.conf.parsoid.sharedCache;
+};
+
 /**
  * Figure out the proxy to use for API requests for a given wiki
  */
@@ -344,8 +363,8 @@ MWParserEnvironment.prototype.switchToConfig = function(prefix, cb) {
 			if (env.confCache[prefix]) {
 				env.conf.wiki = env.confCache[prefix];
 				return nothingToDo;
-			} else if (parsoid.fetchConfig) {
-				return ConfigRequest.promise(uri, env, proxy);
+			} else if (parsoid.fetchConfig || parsoid.getContentSource(prefix)) {
+				return ConfigRequest.promise(uri, env, proxy, prefix);
 			} else {
 				// Load the config from cached config on disk
 				var localConfigFile = './baseconfig/' + prefix + '.json';
@@ -578,6 +597,15 @@ MWParserEnvironment.prototype.newAboutId = function() {
 // Apply extra normalizations before serializing DOM.
 MWParserEnvironment.prototype.scrubWikitext = false;
 
+// Language variant (ex: 'zh-hans') to convert the parsed page to, if any.
+MWParserEnvironment.prototype.htmlVariantLanguage = null;
+
+// Function called with each top-level section of the parsed page (a
+// DocumentFragment) and the document, as soon as the section is
+// post-processed, to stream the html of the page.  It can return a promise
+// to hold up the next section.
+MWParserEnvironment.prototype.sectionHandler = null;
+
 if (typeof module === "object") {
 	module.exports.MWParserEnvironment = MWParserEnvironment;
 }
@@ -9,6 +9,10 @@ var url = require('url');
 var Util = require('../utils/Util.js').Util;
 var JSUtils = require('../utils/jsutils.js').JSUtils;
 var sitematrix = require('./sitematrix.json').sitematrix;
+var SharedCache = require('../mw/SharedCache.js').SharedCache;
+var PageBundleStore = require('../mw/PageBundleStore.js').PageBundleStore;
+var ContentSource = require('../mw/ContentSource.js').ContentSource;
+var extapi = require('./extapi.js');
 
 /*
  * @property {Object} CONFIG_DEFAULTS
@@ -44,6 +48,8 @@ var CONFIG_DEFAULTS = Object.freeze({
 			imgInfo: 40 * 1000,
 			// action=query&meta=siteinfo
 			configInfo: 40 * 1000,
+			// action=templatedata
+			templateData: 40 * 1000,
 		},
 
 		// This setting is ONLY relevant for Parsoid installs that
@@ -105,6 +111,50 @@ var CONFIG_DEFAULTS = Object.freeze({
 			maxHTMLSize: 10000000,  // 10M
 		},
 	},
+
+	// Cache of fetched templates, template and extension expansions,
+	// image info and TemplateData shared by all requests (see
+	// lib/mw/SharedCache.js).
+	transclusionCache: {
+		// 'memory' (an LRU cache per worker), 'filesystem', 'none', or
+		// the absolute path of a module exporting a store constructor.
+		backend: 'memory',
+
+		// How long entries stay valid, in seconds, per type of entry.
+		// Entries for a given revision don't expire.
+		ttl: {
+			'default': 5 * 60,
+			template: 5 * 60,
+			preprocess: 5 * 60,
+			parse: 5 * 60,
+			imageinfo: 60 * 60,
+			templatedata: 5 * 60,
+		},
+
+		// Max number of entries
+		maxEntries: 10000,
+
+		// Max total size of the entries, in bytes (approximate for
+		// the memory backend)
+		maxSize: 100 * 1024 * 1024, // 100M
+
+		// Directory of the filesystem backend; defaults to a
+		// 'parsoid-cache' directory in the OS temporary directory.
+		dir: '',
+	},
+
+	// Storage of the pagebundles of the revisions parsed by the wt2html
+	// API, which lets html2wt requests find the original html and
+	// data-parsoid of a revision from its id (see lib/mw/PageBundleStore.js).
+	pageBundleStorage: {
+		// 'none', 'memory' (per worker, for testing), 'filesystem', or
+		// the absolute path of a module exporting a store constructor.
+		// Bundles are never removed from the store.
+		backend: 'none',
+
+		// Directory of the filesystem backend (required)
+		dir: '',
+	},
 });
 
 /**
@@ -126,6 +176,8 @@ function ParsoidConfig(localSettings, options) {
 	this.timeouts = Util.clone(CONFIG_DEFAULTS.timeouts);
 	this.retries = Util.clone(CONFIG_DEFAULTS.retries);
 	this.limits = Util.clone(CONFIG_DEFAULTS.limits);
+	this.transclusionCache = Util.clone(CONFIG_DEFAULTS.transclusionCache);
+	this.pageBundleStorage = Util.clone(CONFIG_DEFAULTS.pageBundleStorage);
 	this._uniq = 0;
 
 	if (localSettings && localSettings.setup) {
@@ -160,10 +212,25 @@ function ParsoidConfig(localSettings, options) {
 		this.performanceTimer = new Util.StatsD(this.txstatsdHost, this.txstatsdPort);
 	}
 
+	// Cache shared across requests
+	this.sharedCache = SharedCache.create(this);
+
+	// Store of the pagebundles of parsed revisions
+	this.pageBundleStore = PageBundleStore.create(this);
+
+	// Content sources of the wikis, created when they are first used
+	this.contentSources = new Map();
+
+	// Native extensions of all wikis
+	this.loadedExtensions = this.extensions.map(extapi.load);
+
 	// ParsoidConfig is used across requests. Freeze it to avoid mutation.
 	var ignoreFields = {
 		performanceTimer: true,
 		loggerBackend: true,
+		sharedCache: true,
+		pageBundleStore: true,
+		contentSources: true,
 	};
 	for (var prop in this) {
 		var desc = Object.getOwnPropertyDescriptor(this, prop);
@@ -213,7 +280,7 @@ ParsoidConfig.prototype.expandExtensions = true;
 ParsoidConfig.prototype.maxDepth = 40;
 
 /**
- * @property {boolean} usePHPPreProcessor Whether we should use the PHP Preprocessor to expand templates, extension content, and the like. See #PHPPreProcessorRequest in lib/mediawiki.ApiRequest.js
+ * @property {boolean} usePHPPreProcessor Whether we should use the PHP Preprocessor to expand templates, extension content, and the like. See #PHPPreProcessorRequest in lib/mediawiki.ApiRequest.js. If false, templates are fetched as wikitext and expanded natively, including parameters, parser functions and the noinclude, includeonly and onlyinclude tags.
  */
 ParsoidConfig.prototype.usePHPPreProcessor = true;
 
@@ -239,6 +306,15 @@ ParsoidConfig.prototype.fetchConfig = true;
  */
 ParsoidConfig.prototype.fetchImageInfo = true;
 
+/**
+ * @property {string|null} templateDataFile
+ *   The path of a JSON file with the TemplateData of templates, read
+ *   instead of fetching it from the wiki (which happens only when
+ *   #fetchTemplates is set).  It maps the titles of templates to their
+ *   TemplateData, or is a saved action=templatedata response.
+ */
+ParsoidConfig.prototype.templateDataFile = null;
+
 /**
  * @property {boolean} rtTestMode
  *   Test in rt test mode (changes some parse & serialization strategies)
@@ -347,6 +423,34 @@ ParsoidConfig.prototype.batchConcurrency = 4;
  */
 ParsoidConfig.prototype.performanceTimer = null;
 
+/**
+ * @property {SharedCache|null} sharedCache
+ *   Cache of templates and expansions shared across requests, created
+ *   from the `transclusionCache` settings.  Null when the cache is disabled.
+ *   Requests with a cookie don't use it (see MWParserEnvironment#getSharedCache).
+ */
+ParsoidConfig.prototype.sharedCache = null;
+
+/**
+ * @property {PageBundleStore|null} pageBundleStore
+ *   Store of the pagebundles of parsed revisions, created from the
+ *   `pageBundleStorage` settings.  Null when the storage is disabled.
+ */
+ParsoidConfig.prototype.pageBundleStore = null;
+
+/**
+ * @property {string[]} extensions
+ *   Absolute paths of the modules of native extensions to register on
+ *   all wikis (see lib/config/extapi.js and guides/extensions).
+ */
+ParsoidConfig.prototype.extensions = [];
+
+/**
+ * @property {Function[]} loadedExtensions
+ *   The native extension constructors of the {@link #extensions}.
+ */
+ParsoidConfig.prototype.loadedExtensions = [];
+
 /**
  * @property {string} Default user agent used for making Mediawiki API requests
  */
@@ -457,12 +561,14 @@ ParsoidConfig.prototype.initMwApiMap = function() {
  *
  * @param {Object} apiConf
  *   The wiki configuration object.
- * @param {String} apiConf.uri
+ * @param {String} [apiConf.uri]
  *   The URL to the wiki's Action API (`api.php`).
- *   This is the only mandatory argument.
+ *   This is the only mandatory argument, unless the wiki has a content
+ *   source.
  * @param {String} [apiConf.domain]
  *   The "domain" used to identify this wiki when using the Parsoid v2/v3 API.
- *   It defaults to the hostname portion of `apiConf.uri`.
+ *   It defaults to the hostname portion of `apiConf.uri`, or to the
+ *   prefix of wikis without one.
  * @param {String} [apiConf.prefix]
  *   An arbitrary unique identifier for this wiki.  If none is provided
  *   a unique string will be generated.
@@ -475,8 +581,34 @@ ParsoidConfig.prototype.initMwApiMap = function() {
  * @param {Object} [apiConf.proxy.headers]
  *   Headers to add when proxying.
  * @param {Array} [apiConf.extensions]
- *   A list of native extension constructors.  Otherwise, registers cite by
- *   default.
+ *   A list of native extension constructors, or absolute paths of
+ *   extension modules (see lib/config/extapi.js).  Otherwise, registers
+ *   cite by default.  The {@link #extensions} of the configuration are
+ *   added to these.
+ * @param {Object} [apiConf.contentSource]
+ *   Where to read the pages, templates and site information of the wiki
+ *   from, instead of its Action API (see lib/mw/ContentSource.js).
+ *   Without an Action API, templates are expanded by Parsoid and media
+ *   files are missing.
+ * @param {String} apiConf.contentSource.backend
+ *   'xmldump' to read them from a MediaWiki XML dump, or the absolute
+ *   path of a module exporting a content source constructor.
+ * @param {String} [apiConf.contentSource.dump]
+ *   The path of the (uncompressed) dump.
+ * @param {String} [apiConf.contentSource.index]
+ *   Where to save the index of the dump.  It defaults to the path of the
+ *   dump followed by `.index.json`.
+ * @param {String} [apiConf.contentSource.baseConfig]
+ *   The prefix of the configuration in lib/config/baseconfig to complete
+ *   the site information of the dump with (magic words, extension tags,
+ *   interwikis, ...).  It defaults to the database name of the dump, if
+ *   Parsoid has its configuration, or to 'enwiki'.
+ * @param {Object[]} [apiConf.magicLinks]
+ *   Magic links of the wiki, in addition to ISBN, RFC and PMID, like
+ *   `{ keyword: 'DOI', id: '10\\.[0-9]+/\\S+', href: 'https://doi.org/%s' }`.
+ *   Built-in ones are redefined by giving their keyword, or disabled
+ *   with `{ keyword: 'PMID', disabled: true }`.  See
+ *   {@link WikiConfig#static-property-builtinMagicLinks} for the properties of entries.
  */
 ParsoidConfig.prototype.setMwApi = function(apiConf) {
 	var prefix;
@@ -497,7 +629,8 @@ ParsoidConfig.prototype.setMwApi = function(apiConf) {
 			apiConf = { uri: arguments[0] };
 		}
 	}
-	console.assert(apiConf.uri, "Action API uri is mandatory.");
+	console.assert(apiConf.uri || apiConf.contentSource,
+		"Action API uri is mandatory.");
 	if (!apiConf.prefix) {
 		// Pick a unique prefix.
 		do {
@@ -505,17 +638,25 @@ ParsoidConfig.prototype.setMwApi = function(apiConf) {
 		} while (this.mwApiMap.has(apiConf.prefix));
 	}
 	if (!apiConf.domain) {
-		apiConf.domain = url.parse(apiConf.uri).host;
+		apiConf.domain = apiConf.uri ? url.parse(apiConf.uri).host :
+			apiConf.prefix;
 	}
 	prefix = apiConf.prefix;
 
 	// Give them cite by default.
 	if (!Array.isArray(apiConf.extensions)) {
 		apiConf.extensions = Util.clone(this.defaultNativeExtensions);
+	} else {
+		apiConf.extensions = apiConf.extensions.map(function(ext) {
+			return typeof ext === 'string' ? extapi.load(ext) : ext;
+		});
 	}
 
 	if (this.mwApiMap.has(prefix)) {
 		this.reverseMwApiMap.delete(this.mwApiMap.get(prefix).domain);
+		if (this.contentSources) {
+			this.contentSources.delete(prefix);
+		}
 	}
 	this.mwApiMap.set(prefix, apiConf);
 	this.reverseMwApiMap.set(apiConf.domain, prefix);
@@ -566,6 +707,9 @@ ParsoidConfig.prototype.removeMwApi = function(apiConf) {
 	}
 	this.reverseMwApiMap.delete(domain);
 	this.mwApiMap.delete(prefix);
+	if (this.contentSources) {
+		this.contentSources.delete(prefix);
+	}
 	this.mwApiRegexp = this.mwApiRegexp.replace(
 		new RegExp('(^|\\|)' + prefix + '(\\||$)'), function() {
 			return arguments[0] === ("|" + prefix + "|") ? "|" : '';
@@ -580,6 +724,27 @@ ParsoidConfig.prototype.removeMwApi = function(apiConf) {
  */
 ParsoidConfig.prototype.removeInterwiki = ParsoidConfig.prototype.removeMwApi;
 
+/**
+ * @method
+ *
+ * Get the content source of a wiki, if it has one.  Sources are shared
+ * by all requests (see lib/mw/ContentSource.js).
+ *
+ * @param {string} prefix The wiki prefix
+ * @return {ContentSource|null}
+ */
+ParsoidConfig.prototype.getContentSource = function(prefix) {
+	var apiConf = this.mwApiMap.get(prefix);
+	if (!apiConf || !apiConf.contentSource) {
+		return null;
+	}
+	if (!this.contentSources.has(prefix)) {
+		this.contentSources.set(prefix,
+			ContentSource.create(apiConf.contentSource));
+	}
+	return this.contentSources.get(prefix);
+};
+
 // Useful internal function for testing
 ParsoidConfig.prototype._sanitizeIt = function() {
 	this.sanitizeConfig(this, CONFIG_DEFAULTS);
@@ -607,6 +772,9 @@ ParsoidConfig.prototype.defaultNativeExtensions = [
 	require('../ext/Cite.js').Cite,
 	require('../ext/LST.js'),
 	require('../ext/Translate.js'),
+	require('../ext/Poem.js'),
+	require('../ext/Gallery.js'),
+	require('../ext/SyntaxHighlight.js'),
 ];
 
 
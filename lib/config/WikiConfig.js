@@ -8,6 +8,47 @@ var baseConfig = require('./baseconfig/enwiki.json').query;
 var JSUtils = require('../utils/jsutils.js').JSUtils;
 var Util = require('../utils/Util.js').Util;
 
+var unispace = /[ \u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]+/g;
+
+// Spaces, non-breaking spaces (also as entities) and dashes, which can
+// separate the digits of ISBNs.
+var isbnSeparator = '(?:[ \\t\\u00A0\\u1680\\u2000-\\u200A\\u202F\\u205F\\u3000-]|' +
+	'&(?:nbsp|#0*160|#[xX]0*[aA]0);)';
+
+// Serialize a link as a magic link if its content is the keyword and
+// identifier of its href, or else as a link to the href.
+var serializeMagicLink = function(ml, hrefWT, href, content) {
+	var normalized = Util.decodeEntities(content).replace(unispace, ' ')
+		.replace(/[ \t]/g, ' ');
+	if (hrefWT.join(' ') === normalized) {
+		return content;
+	} else if (ml.rel === 'mw:WikiLink') {
+		href = href.replace(/^\.\//, ''); // strip "./" prefix
+		return '[[' + href + '|' + content + ']]';
+	} else {
+		return '[' + href + ' ' + content + ']';
+	}
+};
+
+// Fill in the defaults of a magic link, and compile its patterns.
+var compileMagicLink = function(ml) {
+	console.assert(/^[A-Za-z][A-Za-z0-9]*$/.test(ml.keyword),
+		'Magic link keywords start with a letter: ' + ml.keyword);
+	ml = Object.assign({
+		rel: 'mw:ExtLink',
+		normalize: function(id) { return id; },
+		hrefPattern: Util.escapeRegExp(ml.href).replace('%s', '(\\w+)'),
+	}, ml);
+	if (!ml.serialize) {
+		ml.serialize = serializeMagicLink.bind(null, ml);
+	}
+	// The identifier has to end a word.  The regexp is sticky, so that
+	// it only matches at its lastIndex.
+	ml.idRegExp = new RegExp('(?:' + ml.id + ')(?![A-Za-z0-9_])', 'y');
+	ml.hrefRegExp = new RegExp('^(?:' + ml.hrefPattern + ')$');
+	return ml;
+};
+
 // Make sure our base config is never modified
 JSUtils.deepFreeze(baseConfig);
 
@@ -87,6 +128,27 @@ function WikiConfig(env, resultConf, prefix) {
 	this.lang = general.lang;
 	this.rtl = general.rtl !== undefined;
 
+	// The wiki's local timezone, and its offset from UTC in minutes.
+	// The offset is only used when the tz database isn't available.
+	this.timezone = general.timezone || 'UTC';
+	this.timezoneOffset = general.timeoffset || 0;
+
+	// Interface messages in the content language, indexed by name.  We
+	// only fetch the month and weekday names.
+	var messages = this.messages = {};
+	(resultConf.allmessages || []).forEach(function(msg) {
+		if (msg['*'] !== undefined) {
+			messages[msg.name] = msg['*'];
+		}
+	});
+
+	// Language variants supported by the language converter.  The
+	// -{ }- markup is only recognized on wikis which have variants.
+	this.variants = new Set((general.variants || []).map(function(v) {
+		return v.code;
+	}));
+	this.langConverterEnabled = this.variants.size > 0;
+
 	var names = resultConf.namespaces;
 	var nkeys = Object.keys(names);
 
@@ -299,6 +361,18 @@ function WikiConfig(env, resultConf, prefix) {
 		);
 	});
 
+	// Magic links, indexed by keyword: the built-in ones, unless disabled
+	// or redefined for this wiki, and those of the wiki.
+	var magicLinks = this.magicLinks = new Map();
+	WikiConfig.builtinMagicLinks.concat(mwApiConf.magicLinks || [])
+			.forEach(function(ml) {
+		if (ml.disabled) {
+			magicLinks.delete(ml.keyword);
+		} else {
+			magicLinks.set(ml.keyword, compileMagicLink(ml));
+		}
+	});
+
 	// Special case for localized ISBN ExtResourceMatcher
 	var isbnRegExp = new RegExp(
 		'^(?:(?:[.][.]?/)*)' +
@@ -311,19 +385,28 @@ function WikiConfig(env, resultConf, prefix) {
 		// But we're feeling generous.
 		'i'
 	);
-	var superMatch = WikiConfig.prototype.ExtResourceURLPatternMatcher.match;
 	this.ExtResourceURLPatternMatcher = {
 		match: function(s) {
-			var r = superMatch(s);
-			if (!r) {
-				var m = s.match(isbnRegExp);
-				if (m) {
-					return [ 'ISBN', m[1] ];
-				}
+			var m;
+			var ml = Array.from(magicLinks.values()).find(function(ml2) {
+				m = s.match(ml2.hrefRegExp);
+				return m;
+			});
+			if (ml) {
+				return [ ml.keyword, m[1] ];
 			}
-			return r;
+			m = magicLinks.has('ISBN') && s.match(isbnRegExp);
+			return m ? [ 'ISBN', m[1] ] : false;
 		},
 	};
+	this.ExtResourceSerializer = {};
+	magicLinks.forEach(function(ml) {
+		this.ExtResourceSerializer[ml.keyword] = ml.serialize;
+	}, this);
+	// For escaping text which would otherwise be parsed as a magic link
+	this.magicLinkRegExp = magicLinks.size ? new RegExp('(^|\\W)(' +
+		Array.from(magicLinks.keys()).map(Util.escapeRegExp).join('|') +
+		')\\s') : null;
 
 	// Regex for stripping useless stuff out of the regex messages
 	var stripRegex = /^\/\^(.*)\$\//;
@@ -468,8 +551,12 @@ function WikiConfig(env, resultConf, prefix) {
 	}
 
 	// Register native extension handlers second to overwrite the above.
+	// Those loaded from the `extensions` of the Parsoid configuration
+	// are registered on all wikis.
 	this.nativeExtPostProcessors = [];
-	mwApiConf.extensions.forEach(function(Ext) {
+	this.extLintRules = [];
+	this.nativeFunctionHooks = new Map();
+	mwApiConf.extensions.concat(env.conf.parsoid.loadedExtensions).forEach(function(Ext) {
 		var ext = new Ext();
 		var tags = ext.config.hasOwnProperty('tags') ? ext.config.tags : [];
 		tags.forEach(function(tag) {
@@ -478,6 +565,22 @@ function WikiConfig(env, resultConf, prefix) {
 		if (ext.config.hasOwnProperty('domPostProcessor')) {
 			this.nativeExtPostProcessors.push(ext.config.domPostProcessor);
 		}
+		if (ext.config.hasOwnProperty('lintRules')) {
+			this.extLintRules = this.extLintRules.concat(ext.config.lintRules);
+		}
+		if (ext.config.hasOwnProperty('functionHooks')) {
+			ext.config.functionHooks.forEach(function(hook) {
+				// Index the hook by its parser function names, as found
+				// by TemplateHandler#resolveTemplateTarget, including
+				// the aliases of the wiki for it.
+				var hookNames = [hook.name].concat(hook.aliases || [],
+					this.mwAliases[hook.name] || []);
+				hookNames.forEach(function(hookName) {
+					this.nativeFunctionHooks.set(
+						'#' + hookName.replace(/^#|:$/g, '').toLowerCase(), hook);
+				}, this);
+			}, this);
+		}
 	}, this);
 
 	// Function hooks on this wiki, indexed by their normalized form
@@ -656,85 +759,95 @@ WikiConfig.prototype.replaceInterpolatedMagicWord = function(alias, value) {
 	return alias.replace(/\$1/, value);
 };
 
-
-
-// Default RFC/PMID resource URL patterns
-WikiConfig.prototype.ExtResourceURLPatterns = {
-	// ISBN validation is done below in serializer.
-	'ISBN': {
-		prefix: "(?:(?:[.][.]?/)*)",
-		re: 'Special(?:%3[Aa]|:)Book[Ss]ources(?:%2[Ff]|/)%isbn',
-	},
-	'RFC': { re: '//tools.ietf.org/html/rfc%s' },
-	'PMID': { re: '//www.ncbi.nlm.nih.gov/pubmed/%s?dopt=Abstract' },
-};
-
-var unispace = /[ \u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]+/g;
-
-WikiConfig.prototype.ExtResourceSerializer = {
-	'ISBN': function(hrefWT, href, content) {
-		var normalized = Util.decodeEntities(content).replace(unispace, ' ')
-			.replace(/[\- \t]/g, '').toUpperCase();
-		// validate ISBN length and format, so as not to produce magic links
-		// which aren't actually magic
-		var valid = /^ISBN(97[89])?\d{9}(\d|X)$/.test(normalized);
-		if (hrefWT.join('') === normalized && valid) {
-			return content;
-		} else {
-			href = href.replace(/^\.\//, ''); // strip "./" prefix
-			return '[[' + href + '|' + content + ']]';
-		}
+/**
+ * @property {Object[]} builtinMagicLinks
+ *
+ * The magic links of MediaWiki: ISBN, RFC and PMID.  Wikis can disable
+ * or redefine them, and add their own, with the `magicLinks` option of
+ * {@link ParsoidConfig#setMwApi}.
+ *
+ * A magic link is a keyword followed by whitespace and an identifier,
+ * like `RFC 1234`, and links to a url built from the identifier.  Its
+ * definition has:
+ *
+ * - `keyword`: starting with a letter, like 'RFC'.  The links are
+ *   typed `mw:ExtLink/RFC` (or `mw:WikiLink/...`) in the tokenizer.
+ * - `id`: the regexp source matching the identifier in wikitext.
+ * - `normalize`: optional, maps the identifier in wikitext to the one in
+ *   the href, or to null if it isn't a valid one.
+ * - `href`: the url, where `%s` is the (normalized) identifier.
+ * - `rel`: 'mw:ExtLink' (the default), or 'mw:WikiLink' for links to a
+ *   page of the wiki, like `Special:BookSources`.
+ * - `hrefPattern`: optional, the regexp source matching the hrefs of the
+ *   links, with the identifier as its first group.  By default, the href
+ *   with a word for `%s`.
+ * - `serialize`: optional, `function(hrefWT, href, content)` serializing
+ *   a link whose href matched, where `hrefWT` is the keyword and the
+ *   identifier.  By default, links whose content is the keyword and the
+ *   identifier are serialized as magic links, and others as plain links.
+ *
+ * @static
+ */
+WikiConfig.builtinMagicLinks = [
+	{
+		keyword: 'ISBN',
+		id: '[0-9](?:' + isbnSeparator + '(?=[0-9])|[0-9])+(?:' + isbnSeparator + '?[xX])?',
+		normalize: function(id) {
+			var isbncode = Util.decodeEntities(id).replace(/[^\dX]/ig, '').toUpperCase();
+			// ISBNs can only be 10 or 13 digits long (with a specific format)
+			return isbncode.length === 10 ||
+				(isbncode.length === 13 && /^97[89]/.test(isbncode)) ? isbncode : null;
+		},
+		href: 'Special:BookSources/%s',
+		rel: 'mw:WikiLink',
+		// Localized names of the special page are matched by the
+		// ExtResourceURLPatternMatcher of the wiki.
+		hrefPattern: '(?:(?:[.][.]?/)*)Special(?:%3[Aa]|:)Book[Ss]ources(?:%2[Ff]|/)(\\d+[Xx]?)',
+		serialize: function(hrefWT, href, content) {
+			var normalized = Util.decodeEntities(content).replace(unispace, ' ')
+				.replace(/[\- \t]/g, '').toUpperCase();
+			// validate ISBN length and format, so as not to produce magic links
+			// which aren't actually magic
+			var valid = /^ISBN(97[89])?\d{9}(\d|X)$/.test(normalized);
+			if (hrefWT.join('') === normalized && valid) {
+				return content;
+			} else {
+				href = href.replace(/^\.\//, ''); // strip "./" prefix
+				return '[[' + href + '|' + content + ']]';
+			}
+		},
 	},
-	'RFC': function(hrefWT, href, content) {
-		var normalized = Util.decodeEntities(content).replace(unispace, ' ')
-			.replace(/[ \t]/g, ' ');
-		return hrefWT.join(' ') === normalized ? content : '[' + href + ' ' + content + ']';
+	{
+		keyword: 'RFC',
+		id: '[0-9]+',
+		href: '//tools.ietf.org/html/rfc%s',
 	},
-	'PMID': function(hrefWT, href, content) {
-		var normalized = Util.decodeEntities(content).replace(unispace, ' ')
-			.replace(/[ \t]/g, ' ');
-		return hrefWT.join(' ') === normalized ? content : '[' + href + ' ' + content + ']';
+	{
+		keyword: 'PMID',
+		id: '[0-9]+',
+		href: '//www.ncbi.nlm.nih.gov/pubmed/%s?dopt=Abstract',
 	},
-};
+];
 
 /**
- * Matcher for RFC/PMID URL patterns, returning the type and number. The match
- * method takes a string and returns false on no match or a tuple like this on match:
- * ['RFC', '12345']
- * @property {Object} ExtResourceURLPatternMatcher
- * @property {Function} ExtResourceURLPatternMatcher.match
+ * Match a magic link in wikitext.
+ *
+ * @param {string} keyword
+ * @param {string} input
+ * @param {number} offset Where the identifier should start in the input
+ * @return {Object|null} The `src` of the identifier and its `id`,
+ *   normalized, or null if there is no valid identifier there.
  */
-WikiConfig.prototype.ExtResourceURLPatternMatcher = (function() {
-	var keys = Object.keys(WikiConfig.prototype.ExtResourceURLPatterns);
-	var patterns = [];
-
-	keys.forEach(function(key) {
-		var reOpts = WikiConfig.prototype.ExtResourceURLPatterns[key];
-		var re = Util.escapeRegExp(reOpts.re).replace('%s', '(\\w+)').replace('%d', '(\\d+)').replace('%isbn', '(\\d+[Xx]?)');
-		patterns.push("^(?:" + (reOpts.prefix || "") + re + ")$");
-	});
-
-	var regExp = new RegExp(patterns.join('|'));
-	var match = function(s) {
-		var matches = s.match(regExp);
-		if (matches) {
-			var groups = matches.slice(1);
-			for (var i = 0; i < groups.length; i++) {
-				if (groups[i] !== undefined) {
-					return [
-						// The key: 'PMID', 'RFC' etc
-						keys[i],
-						groups[i],
-					];
-				}
-			}
-		}
-		return false;
-	};
-	return {
-		match: match,
-	};
-})();
+WikiConfig.prototype.matchMagicLink = function(keyword, input, offset) {
+	var ml = this.magicLinks.get(keyword);
+	var m = null;
+	if (ml) {
+		ml.idRegExp.lastIndex = offset;
+		m = ml.idRegExp.exec(input);
+	}
+	var id = m && ml.normalize(m[0]);
+	return id ? { src: m[0], id: id } : null;
+};
 
 /**
  * Matcher for valid protocols, must be anchored at start of string.
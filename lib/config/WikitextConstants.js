@@ -276,6 +276,16 @@ var WikitextConstants = {
 		"FIGURE": [2, 2],
 	}),
 
+	// Language converter flags, see ConverterRule::parseFlags in core.
+	//   A: add a conversion rule and show the converted text
+	//   T: convert the page title
+	//   R: raw, no conversion
+	//   D: describe the conversion rule
+	//   -: remove a conversion rule
+	//   H: hidden, add a conversion rule without output
+	//   N: output the name of the variant
+	LCFlags: new Set(['A', 'T', 'R', 'D', '-', 'H', 'N']),
+
 	// HTML tags whose wikitext equivalents are zero-width.
 	// This information is derived from WtTagWidths and set below.
 	ZeroWidthWikitextTags: new Set(),
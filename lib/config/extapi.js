@@ -0,0 +1,353 @@
+/*
+ * The public interface of Parsoid for native extensions.
+ *
+ * An extension is a module exporting a function which is given this
+ * API, and returns the definition of the extension:
+ *
+ *     module.exports = function(parsoid) {
+ *         // Throws if the running Parsoid has an incompatible API.
+ *         parsoid.versionCheck('^1.0.0');
+ *         return {
+ *             name: 'sample',
+ *             tags: [
+ *                 {
+ *                     name: 'sample',
+ *                     // Return the DOM of the tag, in the body of a document.
+ *                     toDOM: function(ctx) { ... },
+ *                     // Return the wikitext of the tag (optional).
+ *                     fromDOM: function(node, ctx, wrapperUnmodified) { ... },
+ *                 },
+ *             ],
+ *             // DOM passes run on the DOM of the page (and of
+ *             // transclusions and extension content) once it is built.
+ *             domProcessors: [ function(body, ctx) { ... } ],
+ *             // Checks run on each element by the linter.
+ *             lintRules: [
+ *                 { type: 'sample-issue', severity: 'low', check: function(node, ctx) { ... } },
+ *             ],
+ *         };
+ *     };
+ *
+ * Extensions are loaded by path, from the `extensions` of the Parsoid
+ * configuration (for all wikis) or those of a wiki in `setMwApi`.
+ * The contexts given to the hooks are the only part of Parsoid they
+ * should use: their methods are kept compatible for all versions of
+ * the API with the same major version.  See guides/extensions for more.
+ */
+'use strict';
+require('../../core-upgrade.js');
+
+var path = require('path');
+var DU = require('../utils/DOMUtils.js').DOMUtils;
+var Promise = require('../utils/promise.js');
+var Sanitizer = require('../wt2html/tt/Sanitizer.js').Sanitizer;
+var Util = require('../utils/Util.js').Util;
+
+/**
+ * @property {string} version
+ *   The version of the extension API (not that of Parsoid).  The major
+ *   version changes when the API changes incompatibly, the minor one
+ *   when features are added.
+ */
+var version = '1.0.0';
+
+// What extension modules are given.
+var api = {
+	version: version,
+	Promise: Promise,
+};
+
+var parseVersion = function(v) {
+	var m = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(v);
+	return m ? [Number(m[1]), Number(m[2] || 0), Number(m[3] || 0)] : null;
+};
+
+/**
+ * Check that the running API is compatible with the one an extension
+ * was written for: that it has the same major version, and at least
+ * the given minor (and patch) version.
+ *
+ * @param {string} requested A version like '1.0' or '^1.0.0'
+ * @return {Object} The API
+ * @throws {Error} if the API is incompatible
+ */
+var versionCheck = function(requested) {
+	var wanted = parseVersion(String(requested).replace(/^\^/, ''));
+	var current = parseVersion(version);
+	if (!wanted) {
+		throw new Error('Bad extension API version: ' + requested);
+	}
+	if (wanted[0] !== current[0] || wanted[1] > current[1] ||
+			(wanted[1] === current[1] && wanted[2] > current[2])) {
+		throw new Error('Parsoid extension API ' + version +
+			' is incompatible with the requested ' + requested);
+	}
+	return api;
+};
+api.versionCheck = versionCheck;
+
+/**
+ * @class
+ *
+ * What the `toDOM` handler of a tag is given: the tag, and the means to
+ * parse its content.
+ *
+ * @constructor
+ * @param {TokenTransformManager} manager
+ * @param {Object} pipelineOpts
+ * @param {Token} extToken
+ */
+function TagContext(manager, pipelineOpts, extToken) {
+	var src = extToken.getAttribute('source');
+	var tagWidths = extToken.dataAttribs.tagWidths;
+	var start = extToken.dataAttribs.tsr[0] + tagWidths[0];
+
+	this._manager = manager;
+	this._extToken = extToken;
+
+	/**
+	 * @property {string} name The name of the tag
+	 */
+	this.name = extToken.getAttribute('name');
+
+	/**
+	 * @property {Object} attrs The attributes of the tag, by name
+	 */
+	this.attrs = Util.KVtoHash(extToken.getAttribute('options'), true);
+
+	/**
+	 * @property {string|null} content
+	 *   The source of the content of the tag, or null if it is
+	 *   self-closed.
+	 */
+	this.content = tagWidths[1] ?
+		src.substring(tagWidths[0], src.length - tagWidths[1]) : null;
+
+	/**
+	 * @property {number[]} contentOffsets
+	 *   Where the content is in the wikitext of the page.
+	 */
+	this.contentOffsets = [start, start + (this.content || '').length];
+
+	/**
+	 * @property {boolean} inTemplate
+	 *   Whether the tag comes from a transclusion.
+	 */
+	this.inTemplate = !!pipelineOpts.inTemplate;
+}
+
+/**
+ * Parse wikitext to a DOM.  The content of the tag is parsed with its
+ * offsets in the page, so that it is edited in place.
+ *
+ * @param {string} [wikitext] Defaults to the content of the tag
+ * @param {Object} [opts]
+ * @param {boolean} [opts.inline] Don't wrap lines in paragraphs.
+ * @param {boolean} [opts.noPre] Don't make indented lines <pre>s.
+ * @param {number[]} [opts.srcOffsets] Where the wikitext is in the page
+ * @return {Promise} A document, with the DOM in its body
+ */
+TagContext.prototype.parseWikitext = function(wikitext, opts) {
+	var isContent = wikitext === undefined || wikitext === null;
+	opts = opts || {};
+	return Util.parseWikitextToDOM(this._manager,
+		isContent ? (this.content || '') : wikitext, {
+		pipelineOpts: {
+			extTag: this.name,
+			inTemplate: this.inTemplate,
+			wrapTemplates: true,
+			noPre: !!opts.noPre,
+			noPWrapping: !!opts.inline,
+		},
+		srcOffsets: opts.srcOffsets || (isContent ? this.contentOffsets : undefined),
+	});
+};
+
+/**
+ * Parse HTML to a document.
+ *
+ * @param {string} html
+ * @return {Document}
+ */
+TagContext.prototype.parseHTML = function(html) {
+	return DU.parseHTML(html);
+};
+
+/**
+ * The attributes of the tag which are allowed on an element.
+ *
+ * @param {string} tagName The name of the element
+ * @return {Object} The sanitized attributes, by name
+ */
+TagContext.prototype.sanitizeAttributes = function(tagName) {
+	var attrs = {};
+	Sanitizer.sanitizeAttributes(this._manager, tagName,
+		this._extToken.getAttribute('options')).forEach(function(kv) {
+		attrs[kv.k] = kv.v;
+	});
+	return attrs;
+};
+
+/**
+ * Log a message, like `env.log`.
+ */
+TagContext.prototype.log = function() {
+	var env = this._manager.env;
+	env.log.apply(env, arguments);
+};
+
+/**
+ * @class
+ *
+ * What the `fromDOM` handler of a tag is given, to serialize its DOM.
+ *
+ * @constructor
+ * @param {Node} node The first node of the tag's DOM
+ * @param {SerializerState} state
+ */
+function SerializerContext(node, state) {
+	this._node = node;
+	this._state = state;
+
+	/**
+	 * @property {Object} dataMw
+	 *   The data-mw of the tag, with its `name`, `attrs` and the
+	 *   `extsrc` of its `body`.
+	 */
+	this.dataMw = DU.getDataMw(node);
+}
+
+/**
+ * Whether the DOM of the tag is the one it was rendered to (its data-mw
+ * may have been edited).
+ *
+ * @return {boolean}
+ */
+SerializerContext.prototype.contentUnmodified = function() {
+	var dp = DU.getDataParsoid(this._node);
+	return !!this.dataMw.body && dp.contentHash === DU.contentHash(this._node);
+};
+
+/**
+ * Serialize HTML to wikitext.
+ *
+ * @param {string|Node} html The HTML, or a node whose children to serialize
+ * @return {Promise} The wikitext
+ */
+SerializerContext.prototype.serializeHTML = function(html) {
+	return this._state.serializer.serializeHTML({
+		env: this._state.env,
+		extName: this.dataMw.name,
+	}, typeof html === 'string' ? html : html.innerHTML);
+};
+
+/**
+ * The wikitext of the tag, with its attributes and content from data-mw,
+ * unless the content is given.
+ *
+ * @param {string} [content] The source of the content of the tag
+ * @return {Promise} The wikitext
+ */
+SerializerContext.prototype.serializeTag = function(content) {
+	var dataMw = this.dataMw;
+	if (typeof content === 'string') {
+		dataMw = Object.assign({}, dataMw, { body: { extsrc: content } });
+	}
+	return this._state.serializer.defaultExtensionHandler(this._node, dataMw);
+};
+
+/**
+ * Adapt the tags of a definition to the hooks of the pipelines.
+ */
+var adaptTag = function(tag) {
+	var t = { name: tag.name };
+	if (tag.toDOM) {
+		t.toDOM = function(manager, pipelineOpts, extToken) {
+			var ctx = new TagContext(manager, pipelineOpts, extToken);
+			return Promise.resolve(tag.toDOM(ctx)).then(function(doc) {
+				// Remember what was rendered, for SerializerContext#contentUnmodified.
+				var first = doc.body.firstChild;
+				if (first && DU.isElt(first) && !DU.getDataParsoid(first).contentHash) {
+					DU.storeNativeExtensionInfo(first, extToken);
+				}
+				return doc;
+			});
+		};
+	}
+	if (tag.fromDOM) {
+		t.serialHandler = {
+			handle: Promise.method(function(node, state, wrapperUnmodified) {
+				return tag.fromDOM(node, new SerializerContext(node, state),
+					wrapperUnmodified);
+			}),
+		};
+	}
+	return t;
+};
+
+/**
+ * Make a native extension constructor, as in
+ * {@link ParsoidConfig#defaultNativeExtensions}, from a definition.
+ *
+ * @param {Object} def
+ * @return {Function}
+ */
+var fromDefinition = function(def) {
+	var config = {
+		tags: (def.tags || []).map(adaptTag),
+	};
+	var processors = def.domProcessors || [];
+	if (processors.length) {
+		config.domPostProcessor = function(body, env, options, atTopLevel) {
+			var ctx = {
+				atTopLevel: !!atTopLevel,
+				inTemplate: !!options.inTemplate,
+				pageName: env.page.name,
+				log: env.log.bind(env),
+			};
+			processors.forEach(function(p) {
+				p(body, ctx);
+			});
+		};
+	}
+	if (def.lintRules) {
+		config.lintRules = def.lintRules.map(function(rule) {
+			console.assert(rule.type && typeof rule.check === 'function',
+				'Lint rules need a type and a check.');
+			return rule;
+		});
+	}
+	var NativeExtension = function() {
+		this.config = config;
+	};
+	NativeExtension.extensionName = def.name;
+	return NativeExtension;
+};
+
+/**
+ * Load an extension module.
+ *
+ * @param {string} modulePath The absolute path of the module
+ * @return {Function} A native extension constructor
+ */
+var load = function(modulePath) {
+	if (path.resolve(modulePath) !== modulePath) {
+		throw new Error('Extension paths must be absolute: ' + modulePath);
+	}
+	var def = require(modulePath)(api);
+	if (!def || !Array.isArray(def.tags || [])) {
+		throw new Error('Bad extension definition in ' + modulePath);
+	}
+	return fromDefinition(def);
+};
+
+if (typeof module === "object") {
+	module.exports = {
+		version: version,
+		versionCheck: versionCheck,
+		load: load,
+		fromDefinition: fromDefinition,
+		TagContext: TagContext,
+		SerializerContext: SerializerContext,
+	};
+}
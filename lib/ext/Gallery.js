@@ -0,0 +1,344 @@
+/* ----------------------------------------------------------------------
+ * This file implements the <gallery> extension tag natively in Parsoid.
+ *
+ * Every line of the content is a file name followed by the caption and
+ * options of the image, separated by pipes.  A line is rendered by parsing
+ * it as the wikitext of a thumbnail, so the options are handled by the
+ * image handler, and its caption ends up where it is in the source of the
+ * page.
+ * ---------------------------------------------------------------------- */
+'use strict';
+require('../../core-upgrade.js');
+
+var DU = require('../utils/DOMUtils.js').DOMUtils;
+var Promise = require('../utils/promise.js');
+var Sanitizer = require('../wt2html/tt/Sanitizer.js').Sanitizer;
+var Title = require('../mw/Title.js').Title;
+var Util = require('../utils/Util.js').Util;
+
+var MODES = [
+	'traditional', 'nolines', 'packed', 'packed-overlay', 'packed-hover',
+	'slideshow',
+];
+
+// The padding of the thumbnails, and the padding and borders of their
+// boxes, in pixels (as in ImageGalleryBase)
+var THUMB_PADDING = 30;
+var BOX_PADDING = 5;
+var BOX_BORDERS = 8;
+
+/**
+ * Get the options of the gallery from the attributes of the tag.
+ */
+var getOptions = function(attrs) {
+	var size = function(v) {
+		var n = parseInt(v, 10);
+		return n > 0 ? n : 120;
+	};
+	var perrow = parseInt(attrs.perrow, 10);
+	var mode = (attrs.mode || '').trim().toLowerCase();
+	return {
+		mode: MODES.indexOf(mode) >= 0 ? mode : 'traditional',
+		widths: size(attrs.widths),
+		heights: size(attrs.heights),
+		perrow: perrow > 0 ? perrow : 0,
+		caption: attrs.caption,
+		showfilename: attrs.showfilename !== undefined,
+	};
+};
+
+/**
+ * Get the file title of a line of the gallery, or null if it has none.
+ */
+var getFileTitle = function(env, text) {
+	if (/%/.test(text)) {
+		try {
+			text = decodeURIComponent(text);
+		} catch (e) {
+			// Keep it as it is, like rawurldecode.
+		}
+	}
+	text = text.trim();
+	if (!text || /[\[\]{}|<>]/.test(text)) {
+		return null;
+	}
+	var title = Title.fromPrefixedText(env, text);
+	if (title.ns.id === 0) {
+		title = Title.fromPrefixedText(env, 'File:' + text);
+	}
+	return title.ns.isFile() ? title : null;
+};
+
+/**
+ * Render a line of the gallery, returning its box or null if the line
+ * has no image.
+ */
+var renderLine = function(manager, pipelineOpts, opts, line, offset) {
+	var env = manager.env;
+	var m = /^([^|]+)(\|.*)?$/.exec(line);
+	var title = m && getFileTitle(env, m[1]);
+	if (!title) {
+		return Promise.resolve(null);
+	}
+	var file = title.getPrefixedText();
+
+	// The caption and options are kept at their offset in the source, and
+	// the size of the gallery comes last so that it wins.
+	var prefix = '[[' + file + '|thumb';
+	var wt = prefix + (m[2] || '') + '|' + opts.widths + 'x' + opts.heights + 'px]]';
+	var start = offset + m[1].length - prefix.length;
+	return Util.parseWikitextToDOM(manager, wt, {
+		pipelineOpts: {
+			extTag: 'gallery',
+			inTemplate: pipelineOpts.inTemplate,
+			wrapTemplates: true,
+			noPre: true,
+			noPWrapping: true,
+		},
+		srcOffsets: [start, start + wt.length],
+	}).then(function(doc) {
+		var figure = doc.body.firstChild;
+		if (!figure || figure.nodeName !== 'FIGURE') {
+			return null;
+		}
+		var caption = figure.querySelector('figcaption');
+		if (caption) {
+			figure.removeChild(caption);
+		}
+
+		// The thumbnail is shown as an inline image.
+		var image = doc.createElement('span');
+		image.setAttribute('typeof',
+			figure.getAttribute('typeof').replace(/\bmw:Image\/Thumb\b/, 'mw:Image'));
+		var dataMW = DU.getJSONAttribute(figure, 'data-mw', null);
+		if (dataMW && Object.keys(dataMW).length) {
+			DU.setJSONAttribute(image, 'data-mw', dataMW);
+		}
+		DU.migrateChildren(figure, image);
+
+		var box = doc.createElement('li');
+		box.setAttribute('class', 'gallerybox');
+		box.setAttribute('style', 'width: ' + (opts.widths + THUMB_PADDING + BOX_PADDING) + 'px;');
+		var thumb = doc.createElement('div');
+		thumb.setAttribute('class', 'thumb');
+		thumb.setAttribute('style', 'width: ' + (opts.widths + THUMB_PADDING) +
+			'px; height: ' + (opts.heights + THUMB_PADDING) + 'px;');
+		thumb.appendChild(image);
+		box.appendChild(thumb);
+
+		var text = doc.createElement('div');
+		text.setAttribute('class', 'gallerytext');
+		if (opts.showfilename) {
+			var a = doc.createElement('a');
+			a.setAttribute('href', title.makeLink());
+			a.setAttribute('class', 'galleryfilename galleryfilename-truncate');
+			a.setAttribute('title', file);
+			a.appendChild(doc.createTextNode(title.key.replace(/_/g, ' ')));
+			text.appendChild(a);
+			text.appendChild(doc.createTextNode('\n'));
+		}
+		if (caption) {
+			DU.migrateChildren(caption, text);
+		}
+		box.appendChild(text);
+		return box;
+	});
+};
+
+var toDOM = function(manager, pipelineOpts, extToken) {
+	var extSrc = extToken.getAttribute('source');
+	var tagWidths = extToken.dataAttribs.tagWidths;
+	var offset = extToken.dataAttribs.tsr[0] + tagWidths[0];
+	var content = extSrc.substring(tagWidths[0], extSrc.length - tagWidths[1]);
+	var attrs = Util.KVtoHash(extToken.getAttribute('options'), true);
+	var opts = getOptions(attrs);
+
+	var lines = content.split('\n').map(function(line) {
+		var l = { text: line, offset: offset };
+		offset += line.length + 1;
+		return l;
+	});
+
+	// The caption of the gallery is an attribute, which has no offsets.
+	var caption = opts.caption === undefined ? Promise.resolve(null) :
+		Util.parseWikitextToDOM(manager, opts.caption, {
+			pipelineOpts: {
+				extTag: 'gallery',
+				inTemplate: true,
+				noPre: true,
+				noPWrapping: true,
+			},
+		});
+
+	return Promise.join(caption, Promise.map(lines, function(l) {
+		return renderLine(manager, pipelineOpts, opts, l.text, l.offset);
+	})).spread(function(captionDoc, boxes) {
+		var doc = DU.parseHTML('');
+		var ul = doc.createElement('ul');
+		Sanitizer.sanitizeAttributes(manager, 'ul',
+			extToken.getAttribute('options')).forEach(function(kv) {
+			ul.setAttribute(kv.k, kv.v);
+		});
+		ul.setAttribute('class', 'gallery mw-gallery-' + opts.mode +
+			(ul.getAttribute('class') ? ' ' + ul.getAttribute('class') : ''));
+		if (opts.perrow) {
+			var width = opts.perrow *
+				(opts.widths + THUMB_PADDING + BOX_PADDING + BOX_BORDERS);
+			ul.setAttribute('style', 'max-width: ' + width + 'px; _width: ' +
+				width + 'px;' + (ul.getAttribute('style') ? ' ' + ul.getAttribute('style') : ''));
+		}
+
+		// The items come from documents of their own, with their data
+		// attributes stored in the HTML.
+		var items = boxes.filter(function(box) { return box; });
+		if (captionDoc) {
+			var li = captionDoc.createElement('li');
+			li.setAttribute('class', 'gallerycaption');
+			DU.migrateChildren(captionDoc.body, li);
+			items.unshift(li);
+		}
+		ul.innerHTML = '\n' + items.map(function(item) {
+			return item.outerHTML + '\n';
+		}).join('');
+		doc.body.appendChild(ul);
+
+		// Remember what was rendered, to tell edits of the DOM from those
+		// of data-mw.
+		DU.storeNativeExtensionInfo(ul, extToken);
+		return doc;
+	});
+};
+
+/**
+ * Split wikitext on the pipes which aren't in links or transclusions.
+ */
+var splitOptions = function(wt) {
+	var parts = [''];
+	var depth = 0;
+	var re = /\[\[|\]\]|\{\{|\}\}|\||[^\[\]{}|]+|[\s\S]/g;
+	var m;
+	while ((m = re.exec(wt))) {
+		var s = m[0];
+		if (s === '[[' || s === '{{') {
+			depth++;
+		} else if ((s === ']]' || s === '}}') && depth > 0) {
+			depth--;
+		} else if (s === '|' && depth === 0) {
+			parts.push('');
+			continue;
+		}
+		parts[parts.length - 1] += s;
+	}
+	return parts;
+};
+
+/**
+ * Regenerate the line of a box of the gallery, by serializing it as the
+ * thumbnail it was parsed from.
+ */
+var serializeBox = function(box, state) {
+	var doc = box.ownerDocument;
+	var image = box.querySelector('.thumb > [typeof~="mw:Image"]');
+	if (!image) {
+		return Promise.resolve(null);
+	}
+	var figure = doc.createElement('figure');
+	figure.setAttribute('typeof',
+		image.getAttribute('typeof').replace(/\bmw:Image\b/, 'mw:Image/Thumb'));
+	if (image.hasAttribute('data-mw')) {
+		figure.setAttribute('data-mw', image.getAttribute('data-mw'));
+	}
+	for (var c = image.firstChild; c; c = c.nextSibling) {
+		figure.appendChild(c.cloneNode(true));
+	}
+	var text = box.querySelector('.gallerytext');
+	if (text) {
+		var caption = doc.createElement('figcaption');
+		var child = text.firstChild;
+		// Skip the file name shown with the showfilename option.
+		if (child && DU.hasClass(child, 'galleryfilename')) {
+			child = child.nextSibling;
+		}
+		for (; child; child = child.nextSibling) {
+			caption.appendChild(child.cloneNode(true));
+		}
+		figure.appendChild(caption);
+	}
+	return state.serializer.serializeHTML({
+		env: state.env,
+		extName: 'gallery',
+	}, figure.outerHTML).then(function(wt) {
+		var m = /^\[\[([\s\S]*)\]\]$/.exec(wt.trim());
+		if (!m) {
+			return null;
+		}
+		// Drop the options the gallery adds.
+		var parts = splitOptions(m[1]);
+		return parts.filter(function(p, i) {
+			return i === 0 || (p !== 'thumb' && p !== 'thumbnail' &&
+				!/^\d*(x\d+)?px$/.test(p));
+		}).map(function(p, i) {
+			return i === 0 ? p : p.replace(/^\s+|\s+$/g, '').replace(/\n+/g, ' ');
+		}).join('|');
+	});
+};
+
+var serialHandler = {
+	handle: Promise.method(function(node, state, wrapperUnmodified) {
+		var dataMW = DU.getDataMw(node);
+		var dp = DU.getDataParsoid(node);
+		if (dataMW.body && dp.contentHash === DU.contentHash(node)) {
+			// The DOM wasn't edited, but data-mw might have been.
+			return state.serializer.defaultExtensionHandler(node, dataMW);
+		}
+		var attrs = Object.assign({}, dataMW.attrs);
+		var caption = null;
+		var boxes = [];
+		for (var child = node.firstChild; child; child = child.nextSibling) {
+			if (DU.hasClass(child, 'gallerycaption')) {
+				caption = child;
+			} else if (DU.hasClass(child, 'gallerybox')) {
+				boxes.push(child);
+			}
+		}
+		var captionWT = !caption ? Promise.resolve(null) :
+			state.serializer.serializeHTML({
+				env: state.env,
+				extName: 'gallery',
+			}, caption.innerHTML);
+		return Promise.join(captionWT, Promise.map(boxes, function(box) {
+			return serializeBox(box, state);
+		})).spread(function(captionSrc, lines) {
+			if (captionSrc === null) {
+				delete attrs.caption;
+			} else {
+				attrs.caption = captionSrc.trim();
+			}
+			var extsrc = lines.filter(function(l) {
+				return l !== null;
+			}).map(function(l) {
+				return l + '\n';
+			}).join('');
+			return state.serializer.defaultExtensionHandler(node,
+				Object.assign({}, dataMW, {
+					attrs: attrs,
+					body: { extsrc: '\n' + extsrc },
+				}));
+		});
+	}),
+};
+
+/**
+ * Native Parsoid implementation of the Gallery extension
+ */
+module.exports = function() {
+	this.config = {
+		tags: [
+			{
+				name: 'gallery',
+				toDOM: toDOM,
+				serialHandler: serialHandler,
+			},
+		],
+	};
+};
@@ -1,10 +1,188 @@
+/* ----------------------------------------------------------------------
+ * This file implements labeled section transclusion natively in Parsoid.
+ *
+ * Sections of a page are delimited by <section begin="name" /> and
+ * <section end="name" /> markers (rendered as metas by the Sanitizer),
+ * or by its headings.  They are transcluded with
+ *
+ *   {{#lst:page|section[|to section]}}
+ *   {{#lstx:page|section[|replacement text[|to section]]}}
+ *   {{#lsth:page[|heading[|to heading]]}}
+ *
+ * (also known as #section, #section-x and #section-h), which transclude
+ * the marked sections, the page without them, and the content under a
+ * heading.  The TemplateHandler fetches the page and expands the wikitext
+ * picked here like a template, so that the result is one transclusion.
+ * ---------------------------------------------------------------------- */
 'use strict';
 require('../../core-upgrade.js');
 
 var DU = require('../utils/DOMUtils.js').DOMUtils;
 var Promise = require('../utils/promise.js');
 
-// Special case for <section> until LST is implemented natively.
+/**
+ * Blank out the comments and the content of nowiki and pre tags, where
+ * markers and headings are just text, keeping the offsets of the rest.
+ */
+var maskSource = function(src) {
+	return src.replace(/<!--[\s\S]*?(?:-->|$)|<(nowiki|pre)(?:\s[^>]*)?>[\s\S]*?(?:<\/\1\s*>|$)/gi,
+		function(m) {
+			return m.replace(/[^\n]/g, ' ');
+		});
+};
+
+var sameName = function(a, b) {
+	return a.trim().toLowerCase() === b.trim().toLowerCase();
+};
+
+/**
+ * Find the section markers of a page.
+ *
+ * @param {string} src
+ * @return {Object[]} The `type` ('begin' or 'end'), `name`, `start` and
+ *   `end` offsets of the markers.
+ */
+var findMarkers = function(src) {
+	var re = /<section\s+(begin|end)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'\/>]+))\s*\/?>/gi;
+	var markers = [];
+	var masked = maskSource(src);
+	var m;
+	while ((m = re.exec(masked))) {
+		markers.push({
+			type: m[1].toLowerCase(),
+			name: m[2] !== undefined ? m[2] : (m[3] !== undefined ? m[3] : m[4]),
+			start: m.index,
+			end: m.index + m[0].length,
+		});
+	}
+	return markers;
+};
+
+/**
+ * The ranges of the page between the begin markers of a section and the
+ * end markers of the same (or of the `to`) section.  A section without
+ * an end runs to the end of the page.
+ *
+ * @param {string} src
+ * @param {string} from
+ * @param {string} [to]
+ * @return {Object[]} The `start` and `end` of the content of the
+ *   sections, and the `outerStart` and `outerEnd` of their markers.
+ */
+var findSections = function(src, from, to) {
+	to = to || from;
+	var sections = [];
+	var current = null;
+	findMarkers(src).forEach(function(marker) {
+		if (!current && marker.type === 'begin' && sameName(marker.name, from)) {
+			current = { outerStart: marker.start, start: marker.end };
+		} else if (current && marker.type === 'end' && sameName(marker.name, to)) {
+			current.end = marker.start;
+			current.outerEnd = marker.end;
+			sections.push(current);
+			current = null;
+		}
+	});
+	if (current) {
+		current.end = current.outerEnd = src.length;
+		sections.push(current);
+	}
+	return sections;
+};
+
+/**
+ * The wikitext of {{#lst:page|section|to}}: the content of the sections.
+ *
+ * @param {string} src The wikitext of the page
+ * @param {string[]} args The section, and the section to end with
+ * @return {string}
+ */
+var lst = function(src, args) {
+	if (!args[0]) {
+		return '';
+	}
+	return findSections(src, args[0], args[1]).map(function(s) {
+		return src.substring(s.start, s.end);
+	}).join('');
+};
+
+/**
+ * The wikitext of {{#lstx:page|section|replacement|to}}: the page with
+ * the sections (and their markers) replaced.
+ *
+ * @param {string} src The wikitext of the page
+ * @param {string[]} args The section, its replacement, and the section
+ *   to end with
+ * @return {string}
+ */
+var lstx = function(src, args) {
+	if (!args[0]) {
+		return src;
+	}
+	var replacement = args[1] || '';
+	var out = '';
+	var last = 0;
+	findSections(src, args[0], args[2]).forEach(function(s) {
+		out += src.substring(last, s.outerStart) + replacement;
+		last = s.outerEnd;
+	});
+	return out + src.substring(last);
+};
+
+/**
+ * Find the headings of a page.
+ *
+ * @param {string} src
+ * @return {Object[]} The `level`, `text`, `start` and `end` offsets (of
+ *   the line) of the headings.
+ */
+var findHeadings = function(src) {
+	var re = /^(={1,6})(.+?)\1[ \t]*$/gm;
+	var headings = [];
+	var masked = maskSource(src);
+	var m;
+	while ((m = re.exec(masked))) {
+		var end = m.index + m[0].length;
+		headings.push({
+			level: m[1].length,
+			text: src.substring(m.index + m[1].length, end).replace(/=+[ \t]*$/, ''),
+			start: m.index,
+			// Include the newline ending the heading line
+			end: src[end] === '\n' ? end + 1 : end,
+		});
+	}
+	return headings;
+};
+
+/**
+ * The wikitext of {{#lsth:page|heading|to}}: the content under the
+ * first heading with that text (without the heading itself), until a
+ * heading of the same or a higher level, or until the `to` heading.
+ * Without a heading, the lead of the page.
+ *
+ * @param {string} src The wikitext of the page
+ * @param {string[]} args The heading, and the heading to end with
+ * @return {string}
+ */
+var lsth = function(src, args) {
+	var headings = findHeadings(src);
+	if (!args[0]) {
+		return src.substring(0, headings.length ? headings[0].start : src.length);
+	}
+	var i = headings.findIndex(function(h) {
+		return sameName(h.text, args[0]);
+	});
+	if (i < 0) {
+		return '';
+	}
+	var from = headings[i];
+	var end = headings.slice(i + 1).find(function(h) {
+		return args[1] ? sameName(h.text, args[1]) : h.level <= from.level;
+	});
+	return src.substring(from.end, end ? end.start : src.length);
+};
+
+// Serialize the section markers
 var serialHandler = {
 	handle: Promise.method(function(node, state, wrapperUnmodified) {
 		var env = state.env;
@@ -37,5 +215,16 @@ module.exports = function() {
 				serialHandler: serialHandler,
 			},
 		],
+		// Parser functions transcluding part of the page given as
+		// their first argument (see TemplateHandler#_expandFunctionHook)
+		functionHooks: [
+			{ name: 'lst', aliases: ['section'], transclude: lst },
+			{ name: 'lstx', aliases: ['section-x'], transclude: lstx },
+			{ name: 'lsth', aliases: ['section-h'], transclude: lsth },
+		],
 	};
 };
+
+module.exports.lst = lst;
+module.exports.lstx = lstx;
+module.exports.lsth = lsth;
@@ -0,0 +1,308 @@
+/* ----------------------------------------------------------------------
+ * This file implements the <poem> extension tag natively in Parsoid.
+ *
+ * Like the Poem extension, the content is rendered as wikitext in a
+ * <div class="poem">, keeping its line breaks and leading spaces, and
+ * with lines starting with colons indented.  The Poem extension does
+ * that by rewriting the wikitext before parsing it, but that would break
+ * the source offsets of the content, so this is done on the DOM instead.
+ * ---------------------------------------------------------------------- */
+'use strict';
+require('../../core-upgrade.js');
+
+var DU = require('../utils/DOMUtils.js').DOMUtils;
+var Promise = require('../utils/promise.js');
+var Sanitizer = require('../wt2html/tt/Sanitizer.js').Sanitizer;
+var Util = require('../utils/Util.js').Util;
+
+var INDENT_CLASS = 'mw-poem-indented';
+
+/**
+ * Replace a definition list made by lines starting with colons with the
+ * indented spans the Poem extension makes of these lines.  Returns false
+ * (leaving the list alone) if it isn't one.
+ */
+function indentVerses(dl) {
+	var doc = dl.ownerDocument;
+	var nodes = [];
+	var lastNL = false;
+	var addItems = function(list, depth) {
+		for (var item = list.firstChild; item; item = item.nextSibling) {
+			if (DU.isText(item) && /^\s*$/.test(item.nodeValue)) {
+				continue;
+			} else if (item.nodeName !== 'DD') {
+				return false;
+			}
+			var span = doc.createElement('span');
+			span.setAttribute('class', INDENT_CLASS);
+			span.setAttribute('style',
+				'display: inline-block; margin-left: ' + depth + 'em;');
+			var sublists = [];
+			while (item.firstChild) {
+				if (item.firstChild.nodeName === 'DL') {
+					sublists.push(item.removeChild(item.firstChild));
+				} else {
+					span.appendChild(item.firstChild);
+				}
+			}
+			// The newline ending the line is added between the spans.
+			var last = span.lastChild;
+			lastNL = last && DU.isText(last) && /\n$/.test(last.nodeValue);
+			if (lastNL) {
+				last.nodeValue = last.nodeValue.replace(/\n$/, '');
+			}
+			if (nodes.length) {
+				nodes.push(doc.createTextNode('\n'));
+			}
+			nodes.push(span);
+			for (var i = 0; i < sublists.length; i++) {
+				if (!addItems(sublists[i], depth + 1)) {
+					return false;
+				}
+			}
+		}
+		return true;
+	};
+	if (!addItems(dl, 1)) {
+		return false;
+	}
+	if (lastNL) {
+		nodes.push(doc.createTextNode('\n'));
+	}
+	nodes.forEach(function(n) {
+		dl.parentNode.insertBefore(n, dl);
+	});
+	dl.parentNode.removeChild(dl);
+	return true;
+}
+
+/**
+ * Add a <br> before the newlines of the content, except after horizontal
+ * rules, and replace the spaces starting lines with non-breaking ones.
+ * Content from templates and extensions is left alone, as the Poem
+ * extension changes the wikitext before they are expanded.
+ */
+function breakLines(node, state) {
+	var doc = node.ownerDocument;
+	var child = node.firstChild;
+	while (child) {
+		var next = child.nextSibling;
+		if (DU.isText(child)) {
+			var parts = child.nodeValue.split('\n');
+			for (var i = 0; i < parts.length; i++) {
+				if (i > 0) {
+					if (!state.afterHr) {
+						node.insertBefore(doc.createElement('br'), child);
+					}
+					node.insertBefore(doc.createTextNode('\n'), child);
+					state.sol = true;
+					state.afterHr = false;
+				}
+				var part = parts[i];
+				if (state.sol) {
+					part = part.replace(/^ +/, function(spaces) {
+						return spaces.replace(/ /g, '\u00a0');
+					});
+				}
+				if (part) {
+					node.insertBefore(doc.createTextNode(part), child);
+					state.sol = false;
+					state.afterHr = false;
+				}
+			}
+			node.removeChild(child);
+		} else if (DU.isElt(child)) {
+			state.sol = false;
+			state.afterHr = child.nodeName === 'HR';
+			if (!child.getAttribute('about') && !child.getAttribute('typeof') &&
+					!/^(PRE|TABLE)$/.test(child.nodeName)) {
+				breakLines(child, state);
+			}
+		}
+		child = next;
+	}
+}
+
+/**
+ * Strip whitespace (but not the non-breaking spaces of the first line)
+ * from the start and the end of the content.
+ */
+function trimContent(body) {
+	var n;
+	while ((n = body.firstChild) && DU.isText(n)) {
+		n.nodeValue = n.nodeValue.replace(/^[ \t\n\r]+/, '');
+		if (n.nodeValue) {
+			break;
+		}
+		body.removeChild(n);
+	}
+	while ((n = body.lastChild) && DU.isText(n)) {
+		n.nodeValue = n.nodeValue.replace(/[ \t\n\r]+$/, '');
+		if (n.nodeValue) {
+			break;
+		}
+		body.removeChild(n);
+	}
+}
+
+var toDOM = function(manager, pipelineOpts, extToken) {
+	var extSrc = extToken.getAttribute('source');
+	var tagWidths = extToken.dataAttribs.tagWidths;
+	var tsr = extToken.dataAttribs.tsr;
+	var start = tsr[0] + tagWidths[0];
+	var content = extSrc.substring(tagWidths[0], extSrc.length - tagWidths[1]);
+
+	// The newlines after the start tag and before the end tag don't count.
+	if (/^\n/.test(content)) {
+		content = content.substring(1);
+		start++;
+	}
+	content = content.replace(/\n$/, '');
+
+	return Util.parseWikitextToDOM(manager, content, {
+		pipelineOpts: {
+			extTag: 'poem',
+			inTemplate: pipelineOpts.inTemplate,
+			wrapTemplates: true,
+			noPre: true,
+			noPWrapping: true,
+		},
+		srcOffsets: [start, start + content.length],
+	}).then(function(doc) {
+		var body = doc.body;
+		var child = body.firstChild;
+		while (child) {
+			var next = child.nextSibling;
+			if (child.nodeName === 'DL' && !child.getAttribute('about')) {
+				indentVerses(child);
+			}
+			child = next;
+		}
+		breakLines(body, { sol: true, afterHr: false });
+		trimContent(body);
+
+		var div = doc.createElement('div');
+		Sanitizer.sanitizeAttributes(manager, 'div',
+			extToken.getAttribute('options')).forEach(function(kv) {
+			div.setAttribute(kv.k, kv.v);
+		});
+		div.setAttribute('class',
+			(div.getAttribute('class') ? div.getAttribute('class') + ' ' : '') + 'poem');
+		div.appendChild(doc.createTextNode('\n'));
+		DU.migrateChildren(body, div);
+		div.appendChild(doc.createTextNode('\n'));
+		body.appendChild(div);
+
+		// Remember what was rendered, to tell edits of the DOM from those
+		// of data-mw.
+		DU.storeNativeExtensionInfo(div, extToken);
+		return doc;
+	});
+};
+
+/**
+ * Regenerate the source of the poem from the DOM, line by line.
+ */
+var serializeLines = function(node, state) {
+	var doc = node.ownerDocument;
+	var lines = [];
+	var line = null;
+	var newLine = function() {
+		line = { indent: 0, content: doc.createElement('div') };
+		lines.push(line);
+	};
+	var add = function(n) {
+		line.content.appendChild(n.cloneNode(true));
+	};
+
+	newLine();
+	var child = node.firstChild;
+	while (child) {
+		var next = child.nextSibling;
+		if (DU.isText(child)) {
+			var parts = child.nodeValue.split('\n');
+			for (var i = 0; i < parts.length; i++) {
+				if (i > 0) {
+					newLine();
+				}
+				if (parts[i]) {
+					line.content.appendChild(doc.createTextNode(parts[i]));
+				}
+			}
+		} else if (child.nodeName === 'BR' && next && DU.isText(next) &&
+				/^\n/.test(next.nodeValue)) {
+			// A line break of the poem
+		} else if (DU.isElt(child) && child.getAttribute('about')) {
+			// Keep transclusions in one piece.
+			var siblings = DU.getAboutSiblings(child, child.getAttribute('about'));
+			siblings.forEach(add);
+			next = siblings[siblings.length - 1].nextSibling;
+		} else if (DU.hasClass(child, INDENT_CLASS) && !line.content.firstChild) {
+			var m = /margin-left:\s*(\d+)em/.exec(child.getAttribute('style') || '');
+			line.indent = m ? Number(m[1]) : 1;
+			for (var c = child.firstChild; c; c = c.nextSibling) {
+				add(c);
+			}
+		} else {
+			add(child);
+		}
+		child = next;
+	}
+
+	// The newlines after the start tag and before the end tag
+	if (lines.length > 1 && !lines[0].content.firstChild && !lines[0].indent) {
+		lines.shift();
+	}
+	if (lines.length > 1 && !lines[lines.length - 1].content.firstChild) {
+		lines.pop();
+	}
+
+	return Promise.map(lines, function(l) {
+		return state.serializer.serializeHTML({
+			env: state.env,
+			extName: 'poem',
+		}, l.content.innerHTML).then(function(wt) {
+			// Leading spaces are kept as they are in poems.
+			wt = wt.replace(/^(?:\u00a0|&nbsp;|&#160;|&#xa0;)+/i, function(spaces) {
+				return spaces.replace(/\u00a0|&[^;]+;/g, ' ');
+			});
+			return ':'.repeat(l.indent) + wt;
+		});
+	});
+};
+
+var serialHandler = {
+	handle: Promise.method(function(node, state, wrapperUnmodified) {
+		var dataMW = DU.getDataMw(node);
+		var dp = DU.getDataParsoid(node);
+		if (dataMW.body && dp.contentHash === DU.contentHash(node)) {
+			// The DOM wasn't edited, but data-mw might have been.
+			return state.serializer.defaultExtensionHandler(node, dataMW);
+		}
+		var src = (dataMW.body && dataMW.body.extsrc) || '\n\n';
+		return serializeLines(node, state).then(function(lines) {
+			return state.serializer.defaultExtensionHandler(node,
+				Object.assign({}, dataMW, {
+					body: {
+						extsrc: (/^\n/.test(src) ? '\n' : '') + lines.join('\n') +
+							(/\n$/.test(src) ? '\n' : ''),
+					},
+				}));
+		});
+	}),
+};
+
+/**
+ * Native Parsoid implementation of the Poem extension
+ */
+module.exports = function() {
+	this.config = {
+		tags: [
+			{
+				name: 'poem',
+				toDOM: toDOM,
+				serialHandler: serialHandler,
+			},
+		],
+	};
+};
@@ -0,0 +1,446 @@
+/* ----------------------------------------------------------------------
+ * This file implements the <syntaxhighlight> (and <source>) extension tags
+ * natively in Parsoid.
+ *
+ * When MediaWiki expands the extensions of the wiki, the code is
+ * highlighted by its SyntaxHighlight extension (with Pygments), as it
+ * would be without this file; Parsoid only provides the data-mw and the
+ * serialization of the edited code.  Otherwise, a small local
+ * highlighter is used, which knows the comments, strings, numbers and
+ * keywords of a few common languages and emits the same (Pygments)
+ * classes, so that the extension's styles apply.  Code in other
+ * languages is shown as plain text.
+ * ---------------------------------------------------------------------- */
+'use strict';
+require('../../core-upgrade.js');
+
+var DU = require('../utils/DOMUtils.js').DOMUtils;
+var Promise = require('../utils/promise.js');
+var Sanitizer = require('../wt2html/tt/Sanitizer.js').Sanitizer;
+
+var words = function(s) {
+	return s.split(' ');
+};
+
+var C_COMMENTS = [
+	{ re: /\/\/.*/, cls: 'c1' },
+	{ re: /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/, cls: 'cm' },
+];
+var C_STRINGS = [
+	{ re: /"(?:[^"\\\n]|\\[\s\S])*"?/, cls: 's2' },
+	{ re: /'(?:[^'\\\n]|\\[\s\S])*'?/, cls: 's1' },
+];
+var NUMBERS = [
+	{ re: /\b0[xX][0-9a-fA-F]+\b/, cls: 'mh' },
+	{ re: /\b\d+\.\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|\b\d+[eE][+-]?\d+/, cls: 'mf' },
+	{ re: /\b\d+\b/, cls: 'mi' },
+];
+
+/**
+ * The languages known to the highlighter.  The rules of a language are
+ * tried in order at every position of the code; keywords and constants
+ * are matched as whole words.
+ */
+var LANGUAGES = {
+	c: {
+		rules: [{ re: /^[ \t]*#[ \t]*\w+/m, cls: 'cp' }].concat(C_COMMENTS, C_STRINGS, NUMBERS),
+		keywords: words('auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while'),
+		constants: words('NULL true false'),
+	},
+	cpp: {
+		rules: [{ re: /^[ \t]*#[ \t]*\w+/m, cls: 'cp' }].concat(C_COMMENTS, C_STRINGS, NUMBERS),
+		keywords: words('auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend goto if inline int long namespace new operator private protected public register return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while'),
+		constants: words('NULL nullptr true false'),
+	},
+	java: {
+		rules: [{ re: /@\w+/, cls: 'nd' }].concat(C_COMMENTS, C_STRINGS, NUMBERS),
+		keywords: words('abstract boolean break byte case catch char class continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public return short static super switch synchronized this throw throws transient try void volatile while'),
+		constants: words('null true false'),
+	},
+	javascript: {
+		rules: C_COMMENTS.concat([{ re: /`(?:[^`\\]|\\[\s\S])*`?/, cls: 'sb' }], C_STRINGS, NUMBERS),
+		keywords: words('break case catch class const continue debugger default delete do else export extends finally for function if import in instanceof let new return super switch this throw try typeof var void while with yield'),
+		constants: words('null undefined true false NaN Infinity'),
+	},
+	json: {
+		rules: C_STRINGS.concat(NUMBERS),
+		keywords: [],
+		constants: words('null true false'),
+	},
+	php: {
+		rules: [
+			{ re: /<\?(?:php)?|\?>/, cls: 'cp' },
+			{ re: /#.*/, cls: 'c1' },
+			{ re: /\$\w+/, cls: 'nv' },
+		].concat(C_COMMENTS, C_STRINGS, NUMBERS),
+		keywords: words('abstract and array as break case catch class clone const continue declare default do echo else elseif empty endfor endforeach endif endswitch endwhile extends final finally for foreach function global if implements include include_once instanceof interface isset list namespace new or print private protected public require require_once return static switch throw trait try unset use var while xor yield'),
+		constants: words('null true false NULL TRUE FALSE'),
+	},
+	python: {
+		rules: [
+			{ re: /#.*/, cls: 'c1' },
+			{ re: /[rRbBuU]?(?:"""[\s\S]*?(?:"""|(?![\s\S]))|'''[\s\S]*?(?:'''|(?![\s\S])))/, cls: 'sd' },
+			{ re: /[rRbBuU]?"(?:[^"\\\n]|\\[\s\S])*"?/, cls: 's2' },
+			{ re: /[rRbBuU]?'(?:[^'\\\n]|\\[\s\S])*'?/, cls: 's1' },
+			{ re: /@\w+/, cls: 'nd' },
+		].concat(NUMBERS),
+		keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield'),
+		constants: words('None True False'),
+	},
+	bash: {
+		rules: [
+			{ re: /#.*/, cls: 'c1' },
+			{ re: /"(?:[^"\\]|\\[\s\S])*"?/, cls: 's2' },
+			{ re: /'[^']*'?/, cls: 's1' },
+			{ re: /\$(?:\w+|\{[^}\n]*\}?|.)/, cls: 'nv' },
+		].concat(NUMBERS),
+		keywords: words('case do done elif else esac export fi for function if in local return select then until while'),
+		constants: words('true false'),
+	},
+	lua: {
+		rules: [
+			{ re: /--\[(=*)\[[\s\S]*?(?:\]\1\]|(?![\s\S]))/, cls: 'cm' },
+			{ re: /--.*/, cls: 'c1' },
+			{ re: /\[(=*)\[[\s\S]*?(?:\]\1\]|(?![\s\S]))/, cls: 's' },
+		].concat(C_STRINGS, NUMBERS),
+		keywords: words('and break do else elseif end for function goto if in local not or repeat return then until while'),
+		constants: words('nil true false'),
+	},
+	sql: {
+		rules: [
+			{ re: /--.*/, cls: 'c1' },
+			{ re: /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/, cls: 'cm' },
+			{ re: /'(?:[^']|'')*'?/, cls: 's1' },
+			{ re: /`[^`]*`?/, cls: 'nv' },
+		].concat(NUMBERS),
+		keywords: words('add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary right select set table then union update values when where'),
+		constants: [],
+		ignoreCase: true,
+	},
+	css: {
+		rules: [
+			{ re: /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/, cls: 'cm' },
+		].concat(C_STRINGS, [
+			{ re: /#[0-9a-fA-F]{3,8}\b/, cls: 'mh' },
+			{ re: /-?\b\d*\.?\d+(?:%|[a-z]+)?/, cls: 'm' },
+			{ re: /@[\w-]+/, cls: 'k' },
+			{ re: /[\w-]+(?=\s*:)/, cls: 'nt' },
+		]),
+		keywords: words('important inherit initial none auto'),
+		constants: [],
+	},
+};
+
+// Other names of the languages
+var ALIASES = {
+	'c++': 'cpp',
+	js: 'javascript',
+	py: 'python',
+	python3: 'python',
+	sh: 'bash',
+	shell: 'bash',
+	mysql: 'sql',
+};
+
+var getLanguage = function(name) {
+	name = (name || '').toLowerCase();
+	if (ALIASES.hasOwnProperty(name)) {
+		name = ALIASES[name];
+	}
+	return LANGUAGES.hasOwnProperty(name) ? name : null;
+};
+
+// Compile the rules of a language to a single regexp, with a group per rule.
+var compiled = new Map();
+var compile = function(lang) {
+	if (!compiled.has(lang)) {
+		var spec = LANGUAGES[lang];
+		var rules = spec.rules.slice();
+		[['k', spec.keywords], ['kc', spec.constants]].forEach(function(kw) {
+			if (kw[1].length) {
+				rules.push({ re: new RegExp('\\b(?:' + kw[1].join('|') + ')\\b'), cls: kw[0] });
+			}
+		});
+		// Identifiers are matched too, so that the rules don't match
+		// inside them.
+		rules.push({ re: /[A-Za-z_$][\w$]*/, cls: null });
+		// Every rule is a group of the regexp, and the back-references
+		// of a rule are renumbered after the groups before it.
+		var groupRules = [];
+		var groups = 0;
+		var source = rules.map(function(rule) {
+			var offset = groups + 1;
+			groupRules[offset] = rule;
+			groups += 1 + (new RegExp(rule.re.source + '|')).exec('').length - 1;
+			return '(' + rule.re.source.replace(/\\(\d)/g, function(m, n) {
+				return '\\' + (Number(n) + offset);
+			}) + ')';
+		}).join('|');
+		compiled.set(lang, {
+			re: new RegExp(source, 'g' + (spec.ignoreCase ? 'i' : '') + 'm'),
+			groupRules: groupRules,
+		});
+	}
+	return compiled.get(lang);
+};
+
+/**
+ * Split code into tokens of a language.
+ *
+ * @param {string} code
+ * @param {string|null} lang
+ * @return {Object[]} The tokens, with the text and the class of each.
+ */
+var tokenize = function(code, lang) {
+	if (!lang) {
+		return [{ text: code, cls: null }];
+	}
+	var c = compile(lang);
+	var tokens = [];
+	var pos = 0;
+	var m;
+	c.re.lastIndex = 0;
+	while ((m = c.re.exec(code)) !== null) {
+		if (m[0] === '') {
+			// Don't loop on empty matches.
+			c.re.lastIndex++;
+			continue;
+		}
+		if (m.index > pos) {
+			tokens.push({ text: code.substring(pos, m.index), cls: null });
+		}
+		for (var i = 1; i < m.length; i++) {
+			if (m[i] !== undefined && c.groupRules[i]) {
+				tokens.push({ text: m[0], cls: c.groupRules[i].cls });
+				break;
+			}
+		}
+		pos = c.re.lastIndex;
+	}
+	if (pos < code.length) {
+		tokens.push({ text: code.substring(pos), cls: null });
+	}
+	return tokens;
+};
+
+// Parse a list of lines like "1,4-6" (as the highlight option).
+var parseLines = function(spec) {
+	var lines = new Set();
+	(spec || '').split(',').forEach(function(range) {
+		var m = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(range);
+		if (m) {
+			var end = Math.min(Number(m[2] || m[1]), Number(m[1]) + 1000);
+			for (var i = Number(m[1]); i <= end; i++) {
+				lines.add(i);
+			}
+		}
+	});
+	return lines;
+};
+
+// Like the extension, ignore leading newlines and trailing whitespace.
+var trimCode = function(src) {
+	return src.replace(/^\n+/, '').replace(/\s+$/, '');
+};
+
+/**
+ * Render highlighted code in a document.
+ *
+ * @param {Document} doc
+ * @param {string} code
+ * @param {Object} opts The options of the tag.
+ * @return {Node}
+ */
+var render = function(doc, code, opts) {
+	var lang = getLanguage(opts.lang);
+	var inline = opts.hasOwnProperty('inline') || opts.enclose === 'none';
+	var lineNumbers = opts.hasOwnProperty('line');
+	var highlighted = parseLines(opts.highlight);
+	var start = /^\d+$/.test(opts.start || '') ? Number(opts.start) : 1;
+
+	// Split the tokens into lines, so that lines can be numbered and
+	// highlighted.
+	var lines = [[]];
+	tokenize(code, lang).forEach(function(tok) {
+		tok.text.split('\n').forEach(function(text, i) {
+			if (i > 0) {
+				lines.push([]);
+			}
+			if (text) {
+				lines[lines.length - 1].push({ text: text, cls: tok.cls });
+			}
+		});
+	});
+
+	var container = doc.createElement(inline ? 'code' : 'pre');
+	lines.forEach(function(line, i) {
+		var parent = container;
+		if (i > 0) {
+			container.appendChild(doc.createTextNode('\n'));
+		}
+		if (lineNumbers && !inline) {
+			var num = doc.createElement('span');
+			num.setAttribute('class', 'linenos');
+			num.appendChild(doc.createTextNode(String(start + i)));
+			container.appendChild(num);
+		}
+		if (highlighted.has(i + 1)) {
+			parent = doc.createElement('span');
+			parent.setAttribute('class', 'hll');
+			container.appendChild(parent);
+		}
+		line.forEach(function(tok) {
+			var text = doc.createTextNode(tok.text);
+			if (tok.cls) {
+				var span = doc.createElement('span');
+				span.setAttribute('class', tok.cls);
+				span.appendChild(text);
+				parent.appendChild(span);
+			} else {
+				parent.appendChild(text);
+			}
+		});
+	});
+
+	var wrapper = container;
+	if (!inline) {
+		wrapper = doc.createElement('div');
+		wrapper.appendChild(container);
+	}
+	wrapper.setAttribute('class', 'mw-highlight mw-highlight-lang-' +
+		(lang ? opts.lang.toLowerCase() : 'text') + ' mw-content-ltr' +
+		(lineNumbers ? ' mw-highlight-lines' : ''));
+	wrapper.setAttribute('dir', 'ltr');
+	return wrapper;
+};
+
+/**
+ * Get the code shown by a rendered tag, without the line numbers (of
+ * the local highlighter, or of Pygments).
+ */
+var getCode = function(node) {
+	var text = [];
+	var addText = function(n) {
+		for (var c = n.firstChild; c; c = c.nextSibling) {
+			if (DU.isText(c)) {
+				text.push(c.nodeValue);
+			} else if (DU.isElt(c) && !DU.hasClass(c, 'linenos') &&
+					!DU.hasClass(c, 'lineno')) {
+				addText(c);
+			}
+		}
+	};
+	addText(node);
+	return text.join('');
+};
+
+/**
+ * Render a tag with the SyntaxHighlight extension of the wiki.
+ *
+ * @param {MWParserEnvironment} env
+ * @param {Token} extToken
+ * @return {Promise} A promise for the document of the html.
+ */
+var renderWithMediaWiki = function(env, extToken) {
+	return new Promise(function(resolve, reject) {
+		var html = env.batcher.parse(env.page.name,
+			extToken.getAttribute('source'), function(err, result) {
+				if (err) {
+					reject(err);
+				} else {
+					resolve(result);
+				}
+			});
+		if (html !== undefined) {
+			resolve(html);
+		}
+	}).then(function(html) {
+		var doc = DU.parseHTML(html);
+		var first = doc.body.firstElementChild;
+		if (first) {
+			DU.storeNativeExtensionInfo(first, extToken);
+		}
+		return doc;
+	});
+};
+
+var toDOM = Promise.method(function(manager, pipelineOpts, extToken) {
+	var env = manager.env;
+	if (env.conf.parsoid.expandExtensions && env.conf.parsoid.usePHPPreProcessor &&
+			env.conf.wiki.apiURI !== null) {
+		return renderWithMediaWiki(env, extToken);
+	}
+
+	var extSrc = extToken.getAttribute('source');
+	var tagWidths = extToken.dataAttribs.tagWidths;
+	var code = trimCode(extSrc.substring(tagWidths[0], extSrc.length - tagWidths[1]));
+	var options = extToken.getAttribute('options');
+	var opts = {};
+	options.forEach(function(kv) {
+		opts[kv.k.toLowerCase()] = kv.v;
+	});
+
+	var doc = DU.parseHTML('');
+	var node = render(doc, code, opts);
+	// The extension allows these attributes on the container.
+	Sanitizer.sanitizeAttributes(manager, 'div', options.filter(function(kv) {
+		return /^(class|style|id|dir)$/i.test(kv.k);
+	})).forEach(function(kv) {
+		if (kv.k === 'class') {
+			node.setAttribute('class', node.getAttribute('class') + ' ' + kv.v);
+		} else {
+			node.setAttribute(kv.k, kv.v);
+		}
+	});
+	doc.body.appendChild(node);
+
+	// Remember what was rendered, to tell edits of the DOM from those
+	// of data-mw.
+	DU.storeNativeExtensionInfo(node, extToken);
+	return doc;
+});
+
+var serialHandler = {
+	handle: Promise.method(function(node, state, wrapperUnmodified) {
+		var dataMW = DU.getDataMw(node);
+		var dp = DU.getDataParsoid(node);
+		if (dataMW.body && dp.contentHash === DU.contentHash(node)) {
+			// The DOM wasn't edited, but data-mw might have been.
+			return state.serializer.defaultExtensionHandler(node, dataMW);
+		}
+		// Regenerate the source with the code shown, keeping the
+		// whitespace around it.
+		var src = (dataMW.body && dataMW.body.extsrc) || '\n\n';
+		return state.serializer.defaultExtensionHandler(node,
+			Object.assign({}, dataMW, {
+				body: {
+					extsrc: /^\n*/.exec(src)[0] + getCode(node) +
+						/\s*$/.exec(src.replace(/^\n+/, ''))[0],
+				},
+			}));
+	}),
+};
+
+/**
+ * Native Parsoid implementation of the SyntaxHighlight extension
+ */
+module.exports = function() {
+	this.config = {
+		tags: [
+			{
+				name: 'syntaxhighlight',
+				toDOM: toDOM,
+				serialHandler: serialHandler,
+			}, {
+				name: 'source',
+				toDOM: toDOM,
+				serialHandler: serialHandler,
+			},
+		],
+	};
+};
+
+// For the tests
+module.exports.tokenize = function(code, lang) {
+	return tokenize(code, getLanguage(lang));
+};
@@ -1,11 +1,279 @@
+/* ----------------------------------------------------------------------
+ * This file implements the markup of the Translate extension natively in
+ * Parsoid.
+ *
+ * The content of <translate> is rendered as wikitext, as on the source of
+ * a translatable page.  It is made of translation units, separated by
+ * blank lines.  Once the page is marked for translation, each unit starts
+ * with a <!--T:n--> marker (headings end with it instead), and parts of
+ * units which aren't translated are marked as variables, with
+ * <tvar name="x">...</tvar> (or the older <tvar|x>...</>).
+ *
+ * The units are described in data-mw.body.units, and units added when the
+ * content is edited are given fresh markers.
+ * ---------------------------------------------------------------------- */
 'use strict';
+require('../../core-upgrade.js');
 
-// Translate constructor
+var DU = require('../utils/DOMUtils.js').DOMUtils;
+var Promise = require('../utils/promise.js');
+var Sanitizer = require('../wt2html/tt/Sanitizer.js').Sanitizer;
+var Util = require('../utils/Util.js').Util;
+
+var MARKER_RE = /<!--T:([^_\/\n<>]+)-->/;
+var TVAR_RE = /<tvar\s+name\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s'">]+))\s*>([\s\S]*?)<\/tvar\s*>|<tvar\|([^>]+)>([\s\S]*?)<\/>/g;
+var HEADING_RE = /^=.*=[ \t]*(?:<!--T:[^_\/\n<>]+-->[ \t]*)?$/;
+
+/**
+ * Split the content of a <translate> tag in translation units, separated
+ * by blank lines.
+ *
+ * @param {string} src
+ * @return {Object[]} The `id` of the marker of the units (`null` for
+ *   units which have none yet), their `source` without the marker, and
+ *   the values of their `vars`, by name.
+ */
+var parseUnits = function(src) {
+	return src.split(/\n[ \t]*\n\s*/).filter(function(chunk) {
+		return /\S/.test(chunk);
+	}).map(function(chunk) {
+		chunk = chunk.trim();
+		var m = MARKER_RE.exec(chunk);
+		var lines = chunk.split('\n');
+		// Markers start units, or end the line of headings.
+		var atStart = m && m.index === 0;
+		var inHeading = m && !atStart && HEADING_RE.test(lines[0]) &&
+			m.index < lines[0].length;
+		var source = chunk;
+		if (atStart) {
+			source = chunk.substring(m[0].length).replace(/^[ \t]*\n/, '');
+		} else if (inHeading) {
+			source = chunk.substring(0, m.index).replace(/[ \t]+$/, '') +
+				chunk.substring(m.index + m[0].length);
+		}
+		var vars = {};
+		source.replace(TVAR_RE, function(all, n1, n2, n3, v, oldName, oldValue) {
+			if (oldName !== undefined) {
+				vars[oldName.trim()] = oldValue;
+			} else {
+				vars[[n1, n2, n3].find(function(n) { return n !== undefined; })] = v;
+			}
+			return all;
+		});
+		return {
+			id: (atStart || inHeading) ? m[1] : null,
+			source: source,
+			vars: vars,
+		};
+	});
+};
+
+// Add the marker of a unit to its source
+var addMarker = function(source, id) {
+	return source.replace(/^(\s*)([^\n]*)/, function(all, space, line) {
+		var marker = '<!--T:' + id + '-->';
+		return HEADING_RE.test(line) ?
+			space + line.replace(/[ \t]*$/, ' ' + marker) :
+			space + marker + '\n' + line;
+	});
+};
+
+/**
+ * Add markers to the units without one, numbering them after the largest
+ * id in use.  The content of tags which weren't marked for translation yet
+ * (without any marker) is left alone.
+ *
+ * @param {string} src
+ * @param {string[]} [usedIds] Ids which shouldn't be reused, like those of
+ *   deleted units.
+ * @return {string}
+ */
+var markUnits = function(src, usedIds) {
+	var units = parseUnits(src);
+	if (!units.some(function(u) { return u.id !== null; })) {
+		return src;
+	}
+	var next = units.map(function(u) { return u.id; })
+		.concat(usedIds || [])
+		.reduce(function(max, id) {
+			return /^\d+$/.test(id) ? Math.max(max, Number(id)) : max;
+		}, 0) + 1;
+	return src.split(/(\n[ \t]*\n\s*)/).map(function(chunk, i) {
+		// The odd chunks are separators
+		if (i % 2 || !/\S/.test(chunk) || MARKER_RE.test(chunk)) {
+			return chunk;
+		}
+		return addMarker(chunk, next++);
+	}).join('');
+};
+
+/**
+ * Change the source of a unit, keeping its marker, or add a unit (which
+ * is given a marker when serialized) after the others.
+ *
+ * @param {string} src
+ * @param {number} index The index of the unit in parseUnits(src), or the
+ *   number of units to add one.
+ * @param {string} source
+ * @return {string}
+ */
+var replaceUnit = function(src, index, source) {
+	var units = parseUnits(src);
+	source = source.trim();
+	if (index >= units.length) {
+		return src.replace(/\s*$/, function(space) {
+			return (units.length ? '\n\n' : '') + source +
+				(/\n/.test(space) ? '\n' : space);
+		});
+	}
+	var id = units[index].id;
+	var n = 0;
+	return src.split(/(\n[ \t]*\n\s*)/).map(function(chunk, i) {
+		if (i % 2 || !/\S/.test(chunk) || n++ !== index) {
+			return chunk;
+		}
+		return chunk.replace(/^(\s*)[\s\S]*?(\s*)$/, function(all, before, after) {
+			return before + (id === null ? source : addMarker(source, id)) + after;
+		});
+	}).join('');
+};
+
+/**
+ * Render the content of the tag as wikitext, in a <div> if it has several
+ * lines, and in a <span> otherwise.
+ */
+var renderContent = function(manager, pipelineOpts, extToken) {
+	var extName = extToken.getAttribute('name');
+	var extSrc = extToken.getAttribute('source');
+	var tagWidths = extToken.dataAttribs.tagWidths;
+	var start = extToken.dataAttribs.tsr[0] + tagWidths[0];
+	var content = extSrc.substring(tagWidths[0], extSrc.length - tagWidths[1]);
+	var inline = !/\n/.test(content);
+
+	return Util.parseWikitextToDOM(manager, content, {
+		pipelineOpts: {
+			extTag: extName,
+			inTemplate: pipelineOpts.inTemplate,
+			wrapTemplates: true,
+			noPWrapping: inline,
+		},
+		srcOffsets: [start, start + content.length],
+	}).then(function(doc) {
+		var wrapper = doc.createElement(inline ? 'span' : 'div');
+		if (extName === 'translate') {
+			Sanitizer.sanitizeAttributes(manager, wrapper.nodeName.toLowerCase(),
+				extToken.getAttribute('options')).forEach(function(kv) {
+				wrapper.setAttribute(kv.k, kv.v);
+			});
+		}
+		DU.migrateChildren(doc.body, wrapper);
+		doc.body.appendChild(wrapper);
+		return wrapper;
+	});
+};
+
+var translateToDOM = function(manager, pipelineOpts, extToken) {
+	return renderContent(manager, pipelineOpts, extToken).then(function(wrapper) {
+		var extSrc = Util.extractExtBody('translate', extToken.getAttribute('source'));
+		// Added to the data-mw of the extension by the ExtensionHandler
+		DU.storeDataMw(wrapper, { body: { units: parseUnits(extSrc) } });
+		// Remember what was rendered, to tell edits of the DOM from those
+		// of data-mw.
+		DU.storeNativeExtensionInfo(wrapper, extToken);
+		return wrapper.ownerDocument;
+	});
+};
+
+var tvarToDOM = function(manager, pipelineOpts, extToken) {
+	return renderContent(manager, pipelineOpts, extToken).then(function(wrapper) {
+		DU.storeNativeExtensionInfo(wrapper, extToken);
+		return wrapper.ownerDocument;
+	});
+};
+
+/**
+ * Regenerate the content of a tag from its DOM, keeping the newlines
+ * after the start tag and before the end tag.
+ */
+var serializeContent = function(node, state, extName, src) {
+	return state.serializer.serializeHTML({
+		env: state.env,
+		extName: extName,
+	}, node.innerHTML).then(function(wt) {
+		return (/^\n/.test(src) ? '\n' : '') + wt.replace(/^\n+|\n+$/g, '') +
+			(/\n$/.test(src) ? '\n' : '');
+	});
+};
+
+var translateSerialHandler = {
+	handle: Promise.method(function(node, state, wrapperUnmodified) {
+		var serializer = state.serializer;
+		var dataMW = DU.getDataMw(node);
+		var dp = DU.getDataParsoid(node);
+		if (!dataMW.body) {
+			return serializer.defaultExtensionHandler(node, dataMW);
+		}
+		var origSrc = dp.src ? Util.extractExtBody('translate', dp.src) : null;
+		var src = dataMW.body.extsrc || '';
+		var p;
+		if (dp.contentHash === DU.contentHash(node)) {
+			// The DOM wasn't edited, but data-mw might have been.
+			if (src === origSrc) {
+				return serializer.defaultExtensionHandler(node, dataMW);
+			}
+			p = Promise.resolve(src);
+		} else {
+			p = serializeContent(node, state, 'translate', src);
+		}
+		return p.then(function(extsrc) {
+			// Don't reuse the ids of units which were removed.
+			var usedIds = (dataMW.body.units || []).map(function(u) {
+				return u.id;
+			}).concat(origSrc === null ? [] : parseUnits(origSrc).map(function(u) {
+				return u.id;
+			})).filter(function(id) { return id !== null; });
+			return serializer.defaultExtensionHandler(node,
+				Object.assign({}, dataMW, {
+					body: { extsrc: markUnits(extsrc, usedIds) },
+				}));
+		});
+	}),
+};
+
+var tvarSerialHandler = {
+	handle: Promise.method(function(node, state, wrapperUnmodified) {
+		var dataMW = DU.getDataMw(node);
+		var dp = DU.getDataParsoid(node);
+		if (!dataMW.body || dp.contentHash === DU.contentHash(node)) {
+			return state.serializer.defaultExtensionHandler(node, dataMW);
+		}
+		return serializeContent(node, state, 'tvar', dataMW.body.extsrc || '')
+			.then(function(extsrc) {
+				return state.serializer.defaultExtensionHandler(node,
+					Object.assign({}, dataMW, { body: { extsrc: extsrc } }));
+			});
+	}),
+};
+
+/**
+ * Native Parsoid implementation of the Translate extension markup
+ */
 module.exports = function() {
 	this.config = {
 		tags: [
-			{ name: 'translate' },
-			{ name: 'tvar' },
+			{
+				name: 'translate',
+				toDOM: translateToDOM,
+				serialHandler: translateSerialHandler,
+			}, {
+				name: 'tvar',
+				toDOM: tvarToDOM,
+				serialHandler: tvarSerialHandler,
+			},
 		],
 	};
 };
+
+module.exports.parseUnits = parseUnits;
+module.exports.markUnits = markUnits;
+module.exports.replaceUnit = replaceUnit;
@@ -38,6 +38,54 @@ DDP.diff = function(node) {
 	return { isEmpty: !foundChange, dom: workNode };
 };
 
+/**
+ * Diff only some subtrees of an HTML document against their original
+ * versions, and annotate a copy of the passed-in DOM with change
+ * information.  This is used when the changes to the document are
+ * known, as with the JavaScript API, so that the rest of the document
+ * is neither compared nor marked as modified.
+ *
+ * @param {Node} node The body of the edited document.
+ * @param {Object[]} subtrees
+ * @param {Node} subtrees.orig The original version of the subtree.
+ * @param {Number[]} subtrees.path The path to the edited version of the
+ *   subtree from `node`, as a list of child indexes.
+ */
+DDP.diffSubtrees = function(node, subtrees) {
+	this.domA = this.domB = node.ownerDocument;
+
+	var workNode = node.cloneNode(true);
+	var foundChange = false;
+	subtrees.forEach(function(subtree) {
+		var newNode = subtree.path.reduce(function(n, i) {
+			return n.childNodes[i];
+		}, workNode);
+		var changed = false;
+		if (newNode === workNode) {
+			changed = this.doDOMDiff(subtree.orig, newNode);
+		} else if (!this.treeEquals(subtree.orig, newNode, false)) {
+			this.markNode(newNode, 'modified-wrapper');
+			this.markNode(newNode.parentNode, 'children-changed');
+			if (!DU.isEncapsulationWrapper(subtree.orig) &&
+				!DU.isEncapsulationWrapper(newNode)) {
+				this.doDOMDiff(subtree.orig, newNode);
+			}
+			changed = true;
+		} else if (!DU.isEncapsulationWrapper(newNode) &&
+			this.doDOMDiff(subtree.orig, newNode)) {
+			this.markNode(newNode, 'subtree-changed');
+			changed = true;
+		}
+		if (changed) {
+			for (var n = newNode.parentNode; n && n !== workNode; n = n.parentNode) {
+				this.markNode(n, 'subtree-changed');
+			}
+			foundChange = true;
+		}
+	}, this);
+	return { isEmpty: !foundChange, dom: workNode };
+};
+
 // These attributes are ignored for equality purposes if they are added to a node.
 var ignoreAttributes = new Set([
 	// SSS: Don't ignore data-parsoid because in VE, sometimes wrappers get
@@ -312,8 +360,8 @@ DDP.doDOMDiff = function(baseParentNode, newParentNode) {
 					// Mark modified-wrapper, and recurse.
 					this.debug("--found diff: modified-wrapper--");
 					this.markNode(savedNewNode, 'modified-wrapper');
-					if (!DU.isTplOrExtToplevelNode(baseNode) &&
-						!DU.isTplOrExtToplevelNode(savedNewNode)) {
+					if (!DU.isEncapsulationWrapper(baseNode) &&
+						!DU.isEncapsulationWrapper(savedNewNode)) {
 						// Dont recurse into template-like-content
 						this.doDOMDiff(baseNode, savedNewNode);
 					}
@@ -333,9 +381,11 @@ DDP.doDOMDiff = function(baseParentNode, newParentNode) {
 			this.markNode(newParentNode, 'children-changed');
 
 			foundDiffOverall = true;
-		} else if (!DU.isTplOrExtToplevelNode(baseNode) && !DU.isTplOrExtToplevelNode(newNode)) {
+		} else if (!DU.isEncapsulationWrapper(baseNode) && !DU.isEncapsulationWrapper(newNode)) {
 			this.debug("--shallow equal: recursing--");
-			// Recursively diff subtrees if not template-like content
+			// Recursively diff subtrees if not template-like content.
+			// Nodes which only have an about id because of their expanded
+			// attributes, like links with templated targets, are diffed.
 			var subtreeDiffers = this.doDOMDiff(baseNode, newNode);
 			if (subtreeDiffers) {
 				this.debug("--found diff: subtree-changed--");
@@ -522,12 +522,14 @@ function treatAsPPTransition(node) {
 	// * block node or literal HTML node
 	// * template wrapper
 	// * mw:Includes meta or a SOL-transparent link
+	// * language converter meta (markup without output, like rules)
 	return DU.isText(node) || (
 		!DU.isBlockNode(node) &&
 		!DU.isLiteralHTMLNode(node) &&
 		!DU.findFirstEncapsulationWrapperNode(node) &&
 		!DU.isSolTransparentLink(node) &&
-		!(/^mw:Includes\//.test(node.getAttribute('typeof'))));
+		!(/^mw:Includes\//.test(node.getAttribute('typeof'))) &&
+		!(node.nodeName === 'META' && DU.hasTypeOf(node, 'mw:LanguageVariant')));
 }
 
 /**
@@ -989,9 +991,11 @@ var tagHandlers = JSUtils.mapObject({
 									"$1" + contentInfo.value + "}}");
 							} else {
 								var magicWord = cat[1].toUpperCase();
-								state.env.log("warning", cat[1] +
-									' is missing source. Rendering as ' +
-									magicWord + ' magicword');
+								if (!DU.isNewElt(node)) {
+									state.env.log("warning", cat[1] +
+										' is missing source. Rendering as ' +
+										magicWord + ' magicword');
+								}
 								return "{{" + magicWord + ":" +
 									contentInfo.value + "}}";
 							}
@@ -1100,13 +1104,14 @@ var tagHandlers = JSUtils.mapObject({
 					});
 				} else if (/(?:^|\s)mw\:Image(\/(Frame|Frameless|Thumb))?/.test(type)) {
 					return state.serializer.figureHandler(node);
-				} else if (/(?:^|\s)mw\:Entity/.test(type) && node.childNodes.length === 1) {
+				} else if (/(?:^|\s)mw\:Entity/.test(type) && DU.numNonDeletedChildNodes(node) === 1) {
 					// handle a new mw:Entity (not handled by selser) by
 					// serializing its children
-					if (DU.isText(node.firstChild)) {
+					var child = DU.firstNonDeletedChildNode(node);
+					if (DU.isText(child)) {
 						state.emitChunk(
-							Util.entityEncodeAll(node.firstChild.nodeValue),
-							node.firstChild);
+							Util.entityEncodeAll(child.nodeValue),
+							child);
 						return;
 					} else {
 						return state.serializeChildren(node);
@@ -1546,10 +1551,19 @@ _htmlElementHandler = Promise.method(function(node, state, wrapperUnmodified) {
 
 htmlElementHandler = { handle: _htmlElementHandler };
 
+// Language converter markup is represented by a span, div or meta
+// element depending on its output; all of them serialize from data-mw.
+var languageVariantHandler = {
+	handle: Promise.method(function(node, state, wrapperUnmodified) {
+		return state.serializer.languageVariantHandler(node);
+	}),
+};
+
 
 if (typeof module === "object") {
 	module.exports.tagHandlers = tagHandlers;
 	module.exports.htmlElementHandler = htmlElementHandler;
+	module.exports.languageVariantHandler = languageVariantHandler;
 	module.exports._getEncapsulatedContentHandler =
 			_getEncapsulatedContentHandler;
 }
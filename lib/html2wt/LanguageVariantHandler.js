@@ -0,0 +1,155 @@
+'use strict';
+require('../../core-upgrade.js');
+
+var DU = require('../utils/DOMUtils.js').DOMUtils;
+var Promise = require('../utils/promise.js');
+var normalizeFlags = require('../wt2html/tt/LanguageVariantHandler.js').normalizeFlags;
+
+// A semicolon in a conversion rule text which would start a new rule
+// (see the ';' case of tokenizer.utils.js#inlineBreaks)
+var ruleSepRE = /^;\s*(?:[a-z][-a-z]*\s*:|[^;]*?=>\s*[a-z][-a-z]*\s*:|\}-|$)/;
+
+// Text which would be parsed as flags or conversion rules
+var flagsOrRulesRE = /^[^{}|;\[\]<>]*\||^\s*[a-z][-a-z]*\s*:|=>/;
+
+/**
+ * Escape the separators in the wikitext of a text which would end it
+ * early. Separators of nested `-{ }-` constructs are left alone.
+ *
+ * @param {string} wt
+ * @param {Object} [opts]
+ * @param {boolean} [opts.rule] The text is part of a conversion rule
+ * @param {boolean} [opts.from] The text is the source of a one-way rule
+ * @return {string}
+ */
+var escapeText = function(wt, opts) {
+	opts = opts || {};
+	var depth = 0;
+	return wt.replace(/-\{|\}-|;|=>/g, function(m, offset) {
+		if (m === '-{') {
+			depth++;
+		} else if (m === '}-') {
+			if (depth === 0) {
+				return '}&#45;';
+			}
+			depth--;
+		} else if (depth === 0) {
+			if (m === ';' && opts.rule && ruleSepRE.test(wt.slice(offset))) {
+				return '&#59;';
+			} else if (m === '=>' && opts.from) {
+				return '=&gt;';
+			}
+		}
+		return m;
+	});
+};
+
+/**
+ * Check whether the flags recorded in data-parsoid still describe
+ * the data-mw of the node.
+ */
+var origFlagsValid = function(env, dp, dataMW) {
+	if (!dp.fl) {
+		return false;
+	}
+	var nf = normalizeFlags(dp.fl, env.conf.wiki.variants);
+	if (dataMW.filter) {
+		return nf.flags.length === 0 &&
+			JSON.stringify(nf.variants) === JSON.stringify(dataMW.filter.l);
+	}
+	return (nf.flags.length > 0 || nf.variants.length === 0) &&
+		JSON.stringify(nf.flags) === JSON.stringify(dataMW.flags || []);
+};
+
+/**
+ * Serialize language converter markup (`-{ }-`) from the data-mw of
+ * a `mw:LanguageVariant` node. The original flags and whitespace are
+ * reused from data-parsoid where possible.
+ */
+var languageVariantHandler = Promise.method(function(node) {
+	var env = this.env;
+	var state = this.state;
+	var self = this;
+	var dataMW = DU.getDataMw(node);
+	var dp = DU.getDataParsoid(node);
+
+	var serializeText = function(html, opts) {
+		return self.serializeHTML({ env: env, onSOL: false }, html || '')
+			.then(function(wt) { return escapeText(wt, opts); });
+	};
+
+	var flags, flSp;
+	if (origFlagsValid(env, dp, dataMW)) {
+		flags = dp.fl;
+		flSp = dp.flSp;
+	} else if (dataMW.filter) {
+		flags = dataMW.filter.l;
+	} else {
+		flags = dataMW.flags || [];
+	}
+
+	var plain = dataMW.disabled || dataMW.name || dataMW.filter;
+	var twoway = dataMW.twoway || [];
+	var oneway = dataMW.oneway || [];
+	if (!plain && twoway.length === 1 && twoway[0].l === '*') {
+		// -{A|text}- and -{-|text}- apply to all variants
+		plain = twoway[0];
+		twoway = [];
+	}
+
+	var p;
+	if (plain) {
+		p = serializeText(plain.t).then(function(wt) {
+			// Make sure the text isn't parsed as flags or rules
+			if (!flags.length && flagsOrRulesRE.test(wt)) {
+				flags = dataMW.name ? ['N'] : ['R'];
+			}
+			return wt;
+		});
+	} else {
+		var tSp = dp.tSp || [];
+		if (tSp.length !== twoway.length + oneway.length + (dp.semi ? 1 : 0)) {
+			tSp = [];
+		}
+		p = Promise.all([
+			Promise.map(twoway, function(r, i) {
+				var sp = tSp[i] || ['', '', ''];
+				return serializeText(r.t, { rule: true }).then(function(t) {
+					return sp[0] + r.l + sp[1] + ':' + sp[2] + t;
+				});
+			}),
+			Promise.map(oneway, function(r, i) {
+				var sp = tSp[twoway.length + i] || ['', '', '', ''];
+				return Promise.join(
+					serializeText(r.f, { rule: true, from: true }),
+					serializeText(r.t, { rule: true })
+				).spread(function(f, t) {
+					return sp[0] + f + '=>' + sp[1] + r.l + sp[2] + ':' + sp[3] + t;
+				});
+			}),
+		]).spread(function(tw, ow) {
+			var wt = tw.concat(ow).join(';');
+			if (dp.semi) {
+				wt += ';' + (tSp.length ? tSp[tSp.length - 1][0] : '');
+			}
+			return wt;
+		});
+	}
+
+	return p.then(function(text) {
+		var wt = '-{';
+		if (flags.length) {
+			wt += flags.map(function(f, i) {
+				var sp = (flSp && flSp[i]) || ['', ''];
+				return sp[0] + f + sp[1];
+			}).join(';') + '|';
+		}
+		wt += text + '}-';
+		state.emitChunk(wt, node);
+	});
+});
+
+
+if (typeof module === "object") {
+	module.exports.languageVariantHandler = languageVariantHandler;
+}
@@ -569,15 +569,15 @@ var serializeAsExtLink = Promise.method(function(node, state, linkData) {
 		return state.serializeLinkChildrenToString(node,
 				state.serializer.wteHandlers.aHandler).then(function(_contentStr) {
 			contentStr = _contentStr;
-			// First check for ISBN/RFC/PMID links. We rely on selser to
-			// preserve non-minimal forms.
+			// First check for magic links, like ISBN/RFC/PMID. We rely on
+			// selser to preserve non-minimal forms.
 			if (magicLinkMatch) {
 				var serializer = wiki.ExtResourceSerializer[magicLinkMatch[0]];
 				var serialized = serializer(magicLinkMatch, target.value, contentStr);
 				if (serialized[0] === '[') {
 					// Serialization as a magic link failed (perhaps the
 					// content string wasn't appropriate).
-					state.emitChunk(magicLinkMatch[0] === 'ISBN' ?
+					state.emitChunk(wiki.magicLinks.get(magicLinkMatch[0]).rel === 'mw:WikiLink' ?
 						new WikiLinkText(serialized, node, wiki, 'mw:WikiLink') :
 						new ExtLinkText(serialized, node, wiki, 'mw:ExtLink'));
 				} else {
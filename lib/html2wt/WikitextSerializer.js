@@ -37,8 +37,10 @@ var pd = require('../wt2html/parser.defines.js');
 var ConstrainedText = require('./ConstrainedText.js').ConstrainedText;
 var Normalizer = require('./normalizeDOM.js').Normalizer;
 var SerializerState = require('./SerializerState.js').SerializerState;
+var TemplateData = require('../mw/TemplateData.js').TemplateData;
 var DOMHandlers = require('./DOMHandlers.js');
 var LinkHandlersModule = require('./LinkHandler.js');
+var LanguageVariantModule = require('./LanguageVariantHandler.js');
 var SeparatorsModule = require('./separators.js');
 var WTEModule = require('./escapeWikitext.js');
 
@@ -84,8 +86,10 @@ WSP._getEncapsulatedContentHandler = DOMHandlers._getEncapsulatedContentHandler;
 // Used in multiple tag handlers, and hence added as top-level properties
 // - linkHandler is used by <a> and <link>
 // - figureHandler is used by <figure> and by <a>.linkHandler above
+// - languageVariantHandler is used by <span>, <div> and <meta>
 WSP.linkHandler = LinkHandlersModule.linkHandler;
 WSP.figureHandler = LinkHandlersModule.figureHandler;
+WSP.languageVariantHandler = LanguageVariantModule.languageVariantHandler;
 
 // Separator handling
 WSP.handleSeparatorText = SeparatorsModule.handleSeparatorText;
@@ -385,8 +389,31 @@ WSP._buildTemplateWT = Promise.method(function(node, srcParts) {
 	var env = this.env;
 	var dp = DU.getDataParsoid(node);
 
+	// per-parameter info for pre-existing parameters
+	function getParamInfos(tpl) {
+		return dp.pi && tpl.i !== undefined ? dp.pi[tpl.i] || [] : [];
+	}
+
+	// Fetch the TemplateData of the templates with new parameters, which
+	// are placed (and formatted) as documented.
+	var partsP = Promise.all(srcParts.map(function(part) {
+		var title = part.template && TemplateData.targetTitle(part.template.target);
+		if (!title) {
+			return null;
+		}
+		var origKeys = getParamInfos(part.template).map(function(paramInfo) {
+			return paramInfo.k;
+		});
+		var hasNewParams = Object.keys(part.template.params).some(function(k) {
+			return origKeys.indexOf(k.trim()) === -1;
+		});
+		return hasNewParams ? TemplateData.fetch(env, title) : null;
+	})).then(function() {
+		return srcParts;
+	});
+
 	var buf = '';
-	return Promise.reduce(srcParts, function(_, part) {
+	return Promise.reduce(partsP, function(_, part) {
 		var tpl = part.template;
 		if (!tpl) {
 			buf += part;
@@ -395,23 +422,40 @@ WSP._buildTemplateWT = Promise.method(function(node, srcParts) {
 		// transclusion: tpl or parser function
 
 		var isTpl = typeof (tpl.target.href) === 'string';
-		buf += "{{";
-
-		// tpl target
-		buf += tpl.target.wt;
 
 		// tpl args
 		var keys = Object.keys(tpl.params);
 
-		// per-parameter info for pre-existing parameters
-		var paramInfos = dp.pi && tpl.i !== undefined ?
-				dp.pi[tpl.i] || [] : [];
+		var paramInfos = getParamInfos(tpl);
 
 		// extract the original keys in order
 		var origKeys = paramInfos.map(function(paramInfo) {
 			return paramInfo.k;
 		});
 
+		// old parameters which are still there, in order
+		var origParamInfos = paramInfos.filter(function(paramInfo) {
+			return tpl.params[paramInfo.k] !== undefined;
+		});
+
+		// Templates without original parameters (like new ones) are
+		// formatted as their TemplateData documents, and so are the new
+		// parameters of templates which already follow that format.
+		var tplData = TemplateData.get(env, TemplateData.targetTitle(tpl.target));
+		var format = TemplateData.getFormat(tplData);
+		var isNewTpl = !origKeys.length;
+		if (format && !isNewTpl && !TemplateData.followsFormat(format, origParamInfos)) {
+			format = null;
+		}
+
+		// tpl target
+		if (format && isNewTpl) {
+			buf += TemplateData.formatSubst(format.target, tpl.target.wt);
+		} else {
+			buf += "{{";
+			buf += tpl.target.wt;
+		}
+
 		var n = keys.length;
 		if (!n) {
 			buf += '}}';
@@ -495,6 +539,14 @@ WSP._buildTemplateWT = Promise.method(function(node, srcParts) {
 				}
 
 				if (escapedValue.serializeAsNamed) {
+					if (format && !paramInfo.spc) {
+						// Pad the name and end with the separator of the
+						// next parameter, or the spacing of the end.
+						paramName += ' '.repeat(Math.max(0,
+							format.nameWidth - paramName.length));
+						spc = format.spc.concat(opts.argIndex === opts.numArgs ?
+							format.end : format.sep);
+					}
 					// Escape as value only
 					// Trim WS
 					argBuf.push(spc[0] + paramName + spc[1] + "=" +
@@ -509,28 +561,33 @@ WSP._buildTemplateWT = Promise.method(function(node, srcParts) {
 			});
 		});
 
-		// first serialize out old parameters in order
-		var argBuf = [];
-		return Promise.reduce(paramInfos, function(__, paramInfo) {
-			var k = paramInfo.k;
-			if (tpl.params[k] !== undefined) {
-				return pushArg(argBuf, k, paramInfo);
+		var newKeys = [];
+		keys.forEach(function(k) {
+			// Don't allow whitespace in keys
+			var strippedK = k.trim();
+			if (origKeys.indexOf(strippedK) === -1) {
+				if (strippedK !== k) {
+					// copy over
+					tpl.params[strippedK] = tpl.params[k];
+				}
+				newKeys.push(strippedK);
 			}
+		});
+
+		// Serialize out old parameters in order, with the new ones where
+		// TemplateData places them (or after them).
+		var argBuf = [];
+		var orderedKeys = TemplateData.orderParams(tplData,
+			origParamInfos.map(function(paramInfo) { return paramInfo.k; }),
+			newKeys);
+		return Promise.reduce(orderedKeys, function(__, k) {
+			return pushArg(argBuf, k,
+				newKeys.indexOf(k) === -1 ? origParamInfos.shift() : undefined);
 		}, null).then(function() {
-			// then push out remaining (new) parameters
-			return Promise.reduce(keys, function(_, k) {
-				// Don't allow whitespace in keys
-				var strippedK = k.trim();
-				if (origKeys.indexOf(strippedK) === -1) {
-					if (strippedK !== k) {
-						// copy over
-						tpl.params[strippedK] = tpl.params[k];
-					}
-					return pushArg(argBuf, strippedK);
-				}
-			}, null);
-		}).then(function() {
 			// Now append the parameters joined by pipes
+			if (format && isNewTpl) {
+				buf += format.sep;
+			}
 			buf += '|';
 			buf += argBuf.join('|');
 			buf += '}}';
@@ -560,8 +617,18 @@ WSP.defaultExtensionHandler = Promise.method(function(node, dataMW) {
 		extTok.addAttribute('typeof', type);
 	}
 
-	return this._serializeAttributes(node, extTok).then(function(attrStr) {
-		if (attrStr) {
+	// Native extensions record their start tag (see
+	// DU.storeNativeExtensionInfo), which is kept unless the attributes
+	// were edited.
+	var dp = DU.getDataParsoid(node);
+	var tagSrc = dataMW.body && dp.tagSrc &&
+		dp.attrsHash === Util.makeHash(JSON.stringify(attrs)) ? dp.tagSrc : null;
+
+	return (tagSrc !== null ? Promise.resolve(null) :
+			this._serializeAttributes(node, extTok)).then(function(attrStr) {
+		if (tagSrc !== null) {
+			srcParts = [tagSrc];
+		} else if (attrStr) {
 			srcParts.push(' ');
 			srcParts.push(attrStr);
 		}
@@ -572,7 +639,12 @@ WSP.defaultExtensionHandler = Promise.method(function(node, dataMW) {
 			return;
 		}
 
-		srcParts.push(">");
+		if (tagSrc === null) {
+			srcParts.push(">");
+		} else if (/\/>$/.test(tagSrc) && !dataMW.body.extsrc) {
+			// A self-closed tag, still empty
+			return;
+		}
 
 		var p;
 		if (typeof dataMW.body.html === 'string' ||
@@ -659,6 +731,10 @@ WSP._getDOMHandler = function(node) {
 	var handler = this._getEncapsulatedContentHandler(node);
 	if (handler !== null) { return handler; }
 
+	if (DU.hasTypeOf(node, 'mw:LanguageVariant')) {
+		return DOMHandlers.languageVariantHandler;
+	}
+
 	var dp = DU.getDataParsoid(node);
 	var nodeName = node.nodeName.toLowerCase();
 
@@ -853,7 +929,10 @@ WSP._serializeDOMNode = Promise.method(function(node, domHandler) {
 
 			state.currNodeUnmodified = true;
 
+			// The wrapper of encapsulated content (like a <ul> rendered by
+			// an extension) has the width of its source.
 			if (DU.isZeroWidthWikitextElt(node) &&
+				!DU.isFirstEncapsulationWrapperNode(node) &&
 				node.childNodes.length > 0 &&
 				state.sep.constraints.constraintInfo.sepType === 'sibling') {
 				state.sep.constraints.constraintInfo.onSOL = state.onSOL;
@@ -286,7 +286,7 @@ WEHP.hasWikitextTokens = function(state, onNewline, options, text, linksOnly) {
 
 		if (tc === pd.SelfclosingTagTk) {
 
-			// * Ignore RFC/ISBN/PMID tokens when those are encountered in the
+			// * Ignore magic link (RFC/ISBN/PMID...) tokens when those are encountered in the
 			//   context of another link's content -- those are not parsed to
 			//   ext-links in that context. (T109371)
 			if ((t.name === 'extlink' || t.name === 'wikilink') && t.dataAttribs && t.dataAttribs.stx === 'magiclink' && (state.inAttribute || state.inLink)) {
@@ -570,7 +570,8 @@ WEHP.escapeWikiText = function(text, opts) {
 	 * the entire string without further analysis of the rest of the string.
 	 * ----------------------------------------------------------------- */
 
-	var hasMagicWord = /(^|\W)(RFC|ISBN|PMID)\s/.test(text);
+	var magicLinkRegExp = state.env.conf.wiki.magicLinkRegExp;
+	var hasMagicWord = !!magicLinkRegExp && magicLinkRegExp.test(text);
 	var hasAutolink = state.env.conf.wiki.findValidProtocol(text);
 	var fullCheckNeeded = !state.inLink && (hasMagicWord || hasAutolink);
 	var hasQuoteChar = false;
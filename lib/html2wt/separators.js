@@ -361,6 +361,22 @@ var NL_WS_COMMENTS_SEP_REGEXP = JSUtils.rejoin(
 		WS_COMMENTS_SEP_TEST_REGEXP
 	);
 
+// Lines with a block tag don't become indent-pres, so leading space is safe
+// before a paragraph Parsoid generated, when its content is followed on the
+// same line by a block node visible in wikitext, like the output of an
+// extension tag.
+//
+// Ex: " a <gallery>..</gallery>"
+function blockFollowsOnLine(node) {
+	if (!DU.hasNodeName(node, 'p') || DU.isLiteralHTMLNode(node) ||
+		/\n/.test(node.textContent)) {
+		return false;
+	}
+	var next = node.nextSibling;
+	return DU.isElt(next) && DU.isBlockNode(next) &&
+		(DU.isFirstEncapsulationWrapperNode(next) || DU.isBlockNodeWithVisibleWT(next));
+}
+
 function makeSepIndentPreSafe(state, sep, nlConstraints) {
 	var constraintInfo = nlConstraints.constraintInfo || {};
 	var sepType = constraintInfo.sepType;
@@ -459,6 +475,13 @@ function makeSepIndentPreSafe(state, sep, nlConstraints) {
 			}
 		}
 
+		// Check whether a block node follows on the line of the separator,
+		// before or at the start of a paragraph Parsoid generated.
+		if (!isIndentPreSafe && nodeB) {
+			isIndentPreSafe = blockFollowsOnLine(nodeB) ||
+				(sepType === 'parent-child' && blockFollowsOnLine(nodeA));
+		}
+
 		var stripLeadingSpace = (constraintInfo.onSOL || forceSOL) && nodeB && Consts.SolSpaceSensitiveTags.has(nodeB.nodeName);
 		if (!isIndentPreSafe || stripLeadingSpace) {
 			// Wrap non-nl ws from last line, but preserve comments.
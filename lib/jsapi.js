@@ -15,8 +15,14 @@ var util = require('util');
 var DOMImpl = require('domino').impl;
 var Node = DOMImpl.Node;
 var NodeFilter = DOMImpl.NodeFilter;
+var DOMDiff = require('./html2wt/DOMDiff.js').DOMDiff;
 var DU = require('./utils/DOMUtils.js').DOMUtils;
+var Diff = require('./utils/Diff.js').Diff;
 var Promise = require('./utils/promise.js');
+var SelectiveSerializer = require('./html2wt/SelectiveSerializer.js').SelectiveSerializer;
+var TemplateData = require('./mw/TemplateData.js').TemplateData;
+var Translate = require('./ext/Translate.js');
+var Util = require('./utils/Util.js').Util;
 var WikitextSerializer = require('./html2wt/WikitextSerializer.js').WikitextSerializer;
 
 // WTS helper
@@ -37,7 +43,7 @@ var wts = function(env, nodes) {
 
 // toString helper
 var toStringHelper = function(nodes, sizeLimit) {
-	var out;
+	var out = '';
 	if (sizeLimit === undefined) { sizeLimit = 80; /* characters */ }
 	if (nodes.length === 0) {
 		return '';
@@ -68,7 +74,9 @@ var toStringHelper = function(nodes, sizeLimit) {
 };
 
 // Forward declarations of Wrapper classes.
-var PNode, PNodeList, PComment, PExtLink, PHeading, PHtmlEntity, PMedia, PTag, PTemplate, PText, PWikiLink;
+var PNode, PNodeList, PCategory, PComment, PExtLink, PHeading, PHtmlEntity,
+	PLangLink, PList, PMedia, PRef, PReferences, PSection, PTable, PTag,
+	PTemplate, PText, PTranslation, PWikiLink;
 
 // HTML escape helper
 var toHtmlStr = function(node, v) {
@@ -83,6 +91,459 @@ var toHtmlStr = function(node, v) {
 	}
 };
 
+// Helper: the text of a String, Node, or PNodeList, for edit summaries.
+var toTextStr = function(node, v) {
+	var div = node.ownerDocument.createElement('div');
+	div.innerHTML = toHtmlStr(div, v);
+	return div.textContent;
+};
+
+// Whitespace-only text helper, for the newlines separating blocks.
+var isSeparator = function(node) {
+	return node !== null && DU.isText(node) && /^\s*$/.test(node.data);
+};
+
+// Is this node generated by a template or an extension?
+var isTemplated = function(node) {
+	for (; node !== null && !DU.isBody(node); node = node.parentNode) {
+		if (DU.isElt(node) && node.hasAttribute('about')) {
+			return true;
+		}
+	}
+	return false;
+};
+
+// The conventional order of page metadata at the end of the page:
+// behavior switches and other page properties, then the default sort
+// key, categories and finally language links.  0 for anything else.
+var metadataRank = function(node) {
+	if (node.nodeName === 'LINK') {
+		switch (node.getAttribute('rel')) {
+			case 'mw:PageProp/Category': return 3;
+			case 'mw:PageProp/Language': return 4;
+			default: return 0;
+		}
+	}
+	var property = node.getAttribute('property') || '';
+	if (property === 'mw:PageProp/categorydefaultsort') {
+		return 2;
+	}
+	return /^mw:PageProp\//.test(property) ? 1 : 0;
+};
+
+// Remove a metadata node, along with the newline which separated it
+// from its neighbors.
+var removeMetadata = function(node) {
+	var prev = node.previousSibling;
+	var next = node.nextSibling;
+	if (prev !== null && DU.isText(prev) && /\n$/.test(prev.data)) {
+		prev.data = prev.data.slice(0, -1);
+	} else if (next !== null && DU.isText(next) && /^\n/.test(next.data)) {
+		next.data = next.data.slice(1);
+	}
+	[prev, next].forEach(function(n) {
+		if (n !== null && DU.isText(n) && n.data === '') {
+			n.parentNode.removeChild(n);
+		}
+	});
+	node.parentNode.removeChild(node);
+};
+
+// Abbreviate a string for use in an edit summary.
+var abbrev = function(s) {
+	s = String(s).replace(/\s+/g, ' ').trim();
+	return s.length > 40 ? s.slice(0, 39) + '\u2026' : s;
+};
+
+// The path to `node` from the body of the document of `pdoc`, as a list
+// of child indexes, or `null` if `node` is not part of the document.
+var nodePath = function(pdoc, node) {
+	var path = [];
+	while (node !== pdoc.container) {
+		var parent = node.parentNode;
+		if (!parent) {
+			return null;
+		}
+		path.unshift(Array.prototype.indexOf.call(parent.childNodes, node));
+		node = parent;
+	}
+	return path;
+};
+
+// The element of the document containing the changes made to `p`, a
+// PNode or PNodeList: the parent of its node, or its container.
+// Wrappers of nodes which are not part of the document defer to their
+// parents.
+var changeScope = function(p) {
+	for (; p; p = p.parent) {
+		var node = (p instanceof PNode) ? p.node.parentNode : p.container;
+		if (node && nodePath(p.pdoc, node) !== null) {
+			return node;
+		}
+	}
+	return null;
+};
+
+// Invoke `propagate` to update the parents of `p`, a PNode or PNodeList
+// which was just mutated, and record the change in the change log of
+// its document -- unless `p` is only being updated as a parent of
+// another mutated node.
+var recordUpdate = function(p, change, propagate) {
+	var pdoc = p.pdoc;
+	if (pdoc._updating) {
+		propagate.call(p);
+		return;
+	}
+	pdoc._updating = true;
+	try {
+		propagate.call(p);
+	} finally {
+		pdoc._updating = false;
+	}
+	var scope = changeScope(p);
+	if (scope !== null) {
+		pdoc._logChange(scope, change);
+	}
+};
+
+// The attributes which queries can test, for each type of node they can
+// match (see PNodeList#query).
+var queryAttrs = {
+	category: {
+		name: function(w) { return w.name; },
+		sortkey: function(w) { return w.sortKey; },
+	},
+	comment: {
+		text: function(w) { return w.contents; },
+	},
+	entity: {
+		value: function(w) { return w.normalized; },
+	},
+	extlink: {
+		url: function(w) { return w.url; },
+		text: function(w) { return w.node.textContent; },
+	},
+	heading: {
+		level: function(w) { return String(w.level); },
+		title: function(w) { return w.node.textContent.trim(); },
+	},
+	langlink: {
+		lang: function(w) { return w.lang; },
+		title: function(w) { return w.title; },
+	},
+	list: {
+		type: function(w) { return w.type; },
+	},
+	media: {
+		caption: function(w) {
+			var c = w.caption;
+			return c ? c.container.textContent.trim() : null;
+		},
+	},
+	param: {
+		name: function(w) { return w.name; },
+		value: function(w) { return w.value.container.textContent.trim(); },
+	},
+	ref: {
+		name: function(w) { return w.name; },
+		group: function(w) { return w.group; },
+	},
+	references: {
+		group: function(w) { return w.group; },
+	},
+	section: {
+		index: function(w) { return String(w.index); },
+		level: function(w) { return String(w.level); },
+		title: function(w) {
+			var node = w._headingNode;
+			return node ? node.textContent.trim() : null;
+		},
+	},
+	table: {
+		caption: function(w) {
+			var c = w.caption;
+			return c ? c.container.textContent.trim() : null;
+		},
+	},
+	template: {
+		name: function(w) {
+			var target = w._template.template.target;
+			if (!target.href) {
+				return w.name.trim();
+			}
+			var env = w.pdoc.env;
+			return Util.decodeURI(target.href.replace(/^\.\//, ''))
+				.replace(/_/g, ' ')
+				.replace(env.conf.wiki.namespaceNames[10] + ':', '');
+		},
+	},
+	text: {
+		value: function(w) { return w.value; },
+	},
+	translation: {},
+	unit: {
+		id: function(w) { return w.id; },
+		source: function(w) { return w.source; },
+	},
+	wikilink: {
+		target: function(w) {
+			return Util.decodeURI(w.title).replace(/_/g, ' ');
+		},
+		text: function(w) { return w.node.textContent; },
+	},
+};
+
+// The type of a wrapper in queries, or `null` if queries can't match it.
+var queryTypeOf = function(w) {
+	if (w instanceof PTemplate) { return 'template'; }
+	if (w instanceof PTemplate.Parameter) { return 'param'; }
+	if (w instanceof PSection) { return 'section'; }
+	if (w instanceof PCategory) { return 'category'; }
+	if (w instanceof PComment) { return 'comment'; }
+	if (w instanceof PExtLink) { return 'extlink'; }
+	if (w instanceof PHeading) { return 'heading'; }
+	if (w instanceof PHtmlEntity) { return 'entity'; }
+	if (w instanceof PLangLink) { return 'langlink'; }
+	if (w instanceof PList) { return 'list'; }
+	if (w instanceof PMedia) { return 'media'; }
+	if (w instanceof PRef) { return 'ref'; }
+	if (w instanceof PReferences) { return 'references'; }
+	if (w instanceof PTable) { return 'table'; }
+	if (w instanceof PText) { return 'text'; }
+	if (w instanceof PTranslation) { return 'translation'; }
+	if (w instanceof PTranslation.Unit) { return 'unit'; }
+	if (w instanceof PWikiLink) { return 'wikilink'; }
+	return null;
+};
+
+var queryPNodes; // Forward declaration.
+
+// The wrappers which queries see as the children of `w`: the nodes of
+// the types listed in queryAttrs it contains, looking through any other
+// markup.  Documents are made of their top-level sections, sections of
+// their heading, content and subsections, and templates of their
+// parameters.
+var queryChildren = function(w) {
+	if (w instanceof PNodeList) {
+		return (w.pdoc === w) ? w._topSections() : queryPNodes(w.pnodes);
+	} else if (w instanceof PSection) {
+		return w._queryChildren();
+	} else if (w instanceof PTemplate) {
+		return w.params;
+	} else if (w instanceof PTemplate.Parameter) {
+		return queryChildren(w.value);
+	} else if (w instanceof PTranslation) {
+		return w.units.concat(queryChildren(w.contents));
+	} else if (w instanceof PNode) {
+		return w._children().reduce(function(result, list) {
+			return result.concat(queryChildren(list));
+		}, []);
+	}
+	return [];
+};
+
+// Helper for queryChildren: the wrappers seen by queries in a list
+// of PNodes.
+queryPNodes = function(pnodes) {
+	return pnodes.reduce(function(result, p) {
+		return result.concat(queryTypeOf(p) !== null ? [p] : queryChildren(p));
+	}, []);
+};
+
+// Invoke `visit` with the path from `root` to each of its descendants
+// seen by queries, in document order, until it returns `true`.
+var walkQuery = function(root, visit) {
+	var path = [root];
+	var walk = function(w) {
+		return queryChildren(w).some(function(c) {
+			path.push(c);
+			var stop = visit(path) || walk(c);
+			path.pop();
+			return stop;
+		});
+	};
+	return walk(root);
+};
+
+// Parse a query into a list of selectors, each of which is a list of
+// steps: a compound selector, and the combinator (`' '` or `'>'`)
+// relating it to the previous step.  Selectors of `:has()` start with
+// a step which only matches the node it is applied to.
+var parseQuery = function(query) {
+	var pos = 0;
+	var fail = function(message) {
+		throw new Error((message || 'Invalid query') + ': ' + query);
+	};
+	var match = function(re) {
+		var m = re.exec(query.slice(pos));
+		if (m) { pos += m[0].length; }
+		return m;
+	};
+	var skipSpace = function() {
+		return match(/^\s+/) !== null;
+	};
+	var ident = function() {
+		var m = match(/^[A-Za-z_][\w-]*/);
+		if (!m) { fail(); }
+		return m[0];
+	};
+	var value = function() {
+		var m = match(/^(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s\]"']+))/);
+		if (!m) { fail(); }
+		return m[3] !== undefined ? m[3] :
+			(m[1] !== undefined ? m[1] : m[2]).replace(/\\(.)/g, '$1');
+	};
+	var selectorList;
+	var compound = function() {
+		var c = { type: null, attrs: [], pseudos: [] };
+		var start = pos;
+		if (!match(/^\*/) && /^[A-Za-z_]/.test(query.slice(pos))) {
+			c.type = ident();
+			if (!queryAttrs.hasOwnProperty(c.type)) {
+				fail('Unknown type "' + c.type + '" in query');
+			}
+		}
+		for (;;) {
+			if (match(/^\[\s*/)) {
+				var a = { name: ident(), op: null };
+				if (c.type !== null && !queryAttrs[c.type].hasOwnProperty(a.name)) {
+					fail('Unknown attribute "' + a.name + '" of ' + c.type + ' in query');
+				}
+				skipSpace();
+				var op = match(/^[~^$*|]?=/);
+				if (op) {
+					skipSpace();
+					a.op = op[0];
+					a.value = value();
+					skipSpace();
+					a.caseless = match(/^i(?=[\s\]])\s*/i) !== null;
+				}
+				if (!match(/^\]/)) { fail(); }
+				c.attrs.push(a);
+			} else if (match(/^:/)) {
+				var name = ident();
+				if (name !== 'not' && name !== 'has') {
+					fail('Unknown pseudo-class ":' + name + '" in query');
+				}
+				if (!match(/^\(\s*/)) { fail(); }
+				c.pseudos.push({ name: name, list: selectorList(name === 'has') });
+				if (!match(/^\s*\)/)) { fail(); }
+			} else {
+				break;
+			}
+		}
+		if (pos === start) { fail(); }
+		return c;
+	};
+	var selector = function(relative) {
+		var steps = [];
+		var combinator = null;
+		if (relative) {
+			steps.push({ compound: { scope: true } });
+			combinator = match(/^>\s*/) ? '>' : ' ';
+		}
+		for (;;) {
+			steps.push({ combinator: combinator, compound: compound() });
+			var sawSpace = skipSpace();
+			if (match(/^>\s*/)) {
+				combinator = '>';
+			} else if (sawSpace && /^[^,)]/.test(query.slice(pos))) {
+				combinator = ' ';
+			} else {
+				return steps;
+			}
+		}
+	};
+	selectorList = function(relative) {
+		var list = [ selector(relative) ];
+		while (match(/^\s*,\s*/)) {
+			list.push(selector(relative));
+		}
+		return list;
+	};
+	skipSpace();
+	var result = selectorList(false);
+	skipSpace();
+	if (pos < query.length) { fail(); }
+	return result;
+};
+
+// Helper: does the value `v` of an attribute match the test `a` of a
+// query?
+var matchQueryAttr = function(a, v) {
+	var expected = a.value;
+	v = String(v);
+	if (a.caseless) {
+		v = v.toLowerCase();
+		expected = expected.toLowerCase();
+	}
+	switch (a.op) {
+		case '=': return v === expected;
+		case '~=': return v.split(/\s+/).indexOf(expected) >= 0;
+		case '^=': return expected !== '' && v.startsWith(expected);
+		case '$=': return expected !== '' && v.endsWith(expected);
+		case '*=': return expected !== '' && v.indexOf(expected) >= 0;
+		case '|=': return v === expected || v.startsWith(expected + '-');
+		default: return true;
+	}
+};
+
+var matchQueryCompound; // Forward declaration.
+
+// Does the last wrapper of `path` match the `k`th step of `steps`, and
+// its ancestors the previous ones?  `path[0]` is the node the query is
+// applied to, which only matches the first step of `:has()` selectors.
+var matchQuerySteps = function(steps, k, path, i) {
+	var step = steps[k];
+	if (!matchQueryCompound(step.compound, path, i)) {
+		return false;
+	} else if (k === 0) {
+		return true;
+	} else if (step.combinator === '>') {
+		return i > 0 && matchQuerySteps(steps, k - 1, path, i - 1);
+	}
+	for (var j = i - 1; j >= 0; j--) {
+		if (matchQuerySteps(steps, k - 1, path, j)) {
+			return true;
+		}
+	}
+	return false;
+};
+
+// Does `path[i]` match the compound selector `c`?
+matchQueryCompound = function(c, path, i) {
+	if (c.scope) {
+		return i === 0;
+	} else if (i === 0) {
+		return false;
+	}
+	var w = path[i];
+	var type = queryTypeOf(w);
+	if (type === null || (c.type !== null && c.type !== type)) {
+		return false;
+	}
+	return c.attrs.every(function(a) {
+		var get = queryAttrs[type][a.name];
+		var v = get ? get(w) : null;
+		return v !== null && v !== undefined && matchQueryAttr(a, v);
+	}) && c.pseudos.every(function(p) {
+		if (p.name === 'not') {
+			return !p.list.some(function(steps) {
+				return matchQuerySteps(steps, steps.length - 1, path, i);
+			});
+		}
+		// :has()
+		var found = false;
+		walkQuery(w, function(subpath) {
+			found = p.list.some(function(steps) {
+				return matchQuerySteps(steps, steps.length - 1, subpath,
+					subpath.length - 1);
+			});
+			return found;
+		});
+		return found;
+	});
+};
 
 /**
  * The PNodeList class wraps a collection of DOM {@link Node}s.
@@ -130,12 +591,20 @@ Object.defineProperties(PNodeList.prototype, {
 	 *
 	 * The mutation methods in the {@link PDoc}/{@link PNodeList} API
 	 * automatically call {@link #update} for you when required.
+	 *
+	 * This also records the mutation in the change log of the document
+	 * (see {@link PDoc#changes}).
+	 * @param {Object} [change] A description of the mutation.
+	 * @param {String} [change.type] The kind of mutation.
+	 * @param {String} [change.summary] A human-readable description.
 	 * @method
 	 */
-	update: { value: function() {
-		this._cachedPNodes = null;
-		if (this._update) { this._update(); }
-		if (this.parent) { this.parent.update(); }
+	update: { value: function(change) {
+		recordUpdate(this, change, function() {
+			this._cachedPNodes = null;
+			if (this._update) { this._update(); }
+			if (this.parent) { this.parent.update(); }
+		});
 	}, },
 	_querySelectorAll: { value: function(selector) {
 		var tweakedSelector = ',' + selector + ',';
@@ -302,6 +771,48 @@ Object.defineProperties(PNodeList.prototype, {
 		}, opts);
 	}, },
 
+	/**
+	 * Return an array of {@link PRef} representing the footnotes
+	 * found in this {@link PNodeList}, including those defined in
+	 * `<references>` lists.
+	 * @inheritdoc #_filter
+	 * @return {PRef[]}
+	 */
+	filterRefs: { value: function(opts) {
+		var selector = PRef._selector + ',' + PReferences._selector;
+		return this._filter([], selector, function(r, parent, node) {
+			if (node.matches(PRef._selector)) {
+				r.push(new PRef(parent.pdoc, parent, node));
+			} else {
+				r.push.apply(r, new PReferences(parent.pdoc, parent, node).refs);
+			}
+		}, opts);
+	}, },
+
+	/**
+	 * Return an array of {@link PReferences} representing the lists
+	 * of footnotes found in this {@link PNodeList}.
+	 * @inheritdoc #_filter
+	 * @return {PReferences[]}
+	 */
+	filterReferences: { value: function(opts) {
+		return this._filter([], PReferences._selector, function(r, parent, node) {
+			r.push(new PReferences(parent.pdoc, parent, node));
+		}, opts);
+	}, },
+
+	/**
+	 * Return an array of {@link PTable} representing tables
+	 * found in this {@link PNodeList}.
+	 * @inheritdoc #_filter
+	 * @return {PTable[]}
+	 */
+	filterTables: { value: function(opts) {
+		return this._filter([], PTable._selector, function(r, parent, node) {
+			r.push(new PTable(parent.pdoc, parent, node));
+		}, opts);
+	}, },
+
 	/**
 	 * Return an array of {@link PTemplate} representing templates
 	 * found in this {@link PNodeList}.
@@ -324,6 +835,18 @@ Object.defineProperties(PNodeList.prototype, {
 		}, opts);
 	}, },
 
+	/**
+	 * Return an array of {@link PTranslation} representing the
+	 * translatable content found in this {@link PNodeList}.
+	 * @inheritdoc #_filter
+	 * @return {PTranslation[]}
+	 */
+	filterTranslations: { value: function(opts) {
+		return this._filter([], PTranslation._selector, function(r, parent, node) {
+			r.push(new PTranslation(parent.pdoc, parent, node));
+		}, opts);
+	}, },
+
 	/**
 	 * Return an array of {@link PWikiLink} representing wiki links
 	 * found in this {@link PNodeList}.
@@ -336,6 +859,77 @@ Object.defineProperties(PNodeList.prototype, {
 		}, opts);
 	}, },
 
+	/**
+	 * Return an array of the nodes found in this {@link PNodeList} which
+	 * match `query`, in document order.  Queries are CSS selectors over
+	 * the wikitext constructs of the page rather than over its HTML:
+	 *
+	 *     pdoc.query('template[name="Infobox"] > param[name=image]');
+	 *     pdoc.query('wikilink[target^="Category:"]');
+	 *     pdoc.query('section[title=References] ref[name]');
+	 *     pdoc.query('template:not(:has(> param[name=date]))');
+	 *
+	 * The types of nodes, and the attributes they can be tested on, are:
+	 *
+	 * - `template` ({@link PTemplate}): `name`, without the `Template:`
+	 *   prefix and normalized like titles, so `{{infobox}}` has the name
+	 *   `Infobox`.
+	 * - `param` ({@link PTemplate.Parameter}): `name`, `value`.
+	 * - `section` ({@link PSection}): `index`, `level`, `title`.
+	 * - `heading` ({@link PHeading}): `level`, `title`.
+	 * - `wikilink` ({@link PWikiLink}): `target`, `text`.
+	 * - `extlink` ({@link PExtLink}): `url`, `text`.
+	 * - `ref` ({@link PRef}): `name`, `group`.
+	 * - `references` ({@link PReferences}): `group`.
+	 * - `list` ({@link PList}): `type`.
+	 * - `table` ({@link PTable}): `caption`.
+	 * - `media` ({@link PMedia}): `caption`.
+	 * - `category` ({@link PCategory}): `name`, `sortkey`.
+	 * - `langlink` ({@link PLangLink}): `lang`, `title`.
+	 * - `comment` ({@link PComment}): `text`.
+	 * - `entity` ({@link PHtmlEntity}): `value`.
+	 * - `text` ({@link PText}): `value`.
+	 * - `translation` ({@link PTranslation}), which contains its units
+	 *   and the nodes of its content.
+	 * - `unit` ({@link PTranslation.Unit}): `id`, `source`.
+	 *
+	 * Other markup, like paragraphs or formatting, is transparent.
+	 * Templates contain their parameters, which contain the nodes of
+	 * their values; the other nodes contain the nodes of their text
+	 * (see their {@link PNodeList} properties).  Queries on a
+	 * {@link PDoc} also see its sections: the document contains its
+	 * lead section and its top-level sections, and each section
+	 * contains its heading, the nodes of its content, and its
+	 * subsections.
+	 *
+	 * The supported syntax is that of CSS: the universal selector `*`,
+	 * the descendant and child (`>`) combinators, selector lists
+	 * separated by commas, the attribute tests `[attr]`, `[attr=v]`,
+	 * `[attr~=v]`, `[attr^=v]`, `[attr$=v]`, `[attr*=v]` and
+	 * `[attr|=v]`, with an optional `i` flag for case-insensitive
+	 * matching, and the `:not()` and `:has()` pseudo-classes.
+	 * Attributes are tested against the text of the nodes.
+	 *
+	 * @param {String} query
+	 * @return {Array}
+	 *   The matching {@link PNode}s, {@link PTemplate.Parameter}s and
+	 *   {@link PSection}s.  They can be used to mutate the document.
+	 */
+	query: { value: function(query) {
+		var selectors = parseQuery(String(query));
+		var result = [];
+		walkQuery(this, function(path) {
+			if (selectors.some(function(steps) {
+				return matchQuerySteps(steps, steps.length - 1, path,
+					path.length - 1);
+			})) {
+				result.push(path[path.length - 1]);
+			}
+			return false;
+		});
+		return result;
+	}, },
+
 	/**
 	 * Internal list of PNodes in this list.
 	 * @property {PNode[]}
@@ -371,8 +965,8 @@ Object.defineProperties(PNodeList.prototype, {
 				}
 				// PTag is the catch-all; it should always be last.
 				var which = [
-					PExtLink, PHeading, PHtmlEntity, PMedia, PWikiLink,
-					PTag,
+					PCategory, PExtLink, PHeading, PHtmlEntity, PLangLink, PList,
+					PMedia, PRef, PReferences, PTable, PTranslation, PWikiLink, PTag,
 				];
 				for (var j = 0; j < which.length; j++) {
 					var Ty = which[j];
@@ -488,14 +1082,21 @@ PNodeList.fromHTML = function(pdoc, html) {
  *
  * Useful subclasses of {@link PNode} include:
  *
+ * - {@link PCategory}: categories, like `[[Category:Foo|sort key]]`
  * - {@link PComment}: comments, like `<!-- example -->`
  * - {@link PExtLink}: external links, like `[http://example.com Example]`
  * - {@link PHeading}: headings, like `== Section 1 ==`
  * - {@link PHtmlEntity}: html entities, like `&nbsp;`
+ * - {@link PLangLink}: language links, like `[[de:Foo]]`
+ * - {@link PList}: lists, like `* foo`
  * - {@link PMedia}: images and media, like `[[File:Foo.jpg|caption]]`
+ * - {@link PRef}: footnotes, like `<ref>...</ref>`
+ * - {@link PReferences}: lists of footnotes, like `<references />`
+ * - {@link PTable}: tables, like `{| ... |}`
  * - {@link PTag}: other HTML tags, like `<span>`
  * - {@link PTemplate}: templates, like `{{foo|bar}}`
  * - {@link PText}: unformatted text, like `foo`
+ * - {@link PTranslation}: translatable content, like `<translate>...</translate>`
  * - {@link PWikiLink}: wiki links, like `[[Foo|bar]]`
  */
 /**
@@ -542,11 +1143,19 @@ Object.defineProperties(PNode.prototype, {
 	 *
 	 * The mutation methods in the API automatically call {@link #update}
 	 * for you when required.
+	 *
+	 * This also records the mutation in the change log of the document
+	 * (see {@link PDoc#changes}).
+	 * @param {Object} [change] A description of the mutation.
+	 * @param {String} [change.type] The kind of mutation.
+	 * @param {String} [change.summary] A human-readable description.
 	 * @method
 	 */
-	update: { value: function() {
-		if (this._update) { this._update(); }
-		if (this.parent) { this.parent.update(); }
+	update: { value: function(change) {
+		recordUpdate(this, change, function() {
+			if (this._update) { this._update(); }
+			if (this.parent) { this.parent.update(); }
+		});
 	}, },
 	/**
 	 * Returns true if the `target` matches this node.  By default a
@@ -592,11 +1201,100 @@ var innerAccessor = {
 		return new PNodeList(this.pdoc, this, this.node);
 	},
 	set: function(v) {
+		var old = this.node.textContent;
 		this.node.innerHTML = toHtmlStr(this.node, v);
-		this.update();
+		this.update({
+			type: 'contents',
+			summary: 'changed "' + abbrev(old) + '" to "' +
+				abbrev(this.node.textContent) + '"',
+		});
 	},
 };
 
+// Helper: the href of the category link for `name`.
+var categoryHref = function(env, name, sortKey) {
+	var title = env.conf.wiki.namespaceNames[14] + ':' + name;
+	var href = './' + Util.sanitizeTitleURI(env.normalizeTitle(title));
+	if (sortKey) {
+		href += '#' + Util.sanitizeTitleURI(sortKey).replace(/#/g, '%23');
+	}
+	return href;
+};
+
+/**
+ * PCategory represents a category of the page, like
+ * `[[Category:Foo|sort key]]`.  See {@link PDoc#getCategories}.
+ * @class PCategory
+ * @extends PNode
+ */
+/**
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
+ */
+PCategory = function PCategory(pdoc, parent, node, opts) {
+	PNode.call(this, pdoc, parent, node, opts);
+};
+util.inherits(PCategory, PNode);
+Object.defineProperties(PCategory.prototype, {
+	/**
+	 * The name of the category, without the namespace prefix.
+	 * @property {String}
+	 */
+	name: {
+		get: function() {
+			var href = this.node.getAttribute('href').replace(/#.*$/, '');
+			return Util.decodeURI(href).replace(/^\.\/[^:]*:/, '')
+				.replace(/_/g, ' ');
+		},
+		set: function(v) {
+			var old = this.name;
+			this.node.setAttribute('href',
+				categoryHref(this.pdoc.env, v, this.sortKey));
+			this.update({
+				type: 'category-rename',
+				summary: 'renamed category "' + old + '" to "' + this.name + '"',
+			});
+		},
+	},
+	/**
+	 * The sort key of the page in the category, or `null` if there
+	 * is none.
+	 * @property {String|null}
+	 */
+	sortKey: {
+		get: function() {
+			var m = /#(.*)$/.exec(this.node.getAttribute('href'));
+			return m ? Util.decodeURI(m[1]).replace(/%23/g, '#') : null;
+		},
+		set: function(v) {
+			this.node.setAttribute('href',
+				categoryHref(this.pdoc.env, this.name, v));
+			this.update({
+				type: 'category-sortkey',
+				summary: 'changed sort key for category "' + this.name + '"',
+			});
+		},
+	},
+	/**
+	 * Remove the page from this category.
+	 * @method
+	 */
+	remove: { value: function() {
+		removeMetadata(this.node);
+		this.update({
+			type: 'category-remove',
+			summary: 'removed category "' + this.name + '"',
+		});
+	}, },
+});
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PCategory._selector = 'link[rel="mw:PageProp/Category"]';
+
 /**
  * PComment represents a hidden HTML comment, like `<!-- fobar -->`.
  * @class PComment
@@ -622,7 +1320,10 @@ Object.defineProperties(PComment.prototype, {
 		},
 		set: function(v) {
 			this.node.data = DU.encodeComment(v);
-			this.update();
+			this.update({
+				type: 'comment',
+				summary: 'changed comment to "' + abbrev(v) + '"',
+			});
 		},
 	},
 });
@@ -659,7 +1360,12 @@ Object.defineProperties(PExtLink.prototype, {
 			return this.node.getAttribute('href');
 		},
 		set: function(v) {
+			var old = this.url;
 			this.node.setAttribute('href', v);
+			this.update({
+				type: 'extlink-retarget',
+				summary: 'changed link ' + old + ' to ' + v,
+			});
 		},
 	},
 	/**
@@ -712,7 +1418,11 @@ Object.defineProperties(PHeading.prototype, {
 				}
 				this.node.parentNode.replaceChild(nh, this.node);
 				this.node = nh;
-				this.update();
+				this.update({
+					type: 'heading-level',
+					summary: 'changed level of heading "' +
+						abbrev(nh.textContent) + '" to ' + v,
+				});
 			} else {
 				throw new Error("Level must be between 1 and 6, inclusive.");
 			}
@@ -756,9 +1466,13 @@ Object.defineProperties(PHtmlEntity.prototype, {
 	normalized: {
 		get: function() { return this.node.textContent; },
 		set: function(v) {
+			var old = this.normalized;
 			this.node.textContent = v;
 			this.node.removeAttribute('data-parsoid');
-			this.update();
+			this.update({
+				type: 'entity',
+				summary: 'changed "' + old + '" to "' + v + '"',
+			});
 		},
 	},
 	/**
@@ -780,6 +1494,98 @@ Object.defineProperties(PHtmlEntity.prototype, {
  */
 PHtmlEntity._selector = '[typeof="mw:Entity"]';
 
+// Helper: the href of the language link to `title` in `lang`.
+var langLinkHref = function(env, lang, title) {
+	var iwi = env.conf.wiki.interwikiMap.get(Util.normalizeNamespaceName(lang));
+	if (!iwi || (iwi.language === undefined && iwi.extralanglink === undefined)) {
+		throw new Error("Unknown language: " + lang);
+	}
+	var href = iwi.url.replace('$1',
+		Util.sanitizeTitleURI(title.trim()));
+	if (iwi.protorel !== undefined) {
+		href = href.replace(/^https?:/, '');
+	}
+	return href;
+};
+
+/**
+ * PLangLink represents a link to the same page in another language,
+ * like `[[de:Foo]]`.  See {@link PDoc#getLangLinks}.
+ * @class PLangLink
+ * @extends PNode
+ */
+/**
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
+ */
+PLangLink = function PLangLink(pdoc, parent, node, opts) {
+	PNode.call(this, pdoc, parent, node, opts);
+};
+util.inherits(PLangLink, PNode);
+Object.defineProperties(PLangLink.prototype, {
+	// Internal helper: the interwiki prefix and the title of the link.
+	_target: {
+		get: function() {
+			var m = this.pdoc.env.conf.wiki.InterWikiMatcher()
+				.match(this.node.getAttribute('href'));
+			return m ? {
+				lang: m[0].replace(/^:/, ''),
+				title: Util.decodeURI(m[1]).replace(/_/g, ' '),
+			} : { lang: null, title: null };
+		},
+	},
+	/**
+	 * The language (interwiki) prefix of the link, like `de`.
+	 * @property {String}
+	 * @readonly
+	 */
+	lang: {
+		get: function() { return this._target.lang; },
+	},
+	/**
+	 * The title of the page in the other language.
+	 * @property {String}
+	 */
+	title: {
+		get: function() { return this._target.title; },
+		set: function(v) {
+			this.node.setAttribute('href',
+				langLinkHref(this.pdoc.env, this.lang, v));
+			this.update({
+				type: 'langlink-change',
+				summary: 'changed ' + this.lang + ' language link to "' +
+					this.title + '"',
+			});
+		},
+	},
+	/**
+	 * The URL of the page in the other language.
+	 * @property {String}
+	 * @readonly
+	 */
+	url: {
+		get: function() { return this.node.getAttribute('href'); },
+	},
+	/**
+	 * Remove this language link from the page.
+	 * @method
+	 */
+	remove: { value: function() {
+		removeMetadata(this.node);
+		this.update({
+			type: 'langlink-remove',
+			summary: 'removed ' + this.lang + ' language link',
+		});
+	}, },
+});
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PLangLink._selector = 'link[rel="mw:PageProp/Language"]';
+
 /**
  * PMedia represents an image or audio/video element in wikitext,
  * like `[[File:Foobar.jpg|caption]]`.
@@ -850,26 +1656,32 @@ Object.defineProperties(PMedia.prototype, {
 		},
 		set: function(v) {
 			this._cachedNodeList = undefined;
-			if (this._isBlock) {
-				var c = this.node.firstChild.nextSibling;
-				if (v === null || v === undefined) {
-					if (c) {
-						this.node.removeChild(c);
+			this.pdoc._batch({
+				type: 'media-caption',
+				summary: (v === null || v === undefined) ?
+					'removed media caption' : 'changed media caption',
+			}, function() {
+				if (this._isBlock) {
+					var c = this.node.firstChild.nextSibling;
+					if (v === null || v === undefined) {
+						if (c) {
+							this.node.removeChild(c);
+							this.update();
+						}
+					} else {
+						if (!c) {
+							c = this.ownerDocument.createElement('figcaption');
+							this.node.appendChild(c);
+						}
+						c.innerHTML = toHtmlStr(c, v);
 						this.update();
 					}
 				} else {
-					if (!c) {
-						c = this.ownerDocument.createElement('figcaption');
-						this.node.appendChild(c);
-					}
-					c.innerHTML = toHtmlStr(c, v);
+					this._caption = (v === null || v === undefined) ? v :
+						toHtmlStr(this.node, v);
 					this.update();
 				}
-			} else {
-				this._caption = (v === null || v === undefined) ? v :
-					toHtmlStr(this.node, v);
-				this.update();
-			}
+			}, this);
 		},
 	},
 
@@ -885,12 +1697,14 @@ Object.defineProperties(PMedia.prototype, {
  */
 PMedia._selector = 'figure,[typeof~="mw:Image"]';
 
-
 /**
- * PTag represents any otherwise-unmatched tag.  This includes
- * HTML-style tags in wikicode, like `<span>`, as well as some
- * "invisible" tags like `<p>`.
- * @class PTag
+ * PRef represents a footnote of the Cite extension, like
+ * `<ref name="foo">...</ref>`, or the reuse of a named one, like
+ * `<ref name="foo" />`.
+ *
+ * The refs defined in a `<references>` list are found through
+ * {@link PNodeList#filterRefs} too; see {@link PReferences#refs}.
+ * @class PRef
  * @extends PNode
  */
 /**
@@ -898,214 +1712,366 @@ PMedia._selector = 'figure,[typeof~="mw:Image"]';
  * @private
  * @inheritdoc PNode#constructor
  */
-PTag = function PTag(pdoc, parent, node, opts) {
+PRef = function PRef(pdoc, parent, node, opts) {
 	PNode.call(this, pdoc, parent, node, opts);
 };
-util.inherits(PTag, PNode);
-Object.defineProperties(PTag.prototype, {
+util.inherits(PRef, PNode);
+Object.defineProperties(PRef.prototype, {
+	// Internal helper: get at an attribute of the ref in the dataMw
+	_attr: {
+		value: function(name, v) {
+			var dmw = this.dataMw;
+			if (arguments.length === 1) {
+				var a = (dmw.attrs || {})[name];
+				return a === undefined ? null : a;
+			}
+			dmw.attrs = dmw.attrs || {};
+			if (v === null || v === undefined) {
+				delete dmw.attrs[name];
+			} else {
+				dmw.attrs[name] = String(v);
+			}
+			this.dataMw = dmw;
+		},
+	},
 	/**
-	 * The name of the tag, in lowercase.
+	 * The name of the ref, or `null` if it has none.
+	 * @property {String|null}
 	 */
-	tagName: {
-		get: function() { return this.node.tagName.toLowerCase(); },
+	name: {
+		get: function() { return this._attr('name'); },
+		set: function(v) {
+			this.pdoc._batch({
+				type: 'ref-name',
+				summary: 'renamed reference "' + this.name + '" to "' +
+					(v === null || v === undefined ? '' : v) + '"',
+			}, function() { this._attr('name', v); }, this);
+		},
 	},
-
 	/**
-	 * The contents of the tag, as a {@PNodeList} object.
-	 * You can assign a String, Node, or PNodeList to mutate the contents.
-	 * @property {PNodeList}
+	 * The group of the ref, which is `''` for the default group.
+	 * @property {String}
 	 */
-	contents: innerAccessor,
+	group: {
+		get: function() { return this._attr('group') || ''; },
+		set: function(v) {
+			this.pdoc._batch({
+				type: 'ref-group',
+				summary: 'moved reference to group "' + (v || '') + '"',
+			}, function() { this._attr('group', v || null); }, this);
+		},
+	},
+	/**
+	 * The text of the footnote, as a {@link PNodeList}, or `null` if
+	 * this ref reuses a named one defined elsewhere.
+	 * You can assign `null`, a String, Node, or PNodeList to mutate the
+	 * text.
+	 * @property {PNodeList|null}
+	 */
+	body: {
+		get: function() {
+			var body = this.dataMw.body;
+			if (!body) {
+				return null;
+			}
+			// The text may be rendered in the <references> list instead.
+			var elt = body.id ?
+				this.pdoc.document.getElementById(body.id) : null;
+			var html = elt ? elt.innerHTML : body.html;
+			if (typeof html !== 'string') {
+				return null;
+			}
+			var div = this.ownerDocument.createElement('div');
+			div.innerHTML = html;
+			return new PNodeList(this.pdoc, this, div, {
+				update: function() {
+					this.parent.body = this;
+				},
+			});
+		},
+		set: function(v) {
+			var dmw = this.dataMw;
+			var elt = (dmw.body && dmw.body.id) ?
+				this.pdoc.document.getElementById(dmw.body.id) : null;
+			if (v === null || v === undefined) {
+				delete dmw.body;
+			} else if (elt) {
+				// Keep the list up to date, but also store the text in the
+				// data-mw so that the ref itself is marked as modified.
+				elt.innerHTML = toHtmlStr(elt, v);
+				dmw.body.html = elt.innerHTML;
+			} else {
+				dmw.body = { html: toHtmlStr(this.node, v) };
+			}
+			this.pdoc._batch({
+				type: 'ref-body',
+				summary: (v === null || v === undefined) ?
+					'removed text of reference' : 'changed text of reference',
+			}, function() { this.dataMw = dmw; }, this);
+		},
+	},
+	/**
+	 * The number of refs of the document referring to this footnote,
+	 * which is 1 for unnamed refs.
+	 * @property {Number}
+	 * @readonly
+	 */
+	count: {
+		get: function() {
+			var name = this.name;
+			var group = this.group;
+			if (name === null) {
+				return 1;
+			}
+			return this.pdoc.filterRefs().filter(function(r) {
+				return r.name === name && r.group === group;
+			}).length;
+		},
+	},
+	/**
+	 * The templates used in the text of the footnote, like `{{cite web}}`.
+	 * @property {PTemplate[]}
+	 * @readonly
+	 */
+	templates: {
+		get: function() {
+			var body = this.body;
+			return body ? body.filterTemplates() : [];
+		},
+	},
+	// Internal helper: is this ref defined in a <references> list?
+	_isListDefined: {
+		value: function() {
+			return Boolean(this.parent && this.parent.parent instanceof PReferences);
+		},
+	},
 
-	_children: { value: function() { return [this.contents]; }, },
+	_children: { value: function() {
+		var body = this.body;
+		return body ? [ body ] : [];
+	}, },
 });
 /**
  * @ignore
  * @static
  * @private
  */
-PTag._selector = '*'; // any otherwise-unmatched element
+PRef._selector = '[typeof~="mw:Extension/ref"]';
 
 /**
- * PTemplate represents a wikitext template, like `{{foo}}`.
- * @class PTemplate
+ * PReferences represents the list of footnotes of the Cite extension,
+ * like `<references />`.  Refs can be defined in the list itself, like
+ * `<references><ref name="foo">...</ref></references>`.
+ * @class PReferences
  * @extends PNode
  */
 /**
  * @method constructor
  * @private
  * @inheritdoc PNode#constructor
- * @param {PDoc} pdoc The parent document for this PNode.
- * @param {PNodeList|null} parent A containing node list which will receive
- *    updates when this {@link PNode} is mutated.
- * @param {Node} node The DOM node.
- * @param {Number} which A single {@link Node} can represent multiple
- *   templates; this parameter serves to distinguish them.
  */
-PTemplate = function PTemplate(pdoc, parent, node, which) {
-	PNode.call(this, pdoc, parent, node, {
-		wtsNodes: function() {
-			// Templates are actually a collection of nodes.
-			return this.parent._querySelectorAll
-				('[about="' + this.node.getAttribute('about') + '"]');
-		},
-	});
-	this.which = which;
-	this._cachedParams = Object.create(null);
+PReferences = function PReferences(pdoc, parent, node, opts) {
+	PNode.call(this, pdoc, parent, node, opts);
 };
-util.inherits(PTemplate, PNode);
-Object.defineProperties(PTemplate.prototype, {
-	_template: {
-		get: function() {
-			return this.dataMw.parts[this.which];
-		},
-		set: function(v) {
-			var dmw = this.dataMw;
-			dmw.parts[this.which] = v;
-			this.dataMw = dmw;
-		},
-	},
+util.inherits(PReferences, PNode);
+Object.defineProperties(PReferences.prototype, {
 	/**
-	 * The name of the template, as a String.
-	 *
-	 * See: [T107194](https://phabricator.wikimedia.org/T107194)
+	 * The group of the footnotes listed, which is `''` for the default
+	 * group.
 	 * @property {String}
+	 * @readonly
 	 */
-	name: {
+	group: {
 		get: function() {
-			// This should really be a PNodeList; see T107194
-			return this._template.template.target.wt;
-		},
-		set: function(v) {
-			var t = this._template;
-			t.template.target.wt = v;
-			t.template.target.href = './' +
-				this.pdoc.env.normalizeTitle('Template:' + v);
-			this._template = t;
+			return (this.dataMw.attrs || {}).group || '';
 		},
 	},
-	/**
-	 * Test whether the name of this template matches a given string, after
-	 * normalizing titles.
-	 * @param {String} name The template name to test against.
-	 * @return {Boolean}
-	 */
-	nameMatches: {
-		value: function(name) {
-			var href = './' + this.pdoc.env.normalizeTitle('Template:' + name);
-			return this._template.template.target.href === href;
+	// Internal helper: the refs defined in the list, as a PNodeList.
+	_body: {
+		get: function() {
+			var body = this.dataMw.body;
+			var div = this.ownerDocument.createElement('div');
+			div.innerHTML = (body && body.html) || '';
+			return new PNodeList(this.pdoc, this, div, {
+				update: function() {
+					var dmw = this.parent.dataMw;
+					if (/^\s*$/.test(this.container.innerHTML)) {
+						delete dmw.body;
+					} else {
+						dmw.body = { html: this.container.innerHTML };
+					}
+					this.parent.dataMw = dmw;
+				},
+			});
 		},
 	},
 	/**
-	 * The parameters supplied to this template.
-	 * @property {PTemplate.Parameter[]}
+	 * The refs defined in the list.
+	 * @property {PRef[]}
+	 * @readonly
 	 */
-	params: {
+	refs: {
 		get: function() {
-			return Object.keys(this._template.template.params).sort().map(function(k) {
-				return this.get(k);
+			var body = this._body;
+			return body._querySelectorAll(PRef._selector).map(function(node) {
+				return new PRef(this.pdoc, body, node);
 			}, this);
 		},
 	},
 	/**
-	 * Return `true` if any parameter in the template is named `name`.
-	 * With `ignoreEmpty`, `false` will be returned even if the template
-	 * contains a parameter named `name`, if the parameter's value is empty
-	 * (ie, only contains whitespace).  Note that a template may have
-	 * multiple parameters with the same name, but only the last one is
-	 * read by Parsoid (and the MediaWiki parser).
-	 * @param {String|PTemplate.Parameter} name
-	 * @param {Object} [opts]
-	 * @param {Boolean} [opts.ignoreEmpty=false]
+	 * Move the text of refs into the list, leaving reuses of them in
+	 * their place.  Unnamed refs are given a name for this.
+	 * @param {PRef[]} [refs]
+	 *   The refs to move; defaults to those of the document which belong
+	 *   to the group of the list and aren't defined in a list already.
 	 */
-	has: {
-		value: function(name, opts) {
-			if (name instanceof PTemplate.Parameter) {
-				name = name.name;
+	moveRefs: {
+		value: function(refs) {
+			var group = this.group;
+			var pdoc = this.pdoc;
+			if (refs === undefined) {
+				refs = pdoc.filterRefs().filter(function(r) {
+					return r.group === group && !r._isListDefined();
+				});
 			}
-			var t = this._template.template;
-			return Object.prototype.hasOwnProperty.call(t.params, name) && (
-				(opts && opts.ignoreEmpty) ?
-					!/^\s*$/.test(t.params[name].html) : true
-			);
+			pdoc._batch({
+				type: 'references-move',
+				summary: 'moved references into the list',
+			}, function() { this._moveRefs(refs); }, this);
+		},
+	},
+	// Internal helper: the body of #moveRefs.
+	_moveRefs: {
+		value: function(refs) {
+			var group = this.group;
+			var pdoc = this.pdoc;
+			var body = this._body;
+			var doc = body.container.ownerDocument;
+			var names = new Set(pdoc.filterRefs().map(function(r) {
+				return r.name;
+			}));
+			var n = 0;
+			// One ref per line.
+			while (isSeparator(body.container.lastChild)) {
+				body.container.removeChild(body.container.lastChild);
+			}
+			refs.forEach(function(r) {
+				var text = r.body;
+				if (text === null || r._isListDefined()) {
+					return;
+				}
+				if (r.name === null) {
+					while (names.has(':' + n)) { n++; }
+					r.name = ':' + n;
+					names.add(r.name);
+				}
+				var attrs = { name: r.name };
+				if (group) { attrs.group = group; }
+				var span = doc.createElement('span');
+				span.setAttribute('typeof', 'mw:Extension/ref');
+				span.setAttribute('about', pdoc.env.newAboutId());
+				DU.storeDataMw(span, {
+					name: 'ref',
+					attrs: attrs,
+					body: { html: text.container.innerHTML },
+				});
+				body.container.appendChild(doc.createTextNode('\n'));
+				body.container.appendChild(span);
+				r.body = null;
+			});
+			if (body.container.lastChild !== null) {
+				body.container.appendChild(doc.createTextNode('\n'));
+			}
+			body.update();
 		},
 	},
+
+	_children: { value: function() {
+		return [ this._body ];
+	}, },
+});
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PReferences._selector = '[typeof~="mw:Extension/references"]';
+
+/**
+ * PTranslation represents the translatable content of a page, marked up
+ * for the Translate extension like `<translate>...</translate>`.
+ *
+ * The content is made of translation units, separated by blank lines,
+ * which are identified by markers like `<!--T:1-->` once the page is
+ * marked for translation.  Units added to marked content are given a
+ * marker when the document is serialized.
+ * @class PTranslation
+ * @extends PNode
+ */
+/**
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
+ */
+PTranslation = function PTranslation(pdoc, parent, node, opts) {
+	PNode.call(this, pdoc, parent, node, opts);
+};
+util.inherits(PTranslation, PNode);
+Object.defineProperties(PTranslation.prototype, {
 	/**
-	 * Add a parameter to the template with a given `name` and `value`.
-	 * If `name` is already a parameter in the template, we'll replace
-	 * its value.
-	 * @param {String|PTemplate.Parameter} name
-	 * @param {String|Node|PNodeList} value
+	 * The rendered content, as a {@link PNodeList}.
+	 * @property {PNodeList}
+	 * @readonly
 	 */
-	add: {
-		value: function(k, v) {
-			if (k instanceof PTemplate.Parameter) {
-				k = k.name;
-			}
-			var t = this._template;
-			var html = toHtmlStr(this.node, v);
-			t.template.params[k] = { html: html };
-			this._template = t;
+	contents: {
+		get: function() {
+			return new PNodeList(this.pdoc, this, this.node);
 		},
 	},
 	/**
-	 * Remove a parameter from the template with the given `name`.
-	 * If `keepField` is `true`, we will keep the parameter's name but
-	 * blank its value.  Otherwise we will remove the parameter completely
-	 * *unless* other parameters are dependent on it (e.g. removing
-	 * `bar` from `{{foo|bar|baz}}` is unsafe because `{{foo|baz}}` is
-	 * not what we expected, so `{{foo||baz}}` will be produced instead).
-	 * @param {String|PTemplate.Parameter} name
-	 * @param {Object} [opts]
-	 * @param {Boolean} [opts.keepField=false]
+	 * The translation units of the content.
+	 * @property {PTranslation.Unit[]}
+	 * @readonly
 	 */
-	remove: {
-		value: function(k, opts) {
-			if (k instanceof PTemplate.Parameter) {
-				k = k.name;
-			}
-			var t = this._template;
-			var keepField = opts && opts.keepField;
-			// if this is a numbered template, force keepField if there
-			// are subsequent numbered templates.
-			var isNumeric = (String(+k) === String(k));
-			if (isNumeric && this.has(1 + (+k))) {
-				keepField = true;
-			}
-			if (keepField) {
-				t.template.params[k] = { html: '' };
-			} else {
-				delete t.template.params[k];
-			}
-			this._template = t;
+	units: {
+		get: function() {
+			var body = this.dataMw.body || {};
+			return (body.units || []).map(function(u, i) {
+				return new PTranslation.Unit(this, i, u);
+			}, this);
 		},
 	},
-
 	/**
-	 * Get the parameter whose name is `name`.
-	 * @param {String|PTemplate.Parameter} name
-	 * @return {PTemplate.Parameter} The parameter record.
+	 * Add a translation unit after the others.
+	 * @param {String} source The wikitext of the unit.
+	 * @return {PTranslation.Unit} The new unit.
 	 */
-	get: {
-		value: function(k) {
-			if (k instanceof PTemplate.Parameter) {
-				k = k.name;
-			}
-			if (!this._cachedParams[k]) {
-				this._cachedParams[k] = new PTemplate.Parameter(this, k);
-			}
-			return this._cachedParams[k];
+	addUnit: {
+		value: function(source) {
+			var index = this.units.length;
+			this._setUnit(index, source, {
+				type: 'translation-unit-add',
+				summary: 'added translation unit "' + abbrev(source) + '"',
+			});
+			return this.units[index];
+		},
+	},
+	// Internal helper: change the source of the unit at `index` in the
+	// data-mw, which the serializer uses unless the DOM was edited too.
+	_setUnit: {
+		value: function(index, source, change) {
+			var dmw = this.dataMw;
+			var body = dmw.body || {};
+			body.extsrc = Translate.replaceUnit(body.extsrc || '', index,
+				String(source));
+			body.units = Translate.parseUnits(body.extsrc);
+			dmw.body = body;
+			this.pdoc._batch(change, function() { this.dataMw = dmw; }, this);
 		},
 	},
 
 	_children: { value: function() {
-		var result = [];
-		this.params.forEach(function(k) {
-			var p = this.get(k);
-			if (p.key) { result.push(p.key); }
-			result.push(p.value);
-		}, this);
-		return result;
+		return [ this.contents ];
 	}, },
 });
 /**
@@ -1113,121 +2079,66 @@ Object.defineProperties(PTemplate.prototype, {
  * @static
  * @private
  */
-PTemplate._selector = '[typeof~="mw:Transclusion"]';
+PTranslation._selector = '[typeof~="mw:Extension/translate"]';
 
 /**
- * @class PTemplate.Parameter
- *
- * Represents a parameter of a template.
- *
- * For example, the template `{{foo|bar|spam=eggs}}` contains two
- * {@link PTemplate.Parameter}s: one whose #name is `"1"` and whose
- * whose #value is a {@link PNodeList} corresponding to `"bar"`, and one
- * whose #name is `"spam"` and whose #value is a {@link PNodeList}
- * corresponding to `"eggs"`.
+ * @class PTranslation.Unit
  *
- * See: {@link PTemplate}
+ * Represents a translation unit of a {@link PTranslation}.
  */
 /**
  * @method constructor
  * @private
- * @param {PTemplate} parent The parent template for this parameter.
- * @param {String} k The parameter name.
+ * @param {PTranslation} parent The translatable content of the unit.
+ * @param {Number} index The index of the unit in the content.
+ * @param {Object} unit The description of the unit in the data-mw.
  */
-PTemplate.Parameter = function Parameter(parent, k) {
-	var doc = parent.ownerDocument;
-	var param = parent._template.template.params[k];
-	var valDiv = doc.createElement('div');
-	valDiv.innerHTML = param.html;
-	this._name = k;
-	this._value = new PNodeList(parent.pdoc, parent, valDiv, {
-		update: function() {
-			var t = this.parent._template;
-			delete t.template.params[k].wt;
-			t.template.params[k].html = this.container.innerHTML;
-			this.parent._template = t;
-		},
-	});
-	var keyDiv = doc.createElement('div');
-	this._key = new PNodeList(parent.pdoc, parent, keyDiv, {
-		update: function() {
-			var t = this.parent._template;
-			if (this._hasKey) {
-				if (!t.template.params[k].key) {
-					t.template.params[k].key = {};
-				}
-				delete t.template.params[k].key.wt;
-				t.template.params[k].key.html = this.container.innerHTML;
-			} else {
-				delete t.template.params[k].key;
-			}
-			this.parent._template = t;
-		},
-	});
-	if (param.key && param.key.html) {
-		// T106852 means this doesn't always work.
-		keyDiv.innerHTML = param.key.html;
-		this._key._hasKey = true;
-	}
+PTranslation.Unit = function Unit(parent, index, unit) {
+	this.parent = parent;
+	this._index = index;
+	this._unit = unit;
 };
-Object.defineProperties(PTemplate.Parameter.prototype, {
+Object.defineProperties(PTranslation.Unit.prototype, {
 	/**
-	 * @property {String} name
-	 *   The expanded parameter name.
-	 *   Unnamed parameters are given numeric indexes.
+	 * The id of the marker of the unit, like `"1"` for `<!--T:1-->`, or
+	 * `null` if it has none yet.
+	 * @property {String|null}
 	 * @readonly
 	 */
-	name: { get: function() { return this._name; }, },
+	id: { get: function() { return this._unit.id; }, },
 	/**
-	 * @property {PNodeList|null} key
-	 *   Source nodes corresponding to the parameter name.
-	 *   For example, in `{{echo|{{echo|1}}=hello}}` the parameter name
-	 *   is `"1"`, but the `key` field would contain the `{{echo|1}}`
-	 *   template invocation, as a {@link PNodeList}.
+	 * The wikitext of the unit, without its marker.
+	 * @property {String}
 	 */
-	key: {
-		get: function() { return this._key._hasKey ? this._key : null; },
+	source: {
+		get: function() { return this._unit.source; },
 		set: function(v) {
-			if (v === null || v === undefined) {
-				this._key.container.innerHTML = '';
-				this._key._hasKey = false;
-			} else {
-				this._key.container.innerHTML =
-					toHtmlStr(this._key.container, v);
-			}
-			this._key.update();
+			this.parent._setUnit(this._index, v, {
+				type: 'translation-unit-change',
+				summary: 'changed translation unit ' +
+					(this.id === null ? this._index + 1 : this.id) +
+					' to "' + abbrev(String(v)) + '"',
+			});
+			this._unit = this.parent.dataMw.body.units[this._index];
 		},
 	},
 	/**
-	 * @property {PNodeList} value
-	 *    The parameter value.
+	 * The variables of the unit, which aren't translated, like
+	 * `<tvar name="x">...</tvar>`: their wikitext, by name.
+	 * @property {Object}
+	 * @readonly
 	 */
-	value: {
-		get: function() { return this._value; },
-		set: function(v) {
-			this._value.container.innerHTML =
-				toHtmlStr(this._value.container, v);
-			this._value.update();
-		},
-	},
-	toWikitext: { value: Promise.method(function() {
-		var k = this.key;
-		return Promise.join(
-			k ? k.toWikitext() : this.name,
-			this.value.toWikitext()
-		).spread(function(keyWikitext, valueWikitext) {
-			return keyWikitext + '=' + valueWikitext;
-		});
-	}), },
-	toString: { value: function() {
-		var k = this.key;
-		return (k ? String(k) : this.name) + '=' + String(this.value);
-	}, },
+	vars: { get: function() { return Object.assign({}, this._unit.vars); }, },
+	toString: { value: function() { return this.source; }, },
 });
 
 /**
- * PText represents ordinary unformatted text with no special properties.
- * @class PText
+ * PTable represents a table, like `{| ... |}` in wikitext.
+ *
+ * Its rows are available as {@link PTable.Row}s, and its cells as
+ * {@link PTable.Cell}s, either row by row or by their position in the
+ * grid the table lays out, taking `colspan` and `rowspan` into account.
+ * @class PTable
  * @extends PNode
  */
 /**
@@ -1235,34 +2146,209 @@ Object.defineProperties(PTemplate.Parameter.prototype, {
  * @private
  * @inheritdoc PNode#constructor
  */
-PText = function PText(pdoc, parent, node, opts) {
+PTable = function PTable(pdoc, parent, node, opts) {
 	PNode.call(this, pdoc, parent, node, opts);
 };
-util.inherits(PText, PNode);
-Object.defineProperties(PText.prototype, {
+util.inherits(PTable, PNode);
+Object.defineProperties(PTable.prototype, {
+	// Internal helper: the <tr> elements of the table, skipping those
+	// of nested tables.
+	_rowNodes: {
+		get: function() {
+			var result = [];
+			Array.from(this.node.children).forEach(function(child) {
+				if (child.nodeName === 'TR') {
+					result.push(child);
+				} else if (/^(THEAD|TBODY|TFOOT)$/.test(child.nodeName)) {
+					Array.from(child.children).forEach(function(c) {
+						if (c.nodeName === 'TR') { result.push(c); }
+					});
+				}
+			});
+			return result;
+		},
+	},
 	/**
-	 * The actual text itself.
-	 * @property {String}
+	 * The caption of the table, as a {@link PNodeList}, or `null` if
+	 * not present.
+	 * You can assign `null`, a String, Node, or PNodeList to mutate the
+	 * caption.
+	 * @property {PNodeList|null}
 	 */
-	value: {
+	caption: {
 		get: function() {
-			return this.node.data;
+			var c = this.node.firstElementChild;
+			return (c && c.nodeName === 'CAPTION') ?
+				new PNodeList(this.pdoc, this, c) : null;
 		},
 		set: function(v) {
-			this.node.data = v;
-			this.update();
+			var c = this.node.firstElementChild;
+			if (!c || c.nodeName !== 'CAPTION') {
+				if (v === null || v === undefined) {
+					return;
+				}
+				c = this.ownerDocument.createElement('caption');
+				this.node.insertBefore(c, this.node.firstChild);
+			}
+			if (v === null || v === undefined) {
+				// Drop the newline separating the caption from the rows too.
+				if (isSeparator(c.nextSibling)) {
+					this.node.removeChild(c.nextSibling);
+				}
+				this.node.removeChild(c);
+			} else {
+				c.innerHTML = toHtmlStr(c, v);
+			}
+			this.update({
+				type: 'table-caption',
+				summary: (v === null || v === undefined) ?
+					'removed table caption' : 'changed table caption',
+			});
 		},
 	},
 	/**
-	 * Extends {@link PNode#matches} to allow a target string to match
-	 * if it matches this node's #value.
-	 * @method
-	 * @inheritdoc PNode#matches
-	 * @param {Node|PNode|String} target
+	 * The rows of the table.
+	 * @property {PTable.Row[]}
 	 */
-	matches: { value: function(target) {
-		return PNode.prototype.matches.call(this, target) ||
-			this.value === target;
+	rows: {
+		get: function() {
+			return this._rowNodes.map(function(tr) {
+				return new PTable.Row(this.pdoc, this, tr);
+			}, this);
+		},
+	},
+	/**
+	 * The first row of the table if it only contains header cells,
+	 * or `null` otherwise.
+	 * @property {PTable.Row|null}
+	 */
+	headerRow: {
+		get: function() {
+			var row = this.rows[0];
+			return (row && row.isHeader) ? row : null;
+		},
+	},
+	/**
+	 * The cells of the table, laid out as a grid: `grid[r][c]` is the
+	 * cell covering the `c`th column of the `r`th row.  A cell spanning
+	 * several rows or columns appears in each of the positions it covers,
+	 * and positions covered by no cell are `null`.
+	 * @property {PTable.Cell[][]}
+	 */
+	grid: {
+		get: function() {
+			var rows = this.rows;
+			var grid = rows.map(function() { return []; });
+			var width = 0;
+			rows.forEach(function(row, r) {
+				var c = 0;
+				row.cells.forEach(function(cell) {
+					while (grid[r][c]) { c++; }
+					var rowspan = Math.min(cell.rowspan, rows.length - r);
+					for (var i = 0; i < rowspan; i++) {
+						for (var j = 0; j < cell.colspan; j++) {
+							grid[r + i][c + j] = cell;
+						}
+					}
+					c += cell.colspan;
+					width = Math.max(width, c);
+				});
+			});
+			grid.forEach(function(cells) {
+				for (var c = 0; c < width; c++) {
+					cells[c] = cells[c] || null;
+				}
+			});
+			return grid;
+		},
+	},
+	/**
+	 * Return the cell covering the given position in the #grid of the
+	 * table, or `null` if there is none.
+	 * @param {Number} row
+	 * @param {Number} column
+	 * @return {PTable.Cell|null}
+	 */
+	getCell: {
+		value: function(row, column) {
+			var cells = this.grid[row];
+			return (cells && cells[column]) || null;
+		},
+	},
+	/**
+	 * Insert a new row in the table.
+	 * @param {Number} index
+	 *   The index of the new row; the row is added at the end of the table
+	 *   if it is omitted or out of range.
+	 * @param {Array} values
+	 *   The contents of the cells of the new row, as Strings, Nodes, or
+	 *   PNodeLists.
+	 * @param {Object} [opts]
+	 * @param {Boolean} [opts.header=false]
+	 *   Make the cells of the row header cells.
+	 * @return {PTable.Row} The new row.
+	 */
+	insertRow: {
+		value: function(index, values, opts) {
+			var doc = this.ownerDocument;
+			var tr = doc.createElement('tr');
+			var cellName = (opts && opts.header) ? 'th' : 'td';
+			values.forEach(function(v) {
+				var cell = doc.createElement(cellName);
+				// Separate the content from the cell markup, as the
+				// tokenizer does.
+				cell.innerHTML = toHtmlStr(cell, ' ') + toHtmlStr(cell, v);
+				tr.appendChild(cell);
+			});
+			var rowNodes = this._rowNodes;
+			var next = rowNodes[index];
+			if (next) {
+				next.parentNode.insertBefore(tr, next);
+			} else if (rowNodes.length) {
+				var last = rowNodes[rowNodes.length - 1];
+				last.parentNode.insertBefore(tr, last.nextSibling);
+			} else {
+				var tbody = doc.createElement('tbody');
+				tbody.appendChild(tr);
+				this.node.appendChild(tbody);
+			}
+			this.update({ type: 'table-row-add', summary: 'added table row' });
+			return new PTable.Row(this.pdoc, this, tr);
+		},
+	},
+	/**
+	 * Remove the row with the given index from the table.  Cells of
+	 * other rows which span it are left untouched.
+	 * @param {Number} index
+	 */
+	removeRow: {
+		value: function(index) {
+			var tr = this._rowNodes[index];
+			if (!tr) {
+				throw new Error('No row ' + index + ' in the table.');
+			}
+			// Drop the newline separating the row from its neighbours too.
+			var sep = isSeparator(tr.previousSibling) ? tr.previousSibling :
+				isSeparator(tr.nextSibling) ? tr.nextSibling : null;
+			if (sep) {
+				sep.parentNode.removeChild(sep);
+			}
+			tr.parentNode.removeChild(tr);
+			this.update({
+				type: 'table-row-remove',
+				summary: 'removed table row',
+			});
+		},
+	},
+
+	_children: { value: function() {
+		var result = [];
+		var c = this.caption;
+		if (c) { result.push(c); }
+		this.rows.forEach(function(row) {
+			result = result.concat(row._children());
+		});
+		return result;
 	}, },
 });
 /**
@@ -1270,94 +2356,1652 @@ Object.defineProperties(PText.prototype, {
  * @static
  * @private
  */
-PText._selector = 'TEXT'; // non-standard selector
+PTable._selector = 'table';
 
 /**
- * PWikiLink represents an internal wikilink, like `[[Foo|Bar]]`.
- * @class PWikiLink
+ * @class PTable.Row
  * @extends PNode
+ *
+ * Represents a row of a {@link PTable}, like `|-` in wikitext.
  */
 /**
  * @method constructor
  * @private
  * @inheritdoc PNode#constructor
  */
-PWikiLink = function PWikiLink(pdoc, parent, node, opts) {
+PTable.Row = function Row(pdoc, parent, node, opts) {
 	PNode.call(this, pdoc, parent, node, opts);
 };
-util.inherits(PWikiLink, PNode);
-Object.defineProperties(PWikiLink.prototype, {
+util.inherits(PTable.Row, PNode);
+Object.defineProperties(PTable.Row.prototype, {
 	/**
-	 * The title of the linked page.
-	 * @property {String}
+	 * The cells of the row.
+	 * @property {PTable.Cell[]}
 	 */
-	title: {
-		// XXX url should be a PNodeList, but that requires handling
-		// typeof="mw:ExpandedAttrs"
+	cells: {
 		get: function() {
-			return this.node.getAttribute('href').replace(/^.\//, '');
-		},
-		set: function(v) {
-			var href = './' + this.pdoc.env.normalizeTitle(v);
-			this.node.setAttribute('href', href);
-			this.update();
+			return Array.from(this.node.children).filter(function(c) {
+				return c.nodeName === 'TD' || c.nodeName === 'TH';
+			}).map(function(c) {
+				return new PTable.Cell(this.pdoc, this, c);
+			}, this);
 		},
 	},
 	/**
-	 * The text to display, as a {@link PNodeList}.
-	 * You can assign a String, Node, or PNodeList to mutate the text.
-	 * @property {PNodeList}
+	 * True if the row only contains header cells.
+	 * @property {Boolean}
 	 */
-	text: innerAccessor,
-
-	_children: { value: function() { return [this.text]; }, },
+	isHeader: {
+		get: function() {
+			var cells = this.cells;
+			return cells.length > 0 && cells.every(function(c) {
+				return c.isHeader;
+			});
+		},
+	},
+	_children: { value: function() {
+		return this.cells.map(function(c) { return c.contents; });
+	}, },
 });
+
 /**
- * @ignore
- * @static
- * @private
+ * @class PTable.Cell
+ * @extends PNode
+ *
+ * Represents a cell of a {@link PTable}, either a data cell, like `| foo`
+ * in wikitext, or a header cell, like `! foo`.
  */
-PWikiLink._selector = 'a[rel="mw:WikiLink"]';
-
 /**
- * A PDoc object wraps an entire Parsoid document.  Since it is an
- * instance of {@link PNodeList}, you can filter it, mutate it, etc.
- * But it also provides means to serialize the document as either
- * HTML (via {@link #document} or {@link #toHtml}) or wikitext
- * (via {@link #toWikitext}).
- * @class
- * @extends PNodeList
- * @alternateClassName Parsoid.PDoc
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
  */
-var PDoc = function PDoc(env, doc) {
-	PNodeList.call(this, this, null, doc.body);
-	this.env = env;
+PTable.Cell = function Cell(pdoc, parent, node, opts) {
+	PNode.call(this, pdoc, parent, node, opts);
 };
-util.inherits(PDoc, PNodeList);
-Object.defineProperties(PDoc.prototype, {
+util.inherits(PTable.Cell, PNode);
+Object.defineProperties(PTable.Cell.prototype, {
 	/**
-	 * An HTML {@link Document} representing article content conforming to the
-	 * [MediaWiki DOM specification](https://www.mediawiki.org/wiki/Parsoid/MediaWiki_DOM_spec).
-	 * @property {Document}
+	 * True if this is a header cell.
+	 * @property {Boolean}
 	 */
-	document: {
-		get: function() { return this.container.ownerDocument; },
-		set: function(v) { this.container = v.body; },
+	isHeader: {
+		get: function() { return this.node.nodeName === 'TH'; },
 	},
 	/**
-	 * Return a string representing the entire document as
-	 * HTML conforming to the
-	 * [MediaWiki DOM specification](https://www.mediawiki.org/wiki/Parsoid/MediaWiki_DOM_spec).
-	 * @inheritdoc PNodeList#toHtml
-	 * @method
+	 * The number of columns spanned by the cell.
+	 * @property {Number}
+	 * @readonly
 	 */
-	toHtml: { value: function() {
-		// document.outerHTML is a Parsoid-ism; real browsers don't define it.
-		var html = this.document.outerHTML;
-		if (!html) {
-			html = this.document.body.outerHTML;
-		}
-		return html;
+	colspan: {
+		get: function() {
+			return Math.max(1, parseInt(this.node.getAttribute('colspan'), 10) || 1);
+		},
+	},
+	/**
+	 * The number of rows spanned by the cell.
+	 * @property {Number}
+	 * @readonly
+	 */
+	rowspan: {
+		get: function() {
+			return Math.max(1, parseInt(this.node.getAttribute('rowspan'), 10) || 1);
+		},
+	},
+	/**
+	 * Return the value of the attribute `name` of the cell, like `style`
+	 * or `colspan`, or `null` if it is not set.
+	 * @param {String} name
+	 * @return {String|null}
+	 */
+	getAttribute: {
+		value: function(name) {
+			return this.node.getAttribute(name);
+		},
+	},
+	/**
+	 * Set the attribute `name` of the cell to `value`.
+	 * @param {String} name
+	 * @param {String} value
+	 */
+	setAttribute: {
+		value: function(name, value) {
+			this.node.setAttribute(name, String(value));
+			this.update({
+				type: 'table-cell',
+				summary: 'set ' + name + ' of table cell',
+			});
+		},
+	},
+	/**
+	 * Remove the attribute `name` of the cell.
+	 * @param {String} name
+	 */
+	removeAttribute: {
+		value: function(name) {
+			this.node.removeAttribute(name);
+			this.update({
+				type: 'table-cell',
+				summary: 'removed ' + name + ' of table cell',
+			});
+		},
+	},
+	/**
+	 * The contents of the cell, as a {@link PNodeList}.
+	 * You can assign a String, Node, or PNodeList to mutate the contents.
+	 * @property {PNodeList}
+	 */
+	contents: innerAccessor,
+
+	_children: { value: function() { return [this.contents]; }, },
+});
+
+
+/**
+ * PTag represents any otherwise-unmatched tag.  This includes
+ * HTML-style tags in wikicode, like `<span>`, as well as some
+ * "invisible" tags like `<p>`.
+ * @class PTag
+ * @extends PNode
+ */
+/**
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
+ */
+PTag = function PTag(pdoc, parent, node, opts) {
+	PNode.call(this, pdoc, parent, node, opts);
+};
+util.inherits(PTag, PNode);
+Object.defineProperties(PTag.prototype, {
+	/**
+	 * The name of the tag, in lowercase.
+	 */
+	tagName: {
+		get: function() { return this.node.tagName.toLowerCase(); },
+	},
+
+	/**
+	 * The contents of the tag, as a {@PNodeList} object.
+	 * You can assign a String, Node, or PNodeList to mutate the contents.
+	 * @property {PNodeList}
+	 */
+	contents: innerAccessor,
+
+	_children: { value: function() { return [this.contents]; }, },
+});
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PTag._selector = '*'; // any otherwise-unmatched element
+
+/**
+ * PList represents a list, like `* foo`, `# foo` or `; foo : bar` in
+ * wikitext.
+ * @class PList
+ * @extends PTag
+ */
+/**
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
+ */
+PList = function PList(pdoc, parent, node, opts) {
+	PTag.call(this, pdoc, parent, node, opts);
+};
+util.inherits(PList, PTag);
+Object.defineProperties(PList.prototype, {
+	/**
+	 * The type of the list: `bullet` for `*` lists, `numbered` for `#`
+	 * lists, and `definition` for `;` and `:` lists.
+	 * @property {String}
+	 * @readonly
+	 */
+	type: {
+		get: function() {
+			switch (this.node.nodeName) {
+				case 'OL': return 'numbered';
+				case 'DL': return 'definition';
+				default: return 'bullet';
+			}
+		},
+	},
+	/**
+	 * The contents of the items of the list, as {@link PNodeList}s.
+	 * The terms and the definitions of definition lists are separate
+	 * items.
+	 * @property {PNodeList[]}
+	 * @readonly
+	 */
+	items: {
+		get: function() {
+			return Array.from(this.node.children).filter(function(item) {
+				return /^(LI|DT|DD)$/.test(item.nodeName);
+			}).map(function(item) {
+				return new PNodeList(this.pdoc, this, item);
+			}, this);
+		},
+	},
+
+	_children: { value: function() { return this.items; }, },
+});
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PList._selector = 'ul:not([typeof]),ol:not([typeof]),dl:not([typeof])';
+
+/**
+ * PTemplate represents a wikitext template, like `{{foo}}`.
+ * @class PTemplate
+ * @extends PNode
+ */
+/**
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
+ * @param {PDoc} pdoc The parent document for this PNode.
+ * @param {PNodeList|null} parent A containing node list which will receive
+ *    updates when this {@link PNode} is mutated.
+ * @param {Node} node The DOM node.
+ * @param {Number} which A single {@link Node} can represent multiple
+ *   templates; this parameter serves to distinguish them.
+ */
+PTemplate = function PTemplate(pdoc, parent, node, which) {
+	PNode.call(this, pdoc, parent, node, {
+		wtsNodes: function() {
+			// Templates are actually a collection of nodes.
+			return this.parent._querySelectorAll
+				('[about="' + this.node.getAttribute('about') + '"]');
+		},
+	});
+	this.which = which;
+	this._cachedParams = Object.create(null);
+};
+util.inherits(PTemplate, PNode);
+Object.defineProperties(PTemplate.prototype, {
+	_template: {
+		get: function() {
+			return this.dataMw.parts[this.which];
+		},
+		set: function(v) {
+			var dmw = this.dataMw;
+			dmw.parts[this.which] = v;
+			this.dataMw = dmw;
+		},
+	},
+	/**
+	 * The name of the template, as a String.
+	 *
+	 * See: [T107194](https://phabricator.wikimedia.org/T107194)
+	 * @property {String}
+	 */
+	name: {
+		get: function() {
+			// This should really be a PNodeList; see T107194
+			return this._template.template.target.wt;
+		},
+		set: function(v) {
+			var t = this._template;
+			var change = {
+				type: 'template-rename',
+				summary: 'renamed template "' + abbrev(t.template.target.wt) +
+					'" to "' + abbrev(v) + '"',
+			};
+			t.template.target.wt = v;
+			t.template.target.href = './' +
+				this.pdoc.env.normalizeTitle('Template:' + v);
+			this.pdoc._batch(change, function() { this._template = t; }, this);
+		},
+	},
+	/**
+	 * Test whether the name of this template matches a given string, after
+	 * normalizing titles.
+	 * @param {String} name The template name to test against.
+	 * @return {Boolean}
+	 */
+	nameMatches: {
+		value: function(name) {
+			var href = './' + this.pdoc.env.normalizeTitle('Template:' + name);
+			return this._template.template.target.href === href;
+		},
+	},
+	/**
+	 * The [TemplateData](https://www.mediawiki.org/wiki/Extension:TemplateData)
+	 * of the template, which documents its parameters, or `null` if it
+	 * has none.  Parameters are looked up by their documented name or
+	 * any of its aliases, and new ones are serialized in the documented
+	 * order and format.
+	 * @property {Object|null}
+	 * @readonly
+	 */
+	templateData: {
+		get: function() {
+			return TemplateData.get(this.pdoc.env,
+				TemplateData.targetTitle(this._template.template.target));
+		},
+	},
+	/**
+	 * The name of the parameter of the template which is given by `name`,
+	 * its documented name or an alias of it.
+	 * @private
+	 */
+	_paramKey: {
+		value: function(name) {
+			if (name instanceof PTemplate.Parameter) {
+				return name.name;
+			}
+			var k = TemplateData.findParam(this.templateData,
+				this._template.template.params, name);
+			return k === null ? name : k;
+		},
+	},
+	/**
+	 * The parameters supplied to this template.
+	 * @property {PTemplate.Parameter[]}
+	 */
+	params: {
+		get: function() {
+			return Object.keys(this._template.template.params).sort().map(function(k) {
+				return this.get(k);
+			}, this);
+		},
+	},
+	/**
+	 * Return `true` if any parameter in the template is named `name`.
+	 * With `ignoreEmpty`, `false` will be returned even if the template
+	 * contains a parameter named `name`, if the parameter's value is empty
+	 * (ie, only contains whitespace).  Note that a template may have
+	 * multiple parameters with the same name, but only the last one is
+	 * read by Parsoid (and the MediaWiki parser).  A parameter given by
+	 * an alias of `name` (see #templateData) matches too.
+	 * @param {String|PTemplate.Parameter} name
+	 * @param {Object} [opts]
+	 * @param {Boolean} [opts.ignoreEmpty=false]
+	 */
+	has: {
+		value: function(name, opts) {
+			name = this._paramKey(name);
+			var t = this._template.template;
+			return Object.prototype.hasOwnProperty.call(t.params, name) && (
+				(opts && opts.ignoreEmpty) ?
+					!/^\s*$/.test(t.params[name].html) : true
+			);
+		},
+	},
+	/**
+	 * Add a parameter to the template with a given `name` and `value`.
+	 * If `name` (or an alias of it) is already a parameter in the
+	 * template, we'll replace its value.
+	 * @param {String|PTemplate.Parameter} name
+	 * @param {String|Node|PNodeList} value
+	 */
+	add: {
+		value: function(k, v) {
+			k = this._paramKey(k);
+			var t = this._template;
+			var html = toHtmlStr(this.node, v);
+			var change = this.has(k) ? {
+				type: 'template-param-change',
+				summary: 'changed ' + k + ' of template "' + abbrev(this.name) + '"',
+			} : {
+				type: 'template-param-add',
+				summary: 'added ' + k + ' to template "' + abbrev(this.name) + '"',
+			};
+			t.template.params[k] = { html: html };
+			this.pdoc._batch(change, function() { this._template = t; }, this);
+		},
+	},
+	/**
+	 * Remove a parameter from the template with the given `name`.
+	 * If `keepField` is `true`, we will keep the parameter's name but
+	 * blank its value.  Otherwise we will remove the parameter completely
+	 * *unless* other parameters are dependent on it (e.g. removing
+	 * `bar` from `{{foo|bar|baz}}` is unsafe because `{{foo|baz}}` is
+	 * not what we expected, so `{{foo||baz}}` will be produced instead).
+	 * @param {String|PTemplate.Parameter} name
+	 * @param {Object} [opts]
+	 * @param {Boolean} [opts.keepField=false]
+	 */
+	remove: {
+		value: function(k, opts) {
+			k = this._paramKey(k);
+			var t = this._template;
+			var keepField = opts && opts.keepField;
+			// if this is a numbered template, force keepField if there
+			// are subsequent numbered templates.
+			var isNumeric = (String(+k) === String(k));
+			if (isNumeric && this.has(1 + (+k))) {
+				keepField = true;
+			}
+			if (keepField) {
+				t.template.params[k] = { html: '' };
+			} else {
+				delete t.template.params[k];
+			}
+			this.pdoc._batch({
+				type: 'template-param-remove',
+				summary: 'removed ' + k + ' from template "' + abbrev(this.name) + '"',
+			}, function() { this._template = t; }, this);
+		},
+	},
+
+	/**
+	 * Get the parameter whose name is `name`, or an alias of it.
+	 * @param {String|PTemplate.Parameter} name
+	 * @return {PTemplate.Parameter} The parameter record.
+	 */
+	get: {
+		value: function(k) {
+			k = this._paramKey(k);
+			if (!this._cachedParams[k]) {
+				this._cachedParams[k] = new PTemplate.Parameter(this, k);
+			}
+			return this._cachedParams[k];
+		},
+	},
+
+	_children: { value: function() {
+		var result = [];
+		this.params.forEach(function(k) {
+			var p = this.get(k);
+			if (p.key) { result.push(p.key); }
+			result.push(p.value);
+		}, this);
+		return result;
+	}, },
+});
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PTemplate._selector = '[typeof~="mw:Transclusion"]';
+
+/**
+ * @class PTemplate.Parameter
+ *
+ * Represents a parameter of a template.
+ *
+ * For example, the template `{{foo|bar|spam=eggs}}` contains two
+ * {@link PTemplate.Parameter}s: one whose #name is `"1"` and whose
+ * whose #value is a {@link PNodeList} corresponding to `"bar"`, and one
+ * whose #name is `"spam"` and whose #value is a {@link PNodeList}
+ * corresponding to `"eggs"`.
+ *
+ * See: {@link PTemplate}
+ */
+/**
+ * @method constructor
+ * @private
+ * @param {PTemplate} parent The parent template for this parameter.
+ * @param {String} k The parameter name.
+ */
+PTemplate.Parameter = function Parameter(parent, k) {
+	var doc = parent.ownerDocument;
+	var param = parent._template.template.params[k];
+	var valDiv = doc.createElement('div');
+	valDiv.innerHTML = param.html;
+	this._name = k;
+	this._value = new PNodeList(parent.pdoc, parent, valDiv, {
+		update: function() {
+			var t = this.parent._template;
+			delete t.template.params[k].wt;
+			t.template.params[k].html = this.container.innerHTML;
+			this.parent._template = t;
+		},
+	});
+	var keyDiv = doc.createElement('div');
+	this._key = new PNodeList(parent.pdoc, parent, keyDiv, {
+		update: function() {
+			var t = this.parent._template;
+			if (this._hasKey) {
+				if (!t.template.params[k].key) {
+					t.template.params[k].key = {};
+				}
+				delete t.template.params[k].key.wt;
+				t.template.params[k].key.html = this.container.innerHTML;
+			} else {
+				delete t.template.params[k].key;
+			}
+			this.parent._template = t;
+		},
+	});
+	if (param.key && param.key.html) {
+		// T106852 means this doesn't always work.
+		keyDiv.innerHTML = param.key.html;
+		this._key._hasKey = true;
+	}
+};
+Object.defineProperties(PTemplate.Parameter.prototype, {
+	/**
+	 * @property {String} name
+	 *   The expanded parameter name.
+	 *   Unnamed parameters are given numeric indexes.
+	 * @readonly
+	 */
+	name: { get: function() { return this._name; }, },
+	/**
+	 * @property {PNodeList|null} key
+	 *   Source nodes corresponding to the parameter name.
+	 *   For example, in `{{echo|{{echo|1}}=hello}}` the parameter name
+	 *   is `"1"`, but the `key` field would contain the `{{echo|1}}`
+	 *   template invocation, as a {@link PNodeList}.
+	 */
+	key: {
+		get: function() { return this._key._hasKey ? this._key : null; },
+		set: function(v) {
+			if (v === null || v === undefined) {
+				this._key.container.innerHTML = '';
+				this._key._hasKey = false;
+			} else {
+				this._key.container.innerHTML =
+					toHtmlStr(this._key.container, v);
+			}
+			this._key.update({
+				type: 'template-param-change',
+				summary: 'changed key of ' + this.name + ' of template "' +
+					abbrev(this._key.parent.name) + '"',
+			});
+		},
+	},
+	/**
+	 * @property {PNodeList} value
+	 *    The parameter value.
+	 */
+	value: {
+		get: function() { return this._value; },
+		set: function(v) {
+			this._value.container.innerHTML =
+				toHtmlStr(this._value.container, v);
+			this._value.update({
+				type: 'template-param-change',
+				summary: 'changed ' + this.name + ' of template "' +
+					abbrev(this._value.parent.name) + '"',
+			});
+		},
+	},
+	toWikitext: { value: Promise.method(function() {
+		var k = this.key;
+		return Promise.join(
+			k ? k.toWikitext() : this.name,
+			this.value.toWikitext()
+		).spread(function(keyWikitext, valueWikitext) {
+			return keyWikitext + '=' + valueWikitext;
+		});
+	}), },
+	toString: { value: function() {
+		var k = this.key;
+		return (k ? String(k) : this.name) + '=' + String(this.value);
+	}, },
+});
+
+/**
+ * PText represents ordinary unformatted text with no special properties.
+ * @class PText
+ * @extends PNode
+ */
+/**
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
+ */
+PText = function PText(pdoc, parent, node, opts) {
+	PNode.call(this, pdoc, parent, node, opts);
+};
+util.inherits(PText, PNode);
+Object.defineProperties(PText.prototype, {
+	/**
+	 * The actual text itself.
+	 * @property {String}
+	 */
+	value: {
+		get: function() {
+			return this.node.data;
+		},
+		set: function(v) {
+			var old = this.node.data;
+			this.node.data = v;
+			this.update({
+				type: 'text-replace',
+				summary: 'replaced "' + abbrev(old) + '" with "' + abbrev(v) + '"',
+			});
+		},
+	},
+	/**
+	 * Extends {@link PNode#matches} to allow a target string to match
+	 * if it matches this node's #value.
+	 * @method
+	 * @inheritdoc PNode#matches
+	 * @param {Node|PNode|String} target
+	 */
+	matches: { value: function(target) {
+		return PNode.prototype.matches.call(this, target) ||
+			this.value === target;
+	}, },
+});
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PText._selector = 'TEXT'; // non-standard selector
+
+/**
+ * PWikiLink represents an internal wikilink, like `[[Foo|Bar]]`.
+ * @class PWikiLink
+ * @extends PNode
+ */
+/**
+ * @method constructor
+ * @private
+ * @inheritdoc PNode#constructor
+ */
+PWikiLink = function PWikiLink(pdoc, parent, node, opts) {
+	PNode.call(this, pdoc, parent, node, opts);
+};
+util.inherits(PWikiLink, PNode);
+Object.defineProperties(PWikiLink.prototype, {
+	/**
+	 * The title of the linked page.
+	 * @property {String}
+	 */
+	title: {
+		// XXX url should be a PNodeList, but that requires handling
+		// typeof="mw:ExpandedAttrs"
+		get: function() {
+			return this.node.getAttribute('href').replace(/^.\//, '');
+		},
+		set: function(v) {
+			var old = this.title;
+			var href = './' + this.pdoc.env.normalizeTitle(v);
+			this.node.setAttribute('href', href);
+			this.update({
+				type: 'link-retarget',
+				summary: 'changed link [[' + Util.decodeURI(old).replace(/_/g, ' ') +
+					']] to [[' + v + ']]',
+			});
+		},
+	},
+	/**
+	 * The text to display, as a {@link PNodeList}.
+	 * You can assign a String, Node, or PNodeList to mutate the text.
+	 * @property {PNodeList}
+	 */
+	text: innerAccessor,
+
+	_children: { value: function() { return [this.text]; }, },
+});
+/**
+ * @ignore
+ * @static
+ * @private
+ */
+PWikiLink._selector = 'a[rel="mw:WikiLink"]';
+
+/**
+ * PSection represents a section of a wiki page: a heading, like
+ * `== Foo ==`, followed by the content up to the next heading of the
+ * same or a higher level.  Subsections are part of the content of their
+ * parent section.  The content before the first heading is the "lead"
+ * section, whose #index is 0 and which has no heading.
+ *
+ * Only headings at the top level of the document start sections; those
+ * produced by templates or nested in other elements are part of the
+ * content.  Sections are identified by their #index, as in MediaWiki,
+ * so a {@link PSection} refers to a different section once headings
+ * before it are added or removed.
+ *
+ * Use {@link PDoc#getSections}, {@link PDoc#getSection} or
+ * {@link PDoc#findSection} to get at the sections of a document.
+ * @class PSection
+ */
+/**
+ * @method constructor
+ * @private
+ * @param {PDoc} pdoc The document containing this section.
+ * @param {Number} index The index of the section.
+ */
+PSection = function PSection(pdoc, index) {
+	/** @property {PDoc} pdoc The document containing this section. */
+	this.pdoc = pdoc;
+	this._index = index;
+};
+Object.defineProperties(PSection.prototype, {
+	/**
+	 * The index of the section in the document, as used by MediaWiki:
+	 * 0 for the lead section, and counting the headings from 1.
+	 * @property {Number}
+	 * @readonly
+	 */
+	index: { get: function() { return this._index; }, },
+	// Internal helper: a description of the section for edit summaries.
+	_description: {
+		get: function() {
+			var node = this._headingNode;
+			return node ?
+				'section "' + abbrev(node.textContent) + '"' : 'lead section';
+		},
+	},
+	_headingNode: {
+		get: function() {
+			var node = this._index > 0 ?
+				this.pdoc._sectionHeadings()[this._index - 1] : null;
+			if (node === undefined) {
+				throw new Error('Section ' + this._index + ' no longer exists.');
+			}
+			return node;
+		},
+	},
+	/**
+	 * The heading of the section, or `null` for the lead section.
+	 * @property {PHeading|null}
+	 */
+	heading: {
+		get: function() {
+			var node = this._headingNode;
+			return node ? new PHeading(this.pdoc, this.pdoc, node) : null;
+		},
+	},
+	/**
+	 * The level of the heading of the section, as an integer between
+	 * 1 and 6 inclusive, or 0 for the lead section.
+	 * @property {Number}
+	 * @readonly
+	 */
+	level: {
+		get: function() {
+			var node = this._headingNode;
+			return node ? +node.nodeName.slice(1) : 0;
+		},
+	},
+	/**
+	 * The title of the section, as a {@link PNodeList}, or `null` for the
+	 * lead section.
+	 * You can assign a String, Node, or PNodeList to mutate the title.
+	 * @property {PNodeList|null}
+	 */
+	title: {
+		get: function() {
+			var heading = this.heading;
+			return heading ? heading.title : null;
+		},
+		set: function(v) {
+			var heading = this.heading;
+			if (!heading) {
+				throw new Error('The lead section has no title.');
+			}
+			this.pdoc._batch({
+				type: 'section-title',
+				summary: 'renamed ' + this._description + ' to "' +
+					abbrev(toTextStr(heading.node, v)) + '"',
+			}, function() { heading.title = v; });
+		},
+	},
+	// Internal helper: the DOM nodes following the heading, up to the
+	// next section which isn't a subsection.
+	_range: {
+		value: function() {
+			var start = this._headingNode;
+			var level = this.level;
+			var nodes = [];
+			var node = start ? start.nextSibling : this.pdoc.container.firstChild;
+			while (node !== null && !(PSection._isHeading(node) &&
+				(level === 0 || +node.nodeName.slice(1) <= level))) {
+				nodes.push(node);
+				node = node.nextSibling;
+			}
+			return nodes;
+		},
+	},
+	// Internal helper: the nodes of the range which make up the content.
+	// The whitespace at either end separates the content from the
+	// headings, and is kept when the content is replaced.
+	_contentNodes: {
+		value: function() {
+			var nodes = this._range();
+			while (nodes.length && isSeparator(nodes[0])) {
+				nodes.shift();
+			}
+			while (nodes.length && isSeparator(nodes[nodes.length - 1])) {
+				nodes.pop();
+			}
+			return nodes;
+		},
+	},
+	// Internal helper: the children of the section in queries (see
+	// PNodeList#query): its heading, the nodes of its content which
+	// aren't part of subsections, and its subsections.
+	_queryChildren: {
+		value: function() {
+			var heading = this.heading;
+			var own = new Set();
+			this._range().some(function(node) {
+				if (PSection._isHeading(node)) {
+					return true;
+				}
+				own.add(node);
+			});
+			return (heading ? [heading] : []).concat(
+				queryPNodes(this.pdoc.pnodes.filter(function(p) {
+					return own.has(p.node);
+				})),
+				this.subsections
+			);
+		},
+	},
+	/**
+	 * The content of the section following its heading, including any
+	 * subsections, as a {@link PNodeList}.
+	 * You can assign a String, Node, or PNodeList to replace the content;
+	 * the heading is left untouched.
+	 * @property {PNodeList}
+	 */
+	content: {
+		get: function() {
+			var section = this;
+			var div = this.pdoc.document.createElement('div');
+			this._contentNodes().forEach(function(node) {
+				div.appendChild(node.cloneNode(true));
+			});
+			return new PNodeList(this.pdoc, this.pdoc, div, {
+				update: function() {
+					section._replaceContent(this.container);
+				},
+			});
+		},
+		set: function(v) {
+			var div = this.pdoc.document.createElement('div');
+			div.innerHTML = toHtmlStr(div, v);
+			this._replaceContent(div);
+			this.pdoc.update({
+				type: 'section-content',
+				summary: 'replaced content of ' + this._description,
+			});
+		},
+	},
+	// Internal helper: replace the content nodes of the section with
+	// copies of the children of `container`.
+	_replaceContent: {
+		value: function(container) {
+			var nodes = this._contentNodes();
+			var parent = this.pdoc.container;
+			var next;
+			if (nodes.length) {
+				next = nodes[nodes.length - 1].nextSibling;
+			} else {
+				// Keep the separator following the heading, if any.
+				var range = this._range();
+				next = range.length ? range[0].nextSibling :
+					this._headingNode ? this._headingNode.nextSibling :
+					parent.firstChild;
+			}
+			nodes.forEach(function(node) {
+				parent.removeChild(node);
+			});
+			for (var c = container.firstChild; c !== null; c = c.nextSibling) {
+				parent.insertBefore(c.cloneNode(true), next);
+			}
+		},
+	},
+	/**
+	 * The sections directly nested in this one, which are part of its
+	 * #content.  The lead section has no subsections.
+	 * @property {PSection[]}
+	 * @readonly
+	 */
+	subsections: {
+		get: function() {
+			var level = this.level;
+			var result = [];
+			if (level === 0) {
+				return result;
+			}
+			var headings = this.pdoc._sectionHeadings();
+			var minLevel = 7;
+			for (var i = this._index; i < headings.length; i++) {
+				var l = +headings[i].nodeName.slice(1);
+				if (l <= level) {
+					break;
+				}
+				if (l <= minLevel) {
+					result.push(new PSection(this.pdoc, i + 1));
+					minLevel = l;
+				}
+			}
+			return result;
+		},
+	},
+	/**
+	 * Add a new section at the end of this one, one level below it.
+	 * The heading levels of the new section and its subsections are
+	 * restricted to 6.
+	 * @param {String|Node|PNodeList} title The title of the new section.
+	 * @param {String|Node|PNodeList} [content] Its content.
+	 * @return {PSection} The new section.
+	 */
+	addSubsection: {
+		value: function(title, content) {
+			var level = this.level;
+			if (level === 0) {
+				throw new Error('The lead section has no subsections.');
+			}
+			var nodes = this._range();
+			var last = nodes.length ? nodes[nodes.length - 1] : this._headingNode;
+			return this.pdoc._insertSection(
+				last.nextSibling, Math.min(level + 1, 6), title, content
+			);
+		},
+	},
+	/**
+	 * Remove this section, with its heading and its subsections, from
+	 * the document.  The content of the lead section is emptied instead.
+	 */
+	remove: {
+		value: function() {
+			var heading = this._headingNode;
+			var parent = this.pdoc.container;
+			this._range().forEach(function(node) {
+				parent.removeChild(node);
+			});
+			var summary = (heading ? 'removed ' : 'emptied ') + this._description;
+			if (heading) {
+				parent.removeChild(heading);
+			}
+			this.pdoc.update({ type: 'section-remove', summary: summary });
+		},
+	},
+	_nodes: {
+		value: function() {
+			var heading = this._headingNode;
+			var nodes = this._range();
+			return heading ? [heading].concat(nodes) : nodes;
+		},
+	},
+	/**
+	 * @inheritdoc PNodeList#toHtml
+	 * @method
+	 */
+	toHtml: { value: function() {
+		var div = this.pdoc.document.createElement('div');
+		this._nodes().forEach(function(node) {
+			div.appendChild(node.cloneNode(true));
+		});
+		return div.innerHTML;
+	}, },
+	/**
+	 * @inheritdoc PNodeList#toWikitext
+	 * @method
+	 */
+	toWikitext: { value: Promise.method(function() {
+		return wts(this.pdoc.env, this._nodes());
+	}), },
+	/**
+	 * @inheritdoc PNodeList#toString
+	 * @method
+	 */
+	toString: { value: function() {
+		return toStringHelper(this._nodes());
+	}, },
+});
+// Internal helper: does `node` start a section?
+PSection._isHeading = function(node) {
+	return node.nodeType === Node.ELEMENT_NODE &&
+		node.matches(PHeading._selector) && !node.hasAttribute('about');
+};
+
+/**
+ * PChange represents a change made to a {@link PDoc}, as recorded in its
+ * change log (see {@link PDoc#changes}).  Changes can be undone
+ * individually.
+ * @class PChange
+ */
+/**
+ * @method constructor
+ * @private
+ * @param {PDoc} pdoc The changed document.
+ * @param {Node} scope The element of the document containing the change.
+ * @param {Node} before A copy of `scope` from before the change.
+ * @param {Object} [change] A description of the change.
+ * @param {String} [change.type]
+ * @param {String} [change.summary]
+ */
+var PChange = function PChange(pdoc, scope, before, change) {
+	/** @property {PDoc} pdoc The changed document. */
+	this.pdoc = pdoc;
+	/**
+	 * @property {String} type The kind of change, like `template-rename`
+	 *   or `link-retarget`; `edit` for manual mutations of the DOM.
+	 */
+	this.type = (change && change.type) || 'edit';
+	/** @property {String} summary A human-readable description of the change. */
+	this.summary = (change && change.summary) || 'edited the page';
+	/** @property {Boolean} undone Whether the change was undone. */
+	this.undone = false;
+	this._scope = scope;
+	this._before = before;
+	this._after = scope.cloneNode(true);
+};
+Object.defineProperties(PChange.prototype, {
+	/**
+	 * Undo this change.  This fails if a later change modified the same
+	 * part of the document; undo that one first.  Wrappers for the
+	 * nodes affected by the change can't be used afterwards.
+	 * @method
+	 */
+	undo: { value: function() {
+		var scope = this._scope;
+		if (this.undone) {
+			throw new Error("This change was already undone.");
+		} else if (nodePath(this.pdoc, scope) === null ||
+			scope.outerHTML !== this._after.outerHTML) {
+			throw new Error("This change conflicts with a later change.");
+		}
+		var before = this._before.cloneNode(true);
+		DU.getAttributeKVArray(scope).forEach(function(kv) {
+			scope.removeAttribute(kv.k);
+		});
+		DU.getAttributeKVArray(before).forEach(function(kv) {
+			scope.setAttribute(kv.k, kv.v);
+		});
+		DU.setNodeData(scope, {});
+		scope.innerHTML = '';
+		while (before.firstChild !== null) {
+			scope.appendChild(before.firstChild);
+		}
+		this.pdoc._syncBaseline(scope);
+		this.pdoc._cachedPNodes = null;
+		this.undone = true;
+	}, },
+	toString: { value: function() { return this.summary; }, },
+});
+
+// Helper: the name of the page property set by a `<meta>`, like
+// `notoc` or `defaultsort`.
+var pagePropName = function(node) {
+	var name = node.getAttribute('property').replace(/^mw:PageProp\//, '');
+	return name === 'categorydefaultsort' ? 'defaultsort' : name;
+};
+
+/**
+ * A PDoc object wraps an entire Parsoid document.  Since it is an
+ * instance of {@link PNodeList}, you can filter it, mutate it, etc.
+ * But it also provides means to serialize the document as either
+ * HTML (via {@link #document} or {@link #toHtml}) or wikitext
+ * (via {@link #toWikitext}), and access to its sections
+ * (via {@link #getSections}) and metadata (via {@link #getCategories},
+ * {@link #getLangLinks} and {@link #getPageProps}).
+ * @class
+ * @extends PNodeList
+ * @alternateClassName Parsoid.PDoc
+ */
+var PDoc = function PDoc(env, doc) {
+	PNodeList.call(this, this, null, doc.body);
+	this.env = env;
+	// A copy of the document, kept up to date with the change log.
+	this._baseline = doc.body.cloneNode(true);
+	this._changes = [];
+	this._batchScopes = null;
+	this._updating = false;
+};
+util.inherits(PDoc, PNodeList);
+Object.defineProperties(PDoc.prototype, {
+	/**
+	 * An HTML {@link Document} representing article content conforming to the
+	 * [MediaWiki DOM specification](https://www.mediawiki.org/wiki/Parsoid/MediaWiki_DOM_spec).
+	 * @property {Document}
+	 */
+	document: {
+		get: function() { return this.container.ownerDocument; },
+		set: function(v) {
+			this.container = v.body;
+			this.update({ type: 'replace', summary: 'replaced the page' });
+		},
+	},
+	/**
+	 * Return a string representing the entire document as
+	 * HTML conforming to the
+	 * [MediaWiki DOM specification](https://www.mediawiki.org/wiki/Parsoid/MediaWiki_DOM_spec).
+	 * @inheritdoc PNodeList#toHtml
+	 * @method
+	 */
+	toHtml: { value: function() {
+		// document.outerHTML is a Parsoid-ism; real browsers don't define it.
+		var html = this.document.outerHTML;
+		if (!html) {
+			html = this.document.body.outerHTML;
+		}
+		return html;
+	}, },
+	/**
+	 * Return a promise for a string representing the entire document as
+	 * wikitext.
+	 *
+	 * With the `selser` option, and when the original wikitext is known,
+	 * only the parts of the document affected by the recorded changes
+	 * (see #changes) are serialized again; the original wikitext of the
+	 * rest is kept, as it is when saving an edit.  Otherwise the whole
+	 * document is serialized, which normalizes its wikitext.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.selser=false]
+	 * @return {Promise}
+	 * @method
+	 */
+	toWikitext: { value: Promise.method(function(options) {
+		var env = this.env;
+		if (!(options && options.selser) || typeof env.page.src !== 'string') {
+			return wts(env, this.nodes);
+		}
+		// Diff the changed parts of the document against their
+		// original versions, for selective serialization.
+		var subtrees = [];
+		var seen = new Set();
+		this._changes.forEach(function(c) {
+			if (seen.has(c._scope)) {
+				return;
+			}
+			seen.add(c._scope);
+			var path = nodePath(this, c._scope);
+			if (path !== null) {
+				subtrees.push({ orig: c._before, path: path });
+			}
+		}, this);
+		var diff = new DOMDiff(env).diffSubtrees(this.container, subtrees);
+		if (diff.isEmpty) {
+			return env.page.src;
+		}
+		env.page.domdiff = diff;
+		return new SelectiveSerializer({ env: env })
+			.serializeDOM(diff.dom).finally(function() {
+				env.page.domdiff = null;
+			});
+	}), },
+	/**
+	 * The log of the changes made to the document, in order.  Every
+	 * mutation done with this API is recorded, as is every call to
+	 * {@link PNode#update} after a manual mutation of the DOM.
+	 * @property {PChange[]}
+	 * @readonly
+	 */
+	changes: {
+		get: function() { return this._changes.slice(); },
+	},
+	/**
+	 * Return a human-readable summary of the changes made to the
+	 * document, suitable as an edit summary.
+	 * @return {String}
+	 */
+	getEditSummary: { value: function() {
+		var summaries = [];
+		this._changes.forEach(function(c) {
+			if (!c.undone && summaries.indexOf(c.summary) < 0) {
+				summaries.push(c.summary);
+			}
+		});
+		return summaries.join('; ');
+	}, },
+	/**
+	 * Return a promise for a unified diff between the original wikitext
+	 * of the document and its current wikitext, to review the changes
+	 * before saving them.
+	 * @param {Object} [options] The options of #toWikitext
+	 * @return {Promise}
+	 * @method
+	 */
+	getDiff: { value: Promise.method(function(options) {
+		var env = this.env;
+		return this.toWikitext(options).then(function(wt) {
+			return Diff.unifiedDiff(env.page.name, env.page.src || '', wt);
+		});
+	}), },
+	// Internal helper: record a change of the contents of `scope`, an
+	// element of the document, in the change log.
+	_logChange: { value: function(scope, change) {
+		if (this._batchScopes !== null) {
+			this._batchScopes.push(scope);
+			return;
+		}
+		var before = this._syncBaseline(scope);
+		if (before === null) {
+			// The DOM was mutated without calling update(); we lost
+			// track of the original version of `scope`.
+			scope = this.container;
+			before = this._syncBaseline(scope);
+		}
+		if (before.outerHTML === scope.outerHTML) {
+			return; // Nothing changed after all.
+		}
+		this._changes.push(new PChange(this, scope, before, change));
+	}, },
+	// Internal helper: invoke `f` with `thisArg` as `this`, and record
+	// all the changes it makes as a single one, described by `change`.
+	_batch: { value: function(change, f, thisArg) {
+		if (this._batchScopes !== null) {
+			return f.call(thisArg);
+		}
+		var scopes = this._batchScopes = [];
+		var result;
+		try {
+			result = f.call(thisArg);
+		} finally {
+			this._batchScopes = null;
+		}
+		scopes = scopes.filter(function(scope) {
+			return nodePath(this, scope) !== null;
+		}, this);
+		if (scopes.length > 0) {
+			// The common ancestor of the changed elements.
+			var scope = scopes[0];
+			while (!scopes.every(function(s) { return scope.contains(s); })) {
+				scope = scope.parentNode;
+			}
+			this._logChange(scope, change);
+		}
+		return result;
+	}, },
+	// Internal helper: update the copy of the original document with the
+	// contents of `scope`, and return its previous version, or `null`
+	// if it can't be found.
+	_syncBaseline: { value: function(scope) {
+		var old = nodePath(this, scope).reduce(function(n, i) {
+			return n && n.childNodes[i];
+		}, this._baseline);
+		if (!old || old.nodeName !== scope.nodeName) {
+			return null;
+		}
+		var copy = scope.cloneNode(true);
+		if (old === this._baseline) {
+			this._baseline = copy;
+		} else {
+			old.parentNode.replaceChild(copy, old);
+		}
+		return old;
+	}, },
+	// Internal helper: the heading nodes which start sections.
+	_sectionHeadings: { value: function() {
+		return this.nodes.filter(PSection._isHeading);
+	}, },
+	/**
+	 * Return an array of the {@link PSection}s of the document, in
+	 * order of their index, starting with the lead section.
+	 * @return {PSection[]}
+	 */
+	getSections: { value: function() {
+		var result = [ new PSection(this, 0) ];
+		this._sectionHeadings().forEach(function(h, i) {
+			result.push(new PSection(this, i + 1));
+		}, this);
+		return result;
+	}, },
+	// Internal helper: the lead section and the sections which aren't
+	// subsections of others.
+	_topSections: { value: function() {
+		var minLevel = 7;
+		return this.getSections().filter(function(s) {
+			var top = s.index === 0 || s.level <= minLevel;
+			if (s.index > 0) {
+				minLevel = Math.min(minLevel, s.level);
+			}
+			return top;
+		});
+	}, },
+	/**
+	 * Return the section with the given index, or `null` if there is none.
+	 * The lead section has index 0.
+	 * @param {Number} index
+	 * @return {PSection|null}
+	 */
+	getSection: { value: function(index) {
+		index = +index;
+		if (index >= 0 && index <= this._sectionHeadings().length &&
+			Math.floor(index) === index) {
+			return new PSection(this, index);
+		}
+		return null;
+	}, },
+	/**
+	 * Return the first section whose title, as text, is `title`, or
+	 * `null` if there is none.  Whitespace around the title is ignored.
+	 * @param {String} title
+	 * @return {PSection|null}
+	 */
+	findSection: { value: function(title) {
+		var headings = this._sectionHeadings();
+		for (var i = 0; i < headings.length; i++) {
+			if (headings[i].textContent.trim() === title.trim()) {
+				return new PSection(this, i + 1);
+			}
+		}
+		return null;
+	}, },
+	/**
+	 * Add a new section at the end of the document.
+	 * @param {String|Node|PNodeList} title The title of the new section.
+	 * @param {String|Node|PNodeList} [content] Its content.
+	 * @param {Object} [opts]
+	 * @param {Number} [opts.level=2] The level of its heading.
+	 * @return {PSection} The new section.
+	 */
+	appendSection: { value: function(title, content, opts) {
+		var level = (opts && opts.level) || 2;
+		if (!(level >= 1 && level <= 6)) {
+			throw new Error("Level must be between 1 and 6, inclusive.");
+		}
+		return this._insertSection(null, level, title, content);
+	}, },
+	// Internal helper: insert a new section before `next`, and return it.
+	_insertSection: { value: function(next, level, title, content) {
+		// Leave the whitespace ending the preceding section after the new one.
+		var prev = next ? next.previousSibling : this.container.lastChild;
+		while (isSeparator(prev)) {
+			next = prev;
+			prev = prev.previousSibling;
+		}
+		var heading = this.document.createElement('h' + level);
+		heading.innerHTML = toHtmlStr(heading, title);
+		this.container.insertBefore(heading, next);
+		if (content !== undefined && content !== null) {
+			var div = this.document.createElement('div');
+			div.innerHTML = toHtmlStr(div, content);
+			while (div.firstChild !== null) {
+				this.container.insertBefore(div.firstChild, next);
+			}
+		}
+		this.update({
+			type: 'section-add',
+			summary: 'added section "' + abbrev(heading.textContent) + '"',
+		});
+		return new PSection(this, this._sectionHeadings().indexOf(heading) + 1);
+	}, },
+	/**
+	 * Add a footnote right after `target`.
+	 * @param {PNode|Node} target
+	 * @param {String|Node|PNodeList} text The text of the footnote.
+	 * @param {Object} [opts]
+	 * @param {String} [opts.name] The name of the ref, to reuse it.
+	 * @param {String} [opts.group] The group of the ref.
+	 * @return {PRef} The new ref.
+	 */
+	addRef: { value: function(target, text, opts) {
+		var node = (target instanceof PNode) ? target.node : target;
+		var span = this.document.createElement('span');
+		var attrs = {};
+		if (opts && opts.name) { attrs.name = String(opts.name); }
+		if (opts && opts.group) { attrs.group = String(opts.group); }
+		span.setAttribute('typeof', 'mw:Extension/ref');
+		span.setAttribute('about', this.env.newAboutId());
+		DU.storeDataMw(span, {
+			name: 'ref',
+			attrs: attrs,
+			body: { html: toHtmlStr(span, text) },
+		});
+		node.parentNode.insertBefore(span, node.nextSibling);
+		var change = {
+			type: 'ref-add',
+			summary: 'added reference "' + abbrev(toTextStr(span, text)) + '"',
+		};
+		if (target instanceof PNode) {
+			target.update(change);
+		} else {
+			this.update(change);
+		}
+		return new PRef(this, (target instanceof PNode) ? target.parent : this, span);
+	}, },
+	/**
+	 * Merge the refs defining the same named footnote more than once,
+	 * keeping the text of the first one: the others become reuses of it,
+	 * or are dropped from the `<references>` list defining them.
+	 * @return {Number} The number of refs merged.
+	 */
+	mergeRefs: { value: function() {
+		var seen = new Set();
+		var merged = 0;
+		var refs = this.filterRefs();
+		this._batch({
+			type: 'ref-merge',
+			summary: 'merged duplicate references',
+		}, function() {
+			refs.forEach(function(r) {
+				if (r.name === null || r.body === null) {
+					return;
+				}
+				var key = JSON.stringify([r.group, r.name]);
+				if (!seen.has(key)) {
+					seen.add(key);
+					return;
+				}
+				merged++;
+				if (r._isListDefined()) {
+					r.node.parentNode.removeChild(r.node);
+					r.parent.update();
+				} else {
+					r.body = null;
+				}
+			});
+		}, this);
+		return merged;
+	}, },
+	// Internal helper: the page metadata matching `selector`, except
+	// for the metadata generated by templates.
+	_metadataNodes: { value: function(selector) {
+		return this._querySelectorAll(selector).filter(function(node) {
+			return !isTemplated(node);
+		});
+	}, },
+	// Internal helper: add a page metadata node in its conventional
+	// position, after the metadata of the same kind, or else before
+	// those which come later at the end of the page.  `change` describes
+	// the addition for the change log.
+	_insertMetadata: { value: function(node, change) {
+		var rank = metadataRank(node);
+		var all = this._metadataNodes(
+			'link[rel^="mw:PageProp/"],meta[property^="mw:PageProp/"]');
+		var same = all.filter(function(n) {
+			return metadataRank(n) === rank;
+		});
+		var later = all.filter(function(n) {
+			return metadataRank(n) > rank;
+		});
+		if (same.length > 0) {
+			var last = same[same.length - 1];
+			last.parentNode.insertBefore(node, last.nextSibling);
+		} else if (later.length > 0) {
+			later[0].parentNode.insertBefore(node, later[0]);
+		} else {
+			this.container.appendChild(node);
+		}
+		this.update(change);
+	}, },
+	/**
+	 * Return an array of the {@link PCategory}s of the page, in
+	 * document order.  Categories added by templates are not included.
+	 * @return {PCategory[]}
+	 */
+	getCategories: { value: function() {
+		return this._metadataNodes(PCategory._selector).map(function(node) {
+			return new PCategory(this, this, node);
+		}, this);
+	}, },
+	/**
+	 * Add the page to a category, after its other categories.  If the
+	 * page is already in the category, only its sort key is updated.
+	 * @param {String} name The name of the category, without the
+	 *   namespace prefix.
+	 * @param {String} [sortKey]
+	 * @return {PCategory}
+	 */
+	addCategory: { value: function(name, sortKey) {
+		var href = categoryHref(this.env, name);
+		var category = this.getCategories().find(function(c) {
+			return c.node.getAttribute('href').replace(/#.*$/, '') === href;
+		});
+		if (category) {
+			if (sortKey !== undefined) {
+				category.sortKey = sortKey;
+			}
+			return category;
+		}
+		var link = this.document.createElement('link');
+		link.setAttribute('rel', 'mw:PageProp/Category');
+		link.setAttribute('href', categoryHref(this.env, name, sortKey));
+		this._insertMetadata(link, {
+			type: 'category-add',
+			summary: 'added category "' + name + '"',
+		});
+		return new PCategory(this, this, link);
+	}, },
+	/**
+	 * Remove the page from a category.
+	 * @param {String} name The name of the category.
+	 * @return {Boolean} Whether the page was in the category.
+	 */
+	removeCategory: { value: function(name) {
+		var href = categoryHref(this.env, name);
+		var categories = this.getCategories().filter(function(c) {
+			return c.node.getAttribute('href').replace(/#.*$/, '') === href;
+		});
+		this._batch({
+			type: 'category-remove',
+			summary: 'removed category "' + name + '"',
+		}, function() {
+			categories.forEach(function(c) { c.remove(); });
+		});
+		return categories.length > 0;
+	}, },
+	/**
+	 * Return an array of the {@link PLangLink}s of the page, in
+	 * document order.  Links added by templates are not included.
+	 * @return {PLangLink[]}
+	 */
+	getLangLinks: { value: function() {
+		return this._metadataNodes(PLangLink._selector).map(function(node) {
+			return new PLangLink(this, this, node);
+		}, this);
+	}, },
+	/**
+	 * Link the page to `title` in the language `lang`, after the other
+	 * language links.  If the page already links to this language,
+	 * the link is updated instead.
+	 * @param {String} lang The interwiki prefix of the language, like `de`.
+	 * @param {String} title
+	 * @return {PLangLink}
+	 */
+	addLangLink: { value: function(lang, title) {
+		var href = langLinkHref(this.env, lang, title);
+		var langLink = this.getLangLinks().find(function(l) {
+			return l.lang === lang;
+		});
+		if (langLink) {
+			langLink.title = title;
+			return langLink;
+		}
+		var link = this.document.createElement('link');
+		link.setAttribute('rel', 'mw:PageProp/Language');
+		link.setAttribute('href', href);
+		this._insertMetadata(link, {
+			type: 'langlink-add',
+			summary: 'added ' + lang + ' language link to "' + title + '"',
+		});
+		return new PLangLink(this, this, link);
+	}, },
+	/**
+	 * Remove the link to the language `lang`.
+	 * @param {String} lang The interwiki prefix of the language.
+	 * @return {Boolean} Whether the page linked to this language.
+	 */
+	removeLangLink: { value: function(lang) {
+		var langLinks = this.getLangLinks().filter(function(l) {
+			return l.lang === lang;
+		});
+		this._batch({
+			type: 'langlink-remove',
+			summary: 'removed ' + lang + ' language link',
+		}, function() {
+			langLinks.forEach(function(l) { l.remove(); });
+		});
+		return langLinks.length > 0;
+	}, },
+	// Internal helper: the `<meta>`s setting the page property `name`.
+	_pagePropNodes: { value: function(name) {
+		return this._metadataNodes('meta[property^="mw:PageProp/"]')
+			.filter(function(node) {
+				return pagePropName(node) === name;
+			});
+	}, },
+	/**
+	 * Return the page properties set by the page, as an object mapping
+	 * their names to their values.  Behavior switches, like `__NOTOC__`
+	 * (named `notoc`), have the value `true`; `{{DEFAULTSORT:...}}` and
+	 * `{{DISPLAYTITLE:...}}` (named `defaultsort` and `displaytitle`)
+	 * have their argument as value.
+	 * @return {Object}
+	 */
+	getPageProps: { value: function() {
+		var props = {};
+		this._metadataNodes('meta[property^="mw:PageProp/"]')
+			.forEach(function(node) {
+				var name = pagePropName(node);
+				props[name] = Util.magicMasqs.has(name) ?
+					node.getAttribute('content') : true;
+			});
+		return props;
+	}, },
+	/**
+	 * Return the value of the page property `name`, or `null` if the
+	 * page doesn't set it.  See {@link #getPageProps}.
+	 * @param {String} name
+	 * @return {String|Boolean|null}
+	 */
+	getPageProp: { value: function(name) {
+		var props = this.getPageProps();
+		return props.hasOwnProperty(name) ? props[name] : null;
+	}, },
+	/**
+	 * Set the page property `name`, like `notoc` for `__NOTOC__` or
+	 * `defaultsort` for `{{DEFAULTSORT:...}}`.  New page properties
+	 * are added at the end of the page, before its categories.
+	 * @param {String} name
+	 * @param {String} [value] The value of `defaultsort` and `displaytitle`.
+	 */
+	setPageProp: { value: function(name, value) {
+		var isMagicMasq = Util.magicMasqs.has(name);
+		var alias = this.env.conf.wiki.getMagicWordWT(name) || '';
+		if (!isMagicMasq && !/^__.*__$/.test(alias)) {
+			throw new Error("Unknown page property: " + name);
+		}
+		var node = this._pagePropNodes(name)[0];
+		if (!node) {
+			node = this.document.createElement('meta');
+			node.setAttribute('property', 'mw:PageProp/' +
+				(name === 'defaultsort' ? 'categorydefaultsort' : name));
+		}
+		if (isMagicMasq) {
+			node.setAttribute('content', String(value));
+		}
+		var change = {
+			type: 'pageprop-set',
+			summary: 'set ' + (isMagicMasq ?
+				name + ' to "' + abbrev(value) + '"' : alias),
+		};
+		if (node.parentNode) {
+			this.update(change);
+		} else {
+			this._insertMetadata(node, change);
+		}
+	}, },
+	/**
+	 * Remove the page property `name`.
+	 * @param {String} name
+	 * @return {Boolean} Whether the page set this property.
+	 */
+	removePageProp: { value: function(name) {
+		var nodes = this._pagePropNodes(name);
+		nodes.forEach(removeMetadata);
+		this.update({ type: 'pageprop-remove', summary: 'removed ' + name });
+		return nodes.length > 0;
 	}, },
 });
 
@@ -1403,15 +4047,24 @@ module.exports = {
 	PDoc: PDoc,
 	PNodeList: PNodeList,
 	PNode: PNode,
+	PCategory: PCategory,
 	PComment: PComment,
 	PExtLink: PExtLink,
 	PHeading: PHeading,
 	PHtmlEntity: PHtmlEntity,
+	PLangLink: PLangLink,
+	PList: PList,
 	PMedia: PMedia,
+	PRef: PRef,
+	PReferences: PReferences,
+	PTable: PTable,
 	PTag: PTag,
 	PTemplate: PTemplate,
 	PText: PText,
+	PTranslation: PTranslation,
 	PWikiLink: PWikiLink,
+	PSection: PSection,
+	PChange: PChange,
 	// Helper function for `Promise.map`
 	toWikitext: Promise.method(function(n) { return n.toWikitext(); }),
 	// Useful REPL that handles promises and `yield` well.
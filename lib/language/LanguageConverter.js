@@ -0,0 +1,323 @@
+/**
+ * Server-side conversion of a parsed page to one of the language
+ * variants of its wiki (ex: zh-hans / zh-hant on zhwiki, or sr-ec /
+ * sr-el on srwiki), as done by LanguageConverter in core.
+ *
+ * Text is converted with the per-wiki tables in `lib/language/data/`,
+ * which are keyed by the wiki language.  The zh tables are generated
+ * from core's ZhConversion.php by tools/build-zh-conversion.js.
+ *
+ * `-{ }-` markup (`mw:LanguageVariant` elements, see
+ * LanguageVariantHandler) is honored: the text for the target variant
+ * is displayed, disabled text is left alone, and rules with the A or
+ * H flags are applied to the rest of the page.
+ */
+'use strict';
+require('../../core-upgrade.js');
+
+var DU = require('../utils/DOMUtils.js').DOMUtils;
+
+
+// Text in these elements is never converted.
+var noConvertTags = new Set(['CODE', 'PRE', 'SCRIPT', 'STYLE', 'MATH']);
+
+// Attributes which hold human readable text.
+var convertedAttrs = ['title', 'alt'];
+
+/**
+ * @class
+ *
+ * A set of string replacements, applied with longest-match-first
+ * semantics like PHP's `strtr`.
+ *
+ * @constructor
+ * @param {ConversionTable} [base] Table to copy the replacements from
+ */
+function ConversionTable(base) {
+	this.map = new Map(base ? base.map : undefined);
+	this.maxLength = base ? base.maxLength : 0;
+}
+
+/**
+ * @param {Object} obj Map from source strings to their replacements
+ */
+ConversionTable.prototype.merge = function(obj) {
+	Object.keys(obj).forEach(function(from) {
+		this.set(from, obj[from]);
+	}, this);
+};
+
+ConversionTable.prototype.set = function(from, to) {
+	if (from) {
+		this.map.set(from, to);
+		this.maxLength = Math.max(this.maxLength, from.length);
+	}
+};
+
+ConversionTable.prototype.delete = function(from) {
+	this.map.delete(from);
+};
+
+ConversionTable.prototype.convert = function(text) {
+	var out = '';
+	var i = 0;
+	while (i < text.length) {
+		var len = Math.min(this.maxLength, text.length - i);
+		var to;
+		for (; len > 0; len--) {
+			to = this.map.get(text.substr(i, len));
+			if (to !== undefined) {
+				break;
+			}
+		}
+		if (len > 0) {
+			out += to;
+			i += len;
+		} else {
+			out += text[i];
+			i++;
+		}
+	}
+	return out;
+};
+
+// Conversion data per wiki language, loaded on demand.
+var conversionData = new Map();
+// Base tables per variant, built on demand.
+var variantTables = new Map();
+
+var getConversionData = function(lang) {
+	if (!conversionData.has(lang)) {
+		var data = null;
+		if (/^[a-z][-a-z]*$/.test(lang)) {
+			try {
+				data = require('./data/' + lang + '.json');
+			} catch (e) {
+				// Not a language converter language.
+			}
+		}
+		conversionData.set(lang, data);
+	}
+	return conversionData.get(lang);
+};
+
+var getVariantTable = function(data, variant) {
+	var table = variantTables.get(variant);
+	if (!table) {
+		table = new ConversionTable();
+		data.variants[variant].tables.forEach(function(name) {
+			table.merge(data.tables[name]);
+		});
+		variantTables.set(variant, table);
+	}
+	return table;
+};
+
+// Plain text of an HTML string from data-mw.
+var htmlToText = function(html) {
+	return DU.parseHTML(html).body.textContent;
+};
+
+/**
+ * @class
+ *
+ * Converts documents to a given variant.  Use
+ * `LanguageConverter.getConverter` to create one.
+ *
+ * @constructor
+ * @param {MWParserEnvironment} env
+ * @param {Object} data Conversion data of the wiki language
+ * @param {string} variant
+ */
+function LanguageConverter(env, data, variant) {
+	this.env = env;
+	this.variant = variant;
+	// Variants whose rules are used for this variant, in order
+	this.variantChain = [variant].concat(data.variants[variant].fallbacks);
+	this.baseTable = getVariantTable(data, variant);
+	this.table = this.baseTable;
+}
+
+/**
+ * Get a converter for the variant, or null if the wiki of the
+ * environment can't be converted to it.
+ *
+ * @param {MWParserEnvironment} env
+ * @param {string} variant
+ * @return {LanguageConverter|null}
+ */
+LanguageConverter.getConverter = function(env, variant) {
+	var wiki = env.conf.wiki;
+	var data = wiki.langConverterEnabled ? getConversionData(wiki.lang) : null;
+	if (!data || !wiki.variants.has(variant) ||
+			!data.variants.hasOwnProperty(variant)) {
+		return null;
+	}
+	return new LanguageConverter(env, data, variant);
+};
+
+/**
+ * Convert a document in place.
+ *
+ * @param {MWParserEnvironment} env
+ * @param {Document} doc
+ * @param {string} variant
+ * @return {Document}
+ */
+LanguageConverter.convertDocument = function(env, doc, variant) {
+	var converter = LanguageConverter.getConverter(env, variant);
+	if (!converter) {
+		throw new Error('Invalid variant: ' + variant);
+	}
+	converter.convert(doc);
+	return doc;
+};
+
+/**
+ * Find the text of a list of rules which applies to this variant.
+ *
+ * @private
+ * @param {Object[]} rules Objects with the variant in `l`
+ * @return {Object|null} The matching rule
+ */
+LanguageConverter.prototype._matchRule = function(rules) {
+	var rule = null;
+	this.variantChain.some(function(v) {
+		rule = rules.find(function(r) { return r.l === v; }) || null;
+		return rule !== null;
+	});
+	return rule;
+};
+
+/**
+ * Update the page table with the rules of a `-{ }-` construct which
+ * apply to the whole page (flags A and H), or remove them (flag -).
+ *
+ * @private
+ */
+LanguageConverter.prototype._collectRules = function(dataMW) {
+	var flags = dataMW.flags || [];
+	var remove = flags.indexOf('-') >= 0;
+	if (!remove && flags.indexOf('A') < 0 && flags.indexOf('H') < 0) {
+		return;
+	}
+	if (this.table === this.baseTable) {
+		this.table = new ConversionTable(this.baseTable);
+	}
+	var table = this.table;
+	var twoway = (dataMW.twoway || []).filter(function(r) {
+		return r.l !== '*';
+	});
+	var target = this._matchRule(twoway);
+	twoway.forEach(function(r) {
+		var from = htmlToText(r.t);
+		if (remove) {
+			table.delete(from);
+		} else if (target && r !== target) {
+			table.set(from, htmlToText(target.t));
+		}
+	});
+	(dataMW.oneway || []).forEach(function(r) {
+		var from = htmlToText(r.f);
+		if (remove) {
+			table.delete(from);
+		} else if (this.variantChain.indexOf(r.l) >= 0) {
+			table.set(from, htmlToText(r.t));
+		}
+	}, this);
+};
+
+/**
+ * Display the text of a `-{ }-` construct for this variant.
+ *
+ * @private
+ * @param {Node} node A `mw:LanguageVariant` element
+ */
+LanguageConverter.prototype._convertVariantMarkup = function(node) {
+	var dataMW = DU.getJSONAttribute(node, 'data-mw', {});
+	var html = null;
+	if (dataMW.disabled || dataMW.name) {
+		// Nothing to do, but nested markup is still converted below.
+	} else if (dataMW.filter) {
+		html = this.variantChain.some(function(v) {
+			return dataMW.filter.l.indexOf(v) >= 0;
+		}) ? dataMW.filter.t : '';
+	} else if (dataMW.twoway) {
+		var rule = dataMW.twoway.find(function(r) { return r.l === '*'; }) ||
+			this._matchRule(dataMW.twoway);
+		html = rule ? rule.t : null;
+	} else if (dataMW.oneway) {
+		var oneway = this._matchRule(dataMW.oneway);
+		html = oneway ? oneway.t : dataMW.oneway[0].f;
+	}
+	if ((dataMW.flags || []).indexOf('T') >= 0 && html !== null) {
+		// Title conversion
+		node.ownerDocument.title = htmlToText(html);
+	}
+	if (DU.hasNodeName(node, 'meta')) {
+		return;
+	}
+	if (html !== null) {
+		node.innerHTML = html;
+	}
+	// The texts of the construct are used as is.
+	this._convertChildren(node, false);
+};
+
+/**
+ * @private
+ * @param {Node} node
+ * @param {boolean} autoConvert Whether text should be converted with
+ *   the conversion tables.
+ */
+LanguageConverter.prototype._convertChildren = function(node, autoConvert) {
+	var child = node.firstChild;
+	while (child) {
+		if (DU.isText(child)) {
+			if (autoConvert) {
+				child.data = this.table.convert(child.data);
+			}
+		} else if (DU.isElt(child)) {
+			if (DU.hasTypeOf(child, 'mw:LanguageVariant')) {
+				this._convertVariantMarkup(child);
+			} else {
+				if (autoConvert) {
+					convertedAttrs.forEach(function(name) {
+						if (child.hasAttribute(name)) {
+							child.setAttribute(name,
+								this.table.convert(child.getAttribute(name)));
+						}
+					}, this);
+				}
+				this._convertChildren(child,
+					autoConvert && !noConvertTags.has(child.nodeName));
+			}
+		}
+		child = child.nextSibling;
+	}
+};
+
+/**
+ * Convert the body and the title of a document in place.
+ *
+ * @param {Document} doc
+ */
+LanguageConverter.prototype.convert = function(doc) {
+	var self = this;
+	// Rules from -{A| }- and -{H| }- apply to the whole page.
+	Array.from(doc.body.querySelectorAll('[typeof]')).forEach(function(node) {
+		if (DU.hasTypeOf(node, 'mw:LanguageVariant')) {
+			self._collectRules(DU.getJSONAttribute(node, 'data-mw', {}));
+		}
+	});
+	if (doc.title) {
+		doc.title = this.table.convert(doc.title);
+	}
+	this._convertChildren(doc.body, true);
+	doc.body.setAttribute('lang', this.variant);
+};
+
+
+if (typeof module === "object") {
+	module.exports.LanguageConverter = LanguageConverter;
+}
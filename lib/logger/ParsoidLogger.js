@@ -110,9 +110,13 @@ ParsoidLogger.prototype.registerLoggingBackends = function(defaultLogLevels, par
 		this.registerBackend(buildTraceOrDebugFlag(parsoidConfig.debugFlags, "debug"),
 			tracerBackend);
 	}
-	if (linter && parsoidConfig.linting) {
+	if (linter) {
+		// Linting can also be enabled for a single request (env.linting),
+		// in which case the issues are only buffered for the response.
 		this.registerBackend(/lint(\/.*)?/, linter.linterBackend.bind(linter));
-		this.registerBackend(/end(\/.*)/, linter.logLintOutput.bind(linter));
+		if (parsoidConfig.linting) {
+			this.registerBackend(/end(\/.*)/, linter.logLintOutput.bind(linter));
+		}
 	}
 };
 
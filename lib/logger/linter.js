@@ -14,6 +14,173 @@ var Linter = function(env) {
 	this.buffer = [];
 };
 
+/**
+ * How much each type of issue affects the rendering of a page.
+ */
+Linter.severities = {
+	'fostered': 'high',
+	'bogus-image-options': 'medium',
+	'ignored-table-attr': 'medium',
+	'mixed-content': 'medium',
+	'missing-end-tag': 'low',
+	'missing-start-tag': 'low',
+	'stripped-tag': 'low',
+	'obsolete-tag': 'low',
+	'multi-template': 'low',
+	'missing-required-template-param': 'medium',
+	'deprecated-template-param': 'low',
+};
+
+// Replacements for the obsolete tags which have a simple one.
+var obsoleteTags = {
+	big: { name: 'span', style: 'font-size:larger;' },
+	center: { name: 'div', style: 'text-align:center;' },
+	strike: { name: 's' },
+	tt: { name: 'code' },
+};
+
+// The css font sizes of the sizes of <font>.
+var fontSizes = ['x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xx-large'];
+
+var fontStyle = function(attrs) {
+	var style = '';
+	if (attrs.color) {
+		style += 'color:' + attrs.color + ';';
+	}
+	if (attrs.face) {
+		style += 'font-family:' + attrs.face + ';';
+	}
+	if (attrs.size) {
+		var m = /^\s*([+-]?)(\d)\s*$/.exec(attrs.size);
+		if (!m) {
+			return null;
+		}
+		var size = Number(m[2]);
+		if (m[1]) {
+			// Relative to the default size, 3
+			size = m[1] === '+' ? 3 + size : 3 - size;
+		}
+		style += 'font-size:' + fontSizes[Math.min(Math.max(size, 1), 7) - 1] + ';';
+	}
+	return style;
+};
+
+/**
+ * Propose a change of the wikitext which fixes an issue.
+ *
+ * Issues in transclusions have to be fixed in the template (or in its
+ * arguments), so no fix is proposed for them, nor for those which
+ * can't be fixed without knowing what the editor intended.
+ *
+ * @param {string} type The type of the issue
+ * @param {Object} lintObj What the pass logged for the issue
+ * @return {Object|null} The `dsr` range `[start, end]` of the wikitext
+ *   to replace and the `wikitext` to replace it with, or null.
+ */
+Linter.proposeFix = function(type, lintObj) {
+	var src = lintObj.src;
+	var dsr = lintObj.dsr;
+	if (lintObj.inTransclusion || !dsr || typeof src !== 'string' ||
+			typeof dsr[0] !== 'number' || typeof dsr[1] !== 'number') {
+		return null;
+	}
+	if (lintObj.fix) {
+		// Proposed by the lint rule of an extension
+		return lintObj.fix;
+	}
+	var wt = src.substring(dsr[0], dsr[1]);
+	switch (type) {
+		case 'missing-end-tag':
+			return lintObj.name ?
+				{ dsr: [dsr[1], dsr[1]], wikitext: '</' + lintObj.name + '>' } : null;
+		case 'missing-start-tag':
+			// The end tag has nothing to close; drop it.
+			return typeof dsr[3] === 'number' ?
+				{ dsr: [dsr[1] - dsr[3], dsr[1]], wikitext: '' } : null;
+		case 'stripped-tag':
+			return { dsr: [dsr[0], dsr[1]], wikitext: '' };
+		case 'ignored-table-attr':
+			// Drop the attributes of the row, which aren't on the line of a |-
+			return typeof dsr[2] === 'number' && /^\|-+/.test(wt) ?
+				{ dsr: [dsr[0], dsr[0] + dsr[2]], wikitext: /^\|-+/.exec(wt)[0] } : null;
+		case 'bogus-image-options':
+			var m = lintObj.option ? /^(\[\[[^|\]]*)(\|.*)$/.exec(wt) : null;
+			if (!m) {
+				return null;
+			}
+			// Remove the first option which is exactly the bogus one.
+			var options = m[2].split('|');
+			var i = options.indexOf(lintObj.option);
+			if (i < 0) {
+				return null;
+			}
+			options.splice(i, 1);
+			return { dsr: [dsr[0], dsr[1]], wikitext: m[1] + options.join('|') };
+		case 'obsolete-tag':
+			var name = lintObj.name;
+			var repl = obsoleteTags[name];
+			var style = repl && repl.style;
+			if (name === 'font' && lintObj.attrs) {
+				repl = { name: 'span' };
+				style = fontStyle(lintObj.attrs);
+			}
+			if (!repl || style === null || typeof dsr[2] !== 'number' || !dsr[3]) {
+				return null;
+			}
+			var content = src.substring(dsr[0] + dsr[2], dsr[1] - dsr[3]);
+			var attrs = wt.substring(name.length + 1, dsr[2] - 1)
+				// The style of the replacement is added to the attributes.
+				.replace(/\s+(color|face|size)\s*=\s*("[^"]*"|'[^']*'|[^\s>]*)/ig, '');
+			if (style) {
+				if (/\bstyle\s*=/i.test(attrs)) {
+					// Merging styles isn't worth the trouble.
+					return null;
+				}
+				attrs += ' style="' + style + '"';
+			}
+			return {
+				dsr: [dsr[0], dsr[1]],
+				wikitext: '<' + repl.name + attrs + '>' + content + '</' + repl.name + '>',
+			};
+		default:
+			return null;
+	}
+};
+
+/**
+ * Apply some of the fixes proposed for the issues of a page.
+ *
+ * Fixes are applied from the end of the page, and those overlapping a
+ * fix which was already applied are skipped.
+ *
+ * @param {string} src The wikitext of the page
+ * @param {Object[]} lints The issues of the page, as buffered
+ * @param {number[]} ids The indexes of the issues to fix
+ * @return {Object} The fixed `wikitext` and the indexes of the issues
+ *   which were `applied`.
+ */
+Linter.applyFixes = function(src, lints, ids) {
+	var fixes = ids.map(function(id) {
+		return { id: id, fix: lints[id] && lints[id].fix };
+	}).filter(function(f) {
+		return f.fix;
+	}).sort(function(a, b) {
+		return b.fix.dsr[0] - a.fix.dsr[0] || b.fix.dsr[1] - a.fix.dsr[1];
+	});
+	var applied = [];
+	var limit = Infinity;
+	fixes.forEach(function(f) {
+		var dsr = f.fix.dsr;
+		if (dsr[1] > limit) {
+			return;
+		}
+		src = src.substring(0, dsr[0]) + f.fix.wikitext + src.substring(dsr[1]);
+		limit = dsr[0];
+		applied.push(f.id);
+	});
+	return { wikitext: src, applied: applied.sort(function(a, b) { return a - b; }) };
+};
+
 Linter.prototype.logLintOutput = function(logData, cb) {
 	try {
 		if (this.buffer.length > 0) {
@@ -58,6 +225,7 @@ Linter.prototype.linterBackend = function(logData, cb) {
 		var wiki = this._env.conf.wiki.iwp;
 
 		msg.type = logType.match(re)[1];
+		msg.severity = lintObj.severity || Linter.severities[msg.type] || 'low';
 		msg.wiki = wiki;
 		msg.page = this._env.page.name;
 		msg.revision = this._env.page.meta.revision.revid;
@@ -74,6 +242,14 @@ Linter.prototype.linterBackend = function(logData, cb) {
 		if (inTransclusion) {
 			msg.inTransclusion = inTransclusion;
 		}
+		if (lintObj.templateInfo) {
+			msg.templateInfo = lintObj.templateInfo;
+		}
+		if (lintObj.params) {
+			// The template parameters at issue
+			msg.params = lintObj.params;
+		}
+		msg.fix = Linter.proposeFix(msg.type, lintObj);
 		if (logType === 'lint/fostered' || logType === 'lint/multi-template' || logType === 'lint/mixed-content') {
 			msg.src = src;
 		} else if (dsr) {
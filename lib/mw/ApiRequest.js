@@ -432,6 +432,26 @@ ApiRequest.prototype._handleBody = function(error, body) {
 	this._handleJSON(error, data);
 };
 
+/**
+ * Answer the request with a response from a content source instead of
+ * the API.
+ *
+ * @method
+ * @private
+ * @param {Promise} p A promise for the response body (see lib/mw/ContentSource.js)
+ */
+ApiRequest.prototype._fromContentSource = function(p) {
+	var self = this;
+	p.then(function(data) {
+		self._handleJSON(null, data);
+	}, function(error) {
+		self._handleJSON(error, {});
+	}).finally(function() {
+		// Remove self from request queue
+		delete self.env.requestQueue[self.queueKey];
+	}).done();
+};
+
 ApiRequest.prototype.trace = function() {
 	this.env.log.apply(null, ["trace/apirequest", "#" + this.serial].concat(Array.prototype.slice.call(arguments)));
 };
@@ -446,8 +466,12 @@ ApiRequest.prototype.trace = function() {
  * @param {MWParserEnvironment} env
  * @param {string} title The template (or really, page) we should fetch from the wiki
  * @param {string} oldid The revision ID you want to get, defaults to "latest revision"
+ * @param {Object} [opts]
+ * @param {boolean} [opts.transclusion] Whether the page is transcluded.
+ *   The latest revisions of transcluded pages and given revisions of
+ *   any page are looked up in the shared cache.
  */
-function TemplateRequest(env, title, oldid) {
+function TemplateRequest(env, title, oldid, opts) {
 	ApiRequest.call(this, env, title);
 
 	this.queueKey = title;
@@ -478,6 +502,33 @@ function TemplateRequest(env, title, oldid) {
 		timeout: env.conf.parsoid.timeouts.mwApi.srcFetch,
 	};
 
+	var source = env.conf.parsoid.getContentSource(env.conf.wiki.iwp);
+	if (source) {
+		this._fromContentSource(source.fetchPage(title, oldid || null));
+		return;
+	}
+
+	var cache = env.getSharedCache();
+	if (cache && (oldid || (opts && opts.transclusion))) {
+		this.sharedCacheKey = cache.makeKey(env.conf.wiki.iwp, 'template',
+			title, oldid || null);
+		// Given revisions never change, so they can always be read.
+		if (oldid || !env.bypassSharedCache.has('template')) {
+			var self = this;
+			cache.get(this.sharedCacheKey, 'template').then(function(data) {
+				if (data === undefined) {
+					self.request(self.requestOptions, self._requestCB.bind(self));
+				} else {
+					self.sharedCacheKey = null;
+					self._handleJSON(null, data);
+					// Remove self from request queue
+					delete self.env.requestQueue[self.queueKey];
+				}
+			}).done();
+			return;
+		}
+	}
+
 	// Start the request
 	this.request(this.requestOptions, this._requestCB.bind(this));
 }
@@ -485,6 +536,12 @@ function TemplateRequest(env, title, oldid) {
 // Inherit from ApiRequest
 util.inherits(TemplateRequest, ApiRequest);
 
+/**
+ * @property {string|null} sharedCacheKey
+ *   The key to store the response under in the shared cache, if any.
+ */
+TemplateRequest.prototype.sharedCacheKey = null;
+
 /**
  * @method _handleJSON
  * @template
@@ -559,6 +616,11 @@ TemplateRequest.prototype._handleJSON = function(error, data) {
 
 	this.env.tp('Retrieved ' + this.title, metadata);
 
+	if (this.sharedCacheKey) {
+		this.env.conf.parsoid.sharedCache.set(this.sharedCacheKey, 'template',
+			data, !!this.oldid);
+	}
+
 	// Add the source to the cache
 	// (both original title as well as possible redirected title)
 	this.env.pageCache[this.queueKey] = this.env.pageCache[this.title] = metadata.revision['*'];
@@ -645,6 +707,8 @@ PreprocessorRequest.prototype._handleJSON = function(error, data) {
 		this.env.log("error", error);
 		this._processListeners(error, '');
 	} else {
+		// Keep the unmangled response for the shared cache
+		this.response = data.expandtemplates;
 		this._processListeners(error,
 			manglePreprocessorResponse(this.env, data.expandtemplates));
 	}
@@ -724,6 +788,8 @@ PHPParseRequest.prototype._handleJSON = function(error, data) {
 		this.env.log("error", error);
 		this._processListeners(error, '');
 	} else {
+		// Keep the unmangled response for the shared cache
+		this.response = data.parse;
 		this._processListeners(error, mangleParserResponse(this.env, data.parse));
 	}
 };
@@ -807,7 +873,7 @@ BatchRequest.prototype._handleJSON = function(error, data) {
 		callbackData.push(mangled);
 
 	}
-	this.emit('batch', error, callbackData);
+	this.emit('batch', error, callbackData, batchResponse);
 };
 
 /**
@@ -895,23 +961,31 @@ ParsoidCacheRequest.promise = promiseFor(ParsoidCacheRequest);
  * @param {string} uri The API URI to use for fetching
  * @param {MWParserEnvironment} env
  * @param {string} proxy (optional) The proxy to use for the ConfigRequest.
+ * @param {string} [prefix] The prefix of the wiki.  The content source
+ *   of the wiki, if it has one, is asked instead of the API.
  */
-var ConfigRequest = function(uri, env, proxy) {
+var ConfigRequest = function(uri, env, proxy, prefix) {
 	ApiRequest.call(this, env, null);
-	this.queueKey = uri;
+	this.queueKey = uri || prefix;
 	this.reqType = "Config Request";
 
 	// Use the passed in proxy to the mw api. The default proxy set in
 	// the ApiRequest constructor might not be the right one.
 	this.proxy = proxy;
 
+	var source = prefix && env.conf.parsoid.getContentSource(prefix);
+	if (source) {
+		this._fromContentSource(source.fetchSiteInfo());
+		return;
+	}
+
 	if (!uri) {
 		this.retries = env.conf.parsoid.retries.mwApi.configInfo;
 		this._requestCB(new Error('There was no base URI for the API we tried to use.'));
 		return;
 	}
 
-	var metas = [ 'siteinfo' ];
+	var metas = [ 'siteinfo', 'allmessages' ];
 	var siprops = [
 		'namespaces',
 		'namespacealiases',
@@ -924,11 +998,26 @@ var ConfigRequest = function(uri, env, proxy) {
 		'protocols',
 		'specialpagealiases',
 	];
+	// The month and weekday names for #time, within the limit of 50
+	// messages per request.
+	var ammessages = [
+		'january', 'february', 'march', 'april', 'may_long', 'june', 'july',
+		'august', 'september', 'october', 'november', 'december',
+		'january-gen', 'february-gen', 'march-gen', 'april-gen', 'may-gen',
+		'june-gen', 'july-gen', 'august-gen', 'september-gen', 'october-gen',
+		'november-gen', 'december-gen',
+		'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct',
+		'nov', 'dec',
+		'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+		'saturday',
+		'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat',
+	];
 	var apiargs = {
 		format: 'json',
 		action: 'query',
 		meta: metas.join('|'),
 		siprop: siprops.join('|'),
+		ammessages: ammessages.join('|'),
 		rawcontinue: 1,
 	};
 
@@ -1032,6 +1121,12 @@ function ImageInfoRequest(env, filename, dims, key) {
 		timeout: env.conf.parsoid.timeouts.mwApi.imgInfo,
 	};
 
+	var source = env.conf.parsoid.getContentSource(conf.iwp);
+	if (source) {
+		this._fromContentSource(source.fetchImageInfo(filenames, dims));
+		return;
+	}
+
 	this.request(this.requestOptions, this._requestCB.bind(this));
 }
 
@@ -1083,6 +1178,82 @@ ImageInfoRequest.prototype._handleJSON = function(error, data) {
 	}
 };
 
+/**
+ * @class
+ * @extends ApiRequest
+ *
+ * Fetch the TemplateData of templates, which documents their parameters
+ * (see https://www.mediawiki.org/wiki/Extension:TemplateData).
+ *
+ * @constructor
+ * @param {MWParserEnvironment} env
+ * @param {string[]} titles The titles of the templates
+ * @param {string} key The queue key
+ */
+function TemplateDataRequest(env, titles, key) {
+	ApiRequest.call(this, env, null);
+	this.queueKey = key;
+	this.titles = titles;
+	this.reqType = "TemplateData Request";
+
+	var apiargs = {
+		format: 'json',
+		formatversion: '2',
+		action: 'templatedata',
+		titles: titles.join('|'),
+		redirects: '1',
+	};
+
+	this.requestOptions = {
+		method: 'GET',
+		followRedirect: true,
+		uri: env.conf.wiki.apiURI,
+		qs: apiargs,
+		timeout: env.conf.parsoid.timeouts.mwApi.templateData,
+	};
+
+	this.request(this.requestOptions, this._requestCB.bind(this));
+}
+
+util.inherits(TemplateDataRequest, ApiRequest);
+
+TemplateDataRequest.prototype._handleJSON = function(error, data) {
+	logAPIWarnings(this, data);
+
+	if (!error && !(data && data.pages)) {
+		error = this._errorObj(data, this.titles.join('|'), 'Missing data.pages.');
+	}
+
+	if (error) {
+		// Not an error for wikis without the TemplateData extension
+		this.env.log("warning", error);
+		this._processListeners(error, {});
+		return;
+	}
+
+	// The pages are indexed by page ID, and their titles are those of the
+	// requested ones once normalized and redirects are followed.
+	var normalized = new Map();
+	var redirects = new Map();
+	(data.normalized || []).forEach(function(n) { normalized.set(n.from, n.to); });
+	(data.redirects || []).forEach(function(r) { redirects.set(r.from, r.to); });
+	var pages = new Map();
+	Object.keys(data.pages).forEach(function(id) {
+		var page = data.pages[id];
+		// Pages without TemplateData are missing or have no params.
+		if (page.params) {
+			pages.set(page.title, page);
+		}
+	});
+	var result = {};
+	this.titles.forEach(function(title) {
+		var t = normalized.get(title) || title;
+		t = redirects.get(t) || t;
+		result[title] = pages.get(t) || null;
+	});
+	this._processListeners(null, result);
+};
+
 if (typeof module === "object") {
 	module.exports.ConfigRequest = ConfigRequest;
 	module.exports.TemplateRequest = TemplateRequest;
@@ -1091,6 +1262,9 @@ if (typeof module === "object") {
 	module.exports.BatchRequest = BatchRequest;
 	module.exports.ParsoidCacheRequest = ParsoidCacheRequest;
 	module.exports.ImageInfoRequest = ImageInfoRequest;
+	module.exports.TemplateDataRequest = TemplateDataRequest;
 	module.exports.DoesNotExistError = DoesNotExistError;
 	module.exports.ParserError = ParserError;
+	module.exports.manglePreprocessorResponse = manglePreprocessorResponse;
+	module.exports.mangleParserResponse = mangleParserResponse;
 }
@@ -12,6 +12,10 @@ var api = require('./ApiRequest.js');
  * result is returned. It handles scheduling and concurrency of batch requests.
  * It also has a legacy mode which sends requests to the MW core API.
  *
+ * Items are looked up in the shared cache of the configuration (see
+ * {@link SharedCache}) before they are requested, and responses are
+ * stored there for other requests.
+ *
  * @constructor
  * @param {MWParserEnvironment} env
  */
@@ -21,8 +25,16 @@ function Batcher(env) {
 	this.currentBatch = [];
 	this.pendingBatches = [];
 	this.resultCache = {};
+	this.sharedCache = env.getSharedCache();
+	// Shared cache keys of the outstanding items, by hash
+	this.sharedCacheKeys = {};
 	this.numOutstanding = 0;
 	this.forwardProgressTimer = null;
+	// TemplateData isn't provided by the ParsoidBatchAPI extension; the
+	// templates requested together are fetched with one
+	// action=templatedata request instead.
+	this.templateDataBatch = [];
+	this.templateDataTimer = null;
 	this.maxBatchSize = env.conf.parsoid.batchSize;
 	this.targetConcurrency = env.conf.parsoid.batchConcurrency;
 	// Max latency before we give up on a batch response and terminate the req.
@@ -162,8 +174,9 @@ Batcher.prototype.handleResponseTimeout = function(batch) {
  * @param {Object} batchParams The parameters as in pushGeneric().
  * @param {Error/null} error
  * @param {Array} batchResult
+ * @param {Array} rawResult The items of the API response, before decoding
  */
-Batcher.prototype.onBatchResponse = function(batchParams, error, batchResult) {
+Batcher.prototype.onBatchResponse = function(batchParams, error, batchResult, rawResult) {
 	this.numOutstanding--;
 
 	// We got a response. All well and good.
@@ -191,6 +204,8 @@ Batcher.prototype.onBatchResponse = function(batchParams, error, batchResult) {
 			} else {
 				result = batchResult[i];
 				this.resultCache[params.hash] = result;
+				this.storeShared(params.hash, params.action === 'imageinfo' ?
+					result : rawResult[i]);
 				for (j = 0; j < callbacks.length; j++) {
 					callbacks[j](null, result);
 				}
@@ -219,22 +234,24 @@ Batcher.prototype.preprocess = function(title, text, cb) {
 		this.trace("Result cache hit for hash", hash);
 		return this.resultCache[hash];
 	}
-	if (!env.conf.parsoid.useBatchAPI) {
-		this.trace("Non-batched preprocess request");
-		this.legacyRequest(api.PreprocessorRequest,
-			[env, title, text, hash], hash, cb);
-		return;
-	}
+	this.withSharedCache("preprocess", title, text, hash, cb, function() {
+		if (!env.conf.parsoid.useBatchAPI) {
+			this.trace("Non-batched preprocess request");
+			this.legacyRequest(api.PreprocessorRequest,
+				[env, title, text, hash], hash, cb);
+			return;
+		}
 
-	// Add the item to the batch
-	this.pushGeneric(
-		{
-			action: "preprocess",
-			title: title,
-			text: text,
-			hash: hash,
-		}, cb
-	);
+		// Add the item to the batch
+		this.pushGeneric(
+			{
+				action: "preprocess",
+				title: title,
+				text: text,
+				hash: hash,
+			}, cb
+		);
+	});
 };
 
 /**
@@ -249,21 +266,23 @@ Batcher.prototype.parse = function(title, text, cb) {
 	if (hash in this.resultCache) {
 		return this.resultCache[hash];
 	}
-	if (!env.conf.parsoid.useBatchAPI) {
-		this.trace("Non-batched parse request");
-		this.legacyRequest(api.PHPParseRequest,
-			[env, title, text, false, hash], hash, cb);
-		return;
-	}
+	this.withSharedCache("parse", title, text, hash, cb, function() {
+		if (!env.conf.parsoid.useBatchAPI) {
+			this.trace("Non-batched parse request");
+			this.legacyRequest(api.PHPParseRequest,
+				[env, title, text, false, hash], hash, cb);
+			return;
+		}
 
-	this.pushGeneric(
-		{
-			action: "parse",
-			title: title,
-			text: text,
-			hash: hash,
-		}, cb
-	);
+		this.pushGeneric(
+			{
+				action: "parse",
+				title: title,
+				text: text,
+				hash: hash,
+			}, cb
+		);
+	});
 };
 
 /**
@@ -278,29 +297,182 @@ Batcher.prototype.imageinfo = function(filename, dims, cb) {
 	if (hash in this.resultCache) {
 		return this.resultCache[hash];
 	}
-	if (!env.conf.parsoid.useBatchAPI) {
-		this.trace("Non-batched imageinfo request");
-		this.legacyRequest(api.ImageInfoRequest,
-			[env, filename, dims, hash], hash, cb);
+	// Content sources don't implement the batch API.
+	var useBatchAPI = env.conf.parsoid.useBatchAPI &&
+		!env.conf.parsoid.getContentSource(env.conf.wiki.iwp);
+	// Batched and legacy results have different formats.
+	var variant = JSON.stringify([
+		dims.width || "", dims.height || "", !!useBatchAPI,
+	]);
+	this.withSharedCache("imageinfo", filename, variant, hash, cb, function() {
+		if (!useBatchAPI) {
+			this.trace("Non-batched imageinfo request");
+			this.legacyRequest(api.ImageInfoRequest,
+				[env, filename, dims, hash], hash, cb);
+			return;
+		}
+
+		var params = {
+			action: "imageinfo",
+			filename: filename,
+			hash: hash,
+		};
+		if (dims.width !== null || dims.height !== null) {
+			params.txopts = {};
+			if (dims.width !== null) {
+				params.txopts.width = dims.width;
+			}
+			if (dims.height !== null) {
+				params.txopts.height = dims.height;
+			}
+		}
+
+		this.pushGeneric(params, cb);
+	});
+};
+
+/**
+ * Schedule fetching of the TemplateData of a template.
+ * @param {string} title The title of the template
+ * @param {Function} cb The completion callback, called with the
+ *   TemplateData of the template, or null if it has none.
+ */
+Batcher.prototype.templatedata = function(title, cb) {
+	var hash = Util.makeHash(["templatedata", title]);
+	if (hash in this.resultCache) {
+		return this.resultCache[hash];
+	}
+	this.withSharedCache("templatedata", title, "", hash, cb, function() {
+		if (hash in this.itemCallbacks) {
+			this.trace("Appending callback for hash", hash);
+			this.itemCallbacks[hash].push(cb);
+			return;
+		}
+		this.itemCallbacks[hash] = [cb];
+		this.templateDataBatch.push({ title: title, hash: hash });
+		if (this.templateDataBatch.length >= this.maxBatchSize) {
+			this.dispatchTemplateData();
+		} else if (!this.templateDataTimer) {
+			// Collect the templates requested in this turn of the
+			// event loop, like the forward progress timer does.
+			this.templateDataTimer = setTimeout(this.dispatchTemplateData.bind(this), 0);
+		}
+	});
+};
+
+/**
+ * Request the TemplateData of the templates collected so far.
+ */
+Batcher.prototype.dispatchTemplateData = function() {
+	clearTimeout(this.templateDataTimer);
+	this.templateDataTimer = null;
+	var batch = this.templateDataBatch;
+	this.templateDataBatch = [];
+	if (!batch.length) {
 		return;
 	}
+	this.trace("Dispatching TemplateData request with", batch.length, "items");
+	var titles = batch.map(function(item) { return item.title; });
+	var key = batch.map(function(item) { return item.hash; }).join(':');
+	new api.TemplateDataRequest(this.env, titles, key).once('src',
+		this.onTemplateDataResponse.bind(this, batch));
+};
 
-	var params = {
-		action: "imageinfo",
-		filename: filename,
-		hash: hash,
-	};
-	if (dims.width !== null || dims.height !== null) {
-		params.txopts = {};
-		if (dims.width !== null) {
-			params.txopts.width = dims.width;
-		}
-		if (dims.height !== null) {
-			params.txopts.height = dims.height;
+/**
+ * Handle a TemplateData response and call the item callbacks.
+ *
+ * @param {Object[]} batch The `title` and `hash` of the items
+ * @param {Error|null} error
+ * @param {Object} result The TemplateData of the templates, by title
+ */
+Batcher.prototype.onTemplateDataResponse = function(batch, error, result) {
+	batch.forEach(function(item) {
+		var callbacks = this.itemCallbacks[item.hash];
+		delete this.itemCallbacks[item.hash];
+		var data = error ? null : result[item.title];
+		if (!error) {
+			this.resultCache[item.hash] = data;
+			this.storeShared(item.hash, data);
 		}
+		callbacks.forEach(function(cb) {
+			cb(error, data);
+		});
+	}, this);
+};
+
+/**
+ * Look up an item in the shared cache, and schedule a request for it
+ * if it isn't found there.  Expansions depend on the templates they
+ * use, so they are cached without a revision and expire after the TTL
+ * of their type.
+ *
+ * @param {string} action
+ * @param {string} title
+ * @param {string} text The other parameters the result depends on
+ * @param {string} hash The request identifier hash
+ * @param {Function} cb The completion callback
+ * @param {Function} schedule Schedules the request, called on the Batcher
+ */
+Batcher.prototype.withSharedCache = function(action, title, text, hash, cb, schedule) {
+	var env = this.env;
+	var cache = this.sharedCache;
+	if (!cache) {
+		schedule.call(this);
+		return;
+	}
+	var key = cache.makeKey(env.conf.wiki.iwp, action, title, null, text);
+	this.sharedCacheKeys[hash] = { key: key, action: action };
+	if (env.bypassSharedCache.has(action)) {
+		// Still refresh the cache with the response.
+		schedule.call(this);
+		return;
 	}
+	var self = this;
+	cache.get(key, action).then(function(response) {
+		if (response === undefined) {
+			if (hash in self.resultCache) {
+				// The same item was fetched while looking it up.
+				cb(null, self.resultCache[hash]);
+			} else {
+				schedule.call(self);
+			}
+			return;
+		}
+		self.trace("Shared cache hit for hash", hash);
+		delete self.sharedCacheKeys[hash];
+		var result;
+		switch (action) {
+			case 'preprocess':
+				result = api.manglePreprocessorResponse(env, response);
+				break;
+			case 'parse':
+				result = api.mangleParserResponse(env, response);
+				break;
+			default:
+				result = response;
+		}
+		self.resultCache[hash] = result;
+		cb(null, result);
+	}).catch(function(e) {
+		env.log('fatal/request', e);
+	}).done();
+};
 
-	this.pushGeneric(params, cb);
+/**
+ * Store a response in the shared cache, if it was looked up there.
+ * Preprocess and parse responses are stored before they are mangled,
+ * since mangling them also updates the page properties of the
+ * environment.
+ *
+ * @param {string} hash The request identifier hash
+ * @param {Object|string} response
+ */
+Batcher.prototype.storeShared = function(hash, response) {
+	var item = this.sharedCacheKeys[hash];
+	if (item && response !== undefined) {
+		delete this.sharedCacheKeys[hash];
+		this.sharedCache.set(item.key, item.action, response);
+	}
 };
 
 /**
@@ -317,15 +489,20 @@ Batcher.prototype.legacyRequest = function(Constructor, args, hash, cb) {
 		Constructor.apply(req, args);
 		env.requestQueue[hash] = req;
 	}
-	env.requestQueue[hash].once('src', this.onLegacyResponse.bind(this, hash, cb));
+	var self = this;
+	env.requestQueue[hash].once('src', function(error, src) {
+		// Listeners are called with the request as `this`.
+		self.onLegacyResponse(hash, cb, error, src, this.response);
+	});
 };
 
 /**
  * Helper for handling a legacy response
  */
-Batcher.prototype.onLegacyResponse = function(hash, cb, error, src) {
+Batcher.prototype.onLegacyResponse = function(hash, cb, error, src, response) {
 	if (!error) {
 		this.resultCache[hash] = src;
+		this.storeShared(hash, response !== undefined ? response : src);
 	}
 	cb(error, src);
 };
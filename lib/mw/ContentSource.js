@@ -0,0 +1,526 @@
+'use strict';
+require('../../core-upgrade.js');
+
+var entities = require('entities');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var util = require('util');
+var Promise = require('../utils/promise.js');
+var Util = require('../utils/Util.js').Util;
+
+var readFile = Promise.promisify(fs.readFile, false, fs);
+var writeFile = Promise.promisify(fs.writeFile, false, fs);
+var stat = Promise.promisify(fs.stat, false, fs);
+var open = Promise.promisify(fs.open, false, fs);
+var read = Promise.promisify(fs.read, ['bytesRead', 'buffer'], fs);
+var close = Promise.promisify(fs.close, false, fs);
+
+
+/**
+ * @class
+ *
+ * Where the page sources, templates and site information of a wiki come
+ * from when Parsoid can't (or shouldn't) reach it through the Action
+ * API.  The template, config and image info requests of
+ * lib/mw/ApiRequest.js ask the content source of a wiki, if it has one,
+ * instead of its api.php.
+ *
+ * Content sources resolve to bodies shaped like the responses of the
+ * Action API, so that they are handled (and cached) just like them.
+ * Other sources are modules exporting a constructor, which is passed the
+ * `contentSource` settings of the wiki, with the methods of this class.
+ *
+ * @constructor
+ * @param {Object} settings See the `contentSource` setting of ParsoidConfig#setMwApi
+ */
+function ContentSource(settings) {
+	this.settings = settings;
+}
+
+/**
+ * Fetch a revision of a page.
+ *
+ * @param {string} title
+ * @param {string|null} oldid The revision, defaults to the latest one
+ * @return {Promise} A `prop=revisions` query response
+ */
+ContentSource.prototype.fetchPage = function(title, oldid) {
+	return Promise.reject(new Error('fetchPage is not implemented'));
+};
+
+/**
+ * Fetch the site information of the wiki.
+ *
+ * @return {Promise} A `meta=siteinfo|allmessages` query response
+ */
+ContentSource.prototype.fetchSiteInfo = function() {
+	return Promise.reject(new Error('fetchSiteInfo is not implemented'));
+};
+
+/**
+ * Fetch information about media files.  By default, none of them exist.
+ *
+ * @param {string[]} titles The titles of the files, with their namespace
+ * @param {Object} [dims]
+ * @return {Promise} A `prop=imageinfo` query response
+ */
+ContentSource.prototype.fetchImageInfo = function(titles, dims) {
+	var query = { pages: {} };
+	titles.forEach(function(title, i) {
+		var normalized = title.replace(/_/g, ' ');
+		if (normalized !== title) {
+			query.normalized = query.normalized || [];
+			query.normalized.push({ from: title, to: normalized });
+		}
+		query.pages[-1 - i] = {
+			ns: 6,
+			title: normalized,
+			missing: '',
+			imagerepository: '',
+		};
+	});
+	return Promise.resolve({ query: query });
+};
+
+
+// Bump this when the format of the index changes.
+var INDEX_VERSION = 1;
+
+// Dumps are scanned as 'binary' strings, so that string offsets are byte
+// offsets in the file.  Text is converted back when it is used.
+var decode = function(s) {
+	return entities.decodeXML(new Buffer(s, 'binary').toString('utf8'));
+};
+
+var getAttribute = function(tag, name) {
+	var m = new RegExp('\\s' + name + '="([^"]*)"').exec(tag);
+	return m ? decode(m[1]) : null;
+};
+
+// The text of the first `tag` element of `xml`
+var getElement = function(xml, tag) {
+	var m = new RegExp('<' + tag + '(?:\\s[^>]*)?>([^<]*)</' + tag + '>').exec(xml);
+	return m ? decode(m[1]) : null;
+};
+
+var scanSiteInfo = function(xml) {
+	var root = /<mediawiki\b[^>]*>/.exec(xml);
+	var re = /<namespace\b([^>]*?)(?:\/>|>([^<]*)<\/namespace>)/g;
+	var namespaces = [];
+	var m;
+	while ((m = re.exec(xml))) {
+		namespaces.push({
+			id: Number(getAttribute(m[1], 'key')),
+			'case': getAttribute(m[1], 'case'),
+			name: m[2] ? decode(m[2]) : '',
+		});
+	}
+	return {
+		sitename: getElement(xml, 'sitename'),
+		dbname: getElement(xml, 'dbname'),
+		base: getElement(xml, 'base'),
+		generator: getElement(xml, 'generator'),
+		'case': getElement(xml, 'case'),
+		lang: root && getAttribute(root[0], 'xml:lang'),
+		namespaces: namespaces,
+	};
+};
+
+// Add the page at `offset` in the dump to the index.  `xml` runs from its
+// `<page>` tag to its `</page>` tag.
+var scanPage = function(index, xml, offset) {
+	var revStart = xml.indexOf('<revision>');
+	var head = revStart < 0 ? xml : xml.slice(0, revStart);
+	var title = getElement(head, 'title');
+	var ns = Number(getElement(head, 'ns'));
+	var redirect = /<redirect\b[^>]*>/.exec(head);
+	var key = ns + ':' + (ns === 0 ? title : title.slice(title.indexOf(':') + 1));
+	var page = {
+		id: Number(getElement(head, 'id')),
+		ns: ns,
+		title: title,
+		redirect: redirect ? getAttribute(redirect[0], 'title') : null,
+		latest: null,
+	};
+
+	while (revStart >= 0) {
+		var revEnd = xml.indexOf('</revision>', revStart);
+		var rev = xml.slice(revStart, revEnd);
+		var text = /<text\b[^>]*?(\/?)>/.exec(rev);
+		var start = text ? text.index + text[0].length : 0;
+		var end = text && !text[1] ? rev.indexOf('</text>', start) : start;
+		// Leave the text out of what the metadata is looked up in.
+		var meta = rev.slice(0, start) + rev.slice(end);
+		var contributor = /<contributor\b[^>]*>([\s\S]*?)<\/contributor>/.exec(meta) || [''];
+		meta = meta.replace(contributor[0], '');
+		var revid = getElement(meta, 'id');
+		var deleted = !text || /\sdeleted="/.test(text[0]);
+		index.revisions[revid] = {
+			page: key,
+			parentid: Number(getElement(meta, 'parentid') || 0),
+			timestamp: getElement(meta, 'timestamp'),
+			user: getElement(contributor[0], 'username') || getElement(contributor[0], 'ip'),
+			userid: Number(getElement(contributor[0], 'id') || 0),
+			comment: getElement(meta, 'comment'),
+			contentmodel: getElement(meta, 'model') || 'wikitext',
+			contentformat: getElement(meta, 'format') || 'text/x-wiki',
+			size: Number(text && getAttribute(text[0], 'bytes') || 0),
+			sha1: getElement(meta, 'sha1'),
+			offset: deleted ? null : offset + revStart + start,
+			length: end - start,
+		};
+		// Revisions are dumped oldest first.
+		page.latest = Number(revid);
+		revStart = xml.indexOf('<revision>', revEnd);
+	}
+	index.pages[key] = page;
+};
+
+var scanDump = function(file) {
+	return new Promise(function(resolve, reject) {
+		var index = { siteinfo: null, pages: {}, revisions: {} };
+		var buf = '';
+		// The offset of `buf` in the dump
+		var bufOffset = 0;
+		var stream = fs.createReadStream(file, { encoding: 'binary' });
+		stream.on('data', function(chunk) {
+			var start, end;
+			buf += chunk;
+			if (index.siteinfo === null) {
+				start = buf.indexOf('<page>');
+				if (start < 0) {
+					return;
+				}
+				index.siteinfo = scanSiteInfo(buf.slice(0, start));
+			}
+			while ((start = buf.indexOf('<page>')) >= 0 &&
+					(end = buf.indexOf('</page>', start)) >= 0) {
+				scanPage(index, buf.slice(start, end), bufOffset + start);
+				end += '</page>'.length;
+				buf = buf.slice(end);
+				bufOffset += end;
+			}
+			// Keep the page being read, or a tag which may be cut in two.
+			start = buf.indexOf('<page>');
+			if (start < 0) {
+				start = Math.max(0, buf.length - '<page>'.length);
+			}
+			buf = buf.slice(start);
+			bufOffset += start;
+		});
+		stream.on('end', function() {
+			if (index.siteinfo === null) {
+				index.siteinfo = scanSiteInfo(buf);
+			}
+			resolve(index);
+		});
+		stream.on('error', reject);
+	});
+};
+
+// Fill in the site information of a base configuration with that of the
+// dump.
+var mergeSiteInfo = function(query, siteinfo) {
+	var general = query.general;
+	['sitename', 'generator', 'case', 'lang'].forEach(function(name) {
+		if (siteinfo[name]) {
+			general[name] = siteinfo[name];
+		}
+	});
+	if (siteinfo.dbname) {
+		general.wikiid = siteinfo.dbname;
+	}
+	if (siteinfo.base) {
+		// The url of the main page, ex. https://example.org/wiki/Main_Page
+		var base = url.parse(siteinfo.base, true);
+		var mainpage;
+		general.base = siteinfo.base;
+		general.server = base.protocol + '//' + base.host;
+		if (base.query.title) {
+			general.articlepath = base.pathname + '?title=$1';
+			mainpage = base.query.title;
+		} else {
+			var i = base.pathname.lastIndexOf('/') + 1;
+			general.articlepath = base.pathname.slice(0, i) + '$1';
+			mainpage = decodeURIComponent(base.pathname.slice(i));
+		}
+		general.mainpage = mainpage.replace(/_/g, ' ');
+	}
+	if (siteinfo.namespaces.length) {
+		var namespaces = {};
+		siteinfo.namespaces.forEach(function(ns) {
+			var info = Object.assign({}, query.namespaces[ns.id], {
+				id: ns.id,
+				'case': ns['case'] || general['case'],
+				'*': ns.name,
+			});
+			if (ns.id !== 0 && !info.canonical) {
+				info.canonical = ns.name;
+			}
+			namespaces[ns.id] = info;
+		});
+		query.namespaces = namespaces;
+	}
+	return query;
+};
+
+/**
+ * @class
+ * @extends ContentSource
+ *
+ * Content source reading an uncompressed MediaWiki XML dump, as written
+ * by Special:Export or dumpBackup.php.
+ *
+ * The dump is scanned once for its site information, pages and
+ * revisions, and the index is saved next to it (or at the path of the
+ * `index` setting) until the dump changes.  The text of revisions is
+ * read from the dump when it is needed.
+ *
+ * The site information is that of a base configuration of Parsoid (the
+ * `baseConfig` setting, or the one of the dump's database name, or
+ * 'enwiki') with the namespaces, case, language and urls of the dump.
+ * Media files don't exist.
+ *
+ * @constructor
+ * @param {Object} settings
+ * @param {string} settings.dump The path of the dump
+ * @param {string} [settings.index] The path of the index of the dump
+ * @param {string} [settings.baseConfig] The prefix of a configuration in
+ *   lib/config/baseconfig
+ */
+function XMLDumpSource(settings) {
+	ContentSource.call(this, settings);
+	this.dump = path.resolve(settings.dump);
+	this.indexFile = settings.index ? path.resolve(settings.index) :
+		this.dump + '.index.json';
+	this._loaded = null;
+}
+util.inherits(XMLDumpSource, ContentSource);
+
+/**
+ * Read the index of the dump, scanning the dump if it is out of date.
+ *
+ * @return {Promise}
+ */
+XMLDumpSource.prototype.load = function() {
+	if (this._loaded) {
+		return this._loaded;
+	}
+	var self = this;
+	this._loaded = stat(this.dump).then(function(dumpStat) {
+		var isCurrent = function(index) {
+			return index.version === INDEX_VERSION &&
+				index.size === dumpStat.size &&
+				index.mtime === dumpStat.mtime.getTime();
+		};
+		return readFile(self.indexFile, 'utf8').then(JSON.parse).catch(function() {
+			return null;
+		}).then(function(index) {
+			if (index && isCurrent(index)) {
+				return index;
+			}
+			return scanDump(self.dump).then(function(scanned) {
+				scanned.version = INDEX_VERSION;
+				scanned.size = dumpStat.size;
+				scanned.mtime = dumpStat.mtime.getTime();
+				// The index is only a cache, so a dump in a read-only
+				// directory is scanned every time.
+				return writeFile(self.indexFile, JSON.stringify(scanned))
+					.catch(function() {}).return(scanned);
+			});
+		});
+	}).then(function(index) {
+		self.index = index;
+		self.siteinfo = mergeSiteInfo(self._baseConfig(), index.siteinfo);
+		self.namespaceIds = new Map();
+		Object.keys(self.siteinfo.namespaces).forEach(function(id) {
+			var ns = self.siteinfo.namespaces[id];
+			[ns['*'], ns.canonical].forEach(function(name) {
+				if (name) {
+					self.namespaceIds.set(name.toLowerCase(), Number(id));
+				}
+			});
+		});
+		(self.siteinfo.namespacealiases || []).forEach(function(alias) {
+			self.namespaceIds.set(alias['*'].toLowerCase(), alias.id);
+		});
+	});
+	return this._loaded;
+};
+
+XMLDumpSource.prototype._baseConfig = function() {
+	var names = [this.settings.baseConfig, this.index.siteinfo.dbname, 'enwiki'];
+	for (var i = 0; i < names.length; i++) {
+		if (names[i] && /^[\w\-]+$/.test(names[i])) {
+			try {
+				return Util.clone(require('../config/baseconfig/' + names[i] + '.json').query);
+			} catch (e) {
+				if (names[i] === this.settings.baseConfig) {
+					throw new Error('Unknown base configuration: ' + names[i]);
+				}
+			}
+		}
+	}
+};
+
+/**
+ * The key of a title in the index: its namespace id and its text without
+ * the namespace, normalized like MediaWiki does.
+ *
+ * @param {string} title
+ * @return {string}
+ */
+XMLDumpSource.prototype.pageKey = function(title) {
+	var ns = 0;
+	var colon;
+	title = title.replace(/[_\s]+/g, ' ').trim();
+	colon = title.indexOf(':');
+	if (colon > 0) {
+		var id = this.namespaceIds.get(title.slice(0, colon).trim().toLowerCase());
+		if (id !== undefined) {
+			ns = id;
+			title = title.slice(colon + 1).trim();
+		}
+	}
+	var info = this.siteinfo.namespaces[ns];
+	if (!info || info['case'] !== 'case-sensitive') {
+		title = title.charAt(0).toUpperCase() + title.slice(1);
+	}
+	return ns + ':' + title;
+};
+
+/**
+ * The pages of the dump, in the order of the dump.  The dump must have
+ * been {@link #load loaded}.
+ *
+ * @return {Object[]} Their `title`, `ns`, page `id`, `latest` revision
+ *   and `redirect` target (or null)
+ */
+XMLDumpSource.prototype.getPages = function() {
+	var pages = this.index.pages;
+	return Object.keys(pages).map(function(key) {
+		return pages[key];
+	});
+};
+
+/**
+ * @param {Object} rev A revision of the index
+ * @return {Promise} The text of the revision, or null if it was deleted
+ */
+XMLDumpSource.prototype.readText = function(rev) {
+	if (rev.offset === null) {
+		return Promise.resolve(null);
+	} else if (rev.length === 0) {
+		return Promise.resolve('');
+	}
+	var self = this;
+	return open(this.dump, 'r').then(function(fd) {
+		var buffer = new Buffer(rev.length);
+		return read(fd, buffer, 0, rev.length, rev.offset).then(function() {
+			return decode(buffer.toString('binary'));
+		}).finally(function() {
+			return close(fd);
+		});
+	}).catch(function(e) {
+		throw new Error('Could not read ' + self.dump + ': ' + e.message);
+	});
+};
+
+XMLDumpSource.prototype.fetchPage = function(title, oldid) {
+	var self = this;
+	return this.load().then(function() {
+		var page, rev;
+		if (oldid) {
+			rev = self.index.revisions[oldid];
+			if (!rev) {
+				var badrevids = {};
+				badrevids[oldid] = { revid: Number(oldid) };
+				return { query: { badrevids: badrevids } };
+			}
+			page = self.index.pages[rev.page];
+		} else {
+			var key = self.pageKey(title);
+			page = self.index.pages[key];
+			if (!page) {
+				var missing = {
+					ns: Number(key.slice(0, key.indexOf(':'))),
+					title: title,
+					missing: '',
+				};
+				return { query: { pages: { '-1': missing } } };
+			}
+			oldid = page.latest;
+			rev = self.index.revisions[oldid];
+		}
+		return self.readText(rev).then(function(text) {
+			var revision = {
+				revid: Number(oldid),
+				parentid: rev.parentid,
+				user: rev.user,
+				userid: rev.userid,
+				timestamp: rev.timestamp,
+				size: rev.size,
+				sha1: rev.sha1,
+				contentmodel: rev.contentmodel,
+				contentformat: rev.contentformat,
+				comment: rev.comment,
+			};
+			if (text === null) {
+				revision.texthidden = '';
+			} else {
+				revision['*'] = text;
+			}
+			var query = { pages: {} };
+			query.pages[page.id] = {
+				pageid: page.id,
+				ns: page.ns,
+				title: page.title,
+				revisions: [revision],
+			};
+			if (page.redirect !== null) {
+				query.pages[page.id].redirect = '';
+			}
+			if (title && title !== page.title) {
+				query.normalized = [{ from: title, to: page.title }];
+			}
+			return { query: query };
+		});
+	});
+};
+
+XMLDumpSource.prototype.fetchSiteInfo = function() {
+	var self = this;
+	return this.load().then(function() {
+		return { query: Util.clone(self.siteinfo) };
+	});
+};
+
+var sources = {
+	xmldump: XMLDumpSource,
+};
+
+/**
+ * Create the content source of a wiki.
+ *
+ * @param {Object} settings The `contentSource` setting of the wiki
+ * @param {string} settings.backend 'xmldump', or the absolute path of a
+ *   module exporting a content source constructor
+ * @return {ContentSource}
+ */
+ContentSource.create = function(settings) {
+	var Source = sources[settings.backend];
+	if (!Source) {
+		if (path.resolve(settings.backend) !== settings.backend) {
+			throw new Error('Unknown content source: ' + settings.backend);
+		}
+		Source = require(settings.backend);
+	}
+	var source = new Source(settings);
+	return source;
+};
+
+if (typeof module === 'object') {
+	module.exports.ContentSource = ContentSource;
+	module.exports.XMLDumpSource = XMLDumpSource;
+}
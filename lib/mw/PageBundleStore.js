@@ -0,0 +1,240 @@
+'use strict';
+require('../../core-upgrade.js');
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var Promise = require('../utils/promise.js');
+
+
+/**
+ * @class
+ *
+ * In-memory store of the {@link PageBundleStore}, mostly for testing:
+ * bundles are kept until the worker exits, and aren't shared with the
+ * other workers.
+ *
+ * @constructor
+ * @param {Object} options See ParsoidConfig#pageBundleStorage
+ */
+function MemoryStore(options) {
+	this.entries = new Map();
+}
+
+/**
+ * @param {string} key
+ * @return {Promise} A promise for the JSON string stored under the key,
+ *   or undefined.
+ */
+MemoryStore.prototype.get = function(key) {
+	return Promise.resolve(this.entries.get(key));
+};
+
+/**
+ * @param {string} key
+ * @param {string} value A JSON string
+ * @return {Promise}
+ */
+MemoryStore.prototype.set = function(key, value) {
+	this.entries.set(key, value);
+	return Promise.resolve();
+};
+
+/**
+ * @class
+ *
+ * Filesystem store of the {@link PageBundleStore}, shared by all workers
+ * on a host.  Each bundle is a JSON file named after the hash of its key,
+ * in a subdirectory named after the first characters of the hash.
+ * Nothing is ever removed from the directory.
+ *
+ * @constructor
+ * @param {Object} options See ParsoidConfig#pageBundleStorage
+ */
+function FileStore(options) {
+	if (!options.dir) {
+		throw new Error('The filesystem pagebundle storage needs a dir.');
+	}
+	this.dir = options.dir;
+	// The subdirectories known to exist, or being created
+	this.subdirs = new Map();
+}
+
+var readFile = Promise.promisify(fs.readFile, false, fs);
+var writeFile = Promise.promisify(fs.writeFile, false, fs);
+var rename = Promise.promisify(fs.rename, false, fs);
+var mkdir = Promise.promisify(fs.mkdir, false, fs);
+
+var mkdirIfMissing = function(dir) {
+	return mkdir(dir).catch(function(e) {
+		if (e.code !== 'EEXIST') {
+			throw e;
+		}
+	});
+};
+
+FileStore.prototype._file = function(key) {
+	var hash = crypto.createHash('sha1').update(key).digest('hex');
+	return path.join(this.dir, hash.slice(0, 2), hash + '.json');
+};
+
+FileStore.prototype._mkdir = function(subdir) {
+	var self = this;
+	var p = this.subdirs.get(subdir);
+	if (!p) {
+		p = mkdirIfMissing(this.dir).then(function() {
+			return mkdirIfMissing(subdir);
+		});
+		// Try again next time if it failed.
+		p.catch(function() {
+			self.subdirs.delete(subdir);
+		});
+		this.subdirs.set(subdir, p);
+	}
+	return p;
+};
+
+FileStore.prototype.get = function(key) {
+	return readFile(this._file(key), 'utf8').then(function(data) {
+		var entry = JSON.parse(data);
+		return entry.key === key ? entry.value : undefined;
+	}).catch(function() {
+		// Missing or unreadable file
+		return undefined;
+	});
+};
+
+FileStore.prototype.set = function(key, value) {
+	var file = this._file(key);
+	// Write to a temporary file first, so that other workers never see
+	// partially written bundles.
+	var tmpFile = file + '.' + process.pid + '.tmp';
+	var data = JSON.stringify({ key: key, value: value });
+	return this._mkdir(path.dirname(file)).then(function() {
+		return writeFile(tmpFile, data, 'utf8');
+	}).then(function() {
+		return rename(tmpFile, file);
+	});
+};
+
+var stores = {
+	memory: MemoryStore,
+	filesystem: FileStore,
+};
+
+/**
+ * @class
+ *
+ * Store of the pagebundles (html and data-parsoid) Parsoid produced for
+ * the revisions of pages, so that the html of a revision can be
+ * serialized back to wikitext with selser given its revision id alone,
+ * instead of the client sending the original html and data-parsoid
+ * along with its edit.
+ *
+ * Revisions don't change, so bundles are kept for good: unlike the
+ * {@link SharedCache}, the stores never evict them.  They are kept in
+ * memory ('memory'), in a directory ('filesystem'), or in a store
+ * provided by a module, which is constructed with the
+ * `pageBundleStorage` settings and implements `get(key)` and
+ * `set(key, value)`.  Revision ids are unique on a wiki, so bundles are
+ * keyed by wiki and revision id.
+ *
+ * @constructor
+ * @param {ParsoidConfig} parsoidConfig
+ */
+function PageBundleStore(parsoidConfig) {
+	var options = parsoidConfig.pageBundleStorage;
+	var Store = stores[options.backend];
+	if (!Store) {
+		if (path.resolve(options.backend) !== options.backend) {
+			throw new Error('Unknown pagebundle storage backend: ' + options.backend);
+		}
+		// A module implementing a store
+		Store = require(options.backend);
+	}
+	this.parsoidConfig = parsoidConfig;
+	this.store = new Store(Object.assign({}, options));
+}
+
+/**
+ * Create the pagebundle store of a configuration, if it is enabled.
+ *
+ * @param {ParsoidConfig} parsoidConfig
+ * @return {PageBundleStore|null}
+ */
+PageBundleStore.create = function(parsoidConfig) {
+	var backend = parsoidConfig.pageBundleStorage &&
+		parsoidConfig.pageBundleStorage.backend;
+	return backend && backend !== 'none' ?
+		new PageBundleStore(parsoidConfig) : null;
+};
+
+PageBundleStore.prototype._key = function(wiki, revid) {
+	return JSON.stringify([wiki, 'pagebundle', String(revid)]);
+};
+
+PageBundleStore.prototype._count = function(what) {
+	var timer = this.parsoidConfig.performanceTimer;
+	if (timer) {
+		timer.count('pagebundle.' + what, '');
+	}
+};
+
+/**
+ * Save the pagebundle of a revision.
+ *
+ * @param {string} wiki The wiki prefix
+ * @param {string|number} revid
+ * @param {Object} bundle
+ * @param {string} bundle.title
+ * @param {string} bundle.html
+ * @param {Object} bundle.dp The data-parsoid of the html
+ * @param {string} bundle.wikitext The source of the revision
+ * @return {Promise} Never rejected
+ */
+PageBundleStore.prototype.save = function(wiki, revid, bundle) {
+	var self = this;
+	var value = JSON.stringify({
+		title: bundle.title,
+		revid: String(revid),
+		html: bundle.html,
+		'data-parsoid': bundle.dp,
+		wikitext: bundle.wikitext,
+	});
+	return Promise.resolve().then(function() {
+		return self.store.set(self._key(wiki, revid), value);
+	}).then(function() {
+		self._count('save');
+	}, function() {
+		// Storing is best effort; clients can still send the original.
+		self._count('save.failed');
+	});
+};
+
+/**
+ * Load the pagebundle of a revision.
+ *
+ * @param {string} wiki The wiki prefix
+ * @param {string|number} revid
+ * @return {Promise} A promise for an object with the `title`, `revid`,
+ *   `html`, `data-parsoid` and `wikitext` of the revision, or undefined
+ *   when it isn't stored.  The promise is never rejected.
+ */
+PageBundleStore.prototype.load = function(wiki, revid) {
+	var self = this;
+	return Promise.resolve().then(function() {
+		return self.store.get(self._key(wiki, revid));
+	}).then(function(value) {
+		self._count(value === undefined ? 'miss' : 'hit');
+		return value === undefined ? undefined : JSON.parse(value);
+	}).catch(function() {
+		self._count('miss');
+		return undefined;
+	});
+};
+
+if (typeof module === "object") {
+	module.exports.PageBundleStore = PageBundleStore;
+	module.exports.MemoryStore = MemoryStore;
+	module.exports.FileStore = FileStore;
+}
@@ -0,0 +1,305 @@
+'use strict';
+require('../../core-upgrade.js');
+
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Promise = require('../utils/promise.js');
+
+
+/**
+ * @class
+ *
+ * In-memory LRU store for the {@link SharedCache}.  This is the default
+ * backend; its entries are shared by all requests of a worker.
+ *
+ * @constructor
+ * @param {Object} options See ParsoidConfig#transclusionCache
+ */
+function MemoryStore(options) {
+	this.maxEntries = options.maxEntries;
+	this.maxSize = options.maxSize;
+	this.size = 0;
+	// Maps iterate in insertion order, so the least recently used
+	// entry comes first.
+	this.entries = new Map();
+}
+
+MemoryStore.prototype._delete = function(key) {
+	var entry = this.entries.get(key);
+	if (entry) {
+		this.size -= entry.value.length;
+		this.entries.delete(key);
+	}
+};
+
+/**
+ * @param {string} key
+ * @return {Promise} A promise for the JSON string stored under the key,
+ *   or undefined.
+ */
+MemoryStore.prototype.get = function(key) {
+	var entry = this.entries.get(key);
+	if (!entry) {
+		return Promise.resolve(undefined);
+	}
+	this.entries.delete(key);
+	if (entry.expires !== null && entry.expires <= Date.now()) {
+		this.size -= entry.value.length;
+		return Promise.resolve(undefined);
+	}
+	this.entries.set(key, entry);
+	return Promise.resolve(entry.value);
+};
+
+/**
+ * @param {string} key
+ * @param {string} value A JSON string
+ * @param {number|null} expires Expiry timestamp in ms, or null
+ * @return {Promise}
+ */
+MemoryStore.prototype.set = function(key, value, expires) {
+	this._delete(key);
+	if (value.length <= this.maxSize) {
+		this.entries.set(key, { value: value, expires: expires });
+		this.size += value.length;
+		while (this.entries.size > this.maxEntries || this.size > this.maxSize) {
+			this._delete(this.entries.keys().next().value);
+		}
+	}
+	return Promise.resolve();
+};
+
+/**
+ * @class
+ *
+ * Filesystem store for the {@link SharedCache}, which can be shared by
+ * all workers on a host and survives restarts.  Each entry is a JSON
+ * file named after the hash of its key.  When the directory holds more
+ * than the configured number or size of entries, the least recently
+ * written ones are removed.
+ *
+ * @constructor
+ * @param {Object} options See ParsoidConfig#transclusionCache
+ */
+function FileStore(options) {
+	this.dir = options.dir || path.join(os.tmpdir(), 'parsoid-cache');
+	this.maxEntries = options.maxEntries;
+	this.maxSize = options.maxSize;
+	this.writes = 0;
+	this.sweeping = null;
+	this.ready = null;
+}
+
+// Check the limits of the directory every so many writes.
+FileStore.prototype.sweepInterval = 100;
+
+var readFile = Promise.promisify(fs.readFile, false, fs);
+var writeFile = Promise.promisify(fs.writeFile, false, fs);
+var rename = Promise.promisify(fs.rename, false, fs);
+var unlink = Promise.promisify(fs.unlink, false, fs);
+var readdir = Promise.promisify(fs.readdir, false, fs);
+var stat = Promise.promisify(fs.stat, false, fs);
+var mkdir = Promise.promisify(fs.mkdir, false, fs);
+
+FileStore.prototype._file = function(key) {
+	var hash = crypto.createHash('sha1').update(key).digest('hex');
+	return path.join(this.dir, hash + '.json');
+};
+
+FileStore.prototype.get = function(key) {
+	var file = this._file(key);
+	return readFile(file, 'utf8').then(function(data) {
+		var entry = JSON.parse(data);
+		if (entry.key !== key) {
+			return undefined;
+		}
+		if (entry.expires !== null && entry.expires <= Date.now()) {
+			return unlink(file).then(function() {
+				return undefined;
+			});
+		}
+		return entry.value;
+	}).catch(function() {
+		// Missing, unreadable or concurrently removed file
+		return undefined;
+	});
+};
+
+FileStore.prototype.set = function(key, value, expires) {
+	var self = this;
+	var file = this._file(key);
+	// Write to a temporary file first, so that other workers never see
+	// partially written entries.
+	var tmpFile = file + '.' + process.pid + '.tmp';
+	var data = JSON.stringify({ key: key, value: value, expires: expires });
+	if (!this.ready) {
+		this.ready = mkdir(this.dir).catch(function(e) {
+			if (e.code !== 'EEXIST') {
+				throw e;
+			}
+		});
+	}
+	return this.ready.then(function() {
+		return writeFile(tmpFile, data, 'utf8');
+	}).then(function() {
+		return rename(tmpFile, file);
+	}).then(function() {
+		self.writes++;
+		if (self.writes % self.sweepInterval === 0 && !self.sweeping) {
+			self.sweeping = self._sweep().finally(function() {
+				self.sweeping = null;
+			});
+		}
+	});
+};
+
+/**
+ * Remove the oldest entries while the directory is over its limits.
+ * @private
+ */
+FileStore.prototype._sweep = function() {
+	var self = this;
+	return readdir(this.dir).then(function(names) {
+		return Promise.map(names.filter(function(name) {
+			return /\.json$/.test(name);
+		}), function(name) {
+			var file = path.join(self.dir, name);
+			return stat(file).then(function(st) {
+				return { file: file, size: st.size, mtime: st.mtime.getTime() };
+			}, function() {
+				return null;
+			});
+		});
+	}).then(function(files) {
+		files = files.filter(Boolean).sort(function(a, b) {
+			return a.mtime - b.mtime;
+		});
+		var size = files.reduce(function(sum, f) { return sum + f.size; }, 0);
+		var victims = [];
+		while (files.length > self.maxEntries || size > self.maxSize) {
+			var f = files.shift();
+			size -= f.size;
+			victims.push(f.file);
+		}
+		return Promise.map(victims, function(file) {
+			return unlink(file).catch(function() {});
+		});
+	});
+};
+
+var stores = {
+	memory: MemoryStore,
+	filesystem: FileStore,
+};
+
+/**
+ * @class
+ *
+ * Cache of fetched templates, template and extension expansions and
+ * image info which is shared across requests, in front of a pluggable
+ * store.  Entries are keyed by wiki, title and revision; content which
+ * can change without a new revision of its title (like the expansion of
+ * a transclusion, which depends on the templates it uses) is cached
+ * without a revision and only kept for the TTL of its type.
+ *
+ * A store is constructed with the cache settings of the configuration
+ * and implements `get(key)` and `set(key, value, expires)`, which
+ * return promises; values are JSON strings.  Hits and misses are
+ * counted per type with the performance timer.
+ *
+ * @constructor
+ * @param {ParsoidConfig} parsoidConfig
+ */
+function SharedCache(parsoidConfig) {
+	var options = parsoidConfig.transclusionCache;
+	var Store = stores[options.backend];
+	if (!Store) {
+		if (path.resolve(options.backend) !== options.backend) {
+			throw new Error('Unknown cache backend: ' + options.backend);
+		}
+		// A module implementing a store
+		Store = require(options.backend);
+	}
+	this.parsoidConfig = parsoidConfig;
+	this.ttl = options.ttl;
+	this.store = new Store(options);
+}
+
+/**
+ * Create the shared cache of a configuration, if it is enabled.
+ *
+ * @param {ParsoidConfig} parsoidConfig
+ * @return {SharedCache|null}
+ */
+SharedCache.create = function(parsoidConfig) {
+	var backend = parsoidConfig.transclusionCache &&
+		parsoidConfig.transclusionCache.backend;
+	return backend && backend !== 'none' ?
+		new SharedCache(parsoidConfig) : null;
+};
+
+/**
+ * @param {string} wiki The wiki prefix
+ * @param {string} type The kind of content (ex: 'template', 'preprocess')
+ * @param {string} title
+ * @param {string|null} revision The revision of the title, if the
+ *   content is for a given revision
+ * @param {string} [extra] Other parameters the content depends on, like
+ *   the source of a transclusion
+ * @return {string}
+ */
+SharedCache.prototype.makeKey = function(wiki, type, title, revision, extra) {
+	var parts = [wiki, type, title, revision || ''];
+	if (extra) {
+		parts.push(crypto.createHash('sha1').update(extra).digest('hex'));
+	}
+	return JSON.stringify(parts);
+};
+
+SharedCache.prototype._count = function(type, what) {
+	var timer = this.parsoidConfig.performanceTimer;
+	if (timer) {
+		timer.count('cache.' + type + '.' + what, '');
+	}
+};
+
+/**
+ * @param {string} key
+ * @param {string} type
+ * @return {Promise} A promise for the cached value, or undefined.
+ *   The promise is never rejected.
+ */
+SharedCache.prototype.get = function(key, type) {
+	var self = this;
+	return this.store.get(key).then(function(value) {
+		self._count(type, value === undefined ? 'miss' : 'hit');
+		return value === undefined ? undefined : JSON.parse(value);
+	}).catch(function() {
+		self._count(type, 'miss');
+		return undefined;
+	});
+};
+
+/**
+ * @param {string} key
+ * @param {string} type
+ * @param {Object|string} value
+ * @param {boolean} [immutable] Whether the value is for a given
+ *   revision, and won't expire
+ * @return {Promise} Never rejected
+ */
+SharedCache.prototype.set = function(key, type, value, immutable) {
+	var ttl = this.ttl[type] || this.ttl.default;
+	var expires = immutable ? null : Date.now() + ttl * 1000;
+	return this.store.set(key, JSON.stringify(value), expires).catch(function() {
+		// Caching is best effort.
+	});
+};
+
+if (typeof module === "object") {
+	module.exports.SharedCache = SharedCache;
+	module.exports.MemoryStore = MemoryStore;
+	module.exports.FileStore = FileStore;
+}
@@ -0,0 +1,264 @@
+'use strict';
+require('../../core-upgrade.js');
+
+var fs = require('fs');
+var Promise = require('../utils/promise.js');
+var Util = require('../utils/Util.js').Util;
+
+// The shorthands of the TemplateData formats
+var FORMATS = {
+	inline: '{{_|_=_}}',
+	block: '{{_\n| _ = _\n}}',
+};
+
+// A custom format, like '{{_\n|________ = _\n}}': the start and the
+// target, the separator before the pipe of each parameter, the spacing
+// around its name and the equal sign, and the spacing before the end.
+// Newlines before and after the transclusion are allowed but ignored.
+var FORMAT_RE = /^\n?(\{\{ *_+)(\n? *)\|(\n? *)(_+)( *)=( *)_+(\n? *)\}\}\n?$/;
+
+// The TemplateData files which were read, by path
+var files = new Map();
+
+/**
+ * @class
+ *
+ * Helpers for the TemplateData of templates, which documents their
+ * parameters: their order and aliases, whether they are required or
+ * deprecated, and how transclusions of the template are formatted
+ * (see https://www.mediawiki.org/wiki/Extension:TemplateData).
+ *
+ * TemplateData is fetched from the wiki through the {@link Batcher}, or
+ * read from the `templateDataFile` of the configuration.  It is kept
+ * in `env.templateData` for the synchronous users (the linter and the
+ * jsapi), so the TemplateHandler fetches it for the transclusions of
+ * the page when they need it.
+ *
+ * @singleton
+ */
+var TemplateData = {};
+
+/**
+ * The title of the template of a transclusion.
+ *
+ * @param {Object} target The target of the template in data-mw
+ * @return {string|null} null for parser functions
+ */
+TemplateData.targetTitle = function(target) {
+	return target && typeof target.href === 'string' ?
+		Util.decodeURI(target.href.replace(/^\.\//, '')) : null;
+};
+
+// Read the TemplateData of a file, by normalized title
+var readFile = function(env, file) {
+	if (!files.has(file)) {
+		var byTitle = new Map();
+		try {
+			var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+			if (data.pages) {
+				// A saved action=templatedata response
+				Object.keys(data.pages).forEach(function(id) {
+					var page = data.pages[id];
+					byTitle.set(env.normalizeTitle(page.title), page);
+				});
+			} else {
+				Object.keys(data).forEach(function(title) {
+					byTitle.set(env.normalizeTitle(title), data[title]);
+				});
+			}
+		} catch (e) {
+			env.log('error', 'Failed to read the TemplateData file', file, e);
+		}
+		files.set(file, byTitle);
+	}
+	return files.get(file);
+};
+
+/**
+ * Fetch the TemplateData of a template, unless it was already.
+ *
+ * @param {MWParserEnvironment} env
+ * @param {string} title
+ * @return {Promise} The TemplateData, or null if the template has none
+ *   or it can't be fetched.  Never rejected.
+ */
+TemplateData.fetch = function(env, title) {
+	if (env.templateData.has(title)) {
+		return Promise.resolve(env.templateData.get(title));
+	}
+	var parsoid = env.conf.parsoid;
+	var p;
+	if (parsoid.templateDataFile) {
+		p = Promise.resolve(readFile(env, parsoid.templateDataFile)
+			.get(env.normalizeTitle(title)) || null);
+	} else if (!parsoid.fetchTemplates || env.conf.wiki.apiURI === null ||
+			parsoid.getContentSource(env.conf.wiki.iwp)) {
+		p = Promise.resolve(null);
+	} else {
+		p = new Promise(function(resolve) {
+			var cached = env.batcher.templatedata(title, function(err, data) {
+				// The error was logged.
+				resolve(err ? null : data);
+			});
+			if (cached !== undefined) {
+				resolve(cached);
+			}
+		});
+	}
+	return p.then(function(data) {
+		env.templateData.set(title, data);
+		return data;
+	});
+};
+
+/**
+ * The TemplateData of a template, if it was fetched.
+ *
+ * @param {MWParserEnvironment} env
+ * @param {string|null} title
+ * @return {Object|null}
+ */
+TemplateData.get = function(env, title) {
+	return (title !== null && env.templateData.get(title)) || null;
+};
+
+/**
+ * The documented name of a parameter, which is given by this name or
+ * by one of its aliases.
+ *
+ * @param {Object} td The TemplateData of the template
+ * @param {string} name
+ * @return {string|null} null for undocumented parameters
+ */
+TemplateData.canonicalName = function(td, name) {
+	if (Object.prototype.hasOwnProperty.call(td.params, name)) {
+		return name;
+	}
+	var canonical = Object.keys(td.params).find(function(k) {
+		return (td.params[k].aliases || []).indexOf(name) !== -1;
+	});
+	return canonical === undefined ? null : canonical;
+};
+
+/**
+ * Find the parameter of a transclusion which is given by a name, or by
+ * the documented name or an alias of the same parameter.
+ *
+ * @param {Object|null} td The TemplateData of the template
+ * @param {Object} params The params of the template in data-mw
+ * @param {string} name
+ * @return {string|null} The key of the parameter in `params`
+ */
+TemplateData.findParam = function(td, params, name) {
+	var has = function(k) {
+		return Object.prototype.hasOwnProperty.call(params, k);
+	};
+	if (has(name)) {
+		return name;
+	}
+	var canonical = td && TemplateData.canonicalName(td, name);
+	if (!canonical) {
+		return null;
+	}
+	var found = [canonical].concat(td.params[canonical].aliases || []).find(has);
+	return found === undefined ? null : found;
+};
+
+/**
+ * Order the parameters of a transclusion as documented.  The original
+ * parameters keep their order; new ones are inserted before the first
+ * parameter which is documented after them, and the undocumented new
+ * ones go last.
+ *
+ * @param {Object|null} td The TemplateData of the template
+ * @param {string[]} origKeys The original parameters, in order
+ * @param {string[]} newKeys The new parameters
+ * @return {string[]}
+ */
+TemplateData.orderParams = function(td, origKeys, newKeys) {
+	if (!td) {
+		return origKeys.concat(newKeys);
+	}
+	var order = td.paramOrder || Object.keys(td.params);
+	var rank = function(k) {
+		var canonical = TemplateData.canonicalName(td, k);
+		return canonical === null ? -1 : order.indexOf(canonical);
+	};
+	var keys = origKeys.slice();
+	var undocumented = [];
+	newKeys.forEach(function(k) {
+		var r = rank(k);
+		if (r < 0) {
+			undocumented.push(k);
+			return;
+		}
+		var i = keys.findIndex(function(o) { return rank(o) > r; });
+		if (i < 0) {
+			keys.push(k);
+		} else {
+			keys.splice(i, 0, k);
+		}
+	});
+	return keys.concat(undocumented);
+};
+
+/**
+ * The format of the transclusions of a template.
+ *
+ * @param {Object|null} td The TemplateData of the template
+ * @return {Object|null} The `target` pattern (like `{{_`), the `sep`
+ *   before the pipe of parameters, the spacing `spc` of named
+ *   parameters (as in data-parsoid, without the last one) and the
+ *   width of their names, and the spacing before the `end`; or null if
+ *   the format isn't documented (or is invalid).
+ */
+TemplateData.getFormat = function(td) {
+	var m = td && typeof td.format === 'string' &&
+		FORMAT_RE.exec(FORMATS[td.format] || td.format);
+	if (!m) {
+		return null;
+	}
+	return {
+		target: m[1],
+		sep: m[2],
+		spc: [m[3], m[5], m[6]],
+		nameWidth: m[4].length,
+		end: m[7],
+	};
+};
+
+/**
+ * Whether the named parameters of a transclusion are spaced as in a
+ * format.
+ *
+ * @param {Object} format See #getFormat
+ * @param {Object[]} paramInfos The data-parsoid info of the parameters
+ * @return {boolean}
+ */
+TemplateData.followsFormat = function(format, paramInfos) {
+	return paramInfos.every(function(paramInfo) {
+		// The spacing is only recorded when it isn't the default one.
+		var spc = paramInfo.spc || ['', ' ', ' ', ''];
+		return !paramInfo.named || (spc[0] === format.spc[0] &&
+			spc[1] === format.spc[1] && spc[2] === format.spc[2] &&
+			(spc[3] === format.sep || spc[3] === format.end));
+	});
+};
+
+/**
+ * Fill a hole of a format (a run of underscores) with a value, padded
+ * to the width of the hole.
+ *
+ * @param {string} pattern
+ * @param {string} value
+ * @return {string}
+ */
+TemplateData.formatSubst = function(pattern, value) {
+	return pattern.replace(/_+/, function(hole) {
+		return value + ' '.repeat(Math.max(0, hole.length - value.length));
+	});
+};
+
+if (typeof module === "object") {
+	module.exports.TemplateData = TemplateData;
+}
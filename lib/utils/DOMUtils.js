@@ -197,6 +197,70 @@ DOMUtils = DU = {
 		return true;
 	},
 
+	/**
+	 * Hash the content of a node, so that a native extension can tell
+	 * whether a client edited the DOM it rendered.  What changes when the
+	 * content is unpacked into the page and stored (about ids, generated
+	 * ids, data-parsoid and nowiki wrappers) is left out.
+	 *
+	 * @param {Node} node
+	 * @return {string}
+	 */
+	contentHash: function(node) {
+		var parts = [];
+		var addContent = function(n) {
+			for (var child = n.firstChild; child; child = child.nextSibling) {
+				if (DU.isText(child)) {
+					parts.push(child.nodeValue);
+				} else if (DU.isComment(child)) {
+					parts.push('<!--' + child.nodeValue + '-->');
+				} else if (!DU.isElt(child)) {
+					continue;
+				} else if (/(?:^|\s)mw:Nowiki(?=$|\s)/.test(child.getAttribute('typeof'))) {
+					addContent(child);
+				} else {
+					parts.push('<' + child.nodeName);
+					DU.getAttributeKVArray(child).forEach(function(kv) {
+						if (!/^(about|data-parsoid|data-mw)$/.test(kv.k) &&
+								!(kv.k === 'id' && /^mw/.test(kv.v))) {
+							parts.push(' ' + kv.k + '=' + JSON.stringify(kv.v));
+						}
+					});
+					// Loaded by the serializer, but an attribute in rendered HTML
+					var dataMw = DU.getDataMw(child);
+					if (dataMw && Object.keys(dataMw).length) {
+						parts.push(' data-mw=' + JSON.stringify(dataMw));
+					}
+					parts.push('>');
+					addContent(child);
+					parts.push('</' + child.nodeName + '>');
+				}
+			}
+		};
+		addContent(node);
+		// Adjacent text nodes are merged when the HTML is parsed again.
+		return Util.makeHash(parts.join(''));
+	},
+
+	/**
+	 * Record in the data-parsoid of the node a native extension rendered
+	 * what it was rendered from: the hash of its content (see contentHash)
+	 * and the start tag of the extension, which the serializer keeps as it
+	 * was unless the attributes in data-mw are edited.
+	 *
+	 * @param {Node} node
+	 * @param {Token} extToken
+	 */
+	storeNativeExtensionInfo: function(node, extToken) {
+		var src = extToken.getAttribute('source');
+		var attrs = Util.KVtoHash(extToken.getAttribute('options'), true);
+		DU.storeDataParsoid(node, {
+			contentHash: DU.contentHash(node),
+			tagSrc: src.substring(0, extToken.dataAttribs.tagWidths[0]),
+			attrsHash: Util.makeHash(JSON.stringify(attrs)),
+		});
+	},
+
 	/**
 	 * Add a type to the typeof attribute. This method works for both tokens
 	 * and DOM nodes as it only relies on getAttribute and setAttribute, which
@@ -2046,10 +2110,12 @@ DOMUtils = DU = {
 			env.log('info', 'Wikitext for this page has duplicate ids: ' + origId);
 		}
 		if (!uid) {
+			// Skip the ids in use, including those of the sections of a
+			// streamed page, which are no longer in the document.
 			do {
 				docDp.counter += 1;
 				uid = 'mw' + JSUtils.counterToBase64(docDp.counter);
-			} while (document.getElementById(uid));
+			} while (document.getElementById(uid) || docDp.ids.hasOwnProperty(uid));
 			DU.addNormalizedAttribute(node, 'id', uid, origId);
 		}
 		docDp.ids[uid] = dp;
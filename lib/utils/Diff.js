@@ -269,6 +269,19 @@ Diff.htmlDiff = function(a, b, color, onlyReportChanges, useLines) {
 	}
 };
 
+/**
+ * Return a unified diff of two versions of the wikitext of a page,
+ * in the format of `diff -u`.
+ *
+ * @param {string} name The name of the page.
+ * @param {string} a The original wikitext.
+ * @param {string} b The new wikitext.
+ * @return {string}
+ */
+Diff.unifiedDiff = function(name, a, b) {
+	return jsDiff.createPatch(name, a, b, 'original', 'edited');
+};
+
 if (typeof module === "object") {
 	module.exports.Diff = Diff;
 }
@@ -215,6 +215,12 @@ var Util = {
 		if (opts.apiURL) {
 			parsoidConfig.setMwApi({ prefix: 'customwiki', uri: opts.apiURL });
 		}
+		if (opts.xmldump) {
+			parsoidConfig.setMwApi({
+				prefix: 'dumpwiki',
+				contentSource: { backend: 'xmldump', dump: opts.xmldump },
+			});
+		}
 		if (opts.addHTMLTemplateParameters !== undefined) {
 			parsoidConfig.addHTMLTemplateParameters =
 				Util.booleanOption(opts.addHTMLTemplateParameters);
@@ -335,6 +341,10 @@ var Util = {
 				description: 'http path to remote API, e.g. http://en.wikipedia.org/w/api.php',
 				'default': null,
 			},
+			'xmldump': {
+				description: 'Path to a MediaWiki XML dump to read pages, templates and the wiki configuration from, instead of an API',
+				'default': null,
+			},
 			'rtTestMode': {
 				description: 'Test in rt test mode (changes some parse & serialization strategies)',
 				'boolean': true,
@@ -1589,6 +1599,31 @@ Util.processExtSource = function(manager, extToken, opts) {
 	}
 };
 
+/**
+ * Parse wikitext, such as a part of the content of an extension tag,
+ * to a DOM with a nested pipeline.
+ *
+ * @param {TokenTransformManager} manager
+ * @param {string} content
+ * @param {Object} opts
+ * @param {Object} opts.pipelineOpts
+ * @param {number[]} [opts.srcOffsets]
+ *    The offsets of the content in the page source, if it comes from there
+ *    as-is.  Templates are only wrapped with the right data-mw then.
+ * @return {Promise} A promise for the document
+ */
+Util.parseWikitextToDOM = function(manager, content, opts) {
+	var cb = JSUtils.mkPromised();
+	Util.processContentInPipeline(manager.env, manager.frame, content, {
+		pipelineType: 'text/x-mediawiki/full',
+		pipelineOpts: opts.pipelineOpts,
+		srcOffsets: opts.srcOffsets,
+		// processContentInPipeline has no error callback :(
+		documentCB: function(doc) { cb(null, doc); },
+	});
+	return cb.promise;
+};
+
 Util.getArgInfo = function(extToken) {
 	var name = extToken.getAttribute('name');
 	var options = extToken.getAttribute('options');
@@ -9,6 +9,8 @@ var url = require('url');
 var util = require('util');
 var DOMTraverser = require('../utils/DOMTraverser.js').DOMTraverser;
 var DU = require('../utils/DOMUtils.js').DOMUtils;
+var JSUtils = require('../utils/jsutils.js').JSUtils;
+var Promise = require('../utils/promise.js');
 var apiUtils = require('../api/apiUtils.js');
 var dumpDOM = require('./pp/dumper.js').dumpDOM;
 var CleanUp = require('./pp/cleanup.js');
@@ -93,6 +95,44 @@ function appendToHead(document, tagName, attrs) {
 	document.head.appendChild(elt);
 }
 
+/**
+ * Stick the data-parsoid of the document in its head.
+ */
+function appendDataParsoid(document) {
+	var dp = JSON.stringify(DU.getDataParsoid(document));
+	var script = document.createElement("script");
+	DU.addAttributes(script, {
+		id: "mw-data-parsoid",
+		type: apiUtils.DATA_PARSOID_CONTENT_TYPE,
+	});
+	script.appendChild(document.createTextNode(dp));
+	document.head.appendChild(script);
+}
+
+function isHeading(node) {
+	return /^H[1-6]$/.test(node.nodeName);
+}
+
+/**
+ * The last node of the top-level section starting at `node`: the content
+ * up to the next heading.  The wrappers of transclusions and extensions
+ * aren't split between sections.
+ */
+function lastOfSection(node) {
+	var last = node;
+	while (true) {
+		if (DU.isTplOrExtToplevelNode(last)) {
+			last = JSUtils.lastItem(
+				DU.getAboutSiblings(last, last.getAttribute('about')));
+		}
+		var next = last.nextSibling;
+		if (!next || isHeading(next)) {
+			return last;
+		}
+		last = next;
+	}
+}
+
 /**
  * @class
  * @extends EventEmitter
@@ -149,7 +189,7 @@ function DOMPostProcessor(env, options) {
 	domVisitor.addHandler(null, CleanUp.stripEmptyElements);
 	this.processors.push(domVisitor.traverse.bind(domVisitor));
 
-	if (env.conf.parsoid.linting) {
+	if (env.linting) {
 		domVisitor = new DOMTraverser(env);
 		domVisitor.addHandler(null, logWikitextFixup);
 		this.processors.push(domVisitor.traverse.bind(domVisitor));
@@ -175,7 +215,8 @@ function DOMPostProcessor(env, options) {
 	// don't affect other handlers that run alongside it.
 	domVisitor = new DOMTraverser(env);
 	domVisitor.addHandler(null, CleanUp.cleanupAndSaveDataParsoid);
-	this.processors.push(domVisitor.traverse.bind(domVisitor));
+	this.saveDataParsoid = domVisitor.traverse.bind(domVisitor);
+	this.processors.push(this.saveDataParsoid);
 }
 
 // Inherit from EventEmitter
@@ -195,6 +236,7 @@ DOMPostProcessor.prototype.setSourceOffsets = function(start, end) {
 DOMPostProcessor.prototype.resetState = function(opts) {
 	this.atTopLevel = opts && opts.toplevel;
 	this.displayTitle = null;
+	this.streaming = false;
 };
 
 /**
@@ -343,16 +385,9 @@ DOMPostProcessor.prototype.addMetaData = function(document) {
 		appendToHead(document, 'link', { rel: 'stylesheet', href: styleURI });
 	}
 
-	// stick data-parsoid in the head
-	if (env.storeDataParsoid) {
-		var dp = JSON.stringify(DU.getDataParsoid(document));
-		var script = document.createElement("script");
-		DU.addAttributes(script, {
-			id: "mw-data-parsoid",
-			type: apiUtils.DATA_PARSOID_CONTENT_TYPE,
-		});
-		script.appendChild(document.createTextNode(dp));
-		document.head.appendChild(script);
+	// stick data-parsoid in the head, once it is all known
+	if (env.storeDataParsoid && !this.streaming) {
+		appendDataParsoid(document);
 	}
 
 	// Indicate language & directionality on body
@@ -390,7 +425,16 @@ DOMPostProcessor.prototype.doPostProcess = function(document) {
 		});
 	}
 
+	// The sections of the page are handed out as soon as their
+	// data-parsoid is saved, unless the whole document is needed to convert
+	// it to a language variant afterwards.
+	this.streaming = this.atTopLevel && !!this.env.sectionHandler &&
+		!this.env.htmlVariantLanguage;
+
 	for (var i = 0; i < this.processors.length; i++) {
+		if (this.streaming && this.processors[i] === this.saveDataParsoid) {
+			continue;
+		}
 		try {
 			this.processors[i](document.body, this.env, this.options, this.atTopLevel);
 		} catch (e) {
@@ -405,9 +449,56 @@ DOMPostProcessor.prototype.doPostProcess = function(document) {
 		this.addMetaData(document);
 	}
 
+	if (this.streaming) {
+		this.streamSections(document);
+		return;
+	}
+
 	this.emit('document', document);
 };
 
+/**
+ * Save the data-parsoid of the top-level sections of the body (a heading
+ * and the content up to the next heading) one at a time, and pass each of
+ * them to the section handler of the environment (see
+ * MWParserEnvironment#sectionHandler) as a DocumentFragment, as soon as it
+ * is done.  The sections are removed from the body; the document is
+ * emitted once they have all been handled.
+ */
+DOMPostProcessor.prototype.streamSections = function(document) {
+	var env = this.env;
+	var body = document.body;
+	var self = this;
+	// Nodes are only saved with the rest of their section in the document,
+	// so that the ids they are given are unique.
+	var wrapper = document.createElement('div');
+	CleanUp.cleanupAndSaveDataParsoid(body, env, this.atTopLevel, null);
+	Promise.resolve().then(function nextSection() {
+		if (!body.firstChild) {
+			return;
+		}
+		var last = lastOfSection(body.firstChild);
+		body.insertBefore(wrapper, body.firstChild);
+		while (wrapper.nextSibling !== last) {
+			wrapper.appendChild(wrapper.nextSibling);
+		}
+		wrapper.appendChild(last);
+		self.saveDataParsoid(wrapper.firstChild, env, self.options, self.atTopLevel);
+		var section = document.createDocumentFragment();
+		DU.migrateChildren(wrapper, section);
+		body.removeChild(wrapper);
+		return Promise.resolve(env.sectionHandler(section, document))
+			.then(nextSection);
+	}).then(function() {
+		if (env.storeDataParsoid) {
+			appendDataParsoid(document);
+		}
+		self.emit('document', document);
+	}).catch(function(e) {
+		env.log('fatal', e);
+	});
+};
+
 /**
  * Register for the 'document' event, normally emitted from the HTML5 tree
  * builder.
@@ -0,0 +1,334 @@
+/**
+ * Incremental reparsing of edited wikitext.
+ *
+ * The DSR of the top-level nodes of a previous parse tells us which
+ * blocks of the DOM an edit touches.  Only those blocks (and their
+ * neighbours, which an edit can merge with) are reparsed, and the result
+ * is spliced into the previous DOM.
+ */
+'use strict';
+require('../../core-upgrade.js');
+
+var DU = require('../utils/DOMUtils.js').DOMUtils;
+var Promise = require('../utils/promise.js');
+var Util = require('../utils/Util.js').Util;
+
+
+// Tags without end tags, which are ignored when checking that the
+// reparsed wikitext is balanced.
+var voidTags = new Set([
+	'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+	'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+// Delimiters which have to be balanced in the reparsed wikitext.  An
+// unclosed construct would otherwise extend past the reparsed blocks
+// in a full parse.
+var delimiters = [
+	[ /\{\{/g, /\}\}/g ],
+	[ /^[ \t]*\{\|/mg, /^[ \t]*\|\}/mg ],
+	[ /<!--/g, /-->/g ],
+	[ /-\{/g, /\}-/g ],
+];
+
+var count = function(re, str) {
+	var m = str.match(re);
+	return m ? m.length : 0;
+};
+
+// Whether the tags of a piece of wikitext are balanced.
+var isBalanced = function(wt) {
+	if (delimiters.some(function(d) {
+		return count(d[0], wt) !== count(d[1], wt);
+	})) {
+		return false;
+	}
+	var depth = new Map();
+	var re = /<(\/?)([a-zA-Z][\w:-]*)[^<>]*?(\/?)>/g;
+	var m;
+	while ((m = re.exec(wt)) !== null) {
+		var name = m[2].toLowerCase();
+		if (voidTags.has(name) || m[3]) {
+			continue;
+		}
+		depth.set(name, (depth.get(name) || 0) + (m[1] ? -1 : 1));
+	}
+	return Array.from(depth.values()).every(function(d) {
+		return d === 0;
+	});
+};
+
+// References are numbered across the whole page.
+var refRE = /<ref(?:erences)?(?:[\s\/>]|$)/i;
+var refTypeRE = /(?:^|\s)mw:Extension\/ref(?:erences)?(?=$|\s)/;
+var tplTypeRE = /(?:^|\s)mw:(?:Transclusion|Param)(?=$|\s)/;
+
+var getDp = function(node) {
+	return DU.getJSONAttribute(node, 'data-parsoid', null);
+};
+
+// Whether two source ranges overlap or touch.
+var touches = function(dsr, start, end) {
+	return dsr[0] <= end && dsr[1] >= start;
+};
+
+/**
+ * Apply a function to the data-parsoid of a node and its descendants.
+ */
+var updateDp = function(node, fn) {
+	if (!DU.isElt(node)) {
+		return;
+	}
+	var dp = getDp(node);
+	if (dp) {
+		fn(dp);
+		DU.setJSONAttribute(node, 'data-parsoid', dp);
+	}
+	for (var c = node.firstChild; c; c = c.nextSibling) {
+		updateDp(c, fn);
+	}
+};
+
+var shiftDsr = function(node, delta) {
+	if (delta) {
+		updateDp(node, function(dp) {
+			if (Util.isValidDSR(dp.dsr)) {
+				dp.dsr[0] += delta;
+				dp.dsr[1] += delta;
+			}
+		});
+	}
+};
+
+// Deep import of a node from another document, which domino doesn't
+// support.
+var importNode = function(doc, node) {
+	var newNode = doc.importNode(node);
+	for (var c = node.firstChild; c; c = c.nextSibling) {
+		newNode.appendChild(importNode(doc, c));
+	}
+	return newNode;
+};
+
+/**
+ * @class
+ *
+ * Reparses the blocks of a page which were touched by an edit, reusing
+ * the DOM of the previous revision for the rest of the page.
+ *
+ * @constructor
+ * @param {MWParserEnvironment} env
+ */
+function IncrementalParser(env) {
+	this.env = env;
+}
+
+/**
+ * Split the children of a body into blocks: top-level elements with
+ * their DSR, where the nodes of a template or extension are grouped.
+ *
+ * @param {Node} body
+ * @param {number} srcLength Length of the source of the body
+ * @return {Object[]|null} The blocks, or null if the DSR of the body
+ *   can't be relied upon.
+ */
+IncrementalParser.prototype.getBlocks = function(body, srcLength) {
+	var blocks = [];
+	var block = null;
+	var end = 0;
+	for (var node = body.firstChild; node; node = node.nextSibling) {
+		if (!DU.isElt(node)) {
+			if (!DU.isText(node) && !DU.isComment(node)) {
+				return null;
+			}
+			continue;
+		}
+		var about = node.getAttribute('about');
+		if (block && about && block.about === about) {
+			// The nodes of a template or extension have the DSR of
+			// the first node.
+			block.last = node;
+			continue;
+		}
+		var dp = getDp(node);
+		if (!dp || !Util.isValidDSR(dp.dsr) || dp.dsr[0] < end ||
+				dp.dsr[1] < dp.dsr[0] || dp.fostered) {
+			return null;
+		}
+		block = {
+			first: node,
+			last: node,
+			about: about,
+			dsr: dp.dsr,
+		};
+		blocks.push(block);
+		end = dp.dsr[1];
+	}
+	return end <= srcLength ? blocks : null;
+};
+
+/**
+ * Check whether the blocks of the previous DOM which would be reparsed
+ * can be: the edit shouldn't cross the boundaries of templates and
+ * tables, and references are numbered across the whole page.
+ *
+ * @param {Object[]} blocks
+ * @param {number} start Start of the edited source
+ * @param {number} end End of the edited source
+ * @return {boolean}
+ */
+IncrementalParser.prototype.canReparse = function(blocks, start, end) {
+	return blocks.every(function(block) {
+		var nodes = [];
+		for (var n = block.first; n !== block.last.nextSibling; n = n.nextSibling) {
+			if (DU.isElt(n)) {
+				nodes.push(n);
+				nodes = nodes.concat(Array.from(n.querySelectorAll('[typeof],table')));
+			}
+		}
+		return nodes.every(function(node) {
+			var typeOf = node.getAttribute('typeof') || '';
+			if (refTypeRE.test(typeOf) || getDp(node) && getDp(node).fostered) {
+				return false;
+			}
+			if (tplTypeRE.test(typeOf) || node.nodeName === 'TABLE') {
+				// Templates and tables are reparsed as a whole, if
+				// the edit doesn't touch them.
+				var dp = getDp(node);
+				return dp && Util.isValidDSR(dp.dsr) && !touches(dp.dsr, start, end);
+			}
+			return true;
+		});
+	});
+};
+
+/**
+ * Parse a piece of wikitext as a page.
+ *
+ * @private
+ * @param {string} wt
+ * @return {Promise} A promise for the document
+ */
+IncrementalParser.prototype._parse = function(wt) {
+	var env = this.env;
+	var storeDataParsoid = env.storeDataParsoid;
+	var src = env.page.src;
+	// Offsets are relative to the reparsed wikitext, and data-parsoid is
+	// kept inline to be merged with the previous one.
+	env.page.src = wt;
+	env.storeDataParsoid = false;
+	return new Promise(function(resolve) {
+		var parser = env.pipelineFactory.getPipeline('text/x-mediawiki/full');
+		parser.once('document', resolve);
+		parser.processToplevelDoc(wt);
+	}).finally(function() {
+		env.page.src = src;
+		env.storeDataParsoid = storeDataParsoid;
+	});
+};
+
+/**
+ * Reparse the edited part of a page.
+ *
+ * @param {string} oldWt The wikitext of the previous revision
+ * @param {Document} oldDoc The DOM of the previous revision, with
+ *   data-parsoid applied.  It is updated in place.
+ * @param {string} newWt The edited wikitext
+ * @return {Promise} A promise for the updated document, with inline
+ *   data-parsoid, or null if the edit can't be reparsed incrementally.
+ */
+IncrementalParser.prototype.reparse = function(oldWt, oldDoc, newWt) {
+	var env = this.env;
+	var body = oldDoc.body;
+	var blocks = this.getBlocks(body, oldWt.length);
+	if (!blocks || !blocks.length) {
+		return Promise.resolve(null);
+	}
+
+	// The edited range
+	var max = Math.min(oldWt.length, newWt.length);
+	var start = 0;
+	while (start < max && oldWt[start] === newWt[start]) {
+		start++;
+	}
+	var suffix = 0;
+	while (suffix < max - start &&
+			oldWt[oldWt.length - 1 - suffix] === newWt[newWt.length - 1 - suffix]) {
+		suffix++;
+	}
+	var end = oldWt.length - suffix;
+	var delta = newWt.length - oldWt.length;
+
+	// The blocks touching the edit, with a neighbour on each side
+	var first = 0;
+	while (first < blocks.length && blocks[first].dsr[1] < start) {
+		first++;
+	}
+	var last = blocks.length - 1;
+	while (last >= 0 && blocks[last].dsr[0] > end) {
+		last--;
+	}
+	first = Math.max(0, first - 1);
+	last = Math.min(blocks.length - 1, last + 1);
+	var region = blocks.slice(first, last + 1);
+
+	// The reparsed source extends to the page boundaries when the
+	// first or last blocks are reparsed.
+	var atStart = first === 0;
+	var atEnd = last === blocks.length - 1;
+	var regionStart = atStart ? 0 : blocks[first].dsr[0];
+	var regionEnd = atEnd ? oldWt.length : blocks[last].dsr[1];
+	var newRegionWt = newWt.substring(regionStart, regionEnd + delta);
+	var oldRegionWt = oldWt.substring(regionStart, regionEnd);
+
+	if (!this.canReparse(region, start, end) || !isBalanced(newRegionWt) ||
+			refRE.test(newRegionWt) || refRE.test(oldRegionWt)) {
+		return Promise.resolve(null);
+	}
+
+	// Give new templates and extensions about ids which aren't used
+	// in the previous DOM.
+	Array.from(body.querySelectorAll('[about]')).forEach(function(node) {
+		var m = /^#mwt(\d+)$/.exec(node.getAttribute('about'));
+		if (m) {
+			env.uid = Math.max(env.uid, Number(m[1]) + 1);
+		}
+	});
+
+	env.log('trace/incremental', 'Reparsing', regionStart, regionEnd + delta,
+		'for the edit', start, end);
+
+	var self = this;
+	return this._parse(newRegionWt).then(function(doc) {
+		var newBlocks = self.getBlocks(doc.body, newRegionWt.length);
+		if (!newBlocks || newBlocks.some(function(b) {
+			return getDp(b.first).autoInsertedEnd;
+		})) {
+			return null;
+		}
+
+		// Remove the reparsed nodes, with the text around them at the
+		// page boundaries.
+		var from = atStart ? body.firstChild : region[0].first;
+		var to = atEnd ? null : region[region.length - 1].last.nextSibling;
+		while (from !== to) {
+			var next = from.nextSibling;
+			body.removeChild(from);
+			from = next;
+		}
+		for (var node = to; node; node = node.nextSibling) {
+			shiftDsr(node, delta);
+		}
+		Array.from(doc.body.childNodes).forEach(function(n) {
+			var imported = importNode(oldDoc, n);
+			shiftDsr(imported, regionStart);
+			body.insertBefore(imported, to);
+		});
+		return oldDoc;
+	});
+};
+
+
+if (typeof module === "object") {
+	module.exports.IncrementalParser = IncrementalParser;
+}
@@ -1458,13 +1458,13 @@ Frame.prototype.loopAndDepthCheck = function(title, maxDepth) {
 	// XXX: set limit really low for testing!
 	if (this.depth > maxDepth) {
 		// too deep
-		return 'Error: Expansion depth limit exceeded at ';
+		return 'Template recursion depth limit exceeded: ';
 	}
 	var elem = this;
 	do {
 		if (elem.title === title) {
 			// Loop detected
-			return 'Error: Expansion loop detected at ';
+			return 'Template loop detected: ';
 		}
 		elem = elem.parentFrame;
 	} while (elem);
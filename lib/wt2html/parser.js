@@ -29,8 +29,10 @@ var ListHandler = require('./tt/ListHandler.js').ListHandler;
 var LinkHandler = require('./tt/LinkHandler.js');
 var BehaviorSwitch = require('./tt/BehaviorSwitchHandler.js');
 var DOMFragmentBuilder = require('./tt/DOMFragmentBuilder.js').DOMFragmentBuilder;
+var LanguageVariantHandler = require('./tt/LanguageVariantHandler.js').LanguageVariantHandler;
 var TreeBuilder = require('./HTML5TreeBuilder.js').TreeBuilder;
 var DOMPostProcessor = require('./DOMPostProcessor.js').DOMPostProcessor;
+var LanguageConverter = require('../language/LanguageConverter.js').LanguageConverter;
 var JSUtils = require('../utils/jsutils.js').JSUtils;
 
 var SyncTokenTransformManager = TokenTransformManager.SyncTokenTransformManager;
@@ -123,6 +125,7 @@ ParserPipelineFactory.prototype.recipes = {
 				// more convenient after attribute expansion
 				WikiLinkHandler,  // 1.15
 				ExternalLinkHandler,  // 1.15
+				LanguageVariantHandler,  // 1.16
 
 				// This converts dom-fragment-token tokens all the way to DOM
 				// and wraps them in DOMFragment wrapper tokens which will then
@@ -313,6 +316,12 @@ ParserPipelineFactory.prototype.parse = function(env, src, expansions, cb) {
 		var parser = self.getPipeline('text/x-mediawiki/full');
 		parser.once('document', resolve);
 		parser.processToplevelDoc(src);
+	}).then(function(doc) {
+		// Convert the finished document to the requested variant
+		if (env.htmlVariantLanguage) {
+			LanguageConverter.convertDocument(env, doc, env.htmlVariantLanguage);
+		}
+		return doc;
 	}).nodify(cb);
 };
 
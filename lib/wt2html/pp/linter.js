@@ -8,12 +8,38 @@
 * 4. Multi Templates
 * 5. Mixed Content
 * 6. Obsolete HTML Tags
+* 7. Issues found by the lint rules of native extensions
+* 8. Missing required and deprecated template parameters
 */
 'use strict';
 
 var DU = require('../../utils/DOMUtils.js').DOMUtils;
+var TemplateData = require('../../mw/TemplateData.js').TemplateData;
 var Util = require('../../utils/Util.js').Util;
 
+/*
+ * The template or extension which generated the content of an issue,
+ * so that editors know where it can be fixed.
+ */
+function getTemplateInfo(tplInfo) {
+	if (!tplInfo) {
+		return null;
+	}
+	var dmw = DU.getDataMw(tplInfo.first);
+	var part = dmw && dmw.parts && dmw.parts.find(function(p) {
+		return typeof p !== 'string';
+	});
+	if (part && part.template) {
+		return {
+			name: part.template.target.wt,
+			multiPartTemplateBlock: dmw.parts.length > 1,
+		};
+	} else if (dmw && dmw.name) {
+		return { name: dmw.name, extension: true };
+	}
+	return null;
+}
+
 
 /*
  * Log Transclusion with more than one parts
@@ -35,7 +61,7 @@ function logTransclusions(env, node, dp, tplInfo) {
 			var parts = dmw.parts;
 			var lintObj;
 			if (typeof parts[0] === 'string' || typeof parts[parts.length - 1] === 'string') {
-				lintObj = {src: env.page.src, dsr: dsr };
+				lintObj = {src: env.page.src, dsr: dsr, templateInfo: getTemplateInfo(tplInfo) };
 				env.log('lint/mixed-content', lintObj);
 			} else if (parts.length > 1) {
 				var targets = [];
@@ -45,7 +71,7 @@ function logTransclusions(env, node, dp, tplInfo) {
 					}
 				});
 				if (targets.length > 1) {
-					lintObj = { src: targets, dsr: dsr };
+					lintObj = { src: targets, dsr: dsr, templateInfo: getTemplateInfo(tplInfo) };
 					env.log('lint/multi-template', lintObj);
 				}
 			}
@@ -53,6 +79,53 @@ function logTransclusions(env, node, dp, tplInfo) {
 	}
 }
 
+/*
+ * Log the parameters of templates which their TemplateData documents as
+ * required but are missing, and those which are deprecated.  The
+ * TemplateHandler fetched the TemplateData of the templates.
+ */
+function logTemplateParams(env, node, tplInfo) {
+	var dmw = DU.getDataMw(node);
+	if (!dmw || !dmw.parts) {
+		return;
+	}
+	dmw.parts.forEach(function(part) {
+		var tpl = part.template;
+		var td = tpl && TemplateData.get(env, TemplateData.targetTitle(tpl.target));
+		if (!td) {
+			return;
+		}
+		var missing = Object.keys(td.params).filter(function(k) {
+			return td.params[k].required &&
+				TemplateData.findParam(td, tpl.params, k) === null;
+		});
+		var deprecated = Object.keys(tpl.params).filter(function(k) {
+			var canonical = TemplateData.canonicalName(td, k);
+			return canonical !== null && !!td.params[canonical].deprecated;
+		});
+		var templateInfo = {
+			name: tpl.target.wt,
+			multiPartTemplateBlock: dmw.parts.length > 1,
+		};
+		if (missing.length) {
+			env.log('lint/missing-required-template-param', {
+				src: env.page.src,
+				dsr: tplInfo.dsr,
+				templateInfo: templateInfo,
+				params: missing,
+			});
+		}
+		if (deprecated.length) {
+			env.log('lint/deprecated-template-param', {
+				src: env.page.src,
+				dsr: tplInfo.dsr,
+				templateInfo: templateInfo,
+				params: deprecated,
+			});
+		}
+	});
+}
+
 /*
 * Log Tree Builder Fixups logs those cases which are marked by dom.markTreeBuilderFixup.js
 * It handles following scenarios.
@@ -75,7 +148,12 @@ function logTreeBuilderFixup(env, c, dp, tplInfo) {
 	if (DU.hasNodeName(c, 'meta')) {
 		var type = c.getAttribute('typeof');
 		if (type === 'mw:Placeholder/StrippedTag') {
-			lintObj = { src: env.page.src, dsr: dsr, inTransclusion: inTransclusion };
+			lintObj = {
+				src: env.page.src,
+				dsr: dsr,
+				inTransclusion: inTransclusion,
+				templateInfo: getTemplateInfo(tplInfo),
+			};
 			env.log('lint/stripped-tag', lintObj);
 		}
 	}
@@ -97,6 +175,8 @@ function logTreeBuilderFixup(env, c, dp, tplInfo) {
 				dsr: dsr,
 				tip: 'Add End Tag to Fix this',
 				inTransclusion: inTransclusion,
+				templateInfo: getTemplateInfo(tplInfo),
+				name: cNodeName,
 			};
 			env.log('lint/missing-end-tag', lintObj);
 		}
@@ -107,6 +187,8 @@ function logTreeBuilderFixup(env, c, dp, tplInfo) {
 				dsr: dsr,
 				tip: 'Add Start Tag to Fix this',
 				inTransclusion: inTransclusion,
+				templateInfo: getTemplateInfo(tplInfo),
+				name: cNodeName,
 			};
 			env.log('lint/missing-start-tag', lintObj);
 		}
@@ -153,7 +235,12 @@ function logIgnoredTableAttr(env, c, dp, tplInfo) {
 								} else {
 									dsr = dp.dsr;
 								}
-								var lintObj = { src: env.page.src, dsr: dsr, inTransclusion: inTransclusion };
+								var lintObj = {
+									src: env.page.src,
+									dsr: dsr,
+									inTransclusion: inTransclusion,
+									templateInfo: getTemplateInfo(tplInfo),
+								};
 								env.log('lint/ignored-table-attr', lintObj);
 							}
 						}
@@ -196,7 +283,12 @@ function logFosteredContent(env, node, dp, tplInfo) {
 	} else {
 		dsr = DU.getDataParsoid(nextSibling).dsr;
 	}
-	var lintObj = { src: fosteredSRC, dsr: dsr, inTransclusion: inTransclusion };
+	var lintObj = {
+		src: fosteredSRC,
+		dsr: dsr,
+		inTransclusion: inTransclusion,
+		templateInfo: getTemplateInfo(tplInfo),
+	};
 	env.log('lint/fostered', lintObj);
 	return nextSibling;
 }
@@ -218,7 +310,19 @@ function logObsoleteHTMLTags(env, c, dp, tplInfo) {
 	}
 
 	if (re.test(c.nodeName)) {
-		var lintObj = { src: env.page.src, dsr: dsr, inTransclusion: inTransclusion };
+		var lintObj = {
+			src: env.page.src,
+			dsr: dsr,
+			inTransclusion: inTransclusion,
+			templateInfo: getTemplateInfo(tplInfo),
+			name: c.nodeName.toLowerCase(),
+			// The attributes of <font> are needed to propose a fix.
+			attrs: c.nodeName === 'FONT' ? {
+				color: c.getAttribute('color'),
+				face: c.getAttribute('face'),
+				size: c.getAttribute('size'),
+			} : undefined,
+		};
 		env.log('lint/obsolete-tag', lintObj);
 	}
 }
@@ -246,6 +350,8 @@ function logBogusImageOptions(env, c, dp, tplInfo) {
 					src: env.page.src,
 					dsr: dsr,
 					inTransclusion: inTransclusion,
+					templateInfo: getTemplateInfo(tplInfo),
+					option: item.ak,
 				};
 				env.log('lint/bogus-image-options', lintObj);
 			}
@@ -253,6 +359,43 @@ function logBogusImageOptions(env, c, dp, tplInfo) {
 	}
 }
 
+/*
+ * Log the issues found by the lint rules of native extensions
+ * (see lib/config/extapi.js).
+ */
+function logExtensionLints(env, c, dp, tplInfo) {
+	var dsr = tplInfo ? tplInfo.dsr : dp.dsr;
+	var templateInfo = getTemplateInfo(tplInfo);
+	// Unlike transclusions, extension tags are in the wikitext of the page.
+	var inTransclusion = !!tplInfo && !(templateInfo && templateInfo.extension);
+	env.conf.wiki.extLintRules.forEach(function(rule) {
+		var ctx = {
+			src: env.page.src,
+			dsr: dsr,
+			inTransclusion: inTransclusion,
+			templateInfo: templateInfo,
+		};
+		var issue = rule.check(c, ctx);
+		if (!issue) {
+			return;
+		}
+		var lintObj = {
+			src: env.page.src,
+			dsr: issue.dsr || dsr,
+			inTransclusion: inTransclusion,
+			templateInfo: templateInfo,
+			severity: rule.severity,
+		};
+		if (issue.tip) {
+			lintObj.tip = issue.tip;
+		}
+		if (issue.fix) {
+			lintObj.fix = issue.fix;
+		}
+		env.log('lint/' + rule.type, lintObj);
+	});
+}
+
 function logWikitextFixups(node, env, atTopLevel, tplInfo) {
 	// For now, don't run linter in subpipelines.
 	// Only on the final DOM for the top-level page.
@@ -265,6 +408,9 @@ function logWikitextFixups(node, env, atTopLevel, tplInfo) {
 	if (tplInfo && tplInfo.first === node) {
 		// Log transclusions with more than one part
 		logTransclusions(env, node, dp, tplInfo);
+
+		// Log missing and deprecated template parameters
+		logTemplateParams(env, node, tplInfo);
 	}
 
 	// Log Tree Builder fixups
@@ -279,6 +425,9 @@ function logWikitextFixups(node, env, atTopLevel, tplInfo) {
 	// Log bogus image options
 	logBogusImageOptions(env, node, dp, tplInfo);
 
+	// Log the issues found by extensions
+	logExtensionLints(env, node, dp, tplInfo);
+
 	if (dp.fostered) {
 		// Log Fostered content
 		return logFosteredContent(env, node, dp, tplInfo);
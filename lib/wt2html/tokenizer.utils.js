@@ -174,13 +174,16 @@ var tu = {
 	 */
 	inlineBreaks: function(input, pos, stops) {
 		var c = input[pos];
-		if (!/[=|!{}:\r\n[\]<]/.test(c)) {
+		if (!/[=|!{}:;\r\n[\]<]/.test(c)) {
 			return false;
 		}
 
 		var counters = stops.counters;
 		switch (c) {
 			case '=':
+				if (stops.onStack('arrow') && input[pos + 1] === '>') {
+					return true;
+				}
 				return stops.onStack('equal') ||
 					(counters.h &&
 						(pos === input.length - 1
@@ -208,7 +211,15 @@ var tu = {
 						input.substr(pos, 10) === '{{!}}{{!}}')
 				) && input.substr(pos, 5) === '{{!}}';
 			case '}':
-				return counters.template && input[pos + 1] === "}";
+				return (counters.template && input[pos + 1] === "}") ||
+					(counters.langvariant && input[pos + 1] === "-");
+			case ';':
+				// Like core's ConverterRule, only split language variant
+				// rules on semicolons which start another rule (or end
+				// the rule list).
+				return stops.onStack('semicolon') &&
+					/^;\s*(?:[a-z][-a-z]*\s*:|[^;]*?=>\s*[a-z][-a-z]*\s*:|\}-)/
+						.test(input.substr(pos));
 			case ':':
 				return counters.colon &&
 					!stops.onStack('extlink') &&
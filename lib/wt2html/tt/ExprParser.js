@@ -0,0 +1,582 @@
+/**
+ * Evaluator for the expressions of the `#expr` and `#ifexpr` parser
+ * functions, a port of ExprParser.php from the ParserFunctions
+ * extension.  Numbers are formatted and errors are reported the way PHP
+ * and the extension do.
+ */
+'use strict';
+require('../../../core-upgrade.js');
+
+var util = require('util');
+
+
+// Operators
+var NEGATIVE = 1;
+var POSITIVE = 2;
+var PLUS = 3;
+var MINUS = 4;
+var TIMES = 5;
+var DIVIDE = 6;
+var MOD = 7;
+var OPEN = 8;
+var CLOSE = 9;
+var AND = 10;
+var OR = 11;
+var NOT = 12;
+var EQUALITY = 13;
+var LESS = 14;
+var GREATER = 15;
+var LESSEQ = 16;
+var GREATEREQ = 17;
+var NOTEQ = 18;
+var ROUND = 19;
+var EXPONENT = 20;
+var SINE = 21;
+var COSINE = 22;
+var TANGENS = 23;
+var ARCSINE = 24;
+var ARCCOS = 25;
+var ARCTAN = 26;
+var EXP = 27;
+var LN = 28;
+var ABS = 29;
+var FLOOR = 30;
+var TRUNC = 31;
+var CEIL = 32;
+var POW = 33;
+var PI = 34;
+var FMOD = 35;
+var SQRT = 36;
+
+var precedence = {};
+precedence[NEGATIVE] = 10;
+precedence[POSITIVE] = 10;
+precedence[EXPONENT] = 10;
+[
+	SINE, COSINE, TANGENS, ARCSINE, ARCCOS, ARCTAN, EXP, LN, ABS, FLOOR,
+	TRUNC, CEIL, NOT, SQRT,
+].forEach(function(op) {
+	precedence[op] = 9;
+});
+precedence[POW] = 8;
+precedence[TIMES] = 7;
+precedence[DIVIDE] = 7;
+precedence[MOD] = 7;
+precedence[FMOD] = 7;
+precedence[PLUS] = 6;
+precedence[MINUS] = 6;
+precedence[ROUND] = 5;
+[EQUALITY, LESS, GREATER, LESSEQ, GREATEREQ, NOTEQ].forEach(function(op) {
+	precedence[op] = 4;
+});
+precedence[AND] = 3;
+precedence[OR] = 2;
+precedence[PI] = 0;
+precedence[OPEN] = -1;
+precedence[CLOSE] = -1;
+
+var names = {};
+names[NEGATIVE] = '-';
+names[POSITIVE] = '+';
+names[NOT] = 'not';
+names[TIMES] = '*';
+names[DIVIDE] = '/';
+names[MOD] = 'mod';
+names[FMOD] = 'fmod';
+names[PLUS] = '+';
+names[MINUS] = '-';
+names[ROUND] = 'round';
+names[EQUALITY] = '=';
+names[LESS] = '<';
+names[GREATER] = '>';
+names[LESSEQ] = '<=';
+names[GREATEREQ] = '>=';
+names[NOTEQ] = '<>';
+names[AND] = 'and';
+names[OR] = 'or';
+names[EXPONENT] = 'e';
+names[SINE] = 'sin';
+names[COSINE] = 'cos';
+names[TANGENS] = 'tan';
+names[ARCSINE] = 'asin';
+names[ARCCOS] = 'acos';
+names[ARCTAN] = 'atan';
+names[LN] = 'ln';
+names[EXP] = 'exp';
+names[ABS] = 'abs';
+names[FLOOR] = 'floor';
+names[TRUNC] = 'trunc';
+names[CEIL] = 'ceil';
+names[POW] = '^';
+names[PI] = 'pi';
+names[SQRT] = 'sqrt';
+
+var words = {
+	mod: MOD,
+	fmod: FMOD,
+	and: AND,
+	or: OR,
+	not: NOT,
+	round: ROUND,
+	div: DIVIDE,
+	e: EXPONENT,
+	sin: SINE,
+	cos: COSINE,
+	tan: TANGENS,
+	asin: ARCSINE,
+	acos: ARCCOS,
+	atan: ARCTAN,
+	exp: EXP,
+	ln: LN,
+	abs: ABS,
+	trunc: TRUNC,
+	floor: FLOOR,
+	ceil: CEIL,
+	pi: PI,
+	sqrt: SQRT,
+};
+
+var unaryOps = new Set([
+	NOT, SINE, COSINE, TANGENS, ARCSINE, ARCCOS, ARCTAN, EXP, LN, ABS,
+	FLOOR, TRUNC, CEIL, SQRT,
+]);
+
+// The messages of the extension
+var messages = {
+	'stack_exhausted': 'Expression error: Stack exhausted.',
+	'unexpected_number': 'Expression error: Unexpected number.',
+	'unrecognised_word': 'Expression error: Unrecognized word "$1".',
+	'unexpected_operator': 'Expression error: Unexpected $1 operator.',
+	'missing_operand': 'Expression error: Missing operand for $1.',
+	'unexpected_closing_bracket': 'Expression error: Unexpected closing bracket.',
+	'unrecognised_punctuation': 'Expression error: Unrecognized punctuation character "$1".',
+	'unclosed_bracket': 'Expression error: Unclosed bracket.',
+	'division_by_zero': 'Division by zero.',
+	'invalid_argument': 'Invalid argument for $1: < -1 or > 1.',
+	'invalid_argument_ln': 'Invalid argument for ln: <= 0.',
+	'unknown_error': 'Expression error: Unknown error ($1).',
+	'not_a_number': 'In $1: result is not a number.',
+};
+
+var WHITE_CLASS = ' \t\r\n';
+var NUMBER_CLASS = '0123456789.';
+var MAX_STACK_SIZE = 100;
+var PHP_INT_MAX = 9223372036854775807;
+
+/**
+ * @class
+ * @extends Error
+ *
+ * An error in an expression, whose message is shown in place of the
+ * result.
+ *
+ * @constructor
+ * @param {string} key The message key
+ * @param {string} [arg] The parameter of the message
+ */
+function ExprError(key, arg) {
+	Error.call(this);
+	this.name = 'ExprError';
+	this.key = key;
+	this.message = messages[key].replace('$1', arg);
+}
+util.inherits(ExprError, Error);
+
+// PHP's (int) cast
+var toInt = function(n) {
+	if (!isFinite(n) || Math.abs(n) > PHP_INT_MAX) {
+		return 0;
+	}
+	return n < 0 ? Math.ceil(n) : Math.floor(n);
+};
+
+/**
+ * Format a float the way PHP converts it to a string, with 14
+ * significant digits.
+ *
+ * @param {number} n
+ * @return {string}
+ */
+var formatFloat = function(n) {
+	if (isNaN(n)) {
+		return 'NAN';
+	} else if (!isFinite(n)) {
+		return n < 0 ? '-INF' : 'INF';
+	} else if (n === 0) {
+		return 1 / n < 0 ? '-0' : '0';
+	}
+	var sign = n < 0 ? '-' : '';
+	var m = /^(\d)(?:\.(\d+))?e([-+]\d+)$/.exec(Math.abs(n).toExponential(13));
+	var digits = (m[1] + (m[2] || '')).replace(/0+$/, '');
+	var decpt = Number(m[3]) + 1;
+	if (decpt < 0 ? decpt < -3 : decpt > 14) {
+		var exponent = decpt - 1;
+		return sign + digits[0] + '.' + (digits.substr(1) || '0') + 'E' +
+			(exponent < 0 ? '-' : '+') + Math.abs(exponent);
+	} else if (decpt <= 0) {
+		return sign + '0.' + '0'.repeat(-decpt) + digits;
+	} else if (digits.length <= decpt) {
+		return sign + digits + '0'.repeat(decpt - digits.length);
+	} else {
+		return sign + digits.substr(0, decpt) + '.' + digits.substr(decpt);
+	}
+};
+
+// PHP's round(), which rounds half away from zero after getting rid of
+// the representation error of the value.
+var round = function(value, digits) {
+	var f = Math.pow(10, Math.abs(digits));
+	var tmp = digits >= 0 ? value * f : value / f;
+	if (!isFinite(tmp)) {
+		return value;
+	}
+	tmp = Number(tmp.toPrecision(15));
+	tmp = (tmp < 0 ? -1 : 1) * Math.round(Math.abs(tmp));
+	return digits >= 0 ? tmp / f : tmp * f;
+};
+
+/**
+ * An operand: a number, and whether it is a PHP integer (which is
+ * formatted without loss of digits) or float.
+ * @private
+ */
+var Operand = function(value, isInt) {
+	this.value = value;
+	this.isInt = !!isInt;
+};
+
+Operand.prototype.toString = function() {
+	return this.isInt ? this.value.toFixed(0) : formatFloat(this.value);
+};
+
+// The result of an operation on integers stays an integer unless it
+// overflows.
+var intOrFloat = function(value, isInt) {
+	return new Operand(value, isInt && Math.abs(value) <= PHP_INT_MAX);
+};
+
+/**
+ * @class
+ *
+ * Evaluates expressions with the shunting-yard algorithm.
+ *
+ * @constructor
+ */
+function ExprParser() {}
+
+/**
+ * Evaluate an expression.
+ *
+ * @param {string} expr
+ * @return {string} The result, formatted like PHP does
+ * @throws {ExprError}
+ */
+ExprParser.prototype.doExpression = function(expr) {
+	var operands = [];
+	var operators = [];
+	var last = function() {
+		return operators.length ? operators[operators.length - 1] : 0;
+	};
+
+	// Unescape inequality operators and minus signs
+	expr = expr.replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+		.replace(/&minus;|\u2212/g, '-')
+		.replace(/^[ \t\n\r\0\x0B]+|[ \t\n\r\0\x0B]+$/g, '');
+
+	var p = 0;
+	var end = expr.length;
+	var expecting = 'expression';
+	var name, op;
+
+	while (p < end) {
+		if (operands.length > MAX_STACK_SIZE || operators.length > MAX_STACK_SIZE) {
+			throw new ExprError('stack_exhausted');
+		}
+		var ch = expr[p];
+		var ch2 = expr.substr(p, 2);
+
+		if (WHITE_CLASS.indexOf(ch) >= 0) {
+			while (p < end && WHITE_CLASS.indexOf(expr[p]) >= 0) {
+				p++;
+			}
+			continue;
+		} else if (NUMBER_CLASS.indexOf(ch) >= 0) {
+			if (expecting !== 'expression') {
+				throw new ExprError('unexpected_number');
+			}
+			var start = p;
+			while (p < end && NUMBER_CLASS.indexOf(expr[p]) >= 0) {
+				p++;
+			}
+			// Like PHP's float conversion, which ignores what follows a
+			// second decimal point.
+			operands.push(new Operand(parseFloat(expr.substring(start, p)) || 0));
+			expecting = 'operator';
+			continue;
+		} else if (/[A-Za-z]/.test(ch)) {
+			var word = /^[A-Za-z]*/.exec(expr.substr(p))[0].toLowerCase();
+			p += word.length;
+			if (!words.hasOwnProperty(word)) {
+				throw new ExprError('unrecognised_word', word);
+			}
+			op = words[word];
+			if (op === EXPONENT && expecting === 'expression') {
+				operands.push(new Operand(Math.E));
+				expecting = 'operator';
+				continue;
+			} else if (op === PI) {
+				if (expecting !== 'expression') {
+					throw new ExprError('unexpected_number');
+				}
+				operands.push(new Operand(Math.PI));
+				expecting = 'operator';
+				continue;
+			} else if (unaryOps.has(op)) {
+				if (expecting !== 'expression') {
+					throw new ExprError('unexpected_operator', word);
+				}
+				operators.push(op);
+				continue;
+			}
+			// A binary operator
+			name = word;
+		} else if (ch2 === '<=') {
+			name = ch2;
+			op = LESSEQ;
+			p += 2;
+		} else if (ch2 === '>=') {
+			name = ch2;
+			op = GREATEREQ;
+			p += 2;
+		} else if (ch2 === '<>' || ch2 === '!=') {
+			name = ch2;
+			op = NOTEQ;
+			p += 2;
+		} else if (ch === '+' || ch === '-') {
+			p++;
+			if (expecting === 'expression') {
+				// Unary plus or minus
+				operators.push(ch === '+' ? POSITIVE : NEGATIVE);
+				continue;
+			}
+			name = ch;
+			op = ch === '+' ? PLUS : MINUS;
+		} else if (ch === '*') {
+			name = ch;
+			op = TIMES;
+			p++;
+		} else if (ch === '/') {
+			name = ch;
+			op = DIVIDE;
+			p++;
+		} else if (ch === '^') {
+			name = ch;
+			op = POW;
+			p++;
+		} else if (ch === '(') {
+			if (expecting === 'operator') {
+				throw new ExprError('unexpected_operator', '(');
+			}
+			operators.push(OPEN);
+			p++;
+			continue;
+		} else if (ch === ')') {
+			while (last() && last() !== OPEN) {
+				this.doOperation(operators.pop(), operands);
+			}
+			if (!last()) {
+				throw new ExprError('unexpected_closing_bracket');
+			}
+			operators.pop();
+			expecting = 'operator';
+			p++;
+			continue;
+		} else if (ch === '=') {
+			name = ch;
+			op = EQUALITY;
+			p++;
+		} else if (ch === '<') {
+			name = ch;
+			op = LESS;
+			p++;
+		} else if (ch === '>') {
+			name = ch;
+			op = GREATER;
+			p++;
+		} else {
+			// PHP works on bytes, and replaces the first byte of
+			// a multibyte character with the replacement character.
+			throw new ExprError('unrecognised_punctuation',
+				ch.charCodeAt(0) < 0x80 ? ch : '\uFFFD');
+		}
+
+		// Binary operators
+		if (expecting === 'expression') {
+			throw new ExprError('unexpected_operator', name);
+		}
+		while (last() && precedence[op] <= precedence[last()]) {
+			this.doOperation(operators.pop(), operands);
+		}
+		operators.push(op);
+		expecting = 'expression';
+	}
+
+	while (operators.length) {
+		op = operators.pop();
+		if (op === OPEN) {
+			throw new ExprError('unclosed_bracket');
+		}
+		this.doOperation(op, operands);
+	}
+	return operands.join('<br />\n');
+};
+
+/**
+ * Apply an operator to the operands on the stack.
+ *
+ * @param {number} op
+ * @param {Operand[]} stack
+ * @throws {ExprError}
+ */
+ExprParser.prototype.doOperation = function(op, stack) {
+	var arity = op === NEGATIVE || op === POSITIVE || unaryOps.has(op) ? 1 : 2;
+	if (stack.length < arity) {
+		throw new ExprError('missing_operand', names[op]);
+	}
+	var right = stack.pop();
+	var left = arity === 2 ? stack.pop() : null;
+	var r = right.value;
+	var l = left && left.value;
+	var bothInt = arity === 2 && left.isInt && right.isInt;
+	var result;
+
+	switch (op) {
+	case NEGATIVE:
+		result = new Operand(-r, right.isInt);
+		break;
+	case POSITIVE:
+		result = right;
+		break;
+	case TIMES:
+		result = intOrFloat(l * r, bothInt);
+		break;
+	case DIVIDE:
+		if (r === 0) {
+			throw new ExprError('division_by_zero', names[op]);
+		}
+		// Integer division stays an integer if it is exact.
+		result = intOrFloat(l / r, bothInt && l % r === 0);
+		break;
+	case MOD:
+		l = toInt(l);
+		r = toInt(r);
+		if (r === 0) {
+			throw new ExprError('division_by_zero', names[op]);
+		}
+		result = new Operand(l % r, true);
+		break;
+	case FMOD:
+		if (r === 0) {
+			throw new ExprError('division_by_zero', names[op]);
+		}
+		result = new Operand(l % r);
+		break;
+	case PLUS:
+		result = intOrFloat(l + r, bothInt);
+		break;
+	case MINUS:
+		result = intOrFloat(l - r, bothInt);
+		break;
+	case AND:
+		result = new Operand(l !== 0 && r !== 0 ? 1 : 0, true);
+		break;
+	case OR:
+		result = new Operand(l !== 0 || r !== 0 ? 1 : 0, true);
+		break;
+	case EQUALITY:
+		result = new Operand(l === r ? 1 : 0, true);
+		break;
+	case NOT:
+		result = new Operand(r === 0 ? 1 : 0, true);
+		break;
+	case ROUND:
+		result = new Operand(round(l, toInt(r)));
+		break;
+	case LESS:
+		result = new Operand(l < r ? 1 : 0, true);
+		break;
+	case GREATER:
+		result = new Operand(l > r ? 1 : 0, true);
+		break;
+	case LESSEQ:
+		result = new Operand(l <= r ? 1 : 0, true);
+		break;
+	case GREATEREQ:
+		result = new Operand(l >= r ? 1 : 0, true);
+		break;
+	case NOTEQ:
+		result = new Operand(l !== r ? 1 : 0, true);
+		break;
+	case EXPONENT:
+		result = new Operand(l * Math.pow(10, r));
+		break;
+	case SINE:
+		result = new Operand(Math.sin(r));
+		break;
+	case COSINE:
+		result = new Operand(Math.cos(r));
+		break;
+	case TANGENS:
+		result = new Operand(Math.tan(r));
+		break;
+	case ARCSINE:
+	case ARCCOS:
+		if (r < -1 || r > 1) {
+			throw new ExprError('invalid_argument', names[op]);
+		}
+		result = new Operand(op === ARCSINE ? Math.asin(r) : Math.acos(r));
+		break;
+	case ARCTAN:
+		result = new Operand(Math.atan(r));
+		break;
+	case EXP:
+		result = new Operand(Math.exp(r));
+		break;
+	case LN:
+		if (r <= 0) {
+			throw new ExprError('invalid_argument_ln', names[op]);
+		}
+		result = new Operand(Math.log(r));
+		break;
+	case ABS:
+		result = new Operand(Math.abs(r), right.isInt);
+		break;
+	case FLOOR:
+		result = new Operand(Math.floor(r));
+		break;
+	case TRUNC:
+		result = new Operand(toInt(r), true);
+		break;
+	case CEIL:
+		result = new Operand(Math.ceil(r));
+		break;
+	case POW:
+		result = intOrFloat(Math.pow(l, r), bothInt && r >= 0);
+		break;
+	case SQRT:
+		result = new Operand(Math.sqrt(r));
+		if (isNaN(result.value)) {
+			throw new ExprError('not_a_number', names[op]);
+		}
+		break;
+	default:
+		throw new ExprError('unknown_error', op);
+	}
+	stack.push(result);
+};
+
+
+if (typeof module === "object") {
+	module.exports.ExprParser = ExprParser;
+	module.exports.ExprError = ExprError;
+}
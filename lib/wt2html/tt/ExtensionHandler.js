@@ -36,12 +36,17 @@ ExtensionHandler.prototype.init = function() {
  * Get the public data-mw structure that exposes the extension name, args, and body
  */
 ExtensionHandler.prototype.getArgInfo = function(state) {
-	return Util.getArgInfo(state.token);
+	var argInfo = Util.getArgInfo(state.token);
+	if (state.nativeBody) {
+		Object.assign(argInfo.dict.body, state.nativeBody);
+	}
+	return argInfo;
 };
 
 /**
- * Parse the extension HTML content and wrap it in a DOMFragment
- * to be expanded back into the top-level DOM later.
+ * Parse the extension HTML content (unless a native extension provided
+ * it as a document already) and wrap it in a DOMFragment to be expanded
+ * back into the top-level DOM later.
  */
 ExtensionHandler.prototype.parseExtensionHTML = function(extToken, cb, err, html) {
 	var errType = '';
@@ -63,7 +68,7 @@ ExtensionHandler.prototype.parseExtensionHTML = function(extToken, cb, err, html
 	}
 
 	// document -> html -> body -> children
-	var doc = DU.parseHTML(html);
+	var doc = html.constructor === String ? DU.parseHTML(html) : html;
 	var state = {
 		token: extToken,
 		// We are always wrapping extensions with the DOMFragment mechanism.
@@ -72,6 +77,14 @@ ExtensionHandler.prototype.parseExtensionHTML = function(extToken, cb, err, html
 		wrapperDataMw: errObj,
 	};
 
+	// Native extensions can describe their content further in the
+	// data-mw.body of the node they render (see Translate.js).
+	var first = doc.body.firstChild;
+	if (!err && first && DU.isElt(first) && first.hasAttribute('data-mw')) {
+		state.nativeBody = DU.getJSONAttribute(first, 'data-mw', {}).body;
+		first.removeAttribute('data-mw');
+	}
+
 	// DOMFragment-based encapsulation.
 	this._onDocument(state, cb, doc);
 };
@@ -127,6 +140,15 @@ ExtensionHandler.prototype.onExtension = function(token, frame, cb) {
 		// No caching for native extensions for now.
 		token.setAttribute('options', normalizeExtOptions(token.getAttribute('options')));
 		nativeExt.tokenHandler(this.manager, this.options, token, cb);
+	} else if (nativeExt && nativeExt.toDOM) {
+		// Native extensions which render their content to a DOM get
+		// the same encapsulation (and data-mw) as those expanded by
+		// MediaWiki.  They can record private information for their
+		// serialHandler in the data-parsoid of the first node.
+		token.setAttribute('options', normalizeExtOptions(token.getAttribute('options')));
+		cb({ async: true });
+		nativeExt.toDOM(this.manager, this.options, token)
+			.nodify(this.parseExtensionHTML.bind(this, token, cb));
 	} else if (cachedExpansion) {
 		// cache hit. Reuse extension expansion.
 		var toks = DU.encapsulateExpansionHTML(env, token, cachedExpansion, { setDSR: true });
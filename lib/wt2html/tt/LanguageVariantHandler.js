@@ -0,0 +1,284 @@
+'use strict';
+require('../../../core-upgrade.js');
+
+var coreutil = require('util');
+var Consts = require('../../config/WikitextConstants.js').WikitextConstants;
+var DU = require('../../utils/DOMUtils.js').DOMUtils;
+var Promise = require('../../utils/promise.js');
+var TokenHandler = require('./TokenHandler.js');
+var Util = require('../../utils/Util.js').Util;
+var defines = require('../parser.defines.js');
+
+// define some constructor shortcuts
+var KV = defines.KV;
+var SelfclosingTagTk = defines.SelfclosingTagTk;
+
+
+/**
+ * Normalize the flags of a `-{ }-` construct the way
+ * ConverterRule::parseFlags in core does. Unknown flags are dropped;
+ * variant names are returned separately.
+ *
+ * @param {string[]} fl Flags as found in the source
+ * @param {Set} variants The variants known to the wiki
+ * @return {Object}
+ * @return {string[]} return.flags Sorted list of flags in effect
+ * @return {string[]} return.variants Variants named in the flags
+ */
+var normalizeFlags = function(fl, variants) {
+	var flags = new Set();
+	var vs = [];
+	fl.forEach(function(f) {
+		if (Consts.LCFlags.has(f)) {
+			flags.add(f);
+		} else if (variants.has(f) && vs.indexOf(f) === -1) {
+			vs.push(f);
+		}
+	});
+	if (flags.has('R')) {
+		flags = new Set(['R']);
+	} else if (flags.has('N')) {
+		flags = new Set(['N']);
+	} else if (flags.has('-')) {
+		flags = new Set(['-']);
+	} else if (flags.has('T') && flags.size === 1) {
+		flags.add('H');
+	} else if (flags.has('H')) {
+		// Drop all flags but T and D
+		flags = new Set(['H', 'T', 'D'].filter(function(f) {
+			return flags.has(f);
+		}));
+	}
+	return { flags: Array.from(flags).sort(), variants: vs };
+};
+
+// The HTML of the texts in data-mw keeps the data-parsoid which tells
+// how its wikitext was written, but not the offsets, which only make
+// sense for the displayed copy.
+var stripDataParsoidOffsets = function(node) {
+	for (var c = node.firstChild; c; c = c.nextSibling) {
+		if (DU.isElt(c)) {
+			var dp = DU.getJSONAttribute(c, 'data-parsoid', {});
+			delete dp.tsr;
+			delete dp.dsr;
+			if (Object.keys(dp).length) {
+				DU.setJSONAttribute(c, 'data-parsoid', dp);
+			} else {
+				c.removeAttribute('data-parsoid');
+			}
+			stripDataParsoidOffsets(c);
+		}
+	}
+};
+
+/**
+ * @class
+ *
+ * Handler for language converter markup, like
+ * `-{zh-hans:foo; zh-hant:bar}-`.
+ *
+ * The tokenizer only records the extent of the flags and the texts.
+ * Each text is processed to HTML in its own pipeline here and the
+ * conversion rules are exposed in the data-mw of a `mw:LanguageVariant`
+ * element.
+ *
+ * @extends TokenHandler
+ * @constructor
+ */
+function LanguageVariantHandler() {
+	TokenHandler.apply(this, arguments);
+}
+coreutil.inherits(LanguageVariantHandler, TokenHandler);
+
+LanguageVariantHandler.prototype.rank = 1.16;
+
+LanguageVariantHandler.prototype.init = function() {
+	this.manager.addTransform(this.onLanguageVariant.bind(this),
+		'LanguageVariantHandler:onLanguageVariant', this.rank, 'tag',
+		'language-variant');
+};
+
+/**
+ * Process a piece of the construct's source to HTML.
+ *
+ * @private
+ * @param {Token} token
+ * @param {number[]} offsets Offsets of the piece relative to the token source
+ * @return {Promise} A promise for `{ html, displayHtml, isBlock }`, where
+ *   `displayHtml` keeps the data-parsoid of the content.
+ */
+LanguageVariantHandler.prototype._convertOne = function(token, offsets) {
+	var manager = this.manager;
+	var src = token.dataAttribs.src.substring(offsets[0], offsets[1]);
+	var tsr = token.dataAttribs.tsr;
+	if (!src) {
+		return Promise.resolve({ html: '', displayHtml: '', isBlock: false });
+	}
+	return new Promise(function(resolve) {
+		Util.processContentInPipeline(manager.env, manager.frame, src, {
+			pipelineType: 'text/x-mediawiki/full',
+			pipelineOpts: {
+				inTemplate: this.options.inTemplate,
+				noPre: true,
+				noPWrapping: true,
+			},
+			srcOffsets: tsr ? [tsr[0] + offsets[0], tsr[0] + offsets[1]] : undefined,
+			documentCB: function(doc) {
+				var displayHtml = DU.serializeChildren(doc.body);
+				stripDataParsoidOffsets(doc.body);
+				resolve({
+					html: DU.serializeChildren(doc.body),
+					displayHtml: displayHtml,
+					isBlock: DU.hasBlockElementDescendant(doc.body),
+				});
+			},
+		});
+	}.bind(this));
+};
+
+/**
+ * Main handler.
+ * See {@link TokenTransformManager#addTransform}'s transformation parameter
+ */
+LanguageVariantHandler.prototype.onLanguageVariant = function(token, frame, cb) {
+	var env = this.manager.env;
+	var da = token.dataAttribs;
+	var fl = da.flags.map(function(f) { return f.flag; });
+	var nf = normalizeFlags(fl, env.conf.wiki.variants);
+	var self = this;
+
+	cb({ async: true });
+
+	Promise.map(da.texts, function(t) {
+		if (t.twoway) {
+			return self._convertOne(token, t.text).then(function(text) {
+				return { twoway: true, lang: t.lang, text: text, sp: t.sp };
+			});
+		} else if (t.oneway) {
+			return Promise.join(
+				self._convertOne(token, t.from),
+				self._convertOne(token, t.to)
+			).spread(function(from, to) {
+				return { oneway: true, lang: t.lang, from: from, to: to, sp: t.sp };
+			});
+		} else if (t.semi) {
+			return t;
+		} else {
+			return self._convertOne(token, t.text).then(function(text) {
+				return { text: text };
+			});
+		}
+	}).then(function(texts) {
+		var dataMW = {};
+		var isBlock = texts.some(function(t) {
+			return ['text', 'from', 'to'].some(function(k) {
+				return t[k] && t[k].isBlock;
+			});
+		});
+		var rules = texts.filter(function(t) { return t.twoway || t.oneway; });
+		var plain = texts[0].text && !texts[0].twoway ? texts[0].text : null;
+		var flags = nf.flags;
+		var display = null;
+
+		if (flags.length) {
+			dataMW.flags = flags;
+		}
+		if (nf.variants.length && !flags.length) {
+			// Restrict the output to the given variants
+			dataMW.filter = { l: nf.variants, t: plain.html };
+			display = plain;
+		} else if (flags.indexOf('R') >= 0) {
+			dataMW.disabled = { t: plain.html };
+			display = plain;
+		} else if (flags.indexOf('N') >= 0) {
+			dataMW.name = { t: plain.html };
+			display = plain;
+		} else if (plain) {
+			if (flags.indexOf('A') >= 0 || flags.indexOf('-') >= 0) {
+				// Add or remove a rule for all variants
+				dataMW.twoway = [ { l: '*', t: plain.html } ];
+			} else {
+				dataMW.disabled = { t: plain.html };
+			}
+			display = plain;
+		} else {
+			var twoway = rules.filter(function(t) { return t.twoway; });
+			var oneway = rules.filter(function(t) { return t.oneway; });
+			if (twoway.length) {
+				dataMW.twoway = twoway.map(function(t) {
+					return { l: t.lang, t: t.text.html };
+				});
+				display = twoway.find(function(t) {
+					return t.lang === env.conf.wiki.lang;
+				}) || twoway[0];
+				display = display.text;
+			}
+			if (oneway.length) {
+				dataMW.oneway = oneway.map(function(t) {
+					return { f: t.from.html, l: t.lang, t: t.to.html };
+				});
+				if (!display) {
+					display = oneway[0].from;
+				}
+			}
+		}
+
+		// Hidden rules (and title conversions) don't produce output.
+		var isMeta = flags.indexOf('H') >= 0 || flags.indexOf('-') >= 0;
+
+		// Record everything needed to reproduce the original source.
+		var dp = { src: da.src };
+		if (da.hasFlags) {
+			dp.fl = fl;
+			if (da.flags.some(function(f) { return f.sp[0] || f.sp[1]; })) {
+				dp.flSp = da.flags.map(function(f) { return f.sp; });
+			}
+		}
+		var tSp = texts.filter(function(t) { return t.sp; }).map(function(t) {
+			return t.sp;
+		});
+		if (tSp.some(function(sp) { return sp.some(function(s) { return s; }); })) {
+			dp.tSp = tSp;
+		}
+		if (texts[texts.length - 1].semi) {
+			dp.semi = true;
+		}
+
+		if (isMeta) {
+			// A plain token, so that the meta is transparent to
+			// paragraph wrapping like other page properties.
+			dp.tsr = da.tsr;
+			var meta = new SelfclosingTagTk('meta', [
+				new KV('typeof', 'mw:LanguageVariant'),
+				new KV('data-mw', JSON.stringify(dataMW)),
+			], dp);
+			cb({ tokens: [ meta ] });
+			return;
+		}
+
+		var doc = DU.parseHTML('');
+		var wrapper = doc.createElement(isBlock ? 'div' : 'span');
+		wrapper.setAttribute('typeof', 'mw:LanguageVariant');
+		DU.storeDataMw(wrapper, dataMW);
+		DU.storeDataParsoid(wrapper, dp);
+		if (display) {
+			wrapper.innerHTML = display.displayHtml;
+		}
+		doc.body.appendChild(wrapper);
+
+		cb({
+			tokens: DU.buildDOMFragmentTokens(env, token, doc, null, {
+				noAboutId: true,
+				setDSR: true,
+			}),
+		});
+	}).catch(function(e) {
+		env.log('error', 'Failed to process language variant markup', e);
+		cb({ tokens: [ da.src ] });
+	});
+};
+
+if (typeof module === "object") {
+	module.exports.LanguageVariantHandler = LanguageVariantHandler;
+	module.exports.normalizeFlags = normalizeFlags;
+}
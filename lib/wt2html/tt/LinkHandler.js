@@ -1620,14 +1620,17 @@ ExternalLinkHandler.prototype.onExtLink = function(token, manager, cb) {
 	var content = Util.lookup(token.attribs, 'mw:content');
 	var dataAttribs = Util.clone(token.dataAttribs);
 	var rdfaType = token.getAttribute('typeof');
-	var magLinkRe = /(?:^|\s)(mw:(?:Ext|Wiki)Link\/(?:ISBN|RFC|PMID))(?=$|\s)/;
+	// Magic links are typed with their keyword, like mw:ExtLink/RFC
+	var magLinkMatch = rdfaType &&
+		rdfaType.match(/(?:^|\s)mw:(Ext|Wiki)Link\/([A-Za-z0-9]+)(?=$|\s)/);
 
-	if (rdfaType && magLinkRe.test(rdfaType)) {
+	if (magLinkMatch && env.conf.wiki.magicLinks.has(magLinkMatch[2])) {
 		var newHref = href;
 		var newRel = 'mw:ExtLink';
-		if (/(?:^|\s)mw:(Ext|Wiki)Link\/ISBN/.test(rdfaType)) {
+		if (magLinkMatch[1] === 'Wiki') {
 			newHref = env.page.relativeLinkPrefix + href;
-			// ISBNs use mw:WikiLink instead of mw:ExtLink
+			// Links to pages of the wiki, like those of ISBNs, use
+			// mw:WikiLink instead of mw:ExtLink
 			newRel = 'mw:WikiLink';
 		}
 		newAttrs = [
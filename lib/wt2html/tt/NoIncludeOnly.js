@@ -94,8 +94,6 @@ OnlyInclude.prototype.onOnlyInclude = function(token, manager) {
 };
 
 OnlyInclude.prototype.onAnyInclude = function(token, manager) {
-	var isTag, tagName, curriedBuildMetaToken, meta;
-
 	if (token.constructor === EOFTk) {
 		this.inOnlyInclude = false;
 		if (this.accum.length && !this.foundOnlyInclude) {
@@ -110,46 +108,21 @@ OnlyInclude.prototype.onAnyInclude = function(token, manager) {
 		}
 	}
 
-	isTag = token.constructor === TagTk ||
+	var isTag = token.constructor === TagTk ||
 			token.constructor === EndTagTk ||
 			token.constructor === SelfclosingTagTk;
 
-	if (isTag) {
-		switch (token.name) {
-			case 'onlyinclude':
-				tagName = 'mw:Includes/OnlyInclude';
-				break;
-			case 'includeonly':
-				tagName = 'mw:Includes/IncludeOnly';
-				break;
-			case 'noinclude':
-				tagName = 'mw:Includes/NoInclude';
-		}
-	}
-
-	curriedBuildMetaToken = buildMetaToken.bind(null, manager, tagName);
-
 	if (isTag && token.name === 'onlyinclude') {
-		if (!this.inOnlyInclude) {
-			this.foundOnlyInclude = true;
-			this.inOnlyInclude = true;
-			// wrap collected tokens into meta tag for round-tripping
-			meta = curriedBuildMetaToken(token.constructor === EndTagTk, (token.dataAttribs || {}).tsr);
-			return meta;
-		} else {
-			this.inOnlyInclude = false;
-			meta = curriedBuildMetaToken(token.constructor === EndTagTk, (token.dataAttribs || {}).tsr);
-		}
-		// meta.rank = this.rank;
-		return { token: meta };
+		// The onlyinclude tags themselves are dropped from the
+		// transcluded content, like the content outside of them.
+		this.foundOnlyInclude = true;
+		this.inOnlyInclude = token.constructor === TagTk;
+		return { };
+	} else if (this.inOnlyInclude) {
+		return { token: token };
 	} else {
-		if (this.inOnlyInclude) {
-			// token.rank = this.rank;
-			return { token: token };
-		} else {
-			this.accum.push(token);
-			return { };
-		}
+		this.accum.push(token);
+		return { };
 	}
 };
 
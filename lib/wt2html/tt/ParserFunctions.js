@@ -1,14 +1,12 @@
 /*
- * Some parser functions, and quite a bunch of stubs of parser functions.
+ * Parser functions and magic words for the Parsoid-native template
+ * expansion pipeline.
  *
- * IMPORTANT NOTE: These parser functions are only used by the Parsoid-native
- * template expansion pipeline, which is *not* the default or used in
- * production. Normally we use API calls into a MediaWiki installation to
- * implement parser functions and other preprocessor functionality. The only
- * use of this code is currently in parserTests, but those tests should
- * probably be marked as PHP-only and any mixed testing moved into separate
- * tests. This means that there is not much point in spending time on
- * implementing more parser functions here.
+ * These are used when templates are expanded inside Parsoid, that is when
+ * usePHPPreProcessor is disabled (as in parserTests, or for offline
+ * mirrors without a MediaWiki install). Otherwise, we use API calls into a
+ * MediaWiki installation to implement parser functions and other
+ * preprocessor functionality.
  *
  * There are still quite a few missing, see
  * http://www.mediawiki.org/wiki/Help:Magic_words and
@@ -21,14 +19,31 @@
 require('../../../core-upgrade.js');
 
 var async = require('async');
+var ExprParser = require('./ExprParser.js').ExprParser;
+var ExprError = require('./ExprParser.js').ExprError;
+var ParsoidDate = require('./ParsoidDate.js').ParsoidDate;
+var TimeError = require('./ParsoidDate.js').TimeError;
 var Util = require('../../utils/Util.js').Util;
 var defines = require('../parser.defines.js');
 
+var exprParser = new ExprParser();
+
 
 function ParserFunctions(env) {
 	this.env = env;
 }
 
+// Argument values have already been expanded by the
+// AttributeTransformManager in TemplateHandler, to either a string or an
+// array of tokens. Hand them out in the requested format.
+var getValue = function(v, options) {
+	if (options.type === 'text/x-mediawiki/expanded') {
+		options.cb(v.constructor === String ? v : Util.tokensToString(v));
+	} else {
+		options.cb(v.constructor === String ? [v] : v);
+	}
+};
+
 // Temporary helper.
 ParserFunctions.prototype._rejoinKV = function(trim, k, v) {
 	if (k.constructor === String && k.length > 0) {
@@ -64,10 +79,9 @@ ParserFunctions.prototype.expandKV = function(kv, cb, defaultValue, type, trim)
 		var getCB = function(v) {
 			cb ({ tokens: self._rejoinKV(trim, kv.k, v) });
 		};
-		kv.v.get({
+		getValue(kv.v, {
 			type: type,
 			cb: getCB,
-			asyncCB: cb,
 		});
 	}
 };
@@ -96,19 +110,6 @@ ParserFunctions.prototype._switchLookupFallback = function(frame, kvs, key, dict
 			cb(res);
 		}
 	};
-	var _cbNoTrim = function(res) {
-		if (res.constructor === String) {
-			cb({ tokens: [ res ], async: res.async });
-		} else if (Array.isArray(res)) {
-			cb({ tokens: res, async: res.async });
-		} else if (res.async) {
-			cb(res);
-		} else {
-			console.log(res);
-			console.trace();
-		}
-
-	};
 
 	// 'v' need not be a string in cases where it is the last fall-through case
 	var vStr = v ? (v.constructor === String ? v : Util.tokensToString(v)) : null;
@@ -127,10 +128,9 @@ ParserFunctions.prototype._switchLookupFallback = function(frame, kvs, key, dict
 			kv = kvs[j];
 			// XXX: make sure the key is always one of these!
 			if (kv.k.length) {
-				kv.v.get({
+				getValue(kv.v, {
 					type: 'tokens/x-mediawiki/expanded',
 					cb: _cbTrim,
-					asyncCB: _cbTrim,
 				});
 				return;
 			}
@@ -149,10 +149,6 @@ ParserFunctions.prototype._switchLookupFallback = function(frame, kvs, key, dict
 				// skip entries with keys or empty values
 				continue;
 			} else {
-				if (!kv.v.get) {
-					this.env.ap(kv.v);
-					console.trace();
-				}
 				var self = this;
 
 				// We found a value-only entry.  However, we have to verify
@@ -176,7 +172,7 @@ ParserFunctions.prototype._switchLookupFallback = function(frame, kvs, key, dict
 				// 'val' may be an array of tokens rather than a string as in the
 				// example above where 'val' is indeed the final return value.
 				// Hence 'tokens/x-mediawiki/expanded' type below.
-				kv.v.get({
+				getValue(kv.v, {
 					type: 'tokens/x-mediawiki/expanded',
 					// SSS FIXME: JSHint is warning us not to create
 					// funtions in a loop -- worth creating a static fn.
@@ -188,25 +184,24 @@ ParserFunctions.prototype._switchLookupFallback = function(frame, kvs, key, dict
 								kvs.slice(k + 1), key, dict, cb, val)
 						);
 					}.bind(self, i),
-					asyncCB: cb,
 				});
 				return;
 			}
 		}
 		// value not found!
 		if ('#default' in dict) {
-			dict['#default'].get({
+			getValue(dict['#default'], {
 				type: 'tokens/x-mediawiki/expanded',
 				cb: _cbTrim,
-				asyncCB: cb,
 			});
 			return;
 		} else if (kvs.length) {
 			var lastKV = kvs[kvs.length - 1];
 			if (lastKV && !lastKV.k.length) {
-				lastKV.v.get({
-					cb: _cbNoTrim,
-					asyncCB: cb,
+				// Like any other result, the fallback is trimmed.
+				getValue(lastKV.v, {
+					type: 'tokens/x-mediawiki/expanded',
+					cb: _cbTrim,
 				});
 				return;
 			} else {
@@ -234,12 +229,11 @@ ParserFunctions.prototype['pf_#switch'] = function(token, frame, cb, args) {
 	var dict = args.dict();
 	if (target && dict[target] !== undefined) {
 		this.env.dp('switch found: ', target, dict, ' res=', dict[target]);
-		dict[target].get({
+		getValue(dict[target], {
 			type: 'tokens/x-mediawiki/expanded',
 			cb: function(res) {
-				cb ({ tokens: res.constructor === String ? [res.trim()] : Util.tokenTrim(res) });
+				cb ({ tokens: Util.tokenTrim(res) });
 			},
-			asyncCB: cb,
 		});
 	} else {
 		this._switchLookupFallback(frame, args, target, dict, cb);
@@ -252,7 +246,10 @@ ParserFunctions.prototype['pf_#ifeq'] = function(token, frame, cb, args) {
 		cb({});
 	} else {
 		var b = args[1].v;
-		b.get({ cb: this._ifeq_worker.bind(this, cb, args), asyncCB: cb });
+		getValue(b, {
+			type: 'text/x-mediawiki/expanded',
+			cb: this._ifeq_worker.bind(this, cb, args),
+		});
 	}
 };
 
@@ -264,48 +261,43 @@ ParserFunctions.prototype._ifeq_worker = function(cb, args, b) {
 	}
 };
 
+// An error message of #expr or #time, as shown by the extension.
+var errorTokens = function(e) {
+	return [
+		new defines.TagTk('strong', [ new defines.KV('class', 'error') ]),
+		e.message,
+		new defines.EndTagTk('strong'),
+	];
+};
+
 ParserFunctions.prototype['pf_#expr'] = function(token, frame, cb, args) {
 	var res;
-	var target = args[0].k;
-	if (target) {
-		try {
-			// FIXME: make this safe and implement MW expressions!
-			/* jshint evil:true */
-			// yes, this is evil.  we'll fix it someday
-			var f = new Function('return (' + target + ')');
-			res = f();
-		} catch (e) {
-			cb({ tokens: [ 'class="error" in expression ' + target ] });
-			return;
+	try {
+		res = exprParser.doExpression(args[0].k);
+	} catch (e) {
+		if (!(e instanceof ExprError)) {
+			throw e;
 		}
-	} else {
-		res = '';
-	}
-	// Avoid crashes
-	if (res === undefined) {
-		cb({ tokens: [ 'class="error" in expression ' + target ] });
+		cb({ tokens: errorTokens(e) });
 		return;
 	}
-	cb({ tokens: [ res.toString() ] });
+	cb({ tokens: [ res ] });
 };
 
 ParserFunctions.prototype['pf_#ifexpr'] = function(token, frame, cb, args) {
 	this.env.dp('#ifexp: ', args);
-	var res = null;
-	var target = args[0].k;
-	if (target) {
-		try {
-			// FIXME: make this safe, and fully implement MW expressions!
-			/* jshint evil:true */
-			// yes, this is evil.  we'll fix it someday
-			var f = new Function('return (' + target + ')');
-			res = f();
-		} catch (e) {
-			cb({ tokens: [ 'class="error" in expression ' + target ] });
-			return;
+	var res;
+	try {
+		res = exprParser.doExpression(args[0].k);
+	} catch (e) {
+		if (!(e instanceof ExprError)) {
+			throw e;
 		}
+		cb({ tokens: errorTokens(e) });
+		return;
 	}
-	if (res) {
+	// Numeric results are compared to zero, like PHP does.
+	if (/^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(res) ? Number(res) : res) {
 		this.expandKV(args[1], cb);
 	} else {
 		this.expandKV(args[2], cb);
@@ -445,252 +437,76 @@ ParserFunctions.prototype.tag_worker = function(target, cb, kvs) {
 };
 
 
-// TODO: These are just quick wrappers for now, optimize!
+// The time magic words, with their #time formats
 [
-	['year', 'Y'], ['month', 'm'], ['monthname', 'F'], ['monthabbrev', 'M'],
-	['week', 'W'], ['day', 'j'], ['day2', 'd'], ['dow', 'w'], ['dayname', 'l'],
-	['time', 'H:i'], ['hour', 'H'], ['week', 'W'],
-	['timestamp', 'YmdHis'],
+	['year', 'Y'], ['month', 'm'], ['month1', 'n'], ['monthname', 'F'],
+	['monthnamegen', 'xg'], ['monthabbrev', 'M'], ['week', 'W'],
+	['day', 'j'], ['day2', 'd'], ['dow', 'w'], ['dayname', 'l'],
+	['time', 'H:i'], ['hour', 'H'], ['timestamp', 'YmdHis'],
 ].forEach(function(a) {
 	var name = a[0];
 	var format = a[1];
 	ParserFunctions.prototype['pf_current' + name] =
 		function(token, frame, cb, args) {
-			cb(this._pf_time_tokens(format, [], {}));
+			cb({ tokens: [ this._pf_currenttime(format, false) ] });
 		};
 	ParserFunctions.prototype['pf_local' + name] =
 		function(token, frame, cb, args) {
-			cb(this._pf_timel_tokens(format, [], {}));
+			cb({ tokens: [ this._pf_currenttime(format, true) ] });
 		};
- });
-// XXX Actually use genitive form!
-ParserFunctions.prototype.pf_currentmonthnamegen = function(token, frame, cb, args) {
-	cb(this._pf_time_tokens('F', [], {}));
-};
-ParserFunctions.prototype.pf_localmonthnamegen = function(token, frame, cb, args) {
-	cb(this._pf_timel_tokens('F', [], {}));
+});
+
+ParserFunctions.prototype._pf_currenttime = function(format, isLocal) {
+	var env = this.env;
+	var res = new ParsoidDate(env, ParsoidDate.now(env), isLocal).format(format);
+	// Unlike #time, {{CURRENTWEEK}} isn't zero-padded
+	return format === 'W' ? String(Number(res)) : res;
 };
 
-// A first approximation of time stuff.
-// TODO: Implement time spec (+ 1 day etc), check if formats are complete etc.
+// {{#time: format | date | language | local }}
 // See http://www.mediawiki.org/wiki/Help:Extension:ParserFunctions#.23time
-// for the full list of requirements!
-//
-// First (very rough) approximation below based on
-// http://jacwright.com/projects/javascript/date_format/, MIT licensed.
 ParserFunctions.prototype['pf_#time'] = function(token, frame, cb, args) {
-	cb ({ tokens: this._pf_time(args[0].k, args.slice(1)) });
+	this._pf_time(args, false, cb);
 };
 
-ParserFunctions.prototype._pf_time_tokens = function(target, args) {
-	return { tokens: this._pf_time(target, args) };
-};
 ParserFunctions.prototype['pf_#timel'] = function(token, frame, cb, args) {
-	cb ({ tokens: this._pf_time(args[0].k, args.slice(1), 'local') });
-};
-
-ParserFunctions.prototype._pf_timel_tokens = function(target, args) {
-	return { tokens: this._pf_time(target, args, 'local') };
+	this._pf_time(args, true, cb);
 };
 
-var ParsoidDate; // forward declaration
-
-ParserFunctions.prototype._pf_time = function(target, args, isLocal) {
-	var res;
-	var tpl = target.trim();
-	var date = new ParsoidDate(this.env, isLocal);
-	try {
-		res = [ date.format(tpl) ];
-	} catch (e2) {
-		this.env.log("error", "#time " + e2);
-		res = [ date.toString() ];
-	}
-	return res;
-};
-
-// Simulates PHP's date function
-// NOTE that Javascript doesn't have a proper user-specified-timezone API.
-// PHP format specifiers which return the name of the timezone (for example,
-// 'e' and 'T') can't be implemented in JavaScript w/o the use of an external
-// timezone database, like for instance https://github.com/mde/timezone-js
-// CURRENTLY NO SUPPORT FOR NON-GREGORIAN CALENDARS
-ParsoidDate = function(env, isLocal, forcetime) {
-	var date = new Date();
-	var offset = date.getTimezoneOffset();
-	// XXX: parse forcetime and change date
-	// when testing, look aside to other date?
-	if (typeof (env.conf.wiki.fakeTimestamp) === 'number') {
-		// php time stamps are in seconds; js timestamps are in milliseconds
-		date.setTime(env.conf.wiki.fakeTimestamp * 1000);
-	}
-	if (typeof (env.conf.wiki.timezoneOffset) === 'number') {
-		// this is the wiki's $wgLocaltimezone (if set)
-		offset = env.conf.wiki.timezoneOffset;
-	}
-	if (!isLocal) {
-		offset = 0; // UTC
-	}
-	this._date = date;
-	// _localdate is a date object which is, in UTC, the desired local time.
-	// for example, if _date is 'Tue, 02 Apr 2013 21:30:44 GMT-0400 (EDT)'
-	// then _localdate is       'Tue, 02 Apr 2013 21:30:44 GMT'
-	offset *= 60 * 1000; /* convert from minutes to milliseconds */
-	this._localdate = new Date(date.getTime() - offset);
-};
-ParsoidDate.prototype.format = function(format) {
-	var returnStr = '';
-	var replace = ParsoidDate.replaceChars;
-	for (var i = 0; i < format.length; i++) {
-		var curChar = format.charAt(i);
-		if (i - 1 >= 0 && format.charAt(i - 1) === "\\") {
-			returnStr += curChar;
-		} else if (replace[curChar]) {
-			returnStr += replace[curChar].call(this);
-		} else if (curChar !== "\\") {
-			returnStr += curChar;
+ParserFunctions.prototype._pf_time = function(args, isLocal, cb) {
+	var env = this.env;
+	var self = this;
+	var format = args[0].k.trim();
+	async.map(
+		args.slice(1, 4),
+		function(item, cb2) {
+			var resCB = Util.buildAsyncOutputBufferCB(cb2.bind(this, null));
+			self.expandKV(item, resCB, '', 'text/x-mediawiki/expanded', false);
+		},
+		function(err, expandedArgs) {
+			if (err) {
+				console.trace();
+				throw err;
+			}
+			var params = expandedArgs.map(function(toks) {
+				return Util.tokensToString(toks).trim();
+			});
+			// The language parameter is ignored, since we only have the
+			// month and weekday names of the content language.
+			var local = params[2] && params[2] !== '0';
+			var date;
+			try {
+				date = ParsoidDate.parse(env, params[0] || '', isLocal || local);
+			} catch (e) {
+				if (!(e instanceof TimeError)) {
+					throw e;
+				}
+				cb({ tokens: errorTokens(e) });
+				return;
+			}
+			cb({ tokens: [ date.format(format) ] });
 		}
-	}
-	return returnStr;
-};
-ParsoidDate.prototype.toString = function() {
-	return this.format('D, d M Y H:i:s O');
-};
-ParsoidDate.prototype.getTimezoneOffset = function() {
-	return (this._date.getTime() - this._localdate.getTime()) / (60 * 1000);
-};
-var getJan1 = function(d) {
-	d = new Date(d.getTime());
-	d.setUTCMonth(0);
-	d.setUTCDate(1);
-	d.setUTCHours(0);
-	d.setUTCMinutes(0);
-	d.setUTCSeconds(0);
-	d.setUTCMilliseconds(0);
-	return d;
-};
-ParsoidDate.prototype.getWeek = function() {
-	var start = getJan1(this._localdate);
-	return Math.ceil((((this._localdate.valueOf() - start.valueOf()) / 86400000) + start.getUTCDay() + 1) / 7);
-};
-ParsoidDate.prototype.getWeekYear = function() { // ISO-8601 week year
-	var d = new Date(this._localdate);
-	d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7) + 3);
-	return d.getUTCFullYear();
-};
-ParsoidDate.prototype.getDayOfYear = function() {
-	var start = getJan1(this._localdate);
-	return Math.ceil((this._localdate.valueOf() - start.valueOf()) / 86400000);
-};
-// proxy certain methods of _date into ParsoidDate.
-[
-	'getUTCHours', 'getUTCMinutes', 'getUTCSeconds',
-	'getTime', 'valueOf',
-].forEach(function(f) {
-	ParsoidDate.prototype[f] = function() {
-		var d = this._date;
-		return d[f].apply(d, arguments);
-	};
-});
-// local dates use UTC methods, but on _localdate
-[
-	'getHours', 'getMinutes', 'getSeconds', 'getMilliseconds',
-	'getDate', 'getDay', 'getMonth', 'getFullYear',
-].forEach(function(f) {
-	var ff = f.replace('get', 'getUTC');
-	ParsoidDate.prototype[f] = function() {
-		var d = this._localdate;
-		return d[ff].apply(d, arguments);
-	};
-});
-
-// XXX: support localization
-ParsoidDate.replaceChars = {
-	shortMonths: [
-		'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug',
-		'Sep', 'Oct', 'Nov', 'Dec',
-	],
-	longMonths: [
-		'January', 'February', 'March', 'April', 'May', 'June',
-		'July', 'August', 'September', 'October', 'November', 'December',
-	],
-	shortDays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
-	longDays: [
-		'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday',
-		'Friday', 'Saturday',
-	],
-
-	// Day
-	d: function() { return (this.getDate() < 10 ? '0' : '') + this.getDate(); },
-	D: function() { return ParsoidDate.replaceChars.shortDays[this.getDay()]; },
-	j: function() { return this.getDate(); },
-	l: function() { return ParsoidDate.replaceChars.longDays[this.getDay()]; },
-	N: function() { return this.getDay() + 1; },
-	S: function() {
-		return (this.getDate() % 10 === 1 &&
-			this.getDate() !== 11 ? 'st' : (this.getDate() % 10 === 2 &&
-				this.getDate() !== 12 ? 'nd' : (this.getDate() % 10 === 3 &&
-					this.getDate() !== 13 ? 'rd' : 'th')));
-	},
-	w: function() { return this.getDay(); },
-	z: function() { return this.getDayOfYear(); },
-	// Week
-	W: function() { return this.getWeek(); },
-	// Month
-	F: function() { return ParsoidDate.replaceChars.longMonths[this.getMonth()]; },
-	m: function() { return (this.getMonth() < 9 ? '0' : '') + (this.getMonth() + 1); },
-	M: function() { return ParsoidDate.replaceChars.shortMonths[this.getMonth()]; },
-	n: function() { return this.getMonth() + 1; },
-	t: function() {
-		return new Date(this.getFullYear(), this.getMonth() + 1, 0).getDate();
-	},
-	// Year
-	L: function() {
-		var year = this.getFullYear();
-		return (year % 400 === 0 || (year % 100 !== 0 && year % 4 === 0));
-	},
-	o: function() { return this.getWeekYear(); },
-	Y: function() { return this.getFullYear(); },
-	y: function() { return ('' + this.getFullYear()).substr(2); },
-	// Time
-	a: function() { return this.getHours() < 12 ? 'am' : 'pm'; },
-	A: function() { return this.getHours() < 12 ? 'AM' : 'PM'; },
-	B: function() {
-		return Math.floor((((this.getUTCHours() + 1) % 24) +
-					this.getUTCMinutes() / 60 +
-					this.getUTCSeconds() / 3600) * 1000 / 24);
-	},
-	g: function() { return this.getHours() % 12 || 12; },
-	G: function() { return this.getHours(); },
-	h: function() {
-		return ((this.getHours() % 12 || 12) < 10 ? '0' : '') +
-			(this.getHours() % 12 || 12);
-	},
-	H: function() { return (this.getHours() < 10 ? '0' : '') + this.getHours(); },
-	i: function() { return (this.getMinutes() < 10 ? '0' : '') + this.getMinutes(); },
-	s: function() { return (this.getSeconds() < 10 ? '0' : '') + this.getSeconds(); },
-	u: function() {
-		var m = this.getMilliseconds();
-		return (m < 10 ? '00' : (m < 100 ? '0' : '')) + m;
-	},
-	// Timezone
-	e: function() { return "Not Yet Supported"; },
-	I: function() { return "Not Yet Supported"; },
-	O: function() {
-		return (-this.getTimezoneOffset() < 0 ? '-' : '+') +
-			(Math.abs(this.getTimezoneOffset() / 60) < 10 ? '0' : '') +
-			(Math.abs(this.getTimezoneOffset() / 60)) + '00';
-	},
-	P: function() {
-		return (-this.getTimezoneOffset() < 0 ? '-' : '+') +
-			(Math.abs(this.getTimezoneOffset() / 60) < 10 ? '0' : '') +
-			(Math.abs(this.getTimezoneOffset() / 60)) + ':00';
-	},
-	T: function() { return "Not Yet Supported"; },
-	Z: function() { return -this.getTimezoneOffset() * 60; },
-	// Full Date/Time
-	c: function() { return this.format("Y-m-d\\TH:i:sP"); },
-	r: function() { return this.toString(); },
-	U: function() { return this.getTime() / 1000; },
+	);
 };
 
 ParserFunctions.prototype.pf_localurl = function(token, frame, cb, args) {
@@ -0,0 +1,1212 @@
+/**
+ * Dates for the `#time` and `#timel` parser functions and the time magic
+ * words.  Date strings are parsed the way PHP's DateTime does it, and
+ * dates are formatted like MediaWiki's Language::sprintfDate, with the
+ * month and weekday names of the wiki's content language.
+ */
+'use strict';
+require('../../../core-upgrade.js');
+/* global Intl */
+
+var util = require('util');
+
+
+var DAY = 24 * 60 * 60 * 1000;
+
+// The message keys of the month and weekday names, as in Language.php
+var monthMsgs = [
+	'january', 'february', 'march', 'april', 'may_long', 'june', 'july',
+	'august', 'september', 'october', 'november', 'december',
+];
+var monthGenMsgs = monthMsgs.map(function(key) {
+	return key.replace('_long', '') + '-gen';
+});
+var monthAbbrevMsgs = [
+	'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct',
+	'nov', 'dec',
+];
+var weekdayMsgs = [
+	'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+	'saturday',
+];
+var weekdayAbbrevMsgs = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// English names, for the messages which the wiki doesn't provide
+var defaultMessages = {};
+[
+	'January', 'February', 'March', 'April', 'May', 'June', 'July',
+	'August', 'September', 'October', 'November', 'December',
+].forEach(function(name, i) {
+	defaultMessages[monthMsgs[i]] = name;
+	defaultMessages[monthGenMsgs[i]] = name;
+	defaultMessages[monthAbbrevMsgs[i]] = name.substr(0, 3);
+});
+[
+	'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+	'Saturday',
+].forEach(function(name, i) {
+	defaultMessages[weekdayMsgs[i]] = name;
+	defaultMessages[weekdayAbbrevMsgs[i]] = name.substr(0, 3);
+});
+[
+	'Farvardin', 'Ordibehesht', 'Khordad', 'Tir', 'Mordad', 'Shahrivar',
+	'Mehr', 'Aban', 'Azar', 'Dey', 'Bahman', 'Esfand',
+].forEach(function(name, i) {
+	defaultMessages['iranian-calendar-m' + (i + 1)] = name;
+});
+[
+	'Muharram', 'Safar', "Rabi' al-awwal", "Rabi' al-thani",
+	'Jumada al-awwal', 'Jumada al-thani', 'Rajab', "Sha'aban", 'Ramadan',
+	'Shawwal', "Dhu al-Qi'dah", 'Dhu al-Hijjah',
+].forEach(function(name, i) {
+	defaultMessages['hijri-calendar-m' + (i + 1)] = name;
+});
+[
+	'Tishrei', 'Cheshvan', 'Kislev', 'Tevet', 'Shevat', 'Adar', 'Nisan',
+	'Iyar', 'Sivan', 'Tamuz', 'Av', 'Elul', 'Adar I', 'Adar II',
+].forEach(function(name, i) {
+	defaultMessages['hebrew-calendar-m' + (i + 1)] = name;
+	defaultMessages['hebrew-calendar-m' + (i + 1) + '-gen'] = name;
+});
+
+// The messages of the extension
+var errorMessages = {
+	'pfunc_time_error': 'Error: Invalid time.',
+	'pfunc_time_too_big': 'Error: #time only supports years up to 9999.',
+	'pfunc_time_too_small': 'Error: #time only supports years from 0.',
+};
+
+/**
+ * @class
+ * @extends Error
+ *
+ * An invalid date, whose message is shown in place of the result.
+ *
+ * @constructor
+ * @param {string} key The message key
+ */
+function TimeError(key) {
+	Error.call(this);
+	this.name = 'TimeError';
+	this.key = key;
+	this.message = errorMessages[key];
+}
+util.inherits(TimeError, Error);
+
+var pad = function(n, width) {
+	var s = String(Math.abs(n));
+	while (s.length < width) {
+		s = '0' + s;
+	}
+	return (n < 0 ? '-' : '') + s;
+};
+
+// Like Date.UTC, but without the special case for the years 0 to 99.
+// Out of range fields carry over into the next larger ones.
+var makeTime = function(y, mon, d, h, i, s) {
+	var date = new Date(0);
+	date.setUTCFullYear(y, mon, d);
+	date.setUTCHours(h || 0, i || 0, s || 0, 0);
+	return date.getTime();
+};
+
+var isLeapYear = function(y) {
+	return (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+};
+
+// mon is zero-based, and may be out of range.
+var daysInMonth = function(y, mon) {
+	return new Date(makeTime(y, mon + 1, 0)).getUTCDate();
+};
+
+// The ISO-8601 year and week number of a date
+var isoWeek = function(y, m, d) {
+	var date = makeTime(y, m - 1, d);
+	var thursday = date + (3 - (new Date(date).getUTCDay() + 6) % 7) * DAY;
+	var year = new Date(thursday).getUTCFullYear();
+	return [year, 1 + Math.floor((thursday - makeTime(year, 0, 1)) / (7 * DAY))];
+};
+
+var formatOffset = function(offset, sep) {
+	return (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60), 2) +
+		sep + pad(Math.abs(offset) % 60, 2);
+};
+
+
+/* ----------------------------------------------------------------------
+ * Timezones
+ * ---------------------------------------------------------------------- */
+
+var utcZone = { name: 'UTC', abbr: 'UTC', offset: 0, dst: false };
+
+var zoneFormatters = new Map();
+
+// Intl formatters for a timezone of the tz database, or null if the
+// runtime doesn't know about it.
+var getZoneFormatters = function(name) {
+	if (!zoneFormatters.has(name)) {
+		var formatters = null;
+		if (typeof Intl === 'object') {
+			try {
+				formatters = {
+					time: new Intl.DateTimeFormat('en-US', {
+						timeZone: name,
+						hour12: false,
+						year: 'numeric',
+						month: 'numeric',
+						day: 'numeric',
+						hour: 'numeric',
+						minute: 'numeric',
+						second: 'numeric',
+					}),
+					abbr: new Intl.DateTimeFormat('en-US', {
+						timeZone: name,
+						timeZoneName: 'short',
+					}),
+				};
+			} catch (e) {
+				// Either an unknown timezone, or no timezone support at all.
+			}
+		}
+		zoneFormatters.set(name, formatters);
+	}
+	return zoneFormatters.get(name);
+};
+
+// The offset from UTC in minutes, or null if it can't be determined.
+var intlOffset = function(formatters, time) {
+	var m = /^(\d+)\/(\d+)\/(\d+),? (\d+):(\d+):(\d+)$/.exec(
+		formatters.time.format(new Date(time)));
+	if (!m) {
+		return null;
+	}
+	// Some engines show midnight as 24:00
+	var wall = makeTime(+m[3], m[1] - 1, +m[2], m[4] % 24, +m[5], +m[6]);
+	return Math.round((wall - Math.floor(time / 1000) * 1000) / 60000);
+};
+
+/**
+ * The wiki's local timezone at a given time.  The tz database is used
+ * when the runtime has one, so that daylight saving time is accounted
+ * for; otherwise the offset reported by siteinfo is used throughout.
+ *
+ * @param {WikiConfig} wiki
+ * @param {number} time
+ * @return {Object}
+ */
+var getLocalZone = function(wiki, time) {
+	var name = wiki.timezone || 'UTC';
+	var formatters = getZoneFormatters(name);
+	var offset = formatters ? intlOffset(formatters, time) : null;
+	if (offset !== null) {
+		var year = new Date(time).getUTCFullYear();
+		var standard = Math.min(
+			intlOffset(formatters, makeTime(year, 0, 1)),
+			intlOffset(formatters, makeTime(year, 6, 1)));
+		return {
+			name: name,
+			abbr: formatters.abbr.format(new Date(time)).split(' ').pop(),
+			offset: offset,
+			dst: offset > standard,
+		};
+	}
+	offset = wiki.timezoneOffset || 0;
+	return {
+		name: name,
+		abbr: (name === 'UTC' && !offset) ? 'UTC' : formatOffset(offset, ':'),
+		offset: offset,
+		dst: false,
+	};
+};
+
+
+/* ----------------------------------------------------------------------
+ * Calendars and numerals, ported from Language.php
+ * ---------------------------------------------------------------------- */
+
+var GREG_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+var IRANIAN_DAYS = [31, 31, 31, 31, 31, 31, 30, 30, 30, 30, 30, 29];
+
+// PHP's (int) cast
+var toInt = function(n) {
+	return n < 0 ? Math.ceil(n) : Math.floor(n);
+};
+
+// Returns [year, month, day, day of year]
+var toIranian = function(y, m, d) {
+	var gy = y - 1600;
+	var gm = m - 1;
+	var gd = d - 1;
+	var i;
+
+	var gDayNo = 365 * gy + Math.floor((gy + 3) / 4) -
+		Math.floor((gy + 99) / 100) + Math.floor((gy + 399) / 400);
+	for (i = 0; i < gm; i++) {
+		gDayNo += GREG_DAYS[i];
+	}
+	if (gm > 1 && ((gy % 4 === 0 && gy % 100 !== 0) || gy % 400 === 0)) {
+		gDayNo++;
+	}
+	gDayNo += gd;
+
+	var jDayNo = gDayNo - 79;
+	var jNp = Math.floor(jDayNo / 12053);
+	jDayNo %= 12053;
+	var jy = 979 + 33 * jNp + 4 * Math.floor(jDayNo / 1461);
+	jDayNo %= 1461;
+	if (jDayNo >= 366) {
+		jy += Math.floor((jDayNo - 1) / 365);
+		jDayNo = (jDayNo - 1) % 365;
+	}
+	var jz = jDayNo;
+	for (i = 0; i < 11 && jDayNo >= IRANIAN_DAYS[i]; i++) {
+		jDayNo -= IRANIAN_DAYS[i];
+	}
+	return [jy, i + 1, jDayNo + 1, jz];
+};
+
+// Returns [year, month, day] of the tabular Islamic calendar
+var toHijri = function(y, m, d) {
+	var jd;
+	if (y > 1582 || (y === 1582 && (m > 10 || (m === 10 && d > 14)))) {
+		jd = toInt((1461 * (y + 4800 + toInt((m - 14) / 12))) / 4) +
+			toInt((367 * (m - 2 - 12 * toInt((m - 14) / 12))) / 12) -
+			toInt((3 * toInt((y + 4900 + toInt((m - 14) / 12)) / 100)) / 4) +
+			d - 32075;
+	} else {
+		jd = 367 * y - toInt((7 * (y + 5001 + toInt((m - 9) / 7))) / 4) +
+			toInt((275 * m) / 9) + d + 1729777;
+	}
+	var l = jd - 1948440 + 10632;
+	var n = toInt((l - 1) / 10631);
+	l = l - 10631 * n + 354;
+	var j = toInt((10985 - l) / 5316) * toInt((50 * l) / 17719) +
+		toInt(l / 5670) * toInt((43 * l) / 15238);
+	l = l - toInt((30 - j) / 15) * toInt((17719 * j) / 50) -
+		toInt(j / 16) * toInt((15238 * j) / 43) + 29;
+	var hm = toInt((24 * l) / 709);
+	return [30 * n + j - 30, hm, l - toInt((709 * hm) / 24)];
+};
+
+// The day of the Gregorian year, counted from 1 September of the
+// previous year, on which a Hebrew year starts.
+var hebrewYearStart = function(year) {
+	var a = toInt((12 * (year - 1) + 17) % 19);
+	var b = toInt((year - 1) % 4);
+	var m = 32.044093161144 + 1.5542417966212 * a + b / 4.0 -
+		0.0031777940220923 * (year - 1);
+	if (m < 0) {
+		m--;
+	}
+	var mar = toInt(m);
+	if (m < 0) {
+		m++;
+	}
+	m -= mar;
+
+	var c = toInt((mar + 3 * (year - 1) + 5 * b + 5) % 7);
+	if (c === 0 && a > 11 && m >= 0.89772376543210) {
+		mar++;
+	} else if (c === 1 && a > 6 && m >= 0.63287037037037) {
+		mar += 2;
+	} else if (c === 2 || c === 4 || c === 6) {
+		mar++;
+	}
+
+	mar += toInt((year - 3761) / 100) - toInt((year - 3761) / 400) - 24;
+	return mar;
+};
+
+// Returns [year, month, day, days in month].  Months are numbered from
+// Tishrei; 13 and 14 are Adar I and Adar II of leap years.
+var toHebrew = function(year, month, day) {
+	var hebrewYear = year + 3760;
+	var i;
+
+	// Month number when September = 1, August = 12
+	month += 4;
+	if (month > 12) {
+		month -= 12;
+		year++;
+		hebrewYear++;
+	}
+
+	var dayOfYear = day;
+	for (i = 1; i < month; i++) {
+		if (i === 6) {
+			dayOfYear += isLeapYear(year) ? 29 : 28;
+		} else if (i === 8 || i === 10 || i === 1 || i === 3) {
+			dayOfYear += 30;
+		} else {
+			dayOfYear += 31;
+		}
+	}
+
+	var start = hebrewYearStart(hebrewYear);
+	var nextStart;
+	if (dayOfYear <= start) {
+		// The previous Hebrew year
+		nextStart = start;
+		year--;
+		hebrewYear--;
+		dayOfYear += isLeapYear(year) ? 366 : 365;
+		start = hebrewYearStart(hebrewYear);
+	} else {
+		nextStart = hebrewYearStart(hebrewYear + 1);
+	}
+
+	var hebrewDay = dayOfYear - start;
+	// 353 to 355 days, or 383 to 385 in leap years
+	var diff = nextStart - start + (isLeapYear(year) ? 13 : 12);
+	// 0 for an incomplete year, 1 for a regular one, 2 for a complete one
+	var yearPattern = diff % 30;
+	var isLeap = diff >= 30;
+
+	var hebrewMonth = 1;
+	var days = 0;
+	while (hebrewMonth <= 12) {
+		if (isLeap && hebrewMonth === 6) {
+			// Adar I has 30 days, Adar II 29
+			days = 30;
+			if (hebrewDay <= days) {
+				hebrewMonth = 13;
+			} else {
+				hebrewDay -= days;
+				days = 29;
+				if (hebrewDay <= days) {
+					hebrewMonth = 14;
+				}
+			}
+		} else if (hebrewMonth === 2 && yearPattern === 2) {
+			days = 30;
+		} else if (hebrewMonth === 3 && yearPattern === 0) {
+			days = 29;
+		} else {
+			days = 30 - (hebrewMonth - 1) % 2;
+		}
+		if (hebrewDay <= days) {
+			break;
+		}
+		hebrewDay -= days;
+		hebrewMonth++;
+	}
+	return [hebrewYear, hebrewMonth, hebrewDay, days];
+};
+
+// Eras of the Japanese calendar, by the date they start on
+var nengo = [
+	[20190501, 2019, '令和'],
+	[19890108, 1989, '平成'],
+	[19261226, 1926, '昭和'],
+	[19120731, 1912, '大正'],
+	[0, 1868, '明治'],
+];
+
+// The year in the Thai solar, Minguo or Japanese calendars
+var toYear = function(y, m, d, calendar) {
+	switch (calendar) {
+	case 'thai':
+		// The year started on 1 April until 1941
+		return y + 543 - (y >= 1912 && y <= 1940 && m <= 3 ? 1 : 0);
+	case 'minguo':
+		return y - 1911;
+	case 'tenno':
+		var date = y * 10000 + m * 100 + d;
+		var era = nengo.find(function(e) {
+			return date >= e[0];
+		});
+		var year = y - era[1] + 1;
+		// The first year of an era is called gannen
+		return era[2] + (year === 1 ? '元' : year);
+	}
+};
+
+var romanTable = [
+	['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'],
+	['', 'X', 'XX', 'XXX', 'XL', 'L', 'LX', 'LXX', 'LXXX', 'XC', 'C'],
+	['', 'C', 'CC', 'CCC', 'CD', 'D', 'DC', 'DCC', 'DCCC', 'CM', 'M'],
+	['', 'M', 'MM', 'MMM', 'MMMM', 'MMMMM', 'MMMMMM', 'MMMMMMM', 'MMMMMMMM',
+		'MMMMMMMMM', 'MMMMMMMMMM',
+	],
+];
+
+var romanNumeral = function(num) {
+	num = toInt(Number(num));
+	if (num > 10000 || num <= 0) {
+		return String(num);
+	}
+	var s = '';
+	for (var pow10 = 1000, i = 3; i >= 0; pow10 /= 10, i--) {
+		if (num >= pow10) {
+			s += romanTable[i][Math.floor(num / pow10)];
+		}
+		num %= pow10;
+	}
+	return s;
+};
+
+var hebrewTable = [
+	['', 'א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ז',
+		'ח', 'ט', 'י',
+	],
+	['', 'י', 'כ', 'ל', 'מ', 'נ', 'ס', 'ע',
+		'פ', 'צ', 'ק',
+	],
+	['', 'ק', 'ר', 'ש', 'ת', 'תק', 'תר',
+		'תש', 'תת', 'תתק', 'תתר',
+	],
+];
+// Final forms of kaf, mem, nun, pe and tsadi
+var hebrewFinals = {
+	'כ': 'ך',
+	'מ': 'ם',
+	'נ': 'ן',
+	'פ': 'ף',
+	'צ': 'ץ',
+};
+
+var hebrewNumeral = function(num) {
+	num = toInt(Number(num));
+	if (num > 9999 || num <= 0) {
+		return String(num);
+	}
+
+	// Round thousands have special notations
+	if (num === 1000) {
+		return "א' אלף";
+	} else if (num % 1000 === 0) {
+		return hebrewTable[0][num / 1000] + "' אלפים";
+	}
+
+	var letters = [];
+	for (var pow10 = 1000, i = 3; i >= 0; pow10 /= 10, i--) {
+		if (num >= pow10) {
+			if (num === 15 || num === 16) {
+				// Avoid spelling the name of God
+				letters.push(hebrewTable[0][9], hebrewTable[0][num - 9]);
+				num = 0;
+			} else {
+				letters.push(hebrewTable[i % 3][Math.floor(num / pow10)]);
+				if (pow10 === 1000) {
+					letters.push("'");
+				}
+			}
+		}
+		num %= pow10;
+	}
+
+	var length = letters.length;
+	if (length === 1) {
+		// A geresh after one-letter numbers
+		letters.push("'");
+	} else {
+		letters[length - 1] = letters[length - 1].replace(/[כמנפצ]$/, function(c) {
+			return hebrewFinals[c];
+		});
+		// Gershayim before the last letter, except after thousands
+		// followed by a single letter
+		if (letters[1] === "'" && length === 3) {
+			letters.push("'");
+		} else {
+			letters.splice(length - 1, 0, '"');
+		}
+	}
+	return letters.join('');
+};
+
+
+/* ----------------------------------------------------------------------
+ * Date strings
+ * ---------------------------------------------------------------------- */
+
+var monthRE = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|' +
+	'july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|' +
+	'dec(?:ember)?)(?![a-z])';
+var weekdayRE = '(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|' +
+	'wed(?:nesday)?|thu(?:rs(?:day)?)?|fri(?:day)?|sat(?:urday)?)(?![a-z])';
+var unitRE = '(sec(?:ond)?s?|min(?:ute)?s?|hours?|days?|weeks?|' +
+	'fortnights?|months?|years?)(?![a-z])';
+var relWordRE = '(next|last|previous|this|first|second|third|fourth|fifth|' +
+	'sixth|seventh|eighth|ninth|tenth|eleventh|twelfth)';
+
+var relWords = {
+	next: 1, last: -1, previous: -1, 'this': 0, first: 1, second: 2,
+	third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8,
+	ninth: 9, tenth: 10, eleventh: 11, twelfth: 12,
+};
+
+var monthIndex = function(name) {
+	return monthAbbrevMsgs.indexOf(name.substr(0, 3)) + 1;
+};
+
+var weekdayIndex = function(name) {
+	return weekdayAbbrevMsgs.indexOf(name.substr(0, 3));
+};
+
+// Fields which aren't given are taken from the current date.
+var setDate = function(state, y, m, d) {
+	if (state.haveDate || (m !== null && (m < 1 || m > 12)) ||
+			(d !== null && (d < 1 || d > 31))) {
+		return false;
+	}
+	state.haveDate = true;
+	state.y = y;
+	state.m = m;
+	state.d = d;
+	return true;
+};
+
+var setTime = function(state, h, i, s, ampm) {
+	if (state.haveTime || i > 59 || s > 60) {
+		return false;
+	}
+	if (ampm) {
+		if (h < 1 || h > 12) {
+			return false;
+		}
+		h = (h % 12) + (ampm === 'p' ? 12 : 0);
+	} else if (h > 24) {
+		return false;
+	}
+	state.haveTime = true;
+	state.h = h;
+	state.i = i;
+	state.s = s;
+	return true;
+};
+
+var setZone = function(state, sign, h, i) {
+	if (state.zone !== null) {
+		return false;
+	}
+	state.zone = (sign === '-' ? -1 : 1) * (60 * Number(h || 0) + Number(i || 0));
+	return true;
+};
+
+var addRelative = function(state, n, unit) {
+	var rel = state.rel;
+	switch (unit.replace(/s$/, '')) {
+	case 'sec': case 'second':
+		rel.s += n;
+		break;
+	case 'min': case 'minute':
+		rel.i += n;
+		break;
+	case 'hour':
+		rel.h += n;
+		break;
+	case 'day':
+		rel.d += n;
+		break;
+	case 'week':
+		rel.d += 7 * n;
+		break;
+	case 'fortnight':
+		rel.d += 14 * n;
+		break;
+	case 'month':
+		rel.m += n;
+		break;
+	case 'year':
+		rel.y += n;
+		break;
+	}
+	return true;
+};
+
+var setWeekday = function(state, name, behavior) {
+	if (state.weekday) {
+		return false;
+	}
+	state.weekday = { day: weekdayIndex(name), behavior: behavior };
+	// Like a date, a weekday resets the time to midnight
+	state.h = state.i = state.s = 0;
+	return true;
+};
+
+var twoDigitYear = function(y) {
+	return y.length === 2 ? Number(y) + (Number(y) < 70 ? 2000 : 1900) : Number(y);
+};
+
+// Each rule matches at the start of the rest of the date string, and
+// returns false if the match doesn't make a valid date.
+var rules = [
+	{
+		re: /^@(-?\d+)(?:\.\d+)?(?!\d)/,
+		fn: function(state, m) {
+			var date = new Date(Number(m[1]) * 1000);
+			return setDate(state, date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()) &&
+				setTime(state, date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()) &&
+				setZone(state, '+', 0, 0);
+		},
+	},
+	// MediaWiki timestamps
+	{
+		re: /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?!\d)/,
+		fn: function(state, m) {
+			return setDate(state, +m[1], +m[2], +m[3]) && setTime(state, +m[4], +m[5], +m[6]);
+		},
+	},
+	{
+		re: /^(\d{4})(\d{2})(\d{2})(?!\d)/,
+		fn: function(state, m) {
+			return setDate(state, +m[1], +m[2], +m[3]);
+		},
+	},
+	{
+		re: /^(\d{4})[\-\/](\d{1,2})[\-\/](\d{1,2})(?!\d)/,
+		fn: function(state, m) {
+			return setDate(state, +m[1], +m[2], +m[3]);
+		},
+	},
+	{
+		re: /^(\d{4})-(\d{1,2})(?![\d\-])/,
+		fn: function(state, m) {
+			return setDate(state, +m[1], +m[2], 1);
+		},
+	},
+	// American month/day[/year]
+	{
+		re: /^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?(?![\d\/])/,
+		fn: function(state, m) {
+			return setDate(state, m[3] ? twoDigitYear(m[3]) : null, +m[1], +m[2]);
+		},
+	},
+	// European day.month.year
+	{
+		re: /^(\d{1,2})[.\-](\d{1,2})[.\-](\d{4})(?!\d)/,
+		fn: function(state, m) {
+			return setDate(state, +m[3], +m[2], +m[1]);
+		},
+	},
+	{
+		re: new RegExp('^(\\d{1,2})(?:st|nd|rd|th)?[ .\\-]*' + monthRE +
+			'(?:[ .,\\-]*(\\d{4})(?!\\d))?'),
+		fn: function(state, m) {
+			return setDate(state, m[3] ? +m[3] : null, monthIndex(m[2]), +m[1]);
+		},
+	},
+	{
+		re: new RegExp('^' + monthRE + '[ .,\\-]*(\\d{4})(?!\\d)'),
+		fn: function(state, m) {
+			return setDate(state, +m[2], monthIndex(m[1]), 1);
+		},
+	},
+	{
+		re: new RegExp('^' + monthRE + '[ .\\-]*(\\d{1,2})(?:st|nd|rd|th)?(?![\\d:])' +
+			'(?:[ ,.]+(\\d{4})(?!\\d))?'),
+		fn: function(state, m) {
+			return setDate(state, m[3] ? +m[3] : null, monthIndex(m[1]), +m[2]);
+		},
+	},
+	{
+		re: new RegExp('^' + monthRE),
+		fn: function(state, m) {
+			return setDate(state, null, monthIndex(m[1]), null);
+		},
+	},
+	// A year on its own, after a time
+	{
+		re: /^(\d{4})(?![\d:])/,
+		fn: function(state, m) {
+			return state.haveTime && setDate(state, +m[1], null, null);
+		},
+	},
+	{
+		re: /^t?(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?(?:\s*([ap])\.?m\.?(?![a-z]))?/,
+		fn: function(state, m) {
+			return setTime(state, +m[1], +m[2], +(m[3] || 0), m[4]);
+		},
+	},
+	{
+		re: /^(\d{1,2})\s*([ap])\.?m\.?(?![a-z])/,
+		fn: function(state, m) {
+			return setTime(state, +m[1], 0, 0, m[2]);
+		},
+	},
+	{
+		re: /^(now|today|midnight|noon|tomorrow|yesterday)(?![a-z])/,
+		fn: function(state, m) {
+			// These reset the time, but a time can still be given after them
+			state.haveTime = false;
+			state.h = m[1] === 'now' ? state.h : (m[1] === 'noon' ? 12 : 0);
+			state.i = m[1] === 'now' ? state.i : 0;
+			state.s = m[1] === 'now' ? state.s : 0;
+			if (m[1] === 'tomorrow' || m[1] === 'yesterday') {
+				state.rel.d += m[1] === 'tomorrow' ? 1 : -1;
+			}
+			return true;
+		},
+	},
+	{
+		re: new RegExp('^([+\\-]?)\\s*(\\d+)\\s*' + unitRE),
+		fn: function(state, m) {
+			return addRelative(state, (m[1] === '-' ? -1 : 1) * Number(m[2]), m[3]);
+		},
+	},
+	{
+		re: /^(first|last) day of(?![a-z])/,
+		fn: function(state, m) {
+			if (state.firstLast) {
+				return false;
+			}
+			state.firstLast = m[1];
+			return true;
+		},
+	},
+	{
+		re: new RegExp('^' + relWordRE + '\\s+' + unitRE),
+		fn: function(state, m) {
+			return addRelative(state, relWords[m[1]], m[2]);
+		},
+	},
+	{
+		re: new RegExp('^(next|last|previous|this)\\s+' + weekdayRE),
+		fn: function(state, m) {
+			return setWeekday(state, m[2], m[1] === 'previous' ? 'last' : m[1]);
+		},
+	},
+	{
+		re: new RegExp('^' + weekdayRE),
+		fn: function(state, m) {
+			return setWeekday(state, m[1], 'this');
+		},
+	},
+	{
+		re: /^ago(?![a-z])/,
+		fn: function(state) {
+			Object.keys(state.rel).forEach(function(k) {
+				state.rel[k] = -state.rel[k];
+			});
+			return true;
+		},
+	},
+	{
+		re: /^(?:utc|gmt|z)(?![a-z])(?:([+\-])(\d{1,2})(?::?(\d{2}))?(?!\d))?/,
+		fn: function(state, m) {
+			return setZone(state, m[1], m[2], m[3]);
+		},
+	},
+	{
+		re: /^([+\-])(\d{1,2}):?(\d{2})(?!\d)/,
+		fn: function(state, m) {
+			return setZone(state, m[1], m[2], m[3]);
+		},
+	},
+];
+
+/**
+ * Parse a date string like PHP's DateTime constructor, for the subset of
+ * its formats that make sense on a wiki: absolute dates and times,
+ * timestamps, and relative expressions like "+1 week", "last monday" or
+ * "first day of next month".  Dates without a timezone are in UTC.
+ *
+ * @param {string} str
+ * @param {number} now The current time, in milliseconds
+ * @return {number|null} The time in milliseconds, or null if the string
+ *   isn't a valid date.
+ */
+var parseDate = function(str, now) {
+	var state = {
+		haveDate: false,
+		haveTime: false,
+		y: null, m: null, d: null,
+		h: null, i: null, s: null,
+		zone: null,
+		rel: { y: 0, m: 0, d: 0, h: 0, i: 0, s: 0 },
+		weekday: null,
+		firstLast: null,
+	};
+	str = str.toLowerCase().trim();
+	// DateTime interprets 'XXXX' as XX:XX o'clock
+	if (/^[0-9]{4}$/.test(str)) {
+		str = '00:00 ' + str;
+	}
+	var pos = 0;
+	while (pos < str.length) {
+		var rest = str.slice(pos);
+		var sep = /^[\s,]+/.exec(rest);
+		if (sep) {
+			pos += sep[0].length;
+			continue;
+		}
+		var match = null;
+		for (var r = 0; r < rules.length && !match; r++) {
+			match = rules[r].re.exec(rest);
+			if (match && !rules[r].fn(state, match)) {
+				return null;
+			}
+		}
+		if (!match) {
+			return null;
+		}
+		pos += match[0].length;
+	}
+
+	// Fill in the fields that weren't given from the current time, in
+	// the timezone of the date string.
+	var zone = state.zone || 0;
+	var cur = new Date(now + zone * 60000);
+	var y = state.y !== null ? state.y : cur.getUTCFullYear();
+	var m = (state.m !== null ? state.m : cur.getUTCMonth() + 1) - 1 +
+		state.rel.m + 12 * state.rel.y;
+	var d = state.d !== null ? state.d : cur.getUTCDate();
+	if (state.h === null && state.haveDate) {
+		state.h = state.i = state.s = 0;
+	}
+	if (state.firstLast) {
+		d = state.firstLast === 'first' ? 1 : daysInMonth(y, m);
+	}
+	var time = makeTime(y, m, d + state.rel.d,
+		(state.h !== null ? state.h : cur.getUTCHours()) + state.rel.h,
+		(state.i !== null ? state.i : cur.getUTCMinutes()) + state.rel.i,
+		(state.s !== null ? state.s : cur.getUTCSeconds()) + state.rel.s);
+
+	if (state.weekday) {
+		var diff = (state.weekday.day - new Date(time).getUTCDay() + 7) % 7;
+		if (state.weekday.behavior === 'next') {
+			diff = diff || 7;
+		} else if (state.weekday.behavior === 'last') {
+			diff -= 7;
+		}
+		time += diff * DAY;
+	}
+	time -= zone * 60000;
+	return isNaN(time) ? null : time;
+};
+
+
+/* ----------------------------------------------------------------------
+ * Formatting
+ * ---------------------------------------------------------------------- */
+
+/**
+ * @class
+ *
+ * A point in time, shown in UTC or in the wiki's local timezone.
+ *
+ * @constructor
+ * @param {MWParserEnvironment} env
+ * @param {number} time Milliseconds since the epoch
+ * @param {boolean} isLocal Whether to use the wiki's timezone
+ */
+function ParsoidDate(env, time, isLocal) {
+	this.env = env;
+	this.time = time;
+	this.zone = isLocal ? getLocalZone(env.conf.wiki, time) : utcZone;
+
+	// The date and time in the timezone
+	var date = new Date(time + this.zone.offset * 60000);
+	this.year = date.getUTCFullYear();
+	this.month = date.getUTCMonth() + 1;
+	this.day = date.getUTCDate();
+	this.hour = date.getUTCHours();
+	this.minute = date.getUTCMinutes();
+	this.second = date.getUTCSeconds();
+	this.weekday = date.getUTCDay();
+}
+
+/**
+ * The current time, or the wiki's fake timestamp when testing.
+ *
+ * @param {MWParserEnvironment} env
+ * @return {number} Milliseconds since the epoch
+ */
+ParsoidDate.now = function(env) {
+	var fakeTimestamp = env.conf.wiki.fakeTimestamp;
+	// php time stamps are in seconds; js timestamps are in milliseconds
+	return typeof fakeTimestamp === 'number' ? fakeTimestamp * 1000 : Date.now();
+};
+
+/**
+ * The date of a `#time` date string, which is relative to the current
+ * time.
+ *
+ * @param {MWParserEnvironment} env
+ * @param {string} str The date string; empty for the current time.
+ * @param {boolean} isLocal Whether to show the date in the wiki's timezone.
+ * @return {ParsoidDate}
+ * @throws {TimeError} For an invalid date, or one outside of the years
+ *   0 to 9999.
+ */
+ParsoidDate.parse = function(env, str, isLocal) {
+	var time = parseDate(str, ParsoidDate.now(env));
+	if (time === null) {
+		throw new TimeError('pfunc_time_error');
+	}
+	var date = new ParsoidDate(env, time, isLocal);
+	if (date.year < 0) {
+		throw new TimeError('pfunc_time_too_small');
+	} else if (date.year > 9999) {
+		throw new TimeError('pfunc_time_too_big');
+	}
+	return date;
+};
+
+ParsoidDate.prototype._msg = function(key) {
+	var messages = this.env.conf.wiki.messages;
+	return (messages && messages[key]) || defaultMessages[key];
+};
+
+// The codes which are formatted like PHP's date() does, in English and
+// without localized digits.
+ParsoidDate.prototype._phpFormat = function(code) {
+	var zone = this.zone;
+	switch (code) {
+	case 'w':
+		return this.weekday;
+	case 'N':
+		return this.weekday || 7;
+	case 'z':
+		return Math.round((makeTime(this.year, this.month - 1, this.day) -
+			makeTime(this.year, 0, 1)) / DAY);
+	case 'W':
+		return pad(isoWeek(this.year, this.month, this.day)[1], 2);
+	case 'o':
+		return isoWeek(this.year, this.month, this.day)[0];
+	case 't':
+		return daysInMonth(this.year, this.month - 1);
+	case 'L':
+		return isLeapYear(this.year) ? 1 : 0;
+	case 'U':
+		return Math.floor(this.time / 1000);
+	case 'I':
+		return zone.dst ? 1 : 0;
+	case 'Z':
+		return zone.offset * 60;
+	case 'e':
+		return zone.name;
+	case 'T':
+		return zone.abbr;
+	case 'O':
+		return formatOffset(zone.offset, '');
+	case 'P':
+		return formatOffset(zone.offset, ':');
+	case 'c':
+		return pad(this.year, 4) + '-' + pad(this.month, 2) + '-' +
+			pad(this.day, 2) + 'T' + pad(this.hour, 2) + ':' +
+			pad(this.minute, 2) + ':' + pad(this.second, 2) +
+			formatOffset(zone.offset, ':');
+	case 'r':
+		return defaultMessages[weekdayAbbrevMsgs[this.weekday]] + ', ' +
+			pad(this.day, 2) + ' ' +
+			defaultMessages[monthAbbrevMsgs[this.month - 1]] + ' ' +
+			pad(this.year, 4) + ' ' + pad(this.hour, 2) + ':' +
+			pad(this.minute, 2) + ':' + pad(this.second, 2) + ' ' +
+			formatOffset(zone.offset, '');
+	}
+};
+
+/**
+ * Format the date like Language::sprintfDate.  Besides the codes of
+ * PHP's date(), this supports quoted literals and the `x`-prefixed codes
+ * for other calendars and numerals.
+ *
+ * @param {string} format
+ * @return {string}
+ */
+ParsoidDate.prototype.format = function(format) {
+	var s = '';
+	var raw = false;
+	var rawToggle = false;
+	var roman = false;
+	var hebrewNum = false;
+	var iranian, hijri, hebrew;
+	var ts = pad(this.year, 4);
+
+	for (var p = 0; p < format.length; p++) {
+		var num = null;
+		var code = format[p];
+		if (code === 'x' && p < format.length - 1) {
+			code += format[++p];
+		}
+		if (/^x[ijkmot]$/.test(code) && p < format.length - 1) {
+			code += format[++p];
+		}
+		if (/^xi/.test(code)) {
+			iranian = iranian || toIranian(this.year, this.month, this.day);
+		} else if (/^xm/.test(code)) {
+			hijri = hijri || toHijri(this.year, this.month, this.day);
+		} else if (/^xj/.test(code)) {
+			hebrew = hebrew || toHebrew(this.year, this.month, this.day);
+		}
+
+		switch (code) {
+		case 'xx':
+			s += 'x';
+			break;
+		case 'xn':
+			raw = true;
+			break;
+		case 'xN':
+			rawToggle = !rawToggle;
+			break;
+		case 'xr':
+			roman = true;
+			break;
+		case 'xh':
+			hebrewNum = true;
+			break;
+		case 'xg':
+			s += this._msg(monthGenMsgs[this.month - 1]);
+			break;
+		case 'xjx':
+			s += this._msg('hebrew-calendar-m' + hebrew[1] + '-gen');
+			break;
+		case 'd':
+			num = pad(this.day, 2);
+			break;
+		case 'D':
+			s += this._msg(weekdayAbbrevMsgs[this.weekday]);
+			break;
+		case 'j':
+			num = this.day;
+			break;
+		case 'xij':
+			num = iranian[2];
+			break;
+		case 'xmj':
+			num = hijri[2];
+			break;
+		case 'xjj':
+			num = hebrew[2];
+			break;
+		case 'l':
+			s += this._msg(weekdayMsgs[this.weekday]);
+			break;
+		case 'F':
+			s += this._msg(monthMsgs[this.month - 1]);
+			break;
+		case 'xiF':
+			s += this._msg('iranian-calendar-m' + iranian[1]);
+			break;
+		case 'xmF':
+			s += this._msg('hijri-calendar-m' + hijri[1]);
+			break;
+		case 'xjF':
+			s += this._msg('hebrew-calendar-m' + hebrew[1]);
+			break;
+		case 'm':
+			num = pad(this.month, 2);
+			break;
+		case 'M':
+			s += this._msg(monthAbbrevMsgs[this.month - 1]);
+			break;
+		case 'n':
+			num = this.month;
+			break;
+		case 'xin':
+			num = iranian[1];
+			break;
+		case 'xmn':
+			num = hijri[1];
+			break;
+		case 'xjn':
+			num = hebrew[1];
+			break;
+		case 'xjt':
+			num = hebrew[3];
+			break;
+		case 'Y':
+			num = ts;
+			break;
+		case 'xiY':
+			num = iranian[0];
+			break;
+		case 'xmY':
+			num = hijri[0];
+			break;
+		case 'xjY':
+			num = hebrew[0];
+			break;
+		case 'xkY':
+			num = toYear(this.year, this.month, this.day, 'thai');
+			break;
+		case 'xoY':
+			num = toYear(this.year, this.month, this.day, 'minguo');
+			break;
+		case 'xtY':
+			num = toYear(this.year, this.month, this.day, 'tenno');
+			break;
+		case 'y':
+			num = ts.substr(2, 2);
+			break;
+		case 'xiy':
+			num = String(iranian[0]).substr(-2);
+			break;
+		case 'xit':
+			num = IRANIAN_DAYS[iranian[1] - 1];
+			break;
+		case 'xiz':
+			num = iranian[3];
+			break;
+		case 'a':
+			s += this.hour < 12 ? 'am' : 'pm';
+			break;
+		case 'A':
+			s += this.hour < 12 ? 'AM' : 'PM';
+			break;
+		case 'g':
+			num = this.hour % 12 || 12;
+			break;
+		case 'G':
+			num = this.hour;
+			break;
+		case 'h':
+			num = pad(this.hour % 12 || 12, 2);
+			break;
+		case 'H':
+			num = pad(this.hour, 2);
+			break;
+		case 'i':
+			num = pad(this.minute, 2);
+			break;
+		case 's':
+			num = pad(this.second, 2);
+			break;
+		case 'c': case 'r': case 'e': case 'O': case 'P': case 'T':
+			s += this._phpFormat(code);
+			break;
+		case 'w': case 'N': case 'z': case 'W': case 't': case 'L': case 'o':
+		case 'U': case 'I': case 'Z':
+			num = this._phpFormat(code);
+			break;
+		case '\\':
+			// Backslash escaping
+			s += p < format.length - 1 ? format[++p] : '\\';
+			break;
+		case '"':
+			// Quoted literal, or a literal " if it isn't terminated
+			var endQuote = p < format.length - 1 ? format.indexOf('"', p + 1) : -1;
+			if (endQuote === -1) {
+				s += '"';
+			} else {
+				s += format.substring(p + 1, endQuote);
+				p = endQuote;
+			}
+			break;
+		default:
+			s += format[p];
+		}
+
+		if (num !== null) {
+			if (rawToggle || raw) {
+				raw = false;
+			} else if (roman) {
+				num = romanNumeral(num);
+				roman = false;
+			} else if (hebrewNum) {
+				num = hebrewNumeral(num);
+				hebrewNum = false;
+			}
+			s += num;
+		}
+	}
+	return s;
+};
+
+
+if (typeof module === "object") {
+	module.exports.ParsoidDate = ParsoidDate;
+	module.exports.TimeError = TimeError;
+}
@@ -1079,6 +1079,26 @@ Sanitizer.prototype.sanitizeTagAttrs = function(token, attrs) {
 	});
 };
 
+/**
+ * Sanitize the attributes of an element which is built outside of the
+ * token pipeline, such as the wrapper of the content of a native extension.
+ *
+ * @param {TokenTransformManager} manager The manager of the extension tag.
+ * @param {string} tagName
+ * @param {KV[]} attrs
+ * @return {KV[]} The attributes to keep, sanitized.
+ */
+Sanitizer.sanitizeAttributes = function(manager, tagName, attrs) {
+	// Don't register the transforms with the manager.
+	var sanitizer = Object.create(Sanitizer.prototype);
+	sanitizer.manager = manager;
+	sanitizer.constants = SanitizerConstants;
+	sanitizer.attrWhiteListCache = {};
+	var token = new TagTk(tagName);
+	sanitizer.sanitizeTagAttrs(token, attrs);
+	return token.attribs;
+};
+
 if (typeof module === "object") {
 	module.exports.Sanitizer = Sanitizer;
 	module.exports.SanitizerConstants = SanitizerConstants;
@@ -18,7 +18,9 @@ var TokenHandler = require('./TokenHandler.js');
 var AttributeTransformManager = TokenTransformManager.AttributeTransformManager;
 var TokenAccumulator = TokenTransformManager.TokenAccumulator;
 var defines = require('../parser.defines.js');
+var Promise = require('../../utils/promise.js');
 var TemplateRequest = require('../../mw/ApiRequest.js').TemplateRequest;
+var TemplateData = require('../../mw/TemplateData.js').TemplateData;
 var Util = require('../../utils/Util.js').Util;
 var DU = require('../../utils/DOMUtils.js').DOMUtils;
 
@@ -108,7 +110,17 @@ TemplateHandler.prototype.onTemplate = function(token, frame, cb) {
 		this.convertAttribsToString(state, token.attribs, cb);
 		return;
 	}
-	if (env.conf.parsoid.usePHPPreProcessor && env.conf.wiki.apiURI !== null) {
+	var usePHPPreProcessor = env.conf.parsoid.usePHPPreProcessor && env.conf.wiki.apiURI !== null;
+	// Parser functions transcluding part of a page, implemented by native
+	// extensions (like {{#lst:..}}).  Expansions of the preprocessor
+	// (without template wrapping) don't contain them anymore.
+	var functionHook = tgt && tgt.isPF && !tgt.isSubst &&
+		env.conf.wiki.nativeFunctionHooks.get(state.parserFunctionName);
+	if (functionHook && (this.options.wrapTemplates || !usePHPPreProcessor)) {
+		this._expandFunctionHook(state, frame, functionHook, cb);
+		return;
+	}
+	if (usePHPPreProcessor) {
 		if (this.options.wrapTemplates) {
 			// Use MediaWiki's action=expandtemplates preprocessor
 			// We'll never get to frame depth beyond 1 in this scenario
@@ -387,11 +399,23 @@ TemplateHandler.prototype.resolveTemplateTarget = function(state, targetToks) {
 
 	var env = this.manager.env;
 
-	// Convert the target to a string while stripping all non-text tokens
-	var target = Util.tokensToString(targetToks).trim();
+	// Strip a subst: or safesubst: prefix from the target. On a normal
+	// parse, MediaWiki expands {{safesubst:..}} like any other
+	// transclusion, but leaves {{subst:..}} alone, since that is only
+	// substituted when the page is saved.
+	var substName = null;
+	var stripSubst = function(t) {
+		var m = /^([^:]*:)([\s\S]*)$/.exec(t);
+		var name = m && env.conf.wiki.magicWordCanonicalName(m[1].trim());
+		if (name === 'subst' || name === 'safesubst') {
+			substName = name;
+			return m[2].trim();
+		}
+		return t;
+	};
 
-	// strip subst for now.
-	target = target.replace(/^(safe)?subst:/, '');
+	// Convert the target to a string while stripping all non-text tokens
+	var target = stripSubst(Util.tokensToString(targetToks).trim());
 
 	// Check if we have a parser function.
 	//
@@ -410,6 +434,7 @@ TemplateHandler.prototype.resolveTemplateTarget = function(state, targetToks) {
 		state.parserFunctionName = translatedPrefix;
 		return {
 			isPF: true,
+			isSubst: substName === 'subst',
 			prefix: prefix,
 			target: 'pf_' + translatedPrefix,
 			pfArg: target.substr(prefix.length + 1),
@@ -423,7 +448,7 @@ TemplateHandler.prototype.resolveTemplateTarget = function(state, targetToks) {
 		// resolvabilityInfo found a new target based on the target tokens. This
 		// happens when the target contains special characters, specially quotes.
 		// For an example look at T96090.
-		target = tgtInfo.newTarget;
+		target = stripSubst(tgtInfo.newTarget);
 		pieces = target.split(':');
 		prefix = pieces[0].trim();
 		lowerPrefix = prefix.toLowerCase();
@@ -450,18 +475,18 @@ TemplateHandler.prototype.resolveTemplateTarget = function(state, targetToks) {
 			state.resolvedTemplateTarget = Util.sanitizeTitleURI(env.page.relativeLinkPrefix + target);
 		}
 
-		return { isPF: false, target: target };
+		return { isPF: false, isSubst: substName === 'subst', target: target };
 	} else {
 		return null;
 	}
 
 };
 
-TemplateHandler.prototype.convertAttribsToString = function(state, attribs, cb) {
-	var self = this;
-	cb({tokens: [], async: true});
-
-	// Re-join attribute tokens with '=' and '|'
+/**
+ * Re-join template attribute tokens with '=' and '|', and wrap them in
+ * braces.
+ */
+var joinAttribs = function(attribs) {
 	var attribTokens = [];
 	attribs.forEach(function(kv) {
 		if (kv.k) {
@@ -477,7 +502,14 @@ TemplateHandler.prototype.convertAttribsToString = function(state, attribs, cb)
 	// pop last pipe separator
 	attribTokens.pop();
 
-	var tokens = ['{{'].concat(attribTokens, ['}}', new defines.EOFTk()]);
+	return ['{{'].concat(attribTokens, ['}}']);
+};
+
+TemplateHandler.prototype.convertAttribsToString = function(state, attribs, cb) {
+	var self = this;
+	cb({tokens: [], async: true});
+
+	var tokens = joinAttribs(attribs).concat([new defines.EOFTk()]);
 
 	// Process exploded token in a new pipeline
 	var newTokens = [];
@@ -545,6 +577,19 @@ TemplateHandler.prototype._expandTemplate = function(state, frame, resolvedTgt,
 
 	var res;
 	target = resolvedTgt.target;
+	if (resolvedTgt.isSubst) {
+		// Leave {{subst:..}} alone; only its arguments are expanded.
+		res = joinAttribs(attribs);
+		if (this.options.wrapTemplates) {
+			this._onChunk(state, cb, res);
+			this._onEnd(state, cb);
+		} else {
+			res.rank = this.rank;
+			cb({ tokens: res });
+		}
+		return;
+	}
+
 	if (resolvedTgt.isPF) {
 		// FIXME: Parsoid may not have implemented the parser function natively
 		// Emit an error message, but encapsulate it so it roundtrips back.
@@ -575,13 +620,23 @@ TemplateHandler.prototype._expandTemplate = function(state, frame, resolvedTgt,
 	if (checkRes) {
 		// Loop detected or depth limit exceeded, abort!
 		res = [
-				checkRes,
-				new TagTk('a', [{ k: 'href', v: target }]),
-				target,
-				new EndTagTk('a'),
-			];
-		res.rank = this.manager.phaseEndRank;
-		cb({ tokens: res });
+			new TagTk('span', [ new KV('class', 'error') ]),
+			checkRes,
+			new TagTk('a', [
+				new KV('rel', 'mw:WikiLink'),
+				new KV('href', Util.sanitizeTitleURI(env.page.relativeLinkPrefix + target)),
+				new KV('title', target),
+			]),
+			target,
+			new EndTagTk('a'),
+			new EndTagTk('span'),
+		];
+		if (this.options.wrapTemplates) {
+			this._onChunk(state, cb, res);
+			this._onEnd(state, cb);
+		} else {
+			cb({ tokens: res });
+		}
 		return;
 	}
 
@@ -602,6 +657,96 @@ TemplateHandler.prototype._expandTemplate = function(state, frame, resolvedTgt,
 	this._fetchTemplateAndTitle(target, cb, srcHandler, state);
 };
 
+/**
+ * Expand a parser function implemented natively by an extension, which
+ * transcludes part of the page given as its first argument (like
+ * {{#lst:Page|section}}).  The hook picks the wikitext to transclude out
+ * of the source of the page, which is then expanded like a template.
+ */
+TemplateHandler.prototype._expandFunctionHook = function(state, frame, hook, cb) {
+	var accumReceiveToksFromSibling;
+	if (this.options.wrapTemplates) {
+		state.accum = new TokenAccumulator(this.manager, cb);
+		accumReceiveToksFromSibling = state.accum.receiveToksFromSibling.bind(state.accum);
+		// Process the main template element
+		this._encapsulateTemplate(state,
+			state.accum.receiveToksFromChild.bind(state.accum));
+	} else {
+		accumReceiveToksFromSibling = cb;
+	}
+	var atm = new AttributeTransformManager(
+				this.manager,
+				{wrapTemplates: false, inTemplate: true},
+				this._transcludeFunctionHook.bind(this, state, frame, hook,
+					accumReceiveToksFromSibling)
+			);
+	accumReceiveToksFromSibling({tokens: [], async: true});
+	atm.process(state.token.attribs);
+};
+
+TemplateHandler.prototype._transcludeFunctionHook = function(state, frame, hook, cb, attribs) {
+	var env = this.manager.env;
+	var srcAttribs = state.token.attribs;
+	var wrapTemplates = this.options.wrapTemplates;
+	var toText = function(v, i) {
+		var text = Util.tokensToString(v, true);
+		if (!Array.isArray(text)) {
+			return text;
+		}
+		// The argument has markup (like the replacement text of #lstx),
+		// which is inserted in the transcluded wikitext: use its source
+		// if we have it (the offsets of nested templates aren't in the
+		// source of the page).
+		var srcOffsets = wrapTemplates && i !== undefined && srcAttribs[i].srcOffsets;
+		return srcOffsets ?
+			env.page.src.substring(srcOffsets[2], srcOffsets[3]) :
+			Util.tokensToString(v);
+	};
+	var target = toText(attribs[0].k);
+	var args = [target.substr(target.indexOf(':') + 1).trim()].concat(
+		attribs.slice(1).map(function(kv, i) {
+			var k = toText(kv.k);
+			return (k ? k + '=' : '') + toText(kv.v, i + 1).trim();
+		})
+	);
+
+	if (!args[0]) {
+		this._onEnd(state, cb);
+		return;
+	}
+	var title = env.resolveTitle(env.normalizeTitle(args[0]), 0);
+
+	var checkRes = frame.loopAndDepthCheck(title, env.conf.parsoid.maxDepth);
+	if (checkRes) {
+		// Loop detected or depth limit exceeded, abort!
+		this._onChunk(state, cb, [
+			new TagTk('span', [ new KV('class', 'error') ]),
+			checkRes,
+			new EndTagTk('span'),
+		]);
+		this._onEnd(state, cb);
+		return;
+	}
+
+	var self = this;
+	var tplArgs = {
+		name: title,
+		attribs: [],
+		cacheKey: state.parserFunctionName + ':' + args.join('|'),
+	};
+	this._fetchTemplateAndTitle(title, cb, function(err, src) {
+		var text = hook.transclude(err ? '' : (src || ''), args.slice(1));
+		var srcHandler = state.srcCB.bind(self, state, frame, cb, tplArgs);
+		if (env.conf.parsoid.usePHPPreProcessor && env.conf.wiki.apiURI !== null &&
+				/\{\{/.test(text)) {
+			// Let the preprocessor expand the templates of the section
+			self.fetchExpandedTpl(env.page.name || '', text, cb, srcHandler);
+		} else {
+			srcHandler(null, text);
+		}
+	}, state);
+};
+
 /**
  * Process a fetched template source to a document, enforcing proper nesting
  * along the way.
@@ -815,13 +960,14 @@ TemplateHandler.prototype._encapsulateTemplate = function(state, cb) {
 		// Get the arg dict
 		var argInfo = this.getArgInfo(state);
 		var argDict = argInfo.dict;
+		// The parameters that need parsing into HTML
+		var params = [];
 
 		if (env.conf.parsoid.addHTMLTemplateParameters) {
 			// Collect the parameters that need parsing into HTML, that is,
 			// those that are not simple strings.
 			// This optimizes for the common case where all are simple strings,
 			// in which we don't need to go async.
-			var params = [];
 			for (i = 0, n = argInfo.paramInfos.length; i < n; i++) {
 				var paramInfo = argInfo.paramInfos[i];
 				var param = argDict.params[paramInfo.k];
@@ -853,25 +999,32 @@ TemplateHandler.prototype._encapsulateTemplate = function(state, cb) {
 					});
 				}
 			}
+		}
 
-			if (params.length) {
-				// TODO: We could avoid going async by checking if all params are strings
-				// and, in that case returning them immediately.
-				async.each(params, getParamHTML.bind(this), function(err) {
+		// The linter and the jsapi (which adds the HTML parameters) use
+		// the TemplateData of the template, and can't fetch it themselves.
+		var title = TemplateData.targetTitle(argDict.target);
+		var fetchTemplateData = title !== null &&
+			(env.conf.parsoid.addHTMLTemplateParameters || env.linting);
+
+		if (params.length || fetchTemplateData) {
+			var tplDataP = fetchTemplateData ?
+				TemplateData.fetch(env, title) : Promise.resolve();
+			// TODO: We could avoid going async by checking if all params are strings
+			// and, in that case returning them immediately.
+			async.each(params, getParamHTML.bind(this), function(err) {
+				tplDataP.then(function() {
 					// Use a data-attribute to prevent the sanitizer from stripping this
 					// attribute before it reaches the DOM pass where it is needed.
 					chunk[0].dataAttribs.tmp.tplarginfo = JSON.stringify(argInfo);
 					env.dp('TemplateHandler._encapsulateTemplate', chunk);
 					cb({tokens: chunk});
-				}.bind(this));
+				}).done();
+			});
 
-				cb({tokens: [], async: true});
-				return;
-			} else {
-				chunk[0].dataAttribs.tmp.tplarginfo = JSON.stringify(argInfo);
-			}
+			cb({tokens: [], async: true});
+			return;
 		} else {
-			// Don't add the HTML template parameters, just use their wikitext
 			chunk[0].dataAttribs.tmp.tplarginfo = JSON.stringify(argInfo);
 		}
 	}
@@ -951,11 +1104,14 @@ TemplateHandler.prototype._onDocument = function(state, cb, doc) {
 		DU.storeDataMw(firstNode,
 			Object.assign(state.wrapperDataMw || {}, argDict));
 
-		// Update data-parsoid
-		DU.storeDataParsoid(firstNode, {
-			tsr: Util.clone(state.token.dataAttribs.tsr),
-			src: state.token.dataAttribs.src,
-		});
+		// Update data-parsoid, keeping what the expansion recorded there
+		// (see ExtensionHandler.onExtension)
+		DU.storeDataParsoid(firstNode, Object.assign(
+			DU.getJSONAttribute(firstNode, 'data-parsoid', {}), {
+				tsr: Util.clone(state.token.dataAttribs.tsr),
+				src: state.token.dataAttribs.src,
+			}
+		));
 	};
 
 	var toks = DU.buildDOMFragmentTokens(
@@ -1122,7 +1278,8 @@ TemplateHandler.prototype._fetchTemplateAndTitle = function(title, parentCB, cb,
 		// Start a new request if none is outstanding
 		if (env.requestQueue[title] === undefined) {
 			env.tp('Note: Starting new request for ' + title);
-			env.requestQueue[title] = new TemplateRequest(env, title);
+			env.requestQueue[title] = new TemplateRequest(env, title, null,
+				{ transclusion: true });
 		}
 
 		// append request, process in document order
@@ -582,6 +582,141 @@ describe('Parsoid API', function() {
 				.end(done);
 			});
 
+			if (version === 3) {
+				it('should stream html by section', function(done) {
+					request(api)
+					.get(mockDomain + '/v3/page/html/Main_Page/1?stream=true')
+					.expect(validHtmlResponse(function(doc) {
+						doc.body.firstChild.textContent.should.equal("MediaWiki has been successfully installed.");
+						doc.querySelector('h2').textContent.should.equal(' Getting started ');
+						// data-parsoid is sent last, at the end of the body
+						should.not.exist(doc.body.firstChild.getAttribute('data-parsoid'));
+						var script = doc.body.lastChild;
+						script.getAttribute('id').should.equal('mw-data-parsoid');
+						JSON.parse(script.textContent).should.have.property('ids');
+						should.not.exist(doc.head.querySelector('#mw-data-parsoid'));
+					}))
+					.end(done);
+				});
+
+				it('should stream the body only', function(done) {
+					request(api)
+					.post(mockDomain + '/v3/transform/wikitext/to/html/')
+					.send({ wikitext: '== h2 ==\nfoo', body_only: true, stream: true })
+					.expect(200)
+					.expect(function(res) {
+						res.text.should.match(/^<h2 id="mwAQ"> h2 <\/h2>\n<p id="mwAg">foo<\/p><script id="mw-data-parsoid"/);
+					})
+					.end(done);
+				});
+
+				it('should not stream when the flag is false', function(done) {
+					request(api)
+					.get(mockDomain + '/v3/page/html/Main_Page/1?stream=false')
+					.expect(validHtmlResponse(function(doc) {
+						doc.body.firstChild.hasAttribute('data-parsoid').should.equal(true);
+						should.not.exist(doc.getElementById('mw-data-parsoid'));
+					}))
+					.end(done);
+				});
+
+				it('should not allow streaming a pagebundle', function(done) {
+					request(api)
+					.get(mockDomain + '/v3/page/pagebundle/Main_Page/1?stream=true')
+					.expect(501)
+					.end(done);
+				});
+
+				it('should get the html of a section by index', function(done) {
+					request(api)
+					.get(mockDomain + '/v3/page/html/Main_Page/1/section/1')
+					.expect(validHtmlResponse(function(doc) {
+						doc.body.firstChild.nodeName.should.equal('H2');
+						doc.body.firstChild.textContent.should.equal(' Getting started ');
+						doc.body.lastChild.nodeName.should.equal('UL');
+					}))
+					.end(done);
+				});
+
+				it('should get a section by anchor as a pagebundle', function(done) {
+					request(api)
+					.get(mockDomain + '/v3/page/pagebundle/Main_Page/1/section/Getting_started')
+					.expect(validPageBundleResponse(function(doc, dp) {
+						doc.body.firstChild.nodeName.should.equal('H2');
+						var id = doc.body.firstChild.getAttribute('id');
+						dp.ids.should.have.property(id);
+						// Only the data-parsoid of the section is sent.
+						dp.ids.should.not.have.property(doc.body.getAttribute('id'));
+					}))
+					.end(done);
+				});
+
+				it('should number the anchors of repeated headings', function(done) {
+					request(api)
+					.get(mockDomain + '/v3/page/html/Sections_Page/4/section/notes_3')
+					.expect(validHtmlResponse(function(doc) {
+						doc.body.firstChild.textContent.should.equal(' notes ');
+						doc.body.querySelector('p').textContent.should.equal('c');
+					}))
+					.end(done);
+				});
+
+				it('should return a 404 for a missing section', function(done) {
+					request(api)
+					.get(mockDomain + '/v3/page/html/Main_Page/1/section/2')
+					.expect(404)
+					.end(done);
+				});
+
+				it('should splice the wikitext of an edited section', function(done) {
+					request(api)
+					.post(mockDomain + '/v3/transform/html/to/wikitext/Main_Page/1/section/0')
+					.send({ html: '<p>Welcome!</p>\n\n' })
+					.expect(200)
+					.expect(function(res) {
+						res.text.should.match(/^Welcome!\n\n== Getting started ==\n\* \[/);
+					})
+					.end(done);
+				});
+
+				it('should return lint issues with fixes', function(done) {
+					request(api)
+					.post(mockDomain + '/v3/transform/wikitext/to/lint/')
+					.send({ wikitext: 'foo</div> <big>bar</big>' })
+					.expect(200)
+					.expect('Content-Type', /^application\/json/)
+					.expect(function(res) {
+						res.body.should.have.length(2);
+						res.body[0].should.have.property('id', 0);
+						res.body[0].should.have.property('type', 'stripped-tag');
+						res.body[0].should.have.property('severity', 'low');
+						res.body[0].fix.should.deep.equal({ dsr: [3, 9], wikitext: '' });
+						res.body[1].should.have.property('type', 'obsolete-tag');
+					})
+					.end(done);
+				});
+
+				it('should apply selected lint fixes', function(done) {
+					request(api)
+					.post(mockDomain + '/v3/transform/lint/to/wikitext/')
+					.send({ wikitext: 'foo</div> <big>bar</big>', fixes: [1] })
+					.expect(200)
+					.expect('x-lint-fixes-applied', '1')
+					.expect(function(res) {
+						res.text.should.equal('foo</div> <span style="font-size:larger;">bar</span>');
+					})
+					.end(done);
+				});
+
+				it('should require fixes to apply', function(done) {
+					request(api)
+					.post(mockDomain + '/v3/transform/lint/to/wikitext/')
+					.send({ wikitext: 'foo</div>' })
+					.expect(400)
+					.end(done);
+				});
+			}
+
 			it('should return a request too large error (post wt)', function(done) {
 				request(api)
 				.post(version === 3 ?
@@ -1036,4 +1171,59 @@ describe('Parsoid API', function() {
 	describe("v2 Routes", function() { testRoutes(2); });
 	describe("v3 Routes", function() { testRoutes(3); });
 
+	describe("html2html variant conversion", function() {
+		var srDomain = 'sr.mock.domain';
+
+		it('should convert the html to the variant', function(done) {
+			request(api)
+			.post(srDomain + '/v3/transform/html/to/html/')
+			.send({
+				html: '<p>Београд</p>',
+				variant: 'sr-el',
+			})
+			.expect(200)
+			.expect('Content-Language', 'sr-el')
+			.expect(function(res) {
+				var doc = domino.createDocument(res.text);
+				doc.body.innerHTML.should.equal('<p>Beograd</p>');
+			})
+			.end(done);
+		});
+
+		it('should require a variant', function(done) {
+			request(api)
+			.post(srDomain + '/v3/transform/html/to/html/')
+			.send({
+				html: '<p>Београд</p>',
+			})
+			.expect(400)
+			.expect(/No variant was supplied/)
+			.end(done);
+		});
+
+		it('should not convert on a wiki without variants', function(done) {
+			request(api)
+			.post(mockDomain + '/v3/transform/html/to/html/')
+			.send({
+				html: '<p>Београд</p>',
+				variant: 'sr-el',
+			})
+			.expect(501)
+			.expect(/Language conversion is not supported/)
+			.end(done);
+		});
+
+		it('should reject an unknown variant', function(done) {
+			request(api)
+			.post(srDomain + '/v3/transform/html/to/html/')
+			.send({
+				html: '<p>Београд</p>',
+				variant: 'zh-hant',
+			})
+			.expect(400)
+			.expect(/Invalid variant: zh-hant/)
+			.end(done);
+		});
+	});
+
 });
@@ -15,6 +15,12 @@ exports.setup = function(parsoidConfig) {
 			domain: 'mock.domain',
 			uri: process.env.PARSOID_MOCKAPI_URL,
 		});
+		// A wiki with language variants, for the variant conversion tests.
+		parsoidConfig.setMwApi({
+			prefix: 'mock.srwiki',
+			domain: 'sr.mock.domain',
+			uri: process.env.PARSOID_MOCKAPI_URL.replace(/api\.php$/, 'srwiki/api.php'),
+		});
 	}
 
 	// We pre-define wikipedias as 'enwiki', 'dewiki' etc. Similarly
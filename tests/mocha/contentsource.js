@@ -0,0 +1,227 @@
+/** Test cases for reading wikis from content sources */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it, before, after*/
+
+var should = require('chai').should();
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var MWParserEnvironment = require('../../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var TemplateRequest = require('../../lib/mw/ApiRequest.js').TemplateRequest;
+var XMLDumpSource = require('../../lib/mw/ContentSource.js').XMLDumpSource;
+var helpers = require('./test.helpers.js');
+
+var DUMP = [
+	'<mediawiki xmlns="http://www.mediawiki.org/xml/export-0.10/" version="0.10" xml:lang="en">',
+	'  <siteinfo>',
+	'    <sitename>Test Wiki</sitename>',
+	'    <dbname>testwiki</dbname>',
+	'    <base>https://test.example.org/wiki/Front_Page</base>',
+	'    <generator>MediaWiki 1.28.0</generator>',
+	'    <case>first-letter</case>',
+	'    <namespaces>',
+	'      <namespace key="0" case="first-letter" />',
+	'      <namespace key="4" case="first-letter">Test Wiki</namespace>',
+	'      <namespace key="6" case="first-letter">File</namespace>',
+	'      <namespace key="10" case="first-letter">Template</namespace>',
+	'      <namespace key="100" case="case-sensitive">Portal</namespace>',
+	'    </namespaces>',
+	'  </siteinfo>',
+	'  <page>',
+	'    <title>Front Page</title>',
+	'    <ns>0</ns>',
+	'    <id>1</id>',
+	'    <revision>',
+	'      <id>10</id>',
+	'      <timestamp>2016-01-01T00:00:00Z</timestamp>',
+	'      <contributor><username>Alice</username><id>2</id></contributor>',
+	'      <model>wikitext</model>',
+	'      <format>text/x-wiki</format>',
+	'      <text xml:space="preserve" bytes="11">First &amp; old</text>',
+	'      <sha1>a</sha1>',
+	'    </revision>',
+	'    <revision>',
+	'      <id>11</id>',
+	'      <parentid>10</parentid>',
+	'      <timestamp>2016-01-02T00:00:00Z</timestamp>',
+	'      <contributor><ip>127.0.0.1</ip></contributor>',
+	'      <comment>Grüße</comment>',
+	'      <model>wikitext</model>',
+	'      <format>text/x-wiki</format>',
+	'      <text xml:space="preserve" bytes="30">Grüße, {{Greet|wörld}} &lt;b&gt;!</text>',
+	'      <sha1>b</sha1>',
+	'    </revision>',
+	'  </page>',
+	'  <page>',
+	'    <title>Template:Greet</title>',
+	'    <ns>10</ns>',
+	'    <id>2</id>',
+	'    <revision>',
+	'      <id>12</id>',
+	'      <timestamp>2016-01-01T00:00:00Z</timestamp>',
+	'      <contributor><username>Bob</username><id>3</id></contributor>',
+	'      <model>wikitext</model>',
+	'      <format>text/x-wiki</format>',
+	'      <text xml:space="preserve" bytes="15">Hello, {{{1}}}!</text>',
+	'      <sha1>c</sha1>',
+	'    </revision>',
+	'  </page>',
+	'  <page>',
+	'    <title>Portal:news</title>',
+	'    <ns>100</ns>',
+	'    <id>3</id>',
+	'    <revision>',
+	'      <id>13</id>',
+	'      <timestamp>2016-01-01T00:00:00Z</timestamp>',
+	'      <contributor><username>Bob</username><id>3</id></contributor>',
+	'      <model>wikitext</model>',
+	'      <format>text/x-wiki</format>',
+	'      <text deleted="deleted" />',
+	'      <sha1 />',
+	'    </revision>',
+	'  </page>',
+	'</mediawiki>',
+	'',
+].join('\n');
+
+describe('ContentSource', function() {
+	var dump = path.join(os.tmpdir(), 'parsoid-dump-test-' + process.pid + '.xml');
+
+	before(function() {
+		fs.writeFileSync(dump, DUMP);
+	});
+
+	after(function() {
+		fs.unlinkSync(dump);
+		fs.unlinkSync(dump + '.index.json');
+	});
+
+	describe('XMLDumpSource', function() {
+		var page = function(data) {
+			var pages = data.query.pages;
+			return pages[Object.keys(pages)[0]];
+		};
+
+		it('should fetch the latest revision of pages', function() {
+			var source = new XMLDumpSource({ dump: dump });
+			return source.fetchPage('Front_Page', null).then(function(data) {
+				var p = page(data);
+				p.pageid.should.equal(1);
+				p.title.should.equal('Front Page');
+				p.revisions[0].revid.should.equal(11);
+				p.revisions[0].parentid.should.equal(10);
+				p.revisions[0].user.should.equal('127.0.0.1');
+				p.revisions[0].comment.should.equal('Grüße');
+				p.revisions[0]['*'].should.equal('Grüße, {{Greet|wörld}} <b>!');
+				data.query.normalized.should.deep.equal([
+					{ from: 'Front_Page', to: 'Front Page' },
+				]);
+			});
+		});
+
+		it('should fetch given revisions', function() {
+			var source = new XMLDumpSource({ dump: dump });
+			return source.fetchPage('Front Page', '10').then(function(data) {
+				var p = page(data);
+				p.revisions[0].user.should.equal('Alice');
+				p.revisions[0].userid.should.equal(2);
+				p.revisions[0]['*'].should.equal('First & old');
+				return source.fetchPage('Front Page', '99');
+			}).then(function(data) {
+				should.not.exist(data.query.pages);
+				data.query.badrevids.should.have.property('99');
+			});
+		});
+
+		it('should normalize titles like MediaWiki', function() {
+			var source = new XMLDumpSource({ dump: dump });
+			return source.fetchPage('template:greet', null).then(function(data) {
+				page(data).revisions[0]['*'].should.equal('Hello, {{{1}}}!');
+				return source.fetchPage('Portal:News', null);
+			}).then(function(data) {
+				// Titles of case-sensitive namespaces aren't capitalized.
+				page(data).should.have.property('missing');
+				page(data).ns.should.equal(100);
+				return source.fetchPage('Portal:news', null);
+			}).then(function(data) {
+				page(data).revisions[0].should.have.property('texthidden');
+				page(data).revisions[0].should.not.have.property('*');
+			});
+		});
+
+		it('should complete the base configuration with the site info of the dump', function() {
+			var source = new XMLDumpSource({ dump: dump });
+			return source.fetchSiteInfo().then(function(data) {
+				var general = data.query.general;
+				general.sitename.should.equal('Test Wiki');
+				general.wikiid.should.equal('testwiki');
+				general.mainpage.should.equal('Front Page');
+				general.server.should.equal('https://test.example.org');
+				general.articlepath.should.equal('/wiki/$1');
+				data.query.namespaces['4']['*'].should.equal('Test Wiki');
+				data.query.namespaces['4'].canonical.should.equal('Project');
+				data.query.namespaces['100'].canonical.should.equal('Portal');
+				should.not.exist(data.query.namespaces['2']);
+				// From the base configuration
+				data.query.should.have.property('magicwords');
+			});
+		});
+
+		it('should save its index and reuse it', function() {
+			return new XMLDumpSource({ dump: dump }).load().then(function() {
+				var index = JSON.parse(fs.readFileSync(dump + '.index.json', 'utf8'));
+				Object.keys(index.pages).should.have.length(3);
+				// A stale index would be rebuilt, so this shows it is used.
+				index.pages['0:Front Page'].id = 42;
+				fs.writeFileSync(dump + '.index.json', JSON.stringify(index));
+				return new XMLDumpSource({ dump: dump }).fetchPage('Front Page', null);
+			}).then(function(data) {
+				page(data).pageid.should.equal(42);
+				// Once the dump changes, it is scanned again.
+				fs.utimesSync(dump, 1, 1);
+				return new XMLDumpSource({ dump: dump }).fetchPage('Front Page', null);
+			}).then(function(data) {
+				page(data).pageid.should.equal(1);
+			});
+		});
+	});
+
+	describe('with Parsoid', function() {
+		var parsoidConfig = new ParsoidConfig(null, {
+			fetchConfig: false,
+			usePHPPreProcessor: true,
+			mwApis: [
+				{
+					prefix: 'testwiki',
+					contentSource: { backend: 'xmldump', dump: dump },
+				},
+			],
+		});
+
+		it('should expand templates from the dump', function() {
+			return helpers.parse(parsoidConfig, '{{greet|you}} [[Test Wiki:About]]', {
+				prefix: 'testwiki',
+			}).then(function(ret) {
+				var p = ret.doc.body.firstChild;
+				p.textContent.should.equal('Hello, you! Test Wiki:About');
+				p.querySelector('a').getAttribute('href').should.equal('./Test_Wiki:About');
+				ret.env.conf.wiki.mainpage.should.equal('Front Page');
+			});
+		});
+
+		it('should fetch the source of pages from the dump', function() {
+			return MWParserEnvironment.getParserEnv(parsoidConfig, {
+				prefix: 'testwiki',
+				pageName: 'Front Page',
+			}).then(function(env) {
+				return TemplateRequest.setPageSrcInfo(env, 'Front Page', '10').then(function() {
+					env.page.src.should.equal('First & old');
+					env.page.meta.revision.revid.should.equal(10);
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,124 @@
+/** Test cases for the #expr evaluator */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it*/
+
+var should = require('chai').should();
+
+var ExprParser = require('../../lib/wt2html/tt/ExprParser.js').ExprParser;
+var ExprError = require('../../lib/wt2html/tt/ExprParser.js').ExprError;
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var helpers = require('./test.helpers.js');
+
+describe('ExprParser', function() {
+	var exprParser = new ExprParser();
+	var evaluate = function(expr) {
+		return exprParser.doExpression(expr);
+	};
+	var error = function(expr) {
+		var err = null;
+		try {
+			evaluate(expr);
+		} catch (e) {
+			err = e;
+		}
+		should.exist(err);
+		err.should.be.an.instanceof(ExprError);
+		return err.message;
+	};
+
+	it('should respect operator precedence', function() {
+		evaluate('1 + 2 * 3').should.equal('7');
+		evaluate('(1 + 2) * 3').should.equal('9');
+		evaluate('2 ^ 3 ^ 2').should.equal('64');
+		evaluate('-2 ^ 2').should.equal('4');
+		evaluate('3 >= 2 and 1 < 0 or not 0').should.equal('1');
+		evaluate('1 + 1.6 round 0').should.equal('3');
+	});
+
+	it('should implement the functions and constants', function() {
+		evaluate('7 mod 3').should.equal('1');
+		evaluate('-7 mod 3').should.equal('-1');
+		evaluate('7.9 mod 3').should.equal('1');
+		evaluate('7 fmod 2.5').should.equal('2');
+		evaluate('10 div 4').should.equal('2.5');
+		evaluate('3.14159 round 2').should.equal('3.14');
+		evaluate('1250 round -2').should.equal('1300');
+		evaluate('trunc -2.7').should.equal('-2');
+		evaluate('floor -2.5').should.equal('-3');
+		evaluate('ceil 2.1').should.equal('3');
+		evaluate('abs -4').should.equal('4');
+		evaluate('sqrt 16').should.equal('4');
+		evaluate('ln e').should.equal('1');
+		evaluate('exp 0').should.equal('1');
+		evaluate('cos pi').should.equal('-1');
+		evaluate('atan 1 * 4').should.equal('3.1415926535898');
+		evaluate('2 != 3').should.equal('1');
+		evaluate('2 &lt;&gt; 2').should.equal('0');
+		evaluate('5 &minus; 2').should.equal('3');
+	});
+
+	it('should format numbers like PHP', function() {
+		evaluate('1/3').should.equal('0.33333333333333');
+		evaluate('2e3').should.equal('2000');
+		evaluate('1e15').should.equal('1.0E+15');
+		evaluate('1.5e-5').should.equal('1.5E-5');
+		evaluate('0.0001').should.equal('0.0001');
+		evaluate('trunc 1e15').should.equal('1000000000000000');
+		evaluate('0.1 + 0.2').should.equal('0.3');
+		evaluate('-0').should.equal('-0');
+		evaluate('1.2.3').should.equal('1.2');
+		evaluate('').should.equal('');
+	});
+
+	it('should report errors like the extension', function() {
+		error('1/0').should.equal('Division by zero.');
+		error('1 mod 0').should.equal('Division by zero.');
+		error('1 +').should.equal('Expression error: Missing operand for +.');
+		error('* 2').should.equal('Expression error: Unexpected * operator.');
+		error('1 round').should.equal('Expression error: Missing operand for round.');
+		error('2 sin 1').should.equal('Expression error: Unexpected sin operator.');
+		error('1 2').should.equal('Expression error: Unexpected number.');
+		error('(1').should.equal('Expression error: Unclosed bracket.');
+		error('1)').should.equal('Expression error: Unexpected closing bracket.');
+		error('foo').should.equal('Expression error: Unrecognized word "foo".');
+		error('1 # 2').should.equal('Expression error: Unrecognized punctuation character "#".');
+		error('ln 0').should.equal('Invalid argument for ln: <= 0.');
+		error('asin 2').should.equal('Invalid argument for asin: < -1 or > 1.');
+		error('sqrt -1').should.equal('In sqrt: result is not a number.');
+	});
+
+	describe('#expr and #ifexpr', function() {
+		var parsoidConfig = new ParsoidConfig(null, {
+			fetchConfig: false,
+			fetchTemplates: false,
+			fetchImageInfo: false,
+			usePHPPreProcessor: false,
+		});
+		var parse = function(src) {
+			return helpers.parse(parsoidConfig, src).then(function(ret) {
+				return ret.doc.body.firstChild;
+			});
+		};
+
+		it('should expand to the result', function() {
+			return parse('{{#expr: 2 * (3 + 4) }}').then(function(p) {
+				p.textContent.should.equal('14');
+			});
+		});
+
+		it('should expand to the error message', function() {
+			return parse('{{#expr: 1 / 0 }}').then(function(p) {
+				var strong = p.querySelector('strong');
+				strong.getAttribute('class').should.equal('error');
+				strong.textContent.should.equal('Division by zero.');
+			});
+		});
+
+		it('should pick a branch', function() {
+			return parse('{{#ifexpr: 2 > 1 | yes | no }} {{#ifexpr: 1 - 1 | yes | no }}').then(function(p) {
+				p.textContent.should.equal('yes no');
+			});
+		});
+	});
+});
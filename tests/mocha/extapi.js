@@ -0,0 +1,146 @@
+/** Test cases for the interface of native extensions */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it, before, after*/
+
+var should = require('chai').should();
+
+var path = require('path');
+var apiServer = require('../apiServer.js');
+var extapi = require('../../lib/config/extapi.js');
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var MWParserEnvironment = require('../../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var DU = require('../../lib/utils/DOMUtils.js').DOMUtils;
+var Linter = require('../../lib/logger/linter.js').Linter;
+var helpers = require('./test.helpers.js');
+
+var samplePath = path.resolve(__dirname, '../../guides/extensions/sample.js');
+
+describe('Extension API', function() {
+	var mockURL;
+	var makeConfig = function(setup, options) {
+		return new ParsoidConfig({ setup: setup }, Object.assign({
+			loadWMF: false,
+			// The configuration of the wikis is in lib/config/baseconfig
+			fetchConfig: false,
+			fetchImageInfo: false,
+			extensions: [ samplePath ],
+		}, options));
+	};
+	var mockSetup = function(pc) {
+		pc.setMwApi({ prefix: 'enwiki', uri: mockURL });
+	};
+	var options = { prefix: 'enwiki' };
+	var parse = function(wt, pc) {
+		return helpers.parse(pc || makeConfig(mockSetup), wt, options);
+	};
+
+	before(function() {
+		// The extensions are part of the cached configuration of the
+		// wikis, so start without the one of the other tests.
+		MWParserEnvironment.prototype.confCache = {};
+		return apiServer.startMockAPIServer({}).then(function(ret) {
+			mockURL = ret.url;
+		});
+	});
+
+	after(function() {
+		MWParserEnvironment.prototype.confCache = {};
+		apiServer.stopAllServers();
+	});
+
+	describe('versionCheck', function() {
+		it('should accept compatible versions', function() {
+			extapi.versionCheck('1.0').should.have.property('versionCheck');
+			extapi.versionCheck('^1.0.0').version.should.equal(extapi.version);
+		});
+
+		it('should reject incompatible versions', function() {
+			(function() { extapi.versionCheck('^2.0.0'); }).should.throw(/incompatible/);
+			(function() { extapi.versionCheck('1.99'); }).should.throw(/incompatible/);
+			(function() { extapi.versionCheck('latest'); }).should.throw(/Bad/);
+		});
+	});
+
+	it('should only load extensions by absolute path', function() {
+		(function() { extapi.load('guides/extensions/sample.js'); }).should.throw(/absolute/);
+		extapi.load(samplePath).extensionName.should.equal('sample');
+	});
+
+	it('should render tags with the parsed content', function() {
+		return parse('<sample-box title="Note" style="color:red" onclick="x">\'\'\'hi\'\'\'</sample-box>').then(function(ret) {
+			var box = ret.doc.body.firstChild;
+			box.nodeName.should.equal('DIV');
+			box.getAttribute('class').should.equal('sample-box');
+			box.getAttribute('typeof').should.equal('mw:Extension/sample-box');
+			box.getAttribute('style').should.equal('color:red');
+			box.getAttribute('data-title').should.equal('Note');
+			should.not.exist(box.getAttribute('onclick'));
+			box.innerHTML.should.equal('<p><b>hi</b></p>');
+			DU.getDataMw(box).should.deep.equal({
+				name: 'sample-box',
+				attrs: { title: 'Note', style: 'color:red', onclick: 'x' },
+				body: { extsrc: '\'\'\'hi\'\'\'' },
+			});
+		});
+	});
+
+	it('should run the DOM processors', function() {
+		return parse('<sample-box>a</sample-box>\n\n{{echo|<sample-box>b</sample-box>}}').then(function(ret) {
+			var boxes = ret.doc.querySelectorAll('div.sample-box');
+			boxes.length.should.equal(2);
+			boxes[0].getAttribute('id').should.equal('sample-box-1');
+			boxes[1].getAttribute('id').should.equal('sample-box-2');
+		});
+	});
+
+	it('should serialize tags', function() {
+		var wt = '<sample-box title="Note">a</sample-box>\n\n<sample-box />';
+		var pc = makeConfig(mockSetup);
+		return parse(wt, pc).then(function(ret) {
+			return helpers.serialize(pc, ret.doc, null, options).then(function(out) {
+				out.should.equal(wt);
+				ret.doc.querySelector('div.sample-box p').textContent = 'b';
+				return helpers.serialize(pc, ret.doc, null, options);
+			});
+		}).then(function(out) {
+			out.should.equal('<sample-box title="Note">b</sample-box>\n\n<sample-box />');
+		});
+	});
+
+	it('should log the issues found by lint rules', function() {
+		var wt = 'a <sample-box></sample-box> b\n\n{{echo|<sample-box />}}';
+		var pc = makeConfig(mockSetup, { linting: true });
+		return parse(wt, pc).then(function(ret) {
+			var lints = ret.env.linter.buffer;
+			lints.length.should.equal(2);
+			lints[0].type.should.equal('sample-empty-box');
+			lints[0].severity.should.equal('low');
+			lints[0].dsr.should.deep.equal([2, 27, 2, 2]);
+			lints[0].fix.should.deep.equal({ dsr: [2, 27], wikitext: '' });
+			// Issues from transclusions are fixed in the template
+			lints[1].inTransclusion.should.equal(true);
+			lints[1].templateInfo.name.should.equal('echo');
+			should.not.exist(lints[1].fix);
+			Linter.applyFixes(wt, lints, [0, 1]).wikitext.should.equal(
+				'a  b\n\n{{echo|<sample-box />}}');
+		});
+	});
+
+	it('should load extensions of a wiki by path', function() {
+		var pc = makeConfig(function(conf) {
+			conf.setMwApi({
+				prefix: 'enwiki',
+				uri: mockURL,
+				extensions: [ samplePath ],
+			});
+			conf.setMwApi({ prefix: 'dewiki', uri: mockURL, extensions: [] });
+		}, { extensions: [] });
+		return parse('<sample-box>a</sample-box>', pc).then(function(ret) {
+			ret.doc.querySelectorAll('div.sample-box').length.should.equal(1);
+			return helpers.parse(pc, '<sample-box>a</sample-box>', { prefix: 'dewiki' });
+		}).then(function(ret) {
+			ret.doc.querySelectorAll('div.sample-box').length.should.equal(0);
+		});
+	});
+});
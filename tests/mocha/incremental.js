@@ -0,0 +1,130 @@
+/** Test cases for incremental reparsing */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it*/
+
+require('chai').should();
+
+var apiUtils = require('../../lib/api/apiUtils.js');
+var DU = require('../../lib/utils/DOMUtils.js').DOMUtils;
+var MWParserEnvironment = require('../../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var Promise = require('../../lib/utils/promise.js');
+var helpers = require('./test.helpers.js');
+
+describe('Incremental reparsing', function() {
+	var counts = {};
+	var parsoidConfig = new ParsoidConfig(null, {
+		fetchConfig: false,
+		fetchTemplates: false,
+		fetchImageInfo: false,
+		usePHPPreProcessor: false,
+		performanceTimer: {
+			count: function(name) {
+				counts[name] = (counts[name] || 0) + 1;
+			},
+			timing: function() {},
+		},
+	});
+
+	var storeDataParsoid = function(env) {
+		env.storeDataParsoid = true;
+	};
+
+	var pageBundle = function(wt) {
+		return helpers.parse(parsoidConfig, wt, {
+			tweakEnv: storeDataParsoid,
+		}).then(function(ret) {
+			return DU.extractDpAndSerialize(ret.doc, {
+				bodyOnly: true,
+				innerXML: true,
+			});
+		});
+	};
+
+	var reparse = function(oldWt, newWt) {
+		return Promise.join(
+			pageBundle(oldWt),
+			MWParserEnvironment.getParserEnv(parsoidConfig, { prefix: 'enwiki' })
+		).spread(function(pb, env) {
+			storeDataParsoid(env);
+			env.setPageSrcInfo(newWt);
+			return apiUtils.reparseWt({
+				env: env,
+				wikitext: newWt,
+				original: {
+					wikitext: { body: oldWt },
+					html: { body: pb.str },
+					'data-parsoid': { body: pb.dp },
+				},
+			});
+		}).then(function(doc) {
+			return DU.extractDpAndSerialize(doc, {
+				bodyOnly: true,
+				innerXML: true,
+			});
+		});
+	};
+
+	// The HTML of a page bundle with inline data-parsoid, without the
+	// generated ids.
+	var normalize = function(pb) {
+		var doc = DU.parseHTML(pb.str);
+		DU.applyDataParsoid(doc, pb.dp);
+		Array.from(doc.body.querySelectorAll('[id^="mw"]')).forEach(function(node) {
+			node.removeAttribute('id');
+		});
+		return doc.body.innerHTML.replace(/#mwt\d+/g, '#mwt');
+	};
+
+	var check = function(oldWt, newWt, mode) {
+		counts = {};
+		return Promise.join(reparse(oldWt, newWt), pageBundle(newWt))
+		.spread(function(incremental, full) {
+			normalize(incremental).should.equal(normalize(full));
+			Object.keys(counts).should.deep.equal(['wt2html.incremental.' + mode]);
+		});
+	};
+
+	it('should reparse an edited paragraph', function() {
+		return check('a\n\nb\n\nc\n\nd\n\ne', 'a\n\nb\n\nc [[Foo|bar]]\n\nd\n\ne', 'reparse');
+	});
+
+	it('should reparse blocks merged by an edit', function() {
+		return check('a\n\n* b\n\nc\n\nd', 'a\n\n* b\n* c\n\nd', 'reparse');
+	});
+
+	it('should reparse edits at the start and end of the page', function() {
+		return check('a\n\nb\n\nc', '0\n\na\n\nb\n\nc', 'reparse').then(function() {
+			return check('a\n\nb\n\nc', 'a\n\nb\n\nc\n\n== d ==', 'reparse');
+		});
+	});
+
+	it('should shift the offsets of the following blocks', function() {
+		return reparse('a\n\nb\n\nc\n\nd', 'a\n\nbbb\n\nc\n\nd').then(function(pb) {
+			var doc = DU.parseHTML(pb.str);
+			DU.applyDataParsoid(doc, pb.dp);
+			var last = doc.body.lastChild;
+			last.textContent.should.equal('d');
+			DU.getJSONAttribute(last, 'data-parsoid', {}).dsr.should.deep.equal([11, 12, 0, 0]);
+		});
+	});
+
+	it('should reuse unedited templates and tables', function() {
+		return check('a\n\n{{foo}}\n\nb\n\nc', 'a\n\n{{foo}}\n\nb2\n\nc', 'reparse').then(function() {
+			return check('a\n\n{|\n|x\n|}\n\nb\n\nc\n\nd', 'a\n\n{|\n|x\n|}\n\nb\n\nc2\n\nd', 'reparse');
+		});
+	});
+
+	it('should fall back to a full parse for edits of templates and tables', function() {
+		return check('a\n\nb\n\n{{foo}}\n\nc', 'a\n\nb\n\n{{foo|x}}\n\nc', 'fallback').then(function() {
+			return check('a\n\n{|\n|x\n|}\n\nb\n\nc', 'a\n\n{|\n|y\n|}\n\nb\n\nc', 'fallback');
+		});
+	});
+
+	it('should fall back to a full parse for unbalanced edits and references', function() {
+		return check('a\n\nb\n\nc\n\nd', 'a\n\nb <div>\n\nc\n\nd', 'fallback').then(function() {
+			return check('a\n\nb<ref>x</ref>\n\nc\n\nd', 'a\n\nb2<ref>x</ref>\n\nc\n\nd', 'fallback');
+		});
+	});
+});
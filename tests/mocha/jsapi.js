@@ -197,6 +197,304 @@ describe('Further examples of PDoc API', function() {
 			wt.should.equal('{{echo|1=\n== two ==\n}}');
 		});
 	});
+	it('finds and mutates sections', function() {
+		var text = "Intro.\n== History ==\nOld.\n=== Early years ===\nOlder.\n" +
+			"=== Later ===\nNewer.\n== References ==\n<references />\n";
+		var pdoc, sections;
+		return Parsoid.parse(text, { pdoc: true }).then(function(_pdoc) {
+			pdoc = _pdoc;
+			sections = pdoc.getSections();
+			sections.map(function(s) { return s.index; })
+				.should.deep.equal([0, 1, 2, 3, 4]);
+			sections.map(function(s) { return s.level; })
+				.should.deep.equal([0, 2, 3, 3, 2]);
+			(sections[0].title === null).should.equal(true);
+			sections[1].title.toHtml().should.equal(' History ');
+			sections[1].heading.should.be.instanceof(Parsoid.PHeading);
+			sections[1].subsections.map(function(s) { return s.index; })
+				.should.deep.equal([2, 3]);
+			sections[2].subsections.length.should.equal(0);
+			pdoc.findSection('Later').index.should.equal(3);
+			(pdoc.findSection('Nothing') === null).should.equal(true);
+			(pdoc.getSection(5) === null).should.equal(true);
+			return Promise.all(sections.map(function(s) {
+				return s.toWikitext();
+			}));
+		}).then(function(wts) {
+			wts.should.deep.equal([
+				'Intro.\n',
+				'== History ==\nOld.\n=== Early years ===\nOlder.\n=== Later ===\nNewer.\n',
+				'=== Early years ===\nOlder.\n',
+				'=== Later ===\nNewer.\n',
+				'== References ==\n<references />\n',
+			]);
+			return sections[1].content.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal('Old.\n=== Early years ===\nOlder.\n=== Later ===\nNewer.\n');
+			sections[2].content = 'Forgotten.';
+			sections[0].content.filterText()[0].value = 'Outro.';
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal("Outro.\n== History ==\nOld.\n=== Early years ===\n" +
+				"Forgotten.\n=== Later ===\nNewer.\n== References ==\n<references />\n");
+			pdoc.getSection(3).remove();
+			pdoc.getSection(1).addSubsection('Recently', 'Newest.');
+			pdoc.appendSection('See also', 'Nothing.');
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal("Outro.\n== History ==\nOld.\n=== Early years ===\n" +
+				"Forgotten.\n\n=== Recently ===\nNewest.\n== References ==\n" +
+				"<references />\n\n== See also ==\nNothing.\n");
+			pdoc.getSections().length.should.equal(6);
+			pdoc.getSection(0).remove();
+			pdoc.findSection('History').remove();
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal("== References ==\n<references />\n\n== See also ==\nNothing.\n");
+		});
+	});
+	it('filters and mutates tables', function() {
+		var text = '{| class="wikitable"\n|+ Caption\n! A !! B !! C\n|-\n' +
+			'| rowspan="2" | a1 || b1 || c1\n|-\n| colspan="2" | b2\n|}\n';
+		var pdoc, table;
+		return Parsoid.parse(text, { pdoc: true }).then(function(_pdoc) {
+			pdoc = _pdoc;
+			var tables = pdoc.filterTables();
+			tables.length.should.equal(1);
+			table = tables[0];
+			pdoc.get(0).should.be.instanceof(Parsoid.PTable);
+			table.caption.toHtml().should.equal(' Caption');
+			table.rows.length.should.equal(3);
+			table.headerRow.cells.length.should.equal(3);
+			table.rows[1].isHeader.should.equal(false);
+			table.grid.map(function(row) {
+				return row.map(function(cell) { return cell.contents.toHtml(); });
+			}).should.deep.equal([
+				[' A ', ' B ', ' C'],
+				[' a1 ', ' b1 ', ' c1'],
+				[' a1 ', ' b2', ' b2'],
+			]);
+			table.getCell(2, 0).rowspan.should.equal(2);
+			table.getCell(2, 2).colspan.should.equal(2);
+			table.getCell(2, 2).getAttribute('colspan').should.equal('2');
+			(table.getCell(3, 0) === null).should.equal(true);
+			table.getCell(1, 1).contents = 'B1';
+			table.getCell(1, 1).setAttribute('style', 'color:red');
+			table.getCell(2, 1).removeAttribute('colspan');
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal('{| class="wikitable"\n|+ Caption\n! A !! B !! C\n|-\n' +
+				'| rowspan="2" | a1 || style="color:red" |B1|| c1\n|-\n| b2\n|}\n');
+			table.insertRow(1, ['x', 'y', 'z']);
+			table.insertRow(undefined, ['Total'], { header: true });
+			table.removeRow(0);
+			table.caption = null;
+			table.rows.length.should.equal(4);
+			table.rows[3].isHeader.should.equal(true);
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal('{| class="wikitable"\n| x\n| y\n| z\n|-\n' +
+				'| rowspan="2" | a1 || style="color:red" |B1|| c1\n|-\n| b2\n' +
+				'|-\n! Total\n|}\n');
+		});
+	});
+	it('filters and mutates refs', function() {
+		var text = 'A<ref name="x">X {{echo|web}}</ref> B<ref name="x" /> ' +
+			'C<ref>plain</ref> D<ref name="ld" />\n<references>\n' +
+			'<ref name="ld">defined</ref>\n<ref name="x">again</ref>\n</references>';
+		var pdoc, refs;
+		return Parsoid.parse(text, { pdoc: true }).then(function(_pdoc) {
+			pdoc = _pdoc;
+			refs = pdoc.filterRefs();
+			refs.map(function(r) { return r.name; })
+				.should.deep.equal(['x', 'x', null, 'ld', 'ld', 'x']);
+			refs.map(function(r) { return r.count; })
+				.should.deep.equal([3, 3, 1, 2, 2, 3]);
+			(refs[1].body === null).should.equal(true);
+			refs[2].body.toHtml().should.equal('plain');
+			refs[2].group.should.equal('');
+			refs[0].templates.length.should.equal(1);
+			refs[0].templates[0].name.should.equal('echo');
+			var references = pdoc.filterReferences();
+			references.length.should.equal(1);
+			references[0].refs.length.should.equal(2);
+			pdoc.mergeRefs().should.equal(1);
+			refs[2].body = 'simple';
+			pdoc.addRef(pdoc.filterText()[0], 'new', { name: 'n' });
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal('A<ref name="n">new</ref><ref name="x">X {{echo|web}}</ref> ' +
+				'B<ref name="x" /> C<ref>simple</ref> D<ref name="ld" />\n' +
+				'<references>\n<ref name="ld">defined</ref>\n</references>');
+			pdoc.filterReferences()[0].moveRefs();
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal('A<ref name="n" /><ref name="x" /> B<ref name="x" /> ' +
+				'C<ref name=":0" /> D<ref name="ld" />\n<references>\n' +
+				'<ref name="ld">defined</ref>\n<ref name="n">new</ref>\n' +
+				'<ref name="x">X {{echo|web}}</ref>\n<ref name=":0">simple</ref>\n' +
+				'</references>');
+		});
+	});
+	it('filters and mutates translation units', function() {
+		var text = '<translate>\n<!--T:1-->\nHello <tvar name="w">[[World]]</tvar>.\n\n' +
+			'== Heading == <!--T:2-->\n\nNot marked yet\n</translate>';
+		var pdoc, translation;
+		return Parsoid.parse(text, { pdoc: true }).then(function(_pdoc) {
+			pdoc = _pdoc;
+			var translations = pdoc.filterTranslations();
+			translations.length.should.equal(1);
+			translation = translations[0];
+			var units = translation.units;
+			units.map(function(u) { return u.id; })
+				.should.deep.equal(['1', '2', null]);
+			units[0].source.should.equal('Hello <tvar name="w">[[World]]</tvar>.');
+			units[0].vars.should.deep.equal({ w: '[[World]]' });
+			units[1].source.should.equal('== Heading ==');
+			translation.contents.filterWikiLinks().length.should.equal(1);
+			pdoc.query('translation unit[id="2"]').length.should.equal(1);
+			units[1].source = '== New heading ==';
+			translation.addUnit('Added');
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal('<translate>\n<!--T:1-->\nHello <tvar name="w">[[World]]</tvar>.\n\n' +
+				'== New heading == <!--T:2-->\n\n<!--T:3-->\nNot marked yet\n\n' +
+				'<!--T:4-->\nAdded\n</translate>');
+			translation.units.map(function(u) { return u.id; })
+				.should.deep.equal(['1', '2', null, null]);
+		});
+	});
+	it('gets and mutates page metadata', function() {
+		var text = 'Text.\n__NOTOC__\n{{DEFAULTSORT:Bar, Foo}}\n' +
+			'[[Category:Bars|Sort key]]\n[[Category:Foos]]\n' +
+			'{{echo|[[Category:Echoes]]}}\n[[fr:Foo]]\n';
+		var pdoc;
+		return Parsoid.parse(text, { pdoc: true }).then(function(_pdoc) {
+			pdoc = _pdoc;
+			var categories = pdoc.getCategories();
+			categories.map(function(c) { return c.name; })
+				.should.deep.equal(['Bars', 'Foos']);
+			categories[0].sortKey.should.equal('Sort key');
+			(categories[1].sortKey === null).should.equal(true);
+			var langLinks = pdoc.getLangLinks();
+			langLinks.length.should.equal(1);
+			langLinks[0].lang.should.equal('fr');
+			langLinks[0].title.should.equal('Foo');
+			pdoc.getPageProps().should.deep.equal({
+				notoc: true,
+				defaultsort: 'Bar, Foo',
+			});
+			(pdoc.getPageProp('displaytitle') === null).should.equal(true);
+			categories[1].sortKey = 'Foo';
+			pdoc.addCategory('New things', '#1');
+			pdoc.removeCategory('Bars').should.equal(true);
+			pdoc.removeCategory('Bars').should.equal(false);
+			pdoc.addLangLink('de', 'Foo bar');
+			pdoc.setPageProp('defaultsort', 'Baz');
+			pdoc.setPageProp('displaytitle', 'Foo');
+			pdoc.removePageProp('notoc').should.equal(true);
+			(function() { pdoc.setPageProp('nosuchthing'); })
+				.should.throw("Unknown page property: nosuchthing");
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal('Text.\n{{DISPLAYTITLE:Foo}}\n{{DEFAULTSORT:Baz}}\n' +
+				'[[Category:Foos|Foo]]\n[[Category:New things|#1]]\n' +
+				'{{echo|[[Category:Echoes]]}}\n[[fr:Foo]]\n[[de:Foo bar]]\n');
+		});
+	});
+	it('serializes the whole document unless selser is requested', function() {
+		var text = '<span >a</span> [[bar]]';
+		var pdoc;
+		return Parsoid.parse(text, { pdoc: true }).then(function(_pdoc) {
+			pdoc = _pdoc;
+			pdoc.filterWikiLinks()[0].title = 'Baz';
+			return pdoc.toWikitext();
+		}).then(function(wt) {
+			wt.should.equal('<span>a</span> [[Baz|bar]]\n');
+			return pdoc.toWikitext({ selser: true });
+		}).then(function(wt) {
+			wt.should.equal('<span >a</span> [[Baz|bar]]');
+		});
+	});
+	it('records, undoes and serializes changes', function() {
+		var text = "Foo  is a [[bar]] .\n\n{{echo|x|y=1}}\n\n" +
+			"''Keep''   this   <b>spacing</b>.\n";
+		var pdoc;
+		return Parsoid.parse(text, { pdoc: true }).then(function(_pdoc) {
+			pdoc = _pdoc;
+			pdoc.changes.length.should.equal(0);
+			pdoc.filterWikiLinks()[0].title = 'Baz';
+			var template = pdoc.filterTemplates()[0];
+			template.add('z', '2');
+			template.remove('y');
+			pdoc.filterText()[0].value = 'Bar  is a ';
+			pdoc.changes.map(function(c) { return c.type; }).should.deep.equal([
+				'link-retarget', 'template-param-add', 'template-param-remove',
+				'text-replace',
+			]);
+			// A later change touched the same template.
+			(function() { pdoc.changes[1].undo(); }).should.throw(/conflicts/);
+			pdoc.changes[2].undo();
+			pdoc.changes[2].undone.should.equal(true);
+			(function() { pdoc.changes[2].undo(); }).should.throw(/already/);
+			pdoc.getEditSummary().should.equal(
+				'changed link [[Bar]] to [[Baz]]; added z to template "echo"; ' +
+				'replaced "Foo is a" with "Bar is a"');
+			return pdoc.toWikitext({ selser: true });
+		}).then(function(wt) {
+			// The untouched parts of the page are left as they were.
+			wt.should.equal("Bar  is a [[Baz|bar]] .\n\n{{echo|x|y=1|z = 2}}\n\n" +
+				"''Keep''   this   <b>spacing</b>.\n");
+			return pdoc.getDiff({ selser: true });
+		}).then(function(diff) {
+			diff.should.match(/^-\{\{echo\|x\|y=1\}\}$/m);
+			diff.should.match(/^\+\{\{echo\|x\|y=1\|z = 2\}\}$/m);
+			diff.should.not.match(/^[-+].*spacing/m);
+		});
+	});
+	it('queries the document', function() {
+		var text = "{{infobox|image=Foo.jpg|caption=[[Foo]]}} See [[:Category:Foos]].\n" +
+			"* one [[a]]\n* two {{echo|[[b]]}}\n== History ==\n" +
+			"Old<ref name=\"r\">[[c]]</ref>.\n=== Early ===\n[http://example.com X]\n";
+		var pdoc;
+		var targets = function(links) {
+			return links.map(function(l) { return l.title; });
+		};
+		return Parsoid.parse(text, { pdoc: true }).then(function(_pdoc) {
+			pdoc = _pdoc;
+			var params = pdoc.query('template[name="Infobox"] > param[name=image]');
+			params.length.should.equal(1);
+			params[0].value.toHtml().should.equal('Foo.jpg');
+			targets(pdoc.query('wikilink[target^="Category:"]'))
+				.should.deep.equal(['Category:Foos']);
+			targets(pdoc.query('list wikilink')).should.deep.equal(['A', 'B']);
+			targets(pdoc.query('section[title=History] wikilink'))
+				.should.deep.equal(['C']);
+			pdoc.query('section[title=History] > wikilink').length.should.equal(0);
+			pdoc.query('section > heading').map(function(h) { return h.level; })
+				.should.deep.equal([2, 3]);
+			pdoc.query('section[level="3"] extlink, ref[name=r]')
+				.map(function(n) { return n.constructor.name; })
+				.should.deep.equal(['PRef', 'PExtLink']);
+			pdoc.query('template:not(:has(> param[name=image]))')
+				.map(function(t) { return t.name; }).should.deep.equal(['echo']);
+			pdoc.query('template[name=INFOBOX i]').length.should.equal(1);
+			(function() { pdoc.query('template['); })
+				.should.throw(/Invalid query/);
+			(function() { pdoc.query('foo'); })
+				.should.throw(/Unknown type "foo"/);
+			(function() { pdoc.query('template[foo]'); })
+				.should.throw(/Unknown attribute "foo" of template/);
+			// The matching nodes can be mutated.
+			params[0].value = 'Bar.jpg';
+			pdoc.query('list[type=bullet] wikilink')[0].text = 'A';
+			return pdoc.toWikitext({ selser: true });
+		}).then(function(wt) {
+			wt.should.equal("{{infobox|image=Bar.jpg|caption=[[Foo]]}} See [[:Category:Foos]].\n" +
+				"* one [[A]]\n* two {{echo|[[b]]}}\n== History ==\n" +
+				"Old<ref name=\"r\">[[c]]</ref>.\n=== Early ===\n[http://example.com X]\n");
+		});
+	});
 	it('filters and mutates external links', function() {
 		var text = "[http://example.com {{echo|link content}}]";
 		var pdoc, extlinks;
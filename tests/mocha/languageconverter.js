@@ -0,0 +1,94 @@
+/** Test cases for the language variant conversion */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it*/
+
+var should = require('chai').should();
+
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var LanguageConverter = require('../../lib/language/LanguageConverter.js').LanguageConverter;
+var MWParserEnvironment = require('../../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var helpers = require('./test.helpers.js');
+
+describe('LanguageConverter', function() {
+	var parsoidConfig = new ParsoidConfig(null, {
+		fetchConfig: false,
+		fetchTemplates: false,
+		fetchImageInfo: false,
+		usePHPPreProcessor: false,
+	});
+	var parse = function(src, prefix, variant) {
+		return helpers.parse(parsoidConfig, src, {
+			prefix: prefix,
+			tweakEnv: function(env) {
+				env.htmlVariantLanguage = variant;
+			},
+		}).then(function(ret) {
+			return ret.doc;
+		});
+	};
+
+	it('should convert text with the conversion tables', function() {
+		return parse('这是汉语', 'zhwiki', 'zh-hant').then(function(doc) {
+			doc.body.textContent.should.equal('這是漢語');
+			doc.body.getAttribute('lang').should.equal('zh-hant');
+		});
+	});
+
+	it('should convert phrases and regional words', function() {
+		return parse('头发和软件', 'zhwiki', 'zh-tw').then(function(doc) {
+			doc.body.textContent.should.equal('頭髮和軟體');
+			return parse('头发和软件', 'zhwiki', 'zh-hant');
+		}).then(function(doc) {
+			doc.body.textContent.should.equal('頭髮和軟件');
+			return parse('軟體', 'zhwiki', 'zh-cn');
+		}).then(function(doc) {
+			doc.body.textContent.should.equal('软件');
+		});
+	});
+
+	it('should not convert code', function() {
+		return parse('<code>汉语</code>', 'zhwiki', 'zh-hant').then(function(doc) {
+			doc.body.textContent.should.equal('汉语');
+		});
+	});
+
+	it('should display the text for the variant', function() {
+		return parse('-{zh-hans:计算机;zh-hant:電腦}-', 'zhwiki', 'zh-tw').then(function(doc) {
+			doc.body.textContent.should.equal('電腦');
+		});
+	});
+
+	it('should apply hidden rules to the whole page', function() {
+		var wt = '计算机-{H|zh-hans:计算机;zh-hant:電腦}-';
+		return parse(wt, 'zhwiki', 'zh-hant').then(function(doc) {
+			doc.body.textContent.should.equal('電腦');
+		});
+	});
+
+	it('should not convert disabled text', function() {
+		return parse('-{汉语}- 汉语', 'zhwiki', 'zh-hant').then(function(doc) {
+			doc.body.textContent.should.equal('汉语 漢語');
+		});
+	});
+
+	it('should transliterate Serbian', function() {
+		return parse('Љубљана', 'srwiki', 'sr-el').then(function(doc) {
+			doc.body.textContent.should.equal('Ljubljana');
+		});
+	});
+
+	it('should transliterate Serbian to Cyrillic', function() {
+		return parse('Ljubljana', 'srwiki', 'sr-ec').then(function(doc) {
+			doc.body.textContent.should.equal('Љубљана');
+		});
+	});
+
+	it('should not support variants of other wikis', function() {
+		return MWParserEnvironment.getParserEnv(parsoidConfig, {
+			prefix: 'enwiki',
+		}).then(function(env) {
+			should.not.exist(LanguageConverter.getConverter(env, 'zh-hant'));
+		});
+	});
+});
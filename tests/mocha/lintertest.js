@@ -4,6 +4,7 @@ require('../../core-upgrade.js');
 /*global describe, it*/
 
 var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var Linter = require('../../lib/logger/linter.js').Linter;
 var helpers = require('./test.helpers.js');
 
 describe('Linter Tests', function() {
@@ -134,4 +135,68 @@ describe('Linter Tests', function() {
 			});
 		});
 	});
+
+	describe('#Fixes', function() {
+		var fixWT = function(wt) {
+			return parseWT(wt).then(function(result) {
+				var ids = result.map(function(r, i) { return i; });
+				return Linter.applyFixes(wt, result, ids);
+			});
+		};
+		it('should rate the severity of issues', function() {
+			return parseWT('{|\nfoo\n|-\n| bar\n|}\n<div>foo').then(function(result) {
+				result.should.have.length(2);
+				result[0].should.have.a.property("type", "fostered");
+				result[0].should.have.a.property("severity", "high");
+				result[1].should.have.a.property("type", "missing-end-tag");
+				result[1].should.have.a.property("severity", "low");
+			});
+		});
+		it('should propose to add missing end tags', function() {
+			return parseWT('<div>foo').then(function(result) {
+				result[0].fix.should.deep.equal({ dsr: [ 8, 8 ], wikitext: '</div>' });
+			});
+		});
+		it('should propose to remove stripped tags', function() {
+			return fixWT('foo</div> bar').then(function(result) {
+				result.wikitext.should.equal('foo bar');
+			});
+		});
+		it('should propose replacements of obsolete tags', function() {
+			return fixWT('<center class="a">foo</center>\n<tt>bar</tt> <font color="red" size="+1">baz</font>').then(function(result) {
+				result.applied.should.deep.equal([ 0, 1, 2 ]);
+				result.wikitext.should.equal('<div class="a" style="text-align:center;">foo</div>\n' +
+					'<code>bar</code> <span style="color:red;font-size:large;">baz</span>');
+			});
+		});
+		it('should propose to remove ignored table attributes', function() {
+			return fixWT('{|\n|- foo\n|bar\n|}').then(function(result) {
+				result.wikitext.should.equal('{|\n|-\n|bar\n|}');
+			});
+		});
+		it('should propose to remove bogus image options', function() {
+			return fixWT('[[file:a.jpg|thumb|foo|bar]]').then(function(result) {
+				result.wikitext.should.equal('[[file:a.jpg|thumb|bar]]');
+			});
+		});
+		it('should not propose fixes of issues in transclusions', function() {
+			return parseWT('{{echo|<div>foo<p>bar</div>}}').then(function(result) {
+				result.should.have.length(1);
+				result[0].templateInfo.should.deep.equal({ name: 'echo', multiPartTemplateBlock: false });
+				(result[0].fix === null).should.equal(true);
+			});
+		});
+		it('should not apply overlapping fixes', function() {
+			var src = '<big>foo</big>';
+			var lints = [
+				{ fix: { dsr: [ 0, 14 ], wikitext: '<span>foo</span>' } },
+				{ fix: { dsr: [ 5, 8 ], wikitext: 'bar' } },
+				{ fix: null },
+			];
+			Linter.applyFixes(src, lints, [ 0, 1, 2 ]).should.deep.equal({
+				wikitext: '<big>bar</big>',
+				applied: [ 1 ],
+			});
+		});
+	});
 });
@@ -0,0 +1,93 @@
+/** Test cases for labeled section transclusion */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it*/
+
+require('chai').should();
+
+var LST = require('../../lib/ext/LST.js');
+
+describe('LST', function() {
+	var src = [
+		'Lead <section begin=a />A<section end=a />',
+		'<section begin="b" />B<section end="b" />',
+		'== One ==',
+		'Text one <section begin=\'b\'/>B2<section end=\'b\'/>',
+		'=== Sub ===',
+		'Sub text',
+		'== Two ==',
+		'Text two <!-- <section begin=a /> --><nowiki>',
+		'== Not a heading ==</nowiki>',
+		'<section begin=open />Open',
+	].join('\n');
+
+	describe('lst', function() {
+		it('should transclude all the sections with a name', function() {
+			LST.lst(src, ['b']).should.equal('BB2');
+			LST.lst(src, [' A ']).should.equal('A');
+		});
+
+		it('should transclude from a section to another', function() {
+			LST.lst(src, ['a', 'b']).should.equal(
+				'A<section end=a />\n<section begin="b" />B');
+		});
+
+		it('should run unterminated sections to the end of the page', function() {
+			LST.lst(src, ['open']).should.equal('Open');
+		});
+
+		it('should ignore markers in comments and nowiki', function() {
+			LST.lst('<!-- <section begin=x />a<section end=x /> -->', ['x']).should.equal('');
+			LST.lst('<nowiki><section begin=x /></nowiki>a', ['x']).should.equal('');
+		});
+
+		it('should transclude nothing without a section', function() {
+			LST.lst(src, []).should.equal('');
+			LST.lst(src, ['missing']).should.equal('');
+		});
+	});
+
+	describe('lstx', function() {
+		it('should replace the sections and their markers', function() {
+			LST.lstx('x<section begin=a />A<section end=a />y<section begin=a />A2<section end=a />z',
+				['a', '[[R]]']).should.equal('x[[R]]y[[R]]z');
+		});
+
+		it('should remove the sections without a replacement', function() {
+			LST.lstx('x<section begin=a />A<section end=a />y', ['a']).should.equal('xy');
+		});
+
+		it('should replace from a section to another', function() {
+			LST.lstx('x<section begin=a />A<section end=a />y<section end=b />z',
+				['a', '-', 'b']).should.equal('x-z');
+		});
+
+		it('should return the page without a section', function() {
+			LST.lstx(src, []).should.equal(src);
+		});
+	});
+
+	describe('lsth', function() {
+		it('should transclude the content under a heading', function() {
+			LST.lsth(src, ['One']).should.equal(
+				'Text one <section begin=\'b\'/>B2<section end=\'b\'/>\n' +
+				'=== Sub ===\nSub text\n');
+		});
+
+		it('should transclude up to another heading', function() {
+			LST.lsth(src, ['One', 'Sub']).should.equal(
+				'Text one <section begin=\'b\'/>B2<section end=\'b\'/>\n');
+		});
+
+		it('should transclude the lead without a heading', function() {
+			LST.lsth(src, []).should.equal(
+				'Lead <section begin=a />A<section end=a />\n' +
+				'<section begin="b" />B<section end="b" />\n');
+		});
+
+		it('should ignore headings in nowiki', function() {
+			LST.lsth(src, ['Not a heading']).should.equal('');
+			LST.lsth(src, ['two']).should.match(/^Text two [^]*Open$/);
+		});
+	});
+});
@@ -0,0 +1,108 @@
+/** Test cases for the magic links of wikis */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it, before, after*/
+
+require('chai').should();
+
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var MWParserEnvironment = require('../../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var DU = require('../../lib/utils/DOMUtils.js').DOMUtils;
+var helpers = require('./test.helpers.js');
+
+describe('Magic links', function() {
+	var parsoidConfig = new ParsoidConfig({
+		setup: function(pc) {
+			pc.setMwApi({
+				// The configuration of enwiki is in lib/config/baseconfig
+				prefix: 'enwiki',
+				uri: 'https://en.wikipedia.org/w/api.php',
+				magicLinks: [
+					{
+						keyword: 'TICKET',
+						id: '[0-9]+',
+						href: 'https://tickets.example.org/browse/%s',
+					},
+					{
+						keyword: 'DOI',
+						id: '10\\.[0-9]{4,9}/[-._;()/:A-Za-z0-9]*[A-Za-z0-9]',
+						href: 'https://doi.org/%s',
+						hrefPattern: 'https://doi\\.org/(10\\..+)',
+					},
+					{ keyword: 'PMID', disabled: true },
+				],
+			});
+		},
+	}, {
+		fetchConfig: false,
+		fetchTemplates: false,
+		fetchImageInfo: false,
+		usePHPPreProcessor: false,
+	});
+	var options = { prefix: 'enwiki' };
+
+	// The wiki configurations are cached by prefix, so don't let the
+	// other tests use this one, or this one use theirs.
+	var clearConfCache = function() {
+		MWParserEnvironment.prototype.confCache = {};
+	};
+	before(clearConfCache);
+	after(clearConfCache);
+
+	var parse = function(wt) {
+		return helpers.parse(parsoidConfig, wt, options).then(function(ret) {
+			return ret.doc;
+		});
+	};
+	var serialize = function(html) {
+		return helpers.serialize(parsoidConfig, DU.parseHTML(html), null, options);
+	};
+
+	it('should parse the magic links of the wiki', function() {
+		return parse('See TICKET 1234 and DOI 10.1000/182.').then(function(doc) {
+			var links = doc.querySelectorAll('a');
+			links.length.should.equal(2);
+			links[0].getAttribute('href').should.equal('https://tickets.example.org/browse/1234');
+			links[0].getAttribute('rel').should.equal('mw:ExtLink');
+			links[0].textContent.should.equal('TICKET 1234');
+			DU.getDataParsoid(links[0]).stx.should.equal('magiclink');
+			links[1].getAttribute('href').should.equal('https://doi.org/10.1000/182');
+			links[1].textContent.should.equal('DOI 10.1000/182');
+		});
+	});
+
+	it('should require identifiers to end a word', function() {
+		return parse('TICKET 12ab TICKET12').then(function(doc) {
+			doc.querySelectorAll('a').length.should.equal(0);
+		});
+	});
+
+	it('should keep the built-in magic links', function() {
+		return parse('RFC 1234 ISBN 978-0-316-09811-3').then(function(doc) {
+			var links = doc.querySelectorAll('a');
+			links.length.should.equal(2);
+			links[0].getAttribute('href').should.equal('//tools.ietf.org/html/rfc1234');
+			links[1].getAttribute('href').should.equal('./Special:BookSources/9780316098113');
+			links[1].getAttribute('rel').should.equal('mw:WikiLink');
+		});
+	});
+
+	it('should allow disabling built-in magic links', function() {
+		return parse('PMID 1234').then(function(doc) {
+			doc.querySelectorAll('a').length.should.equal(0);
+		});
+	});
+
+	it('should serialize links to magic links', function() {
+		return serialize('<a rel="mw:ExtLink" href="https://tickets.example.org/browse/42">TICKET 42</a> ' +
+				'<a rel="mw:ExtLink" href="https://doi.org/10.1000/182">the DOI</a>').then(function(wt) {
+			wt.should.equal('TICKET 42 [https://doi.org/10.1000/182 the DOI]');
+		});
+	});
+
+	it('should escape text which would be a magic link', function() {
+		return serialize('<p>TICKET 42</p>').then(function(wt) {
+			wt.should.equal('<nowiki>TICKET 42</nowiki>\n');
+		});
+	});
+});
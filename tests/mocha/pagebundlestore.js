@@ -0,0 +1,107 @@
+/** Test cases for the store of pagebundles */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it*/
+
+var should = require('chai').should();
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Promise = require('../../lib/utils/promise.js');
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var PBS = require('../../lib/mw/PageBundleStore.js');
+var PageBundleStore = PBS.PageBundleStore;
+
+describe('PageBundleStore', function() {
+	var bundle = {
+		title: 'Foo',
+		html: '<p id="mwAQ">foo</p>',
+		dp: { counter: 1, ids: { mwAQ: { dsr: [0, 3, 0, 0] } } },
+		wikitext: 'foo',
+	};
+
+	it('should be disabled by default', function() {
+		var pc = new ParsoidConfig(null, { fetchConfig: false });
+		should.not.exist(pc.pageBundleStore);
+	});
+
+	it('should load bundles by wiki and revision id', function() {
+		var counts = {};
+		var pc = new ParsoidConfig({
+			setup: function(conf) {
+				conf.pageBundleStorage.backend = 'memory';
+			},
+		}, {
+			fetchConfig: false,
+			performanceTimer: {
+				count: function(name) {
+					counts[name] = (counts[name] || 0) + 1;
+				},
+				timing: function() {},
+			},
+		});
+		var store = pc.pageBundleStore;
+		store.should.be.an.instanceof(PageBundleStore);
+		store.store.should.be.an.instanceof(PBS.MemoryStore);
+		return store.save('enwiki', 12, bundle).then(function() {
+			return Promise.all([
+				store.load('enwiki', '12'),
+				store.load('enwiki', 13),
+				store.load('frwiki', 12),
+			]);
+		}).spread(function(a, b, c) {
+			a.should.deep.equal({
+				title: 'Foo',
+				revid: '12',
+				html: bundle.html,
+				'data-parsoid': bundle.dp,
+				wikitext: 'foo',
+			});
+			should.not.exist(b);
+			should.not.exist(c);
+			counts.should.deep.equal({
+				'pagebundle.save': 1,
+				'pagebundle.hit': 1,
+				'pagebundle.miss': 2,
+			});
+		});
+	});
+
+	it('should keep bundles on the filesystem', function() {
+		var dir = path.join(os.tmpdir(), 'parsoid-pagebundles-test-' + process.pid);
+		var makeConfig = function() {
+			return new ParsoidConfig({
+				setup: function(conf) {
+					conf.pageBundleStorage.backend = 'filesystem';
+					conf.pageBundleStorage.dir = dir;
+				},
+			}, { fetchConfig: false });
+		};
+		return makeConfig().pageBundleStore.save('enwiki', 12, bundle).then(function() {
+			// Another worker, or a restarted one
+			return makeConfig().pageBundleStore.load('enwiki', 12);
+		}).then(function(b) {
+			b.html.should.equal(bundle.html);
+			b['data-parsoid'].should.deep.equal(bundle.dp);
+		}).finally(function() {
+			fs.readdirSync(dir).forEach(function(subdir) {
+				fs.readdirSync(path.join(dir, subdir)).forEach(function(name) {
+					fs.unlinkSync(path.join(dir, subdir, name));
+				});
+				fs.rmdirSync(path.join(dir, subdir));
+			});
+			fs.rmdirSync(dir);
+		});
+	});
+
+	it('should need a directory for the filesystem', function() {
+		(function() {
+			return new ParsoidConfig({
+				setup: function(conf) {
+					conf.pageBundleStorage.backend = 'filesystem';
+				},
+			}, { fetchConfig: false });
+		}).should.throw(/needs a dir/);
+	});
+});
@@ -0,0 +1,225 @@
+/** Test cases for the shared transclusion cache */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it*/
+
+var should = require('chai').should();
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Promise = require('../../lib/utils/promise.js');
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var MWParserEnvironment = require('../../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var TemplateRequest = require('../../lib/mw/ApiRequest.js').TemplateRequest;
+var SC = require('../../lib/mw/SharedCache.js');
+var SharedCache = SC.SharedCache;
+var MemoryStore = SC.MemoryStore;
+var FileStore = SC.FileStore;
+
+describe('SharedCache', function() {
+	describe('MemoryStore', function() {
+		it('should evict the least recently used entries', function() {
+			var store = new MemoryStore({ maxEntries: 2, maxSize: 1000 });
+			return Promise.all([
+				store.set('a', '"1"', null),
+				store.set('b', '"2"', null),
+			]).then(function() {
+				// Use 'a', so that 'b' is evicted.
+				return store.get('a');
+			}).then(function(value) {
+				value.should.equal('"1"');
+				return store.set('c', '"3"', null);
+			}).then(function() {
+				return Promise.all([store.get('a'), store.get('b'), store.get('c')]);
+			}).spread(function(a, b, c) {
+				a.should.equal('"1"');
+				should.not.exist(b);
+				c.should.equal('"3"');
+			});
+		});
+
+		it('should stay under its maximum size', function() {
+			var store = new MemoryStore({ maxEntries: 10, maxSize: 10 });
+			return store.set('a', '"aaaaaa"', null).then(function() {
+				return store.set('b', '"bbbbbb"', null);
+			}).then(function() {
+				store.size.should.equal(8);
+				return Promise.all([store.get('a'), store.get('b')]);
+			}).spread(function(a, b) {
+				should.not.exist(a);
+				b.should.equal('"bbbbbb"');
+			});
+		});
+
+		it('should not return expired entries', function() {
+			var store = new MemoryStore({ maxEntries: 10, maxSize: 1000 });
+			return store.set('a', '"1"', Date.now() - 1).then(function() {
+				return store.get('a');
+			}).then(function(value) {
+				should.not.exist(value);
+				store.size.should.equal(0);
+			});
+		});
+	});
+
+	describe('FileStore', function() {
+		var dir = path.join(os.tmpdir(), 'parsoid-cache-test-' + process.pid);
+		var unlinkDir = function() {
+			fs.readdirSync(dir).forEach(function(name) {
+				fs.unlinkSync(path.join(dir, name));
+			});
+			fs.rmdirSync(dir);
+		};
+
+		it('should store and expire entries', function() {
+			var store = new FileStore({ dir: dir, maxEntries: 10, maxSize: 1000 });
+			return Promise.all([
+				store.set('a', '"1"', null),
+				store.set('b', '"2"', Date.now() - 1),
+			]).then(function() {
+				return Promise.all([store.get('a'), store.get('b'), store.get('c')]);
+			}).spread(function(a, b, c) {
+				a.should.equal('"1"');
+				should.not.exist(b);
+				should.not.exist(c);
+				// The expired entry was removed.
+				fs.readdirSync(dir).length.should.equal(1);
+			}).finally(unlinkDir);
+		});
+
+		it('should remove the oldest entries when over its limits', function() {
+			var store = new FileStore({ dir: dir, maxEntries: 2, maxSize: 1000 });
+			store.sweepInterval = 3;
+			return store.set('a', '"1"', null).then(function() {
+				return store.set('b', '"2"', null);
+			}).then(function() {
+				// Make 'a' the oldest entry.
+				fs.utimesSync(store._file('a'), 1, 1);
+				return store.set('c', '"3"', null);
+			}).then(function() {
+				return store.sweeping;
+			}).then(function() {
+				return Promise.all([store.get('a'), store.get('b'), store.get('c')]);
+			}).spread(function(a, b, c) {
+				should.not.exist(a);
+				b.should.equal('"2"');
+				c.should.equal('"3"');
+			}).finally(unlinkDir);
+		});
+	});
+
+	describe('SharedCache', function() {
+		var counts;
+		var parsoidConfig = new ParsoidConfig(null, {
+			fetchConfig: false,
+			performanceTimer: {
+				count: function(name) {
+					counts[name] = (counts[name] || 0) + 1;
+				},
+				timing: function() {},
+			},
+		});
+
+		it('should be created from the configuration', function() {
+			parsoidConfig.sharedCache.should.be.an.instanceof(SharedCache);
+			parsoidConfig.sharedCache.store.should.be.an.instanceof(MemoryStore);
+		});
+
+		it('should key entries by wiki, title and revision', function() {
+			var cache = parsoidConfig.sharedCache;
+			var k1 = cache.makeKey('enwiki', 'template', 'Template:Foo', '1');
+			cache.makeKey('enwiki', 'template', 'Template:Foo', '2').should.not.equal(k1);
+			cache.makeKey('frwiki', 'template', 'Template:Foo', '1').should.not.equal(k1);
+			cache.makeKey('enwiki', 'template', 'Template:Bar', '1').should.not.equal(k1);
+			cache.makeKey('enwiki', 'preprocess', 'Foo', null, '{{a}}')
+				.should.not.equal(cache.makeKey('enwiki', 'preprocess', 'Foo', null, '{{b}}'));
+		});
+
+		it('should count hits and misses', function() {
+			var cache = parsoidConfig.sharedCache;
+			var key = cache.makeKey('enwiki', 'preprocess', 'Foo', null, '{{a}}');
+			counts = {};
+			return cache.get(key, 'preprocess').then(function(value) {
+				should.not.exist(value);
+				return cache.set(key, 'preprocess', { wikitext: 'a' });
+			}).then(function() {
+				return cache.get(key, 'preprocess');
+			}).then(function(value) {
+				value.should.deep.equal({ wikitext: 'a' });
+				counts.should.deep.equal({
+					'cache.preprocess.miss': 1,
+					'cache.preprocess.hit': 1,
+				});
+			});
+		});
+
+		it('should not be used by requests with a cookie', function() {
+			return Promise.all([
+				MWParserEnvironment.getParserEnv(parsoidConfig, { prefix: 'enwiki' }),
+				MWParserEnvironment.getParserEnv(parsoidConfig, {
+					prefix: 'enwiki',
+					cookie: 'session=secret',
+				}),
+			]).spread(function(anonEnv, userEnv) {
+				anonEnv.getSharedCache().should.equal(parsoidConfig.sharedCache);
+				anonEnv.batcher.sharedCache.should.equal(parsoidConfig.sharedCache);
+				should.not.exist(userEnv.getSharedCache());
+				should.not.exist(userEnv.batcher.sharedCache);
+			});
+		});
+
+		it('should let a cached template be fetched again', function() {
+			var title = 'Template:Cached';
+			// Fetch the template the way TemplateHandler does, through
+			// the request queue of the environment.
+			var fetch = function(env) {
+				return new Promise(function(resolve, reject) {
+					if (env.requestQueue[title] === undefined) {
+						env.requestQueue[title] = new TemplateRequest(env, title, null,
+							{ transclusion: true });
+					}
+					env.requestQueue[title].once('src', function(err, page) {
+						if (err) {
+							reject(err);
+						} else {
+							resolve(page.revision['*']);
+						}
+					});
+				});
+			};
+			return MWParserEnvironment.getParserEnv(parsoidConfig, {
+				prefix: 'enwiki',
+			}).then(function(env) {
+				var cache = parsoidConfig.sharedCache;
+				var key = cache.makeKey(env.conf.wiki.iwp, 'template', title, null);
+				var page = {
+					pageid: 1,
+					ns: 10,
+					title: title,
+					revisions: [ { '*': 'cached' } ],
+				};
+				return cache.set(key, 'template', {
+					query: { pages: { 1: page } },
+				}).then(function() {
+					return fetch(env);
+				}).then(function(src) {
+					src.should.equal('cached');
+					should.not.exist(env.requestQueue[title]);
+					return fetch(env);
+				}).then(function(src) {
+					src.should.equal('cached');
+				});
+			});
+		});
+
+		it('can be disabled', function() {
+			var pc = new ParsoidConfig({
+				setup: function(conf) {
+					conf.transclusionCache.backend = 'none';
+				},
+			}, { fetchConfig: false });
+			should.not.exist(pc.sharedCache);
+		});
+	});
+});
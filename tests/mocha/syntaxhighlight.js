@@ -0,0 +1,104 @@
+/** Test cases for the highlighter of the native <syntaxhighlight> */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it, before, after*/
+
+require('chai').should();
+
+var apiServer = require('../apiServer.js');
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var MWParserEnvironment = require('../../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var DU = require('../../lib/utils/DOMUtils.js').DOMUtils;
+var tokenize = require('../../lib/ext/SyntaxHighlight.js').tokenize;
+var helpers = require('./test.helpers.js');
+
+describe('SyntaxHighlight', function() {
+	// The highlighted tokens, as "class:text"
+	var highlight = function(code, lang) {
+		return tokenize(code, lang).filter(function(tok) {
+			return tok.cls;
+		}).map(function(tok) {
+			return tok.cls + ':' + tok.text;
+		});
+	};
+	var text = function(code, lang) {
+		return tokenize(code, lang).map(function(tok) {
+			return tok.text;
+		}).join('');
+	};
+
+	it('should keep the text of the code', function() {
+		var code = 'int main() {\n\t/* a "comment */\n\treturn 0x1f; // done\n}\n';
+		text(code, 'c').should.equal(code);
+		text(code, 'nosuchlanguage').should.equal(code);
+		text('/* unterminated\ncomment', 'css').should.equal('/* unterminated\ncomment');
+	});
+
+	it('should highlight comments, strings, numbers and keywords', function() {
+		highlight('var s = "a\\"b"; // c\nreturn 1.5;', 'javascript').should.deep.equal([
+			'k:var', 's2:"a\\"b"', 'c1:// c', 'k:return', 'mf:1.5',
+		]);
+		highlight('def f():\n    """doc"""\n    return None', 'python').should.deep.equal([
+			'k:def', 'sd:"""doc"""', 'k:return', 'kc:None',
+		]);
+		highlight('SELECT * FROM t -- all', 'sql').should.deep.equal([
+			'k:SELECT', 'k:FROM', 'c1:-- all',
+		]);
+	});
+
+	it('should handle the aliases of languages', function() {
+		highlight('echo $HOME', 'sh').should.deep.equal(highlight('echo $HOME', 'bash'));
+		highlight('x = 1', 'python3').should.deep.equal(highlight('x = 1', 'python'));
+		highlight('foo', 'nosuchlanguage').should.deep.equal([]);
+	});
+
+	it('should match long brackets of Lua with their own level', function() {
+		highlight('s = [==[a]]b]==] .. "c"', 'lua').should.deep.equal([
+			's:[==[a]]b]==]', 's2:"c"',
+		]);
+	});
+
+	describe('with MediaWiki', function() {
+		var parsoidConfig;
+
+		before(function() {
+			// Use the mock API of this file, not one cached by another.
+			MWParserEnvironment.prototype.confCache = {};
+			return apiServer.startMockAPIServer({}).then(function(ret) {
+				parsoidConfig = new ParsoidConfig({
+					setup: function(pc) {
+						pc.setMwApi({ prefix: 'enwiki', uri: ret.url });
+					},
+				}, {
+					loadWMF: false,
+					fetchConfig: false,
+					usePHPPreProcessor: true,
+				});
+			});
+		});
+
+		after(function() {
+			MWParserEnvironment.prototype.confCache = {};
+			apiServer.stopAllServers();
+		});
+
+		it('should let the extension of the wiki highlight the code', function() {
+			var wt = '<syntaxhighlight lang="javascript">\nvar a = 1;\n</syntaxhighlight>';
+			return helpers.parse(parsoidConfig, wt).then(function(ret) {
+				var div = ret.doc.body.firstChild;
+				div.getAttribute('typeof').should.equal('mw:Extension/syntaxhighlight');
+				// As rendered by the mock API, which doesn't highlight
+				div.getAttribute('class').should.equal('mw-highlight mw-content-ltr');
+				div.querySelectorAll('span.k').length.should.equal(0);
+				DU.getDataMw(div).body.extsrc.should.equal('\nvar a = 1;\n');
+				return DU.serializeDOM(ret.env, ret.doc.body, false).then(function(out) {
+					out.should.equal(wt);
+					div.querySelector('pre').lastChild.nodeValue = 'var b = 2;';
+					return DU.serializeDOM(ret.env, ret.doc.body, false);
+				});
+			}).then(function(out) {
+				out.should.equal('<syntaxhighlight lang="javascript">\nvar b = 2;\n</syntaxhighlight>');
+			});
+		});
+	});
+});
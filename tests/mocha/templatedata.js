@@ -0,0 +1,236 @@
+/** Test cases for the use of TemplateData */
+'use strict';
+require('../../core-upgrade.js');
+/*global describe, it, before, after*/
+
+var should = require('chai').should();
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Parsoid = require('../../');
+var Promise = require('../../lib/utils/promise.js');
+var apiServer = require('../apiServer.js');
+var ParsoidConfig = require('../../lib/config/ParsoidConfig.js').ParsoidConfig;
+var MWParserEnvironment = require('../../lib/config/MWParserEnvironment.js').MWParserEnvironment;
+var TemplateData = require('../../lib/mw/TemplateData.js').TemplateData;
+var helpers = require('./test.helpers.js');
+
+var TEMPLATEDATA = {
+	'Template:Infobox': {
+		params: {
+			name: { required: true, aliases: ['title'] },
+			image: {},
+			caption: {},
+			old: { deprecated: 'Use image instead' },
+		},
+		paramOrder: ['name', 'image', 'caption', 'old'],
+		format: 'block',
+	},
+	'Template:Cite': {
+		params: {
+			last: {},
+			first: {},
+			year: {},
+		},
+		format: 'inline',
+	},
+};
+
+describe('TemplateData', function() {
+	var file = path.join(os.tmpdir(), 'parsoid-templatedata-test-' + process.pid + '.json');
+	var mockURL;
+	var makeConfig = function(options) {
+		return new ParsoidConfig({
+			setup: function(pc) {
+				pc.setMwApi({ prefix: 'enwiki', uri: mockURL });
+			},
+		}, Object.assign({
+			loadWMF: false,
+			// The configuration of the wikis is in lib/config/baseconfig
+			fetchConfig: false,
+			fetchTemplates: false,
+			fetchImageInfo: false,
+			usePHPPreProcessor: false,
+			templateDataFile: file,
+		}, options));
+	};
+	var edit = function(wt, update) {
+		return Parsoid.parse(wt, {
+			pdoc: true,
+			prefix: 'enwiki',
+			parsoidConfig: makeConfig(),
+		}).then(function(pdoc) {
+			update(pdoc.filterTemplates()[0]);
+			return pdoc.toWikitext({ selser: true });
+		});
+	};
+
+	before(function() {
+		// Don't fetch from the API of a cached configuration of enwiki,
+		// which another test may have left behind.
+		MWParserEnvironment.prototype.confCache = {};
+		fs.writeFileSync(file, JSON.stringify(TEMPLATEDATA));
+		return apiServer.startMockAPIServer({}).then(function(ret) {
+			mockURL = ret.url;
+		});
+	});
+
+	after(function() {
+		MWParserEnvironment.prototype.confCache = {};
+		fs.unlinkSync(file);
+		apiServer.stopAllServers();
+	});
+
+	describe('helpers', function() {
+		var td = TEMPLATEDATA['Template:Infobox'];
+
+		it('should resolve aliases', function() {
+			TemplateData.canonicalName(td, 'title').should.equal('name');
+			TemplateData.canonicalName(td, 'image').should.equal('image');
+			should.not.exist(TemplateData.canonicalName(td, 'zzz'));
+			TemplateData.findParam(td, { title: {} }, 'name').should.equal('title');
+			should.not.exist(TemplateData.findParam(td, { title: {} }, 'image'));
+			should.not.exist(TemplateData.findParam(null, { title: {} }, 'name'));
+		});
+
+		it('should order new parameters as documented', function() {
+			TemplateData.orderParams(td, ['caption'], ['zzz', 'image', 'name'])
+				.should.deep.equal(['name', 'image', 'caption', 'zzz']);
+			TemplateData.orderParams(td, ['old', 'title'], ['caption'])
+				.should.deep.equal(['caption', 'old', 'title']);
+			TemplateData.orderParams(null, ['b'], ['a']).should.deep.equal(['b', 'a']);
+		});
+
+		it('should parse formats', function() {
+			TemplateData.getFormat(td).should.deep.equal({
+				target: '{{_',
+				sep: '\n',
+				spc: [' ', ' ', ' '],
+				nameWidth: 1,
+				end: '\n',
+			});
+			TemplateData.getFormat({ format: '{{_ |_______=_}}' }).should.deep.equal({
+				target: '{{_',
+				sep: ' ',
+				spc: ['', '', ''],
+				nameWidth: 7,
+				end: '',
+			});
+			should.not.exist(TemplateData.getFormat({ format: '{{_|_}}' }));
+			should.not.exist(TemplateData.getFormat({}));
+		});
+	});
+
+	describe('serialization', function() {
+		it('should add parameters in the documented order', function() {
+			return edit('{{Infobox|caption=c}}', function(t) {
+				t.add('zzz', 'z');
+				t.add('image', 'I');
+				t.add('name', 'N');
+			}).then(function(wt) {
+				wt.should.equal('{{Infobox|name = N|image = I|caption=c|zzz = z}}');
+			});
+		});
+
+		it('should format new templates as documented', function() {
+			return edit('{{Infobox}}', function(t) {
+				t.add('caption', 'c');
+				t.add('name', 'N');
+			}).then(function(wt) {
+				wt.should.equal('{{Infobox\n| name = N\n| caption = c\n}}');
+			});
+		});
+
+		it('should format new parameters of formatted templates', function() {
+			return edit('{{Infobox\n| name = N\n| caption = c\n}}', function(t) {
+				t.add('old', 'o');
+				t.add('image', 'I');
+			}).then(function(wt) {
+				wt.should.equal('{{Infobox\n| name = N\n| image = I\n| caption = c\n| old = o\n}}');
+			});
+		});
+
+		it('should use the inline format', function() {
+			return edit('{{Cite}}', function(t) {
+				t.add('year', '2000');
+				t.add('last', 'L');
+			}).then(function(wt) {
+				wt.should.equal('{{Cite|last=L|year=2000}}');
+			});
+		});
+	});
+
+	describe('PTemplate', function() {
+		it('should resolve aliases in get and has', function() {
+			return edit('{{Infobox|title=T|caption=c}}', function(t) {
+				t.templateData.paramOrder.should.deep.equal(['name', 'image', 'caption', 'old']);
+				t.has('name').should.equal(true);
+				t.has('image').should.equal(false);
+				t.get('name').name.should.equal('title');
+				String(t.get('name').value).should.equal('T');
+				t.add('name', 'N');
+			}).then(function(wt) {
+				wt.should.equal('{{Infobox|title=N|caption=c}}');
+			});
+		});
+
+		it('should work without TemplateData', function() {
+			return edit('{{Foo|a=1}}', function(t) {
+				should.not.exist(t.templateData);
+				t.has('a').should.equal(true);
+				t.has('b').should.equal(false);
+				t.add('b', '2');
+			}).then(function(wt) {
+				wt.should.equal('{{Foo|a=1|b = 2}}');
+			});
+		});
+	});
+
+	describe('linting', function() {
+		it('should log missing required and deprecated parameters', function() {
+			var wt = 'a\n\n{{Infobox|old=o|caption=c}}\n\n{{Infobox|title=T}}';
+			return helpers.parse(makeConfig({ linting: true }), wt).then(function(ret) {
+				var lints = ret.env.linter.buffer.filter(function(lint) {
+					return /template-param$/.test(lint.type);
+				});
+				lints.length.should.equal(2);
+				lints[0].type.should.equal('missing-required-template-param');
+				lints[0].severity.should.equal('medium');
+				lints[0].params.should.deep.equal(['name']);
+				lints[0].templateInfo.name.should.equal('Infobox');
+				lints[0].dsr.slice(0, 2).should.deep.equal([3, 30]);
+				lints[1].type.should.equal('deprecated-template-param');
+				lints[1].severity.should.equal('low');
+				lints[1].params.should.deep.equal(['old']);
+			});
+		});
+	});
+
+	describe('fetching', function() {
+		var getEnv = function() {
+			var pc = makeConfig({ templateDataFile: null, fetchTemplates: true });
+			return MWParserEnvironment.getParserEnv(pc, {
+				prefix: 'enwiki',
+				pageName: 'Main_Page',
+			});
+		};
+
+		it('should fetch the TemplateData of templates together', function() {
+			return getEnv().then(function(env) {
+				return Promise.all([
+					TemplateData.fetch(env, 'Template:Cite'),
+					TemplateData.fetch(env, 'template:Cite'),
+					TemplateData.fetch(env, 'Template:Citation'),
+					TemplateData.fetch(env, 'Template:Missing'),
+				]).then(function(results) {
+					results[0].params.last.aliases.should.deep.equal(['author']);
+					results[1].should.deep.equal(results[0]);
+					results[2].should.deep.equal(results[0]);
+					should.not.exist(results[3]);
+					TemplateData.get(env, 'Template:Citation').should.equal(results[2]);
+				});
+			});
+		});
+	});
+});
@@ -127,6 +127,27 @@ var largePage = {
 	},
 };
 
+var sectionsPage = {
+	query: {
+		pages: {
+			'4': {
+				pageid: 4,
+				ns: 0,
+				title: 'Sections_Page',
+				revisions: [
+					{
+						revid: 4,
+						parentid: 0,
+						contentmodel: 'wikitext',
+						contentformat: 'text/x-wiki',
+						'*': '== Notes ==\na\n== Notes ==\nb\n== notes ==\nc\n',
+					},
+				],
+			},
+		},
+	},
+};
+
 var fnames = {
 	'Image:Foobar.jpg': 'Foobar.jpg',
 	'File:Foobar.jpg': 'Foobar.jpg',
@@ -152,6 +173,43 @@ var formatters = {
 	},
 };
 
+// The interface messages of the wiki, for meta=allmessages: the English
+// month and weekday names used by #time.
+var messages = {};
+var months = [
+	'January', 'February', 'March', 'April', 'May', 'June', 'July',
+	'August', 'September', 'October', 'November', 'December',
+];
+var weekdays = [
+	'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday',
+	'Saturday',
+];
+months.forEach(function(month) {
+	var name = month.toLowerCase();
+	messages[name === 'may' ? 'may_long' : name] = month;
+	messages[name + '-gen'] = month;
+	messages[name.slice(0, 3)] = month.slice(0, 3);
+});
+weekdays.forEach(function(day) {
+	messages[day.toLowerCase()] = day;
+	messages[day.slice(0, 3).toLowerCase()] = day.slice(0, 3);
+});
+
+// The TemplateData of the templates, for action=templatedata
+var templateDataPages = {
+	'Template:Cite': {
+		description: 'Cites a source',
+		params: {
+			last: { label: 'Last name', required: true, aliases: ['author'] },
+			first: { label: 'First name' },
+			year: { label: 'Year' },
+			accessdate: { label: 'Access date', deprecated: 'Use access-date' },
+		},
+		paramOrder: ['last', 'first', 'year', 'accessdate'],
+		format: 'inline',
+	},
+};
+
 var availableActions = {
 	parse: function(body, cb) {
 		var resultText;
@@ -174,8 +232,14 @@ var availableActions = {
 				.replace('$2', sanitizeHTMLAttribute(content));
 		}
 
+		// The SyntaxHighlight extension, without the highlighting
+		var highlight = /^<(syntaxhighlight|source)(?: [^>]*)?>\n*([^]*?)\s*<\/\1>$/.exec(text);
+
 		if (result) {
 			resultText = handleTestExtension(result[1], result[2]);
+		} else if (highlight) {
+			resultText = '<div class="mw-highlight mw-content-ltr" dir="ltr"><pre><span></span>' +
+				sanitizeHTMLAttribute(highlight[2]) + '</pre></div>';
 		} else if (onlypst) {
 			resultText = body.text.replace(/\{\{subst:echo\|([^}]+)\}\}/, "$1");
 		} else {
@@ -185,14 +249,23 @@ var availableActions = {
 		cb(null, { parse: { text: { '*': resultText } } });
 	},
 
-	querySiteinfo: function(body, cb) {
-		// TODO: Read which language should we use from somewhere.
-		cb(null, require('../lib/config/baseconfig/enwiki.json'));
+	querySiteinfo: function(body, cb, wiki) {
+		var siteinfo = require('../lib/config/baseconfig/' + (wiki || 'enwiki') + '.json');
+		if (!/(^|\|)allmessages(\||$)/.test(body.meta)) {
+			return cb(null, siteinfo);
+		}
+		var allmessages = (body.ammessages || '').split('|').map(function(name) {
+			return messages.hasOwnProperty(name) ?
+				{ name: name, '*': messages[name] } : { name: name, missing: '' };
+		});
+		cb(null, {
+			query: Object.assign({}, siteinfo.query, { allmessages: allmessages }),
+		});
 	},
 
-	query: function(body, cb) {
-		if (body.meta === 'siteinfo') {
-			return this.querySiteinfo(body, cb);
+	query: function(body, cb, wiki) {
+		if (body.meta === 'siteinfo' || body.meta === 'siteinfo|allmessages') {
+			return this.querySiteinfo(body, cb, wiki);
 		}
 
 		if (body.prop === "revisions") {
@@ -202,6 +275,8 @@ var availableActions = {
 				return cb(null , junkPage);
 			} else if (body.revids === '3' || body.titles === 'Large_Page') {
 				return cb(null , largePage);
+			} else if (body.revids === '4' || body.titles === 'Sections_Page') {
+				return cb(null , sectionsPage);
 			}
 		}
 
@@ -306,6 +381,38 @@ var availableActions = {
 		}
 	},
 
+	templatedata: function(body, cb) {
+		var titles = body.titles.split('|');
+		var response = { pages: {} };
+		var normalized = titles.filter(function(title) {
+			return /^template:/.test(title);
+		});
+		if (normalized.length) {
+			response.normalized = normalized.map(function(title) {
+				return { from: title, to: 'T' + title.substr(1) };
+			});
+		}
+		titles = titles.map(function(title) {
+			return title.replace(/^template:/, 'Template:');
+		});
+		// Template:Citation redirects to Template:Cite
+		if (titles.indexOf('Template:Citation') !== -1) {
+			response.redirects = [{ from: 'Template:Citation', to: 'Template:Cite' }];
+			titles = titles.map(function(title) {
+				return title === 'Template:Citation' ? 'Template:Cite' : title;
+			}).filter(function(title, i, a) {
+				return a.indexOf(title) === i;
+			});
+		}
+		titles.forEach(function(title, i) {
+			var templateData = templateDataPages[title];
+			response.pages[i + 1] = templateData ?
+				Object.assign({ title: title }, templateData) :
+				{ title: title, missing: true };
+		});
+		cb(null, response);
+	},
+
 };
 
 var actionDefinitions = {
@@ -325,6 +432,11 @@ var actionDefinitions = {
 			iiurlheight: 'text',
 		},
 	},
+	templatedata: {
+		parameters: {
+			titles: 'text',
+		},
+	},
 };
 
 var actionRegex = Object.keys(availableActions).join('|');
@@ -409,7 +521,7 @@ app.get(new RegExp('^/(' + actionRegex + ')'), function(req, res) {
 	res.end();
 });
 
-function handleApiRequest(body, res) {
+function handleApiRequest(body, res, wiki) {
 	var format = body.format;
 	var action = body.action;
 	var formatter = formatters[format || "json"];
@@ -429,7 +541,7 @@ function handleApiRequest(body, res) {
 			res.write(err.stack || err.toString());
 			res.end();
 		}
-	});
+	}, wiki);
 }
 
 // GET request to api.php....actually perform an API request
@@ -442,6 +554,15 @@ app.post('/api.php', function(req, res) {
 	handleApiRequest(req.body, res);
 });
 
+// Requests to the api.php of another wiki, which only differs from the
+// default one by its siteinfo, from lib/config/baseconfig
+app.get(/^\/(\w+wiki)\/api\.php$/, function(req, res) {
+	handleApiRequest(req.query, res, req.params[0]);
+});
+app.post(/^\/(\w+wiki)\/api\.php$/, function(req, res) {
+	handleApiRequest(req.body, res, req.params[0]);
+});
+
 module.exports = app;
 
 var port = process.env.PORT || 7001;
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Generate lib/language/data/zh.json from the conversion tables of
+ * mediawiki/core, in languages/data/ZhConversion.php:
+ *
+ *   $ tools/build-zh-conversion.js $MEDIAWIKI/languages/data/ZhConversion.php
+ *
+ * The tables of the variants are combined as in ZhConverter::loadDefaultTables.
+ */
+
+'use strict';
+require('../core-upgrade.js');
+
+var fs = require('fs');
+
+var filename = __dirname + '/../lib/language/data/zh.json';
+
+// The tables of each variant, merged in this order, and the variants
+// whose text is displayed when there is none for it (as in ZhConverter).
+var variants = {
+	'zh': { tables: [], fallbacks: ['zh-hans', 'zh-hant'] },
+	'zh-hans': { tables: ['zh2Hans'], fallbacks: ['zh-cn', 'zh-sg', 'zh-my'] },
+	'zh-hant': { tables: ['zh2Hant'], fallbacks: ['zh-tw', 'zh-hk', 'zh-mo'] },
+	'zh-cn': { tables: ['zh2Hans', 'zh2CN'], fallbacks: ['zh-hans', 'zh-sg', 'zh-my'] },
+	'zh-sg': { tables: ['zh2Hans', 'zh2CN'], fallbacks: ['zh-hans', 'zh-cn', 'zh-my'] },
+	'zh-my': { tables: ['zh2Hans', 'zh2CN'], fallbacks: ['zh-hans', 'zh-sg', 'zh-cn'] },
+	'zh-tw': { tables: ['zh2Hant', 'zh2TW'], fallbacks: ['zh-hant', 'zh-hk', 'zh-mo'] },
+	'zh-hk': { tables: ['zh2Hant', 'zh2HK'], fallbacks: ['zh-hant', 'zh-mo', 'zh-tw'] },
+	'zh-mo': { tables: ['zh2Hant', 'zh2HK'], fallbacks: ['zh-hant', 'zh-hk', 'zh-tw'] },
+};
+
+// Unescape a single-quoted PHP string
+var phpString = function(s) {
+	return s.replace(/\\([\\'])/g, '$1');
+};
+
+var parseTables = function(src) {
+	var tables = {};
+	var tableRe = /public static \$(zh2\w+)\s*=\s*(?:\[|array\s*\()([\s\S]*?)(?:\]|\))\s*;/g;
+	var entryRe = /'((?:[^'\\]|\\.)*)'\s*=>\s*'((?:[^'\\]|\\.)*)'/g;
+	var m;
+	while ((m = tableRe.exec(src))) {
+		var table = {};
+		var e;
+		while ((e = entryRe.exec(m[2]))) {
+			table[phpString(e[1])] = phpString(e[2]);
+		}
+		tables[m[1]] = table;
+	}
+	return tables;
+};
+
+var main = function(argv) {
+	if (argv._.length !== 1) {
+		console.error('Usage: build-zh-conversion.js <path to ZhConversion.php>');
+		process.exit(1);
+	}
+	var tables = parseTables(fs.readFileSync(argv._[0], 'utf8'));
+	Object.keys(variants).forEach(function(variant) {
+		variants[variant].tables.forEach(function(name) {
+			if (!tables[name]) {
+				throw new Error('Missing table ' + name + ' in ' + argv._[0]);
+			}
+		});
+	});
+	fs.writeFileSync(filename, JSON.stringify({
+		variants: variants,
+		tables: tables,
+	}, null, 2) + '\n', 'utf8');
+	Object.keys(tables).forEach(function(name) {
+		console.log(name + ': ' + Object.keys(tables[name]).length + ' entries');
+	});
+};
+
+main(require('yargs').argv);